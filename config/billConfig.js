@@ -9,8 +9,37 @@ module.exports = {
     phone: "+91-9876543210",
     email: "support@rangaone.finance",
     website: "www.rangaone.finance",
-    pan: "AAAAA0000A"
+    pan: "AAAAA0000A",
+    gstin: process.env.COMPANY_GSTIN || null
   },
-  TAX_RATE: 0, // No GST
+  GST: {
+    // Percentage; 0 until the company is GST registered
+    RATE: Number(process.env.GST_RATE || 0),
+    // 'inclusive': catalogue prices include GST; 'exclusive': GST is charged on top
+    PRICING_MODE: process.env.GST_PRICING_MODE === 'exclusive' ? 'exclusive' : 'inclusive',
+    // SAC for investment advisory services
+    SAC_CODE: process.env.GST_SAC_CODE || "997156"
+  },
+  // Document numbers restart every financial year (April-March).
+  // Format tokens: {prefix}, {fy} (2026-27), {fyShort} (2627), {seq} (zero-padded).
+  // GST allows at most 16 characters: letters, digits, '-' and '/'.
+  DOCUMENT_NUMBERING: {
+    invoice: {
+      prefix: process.env.INVOICE_NUMBER_PREFIX || "INV",
+      format: process.env.INVOICE_NUMBER_FORMAT || "{prefix}-{fyShort}-{seq}",
+      padding: 5
+    },
+    credit_note: {
+      prefix: process.env.CREDIT_NOTE_NUMBER_PREFIX || "CN",
+      format: process.env.CREDIT_NOTE_NUMBER_FORMAT || "{prefix}-{fyShort}-{seq}",
+      padding: 5
+    },
+    proforma: {
+      prefix: process.env.PROFORMA_NUMBER_PREFIX || "PF",
+      format: process.env.PROFORMA_NUMBER_FORMAT || "{prefix}-{fyShort}-{seq}",
+      padding: 5
+    }
+  },
+  TAX_RATE: Number(process.env.GST_RATE || 0),
   BILL_DUE_DAYS: 30 // Days until bill is due
-};
\ No newline at end of file
+};
@@ -0,0 +1,300 @@
+/**
+ * Built-in transactional email templates (EJS).
+ *
+ * These are the version 0 of every template: they are used until an admin
+ * saves a version in the EmailTemplate collection, and again after the
+ * template is reset. Every template except `layout` renders only the body;
+ * the result is passed to `layout` as `body` together with the branding.
+ *
+ * All templates receive `brand` (companyName, logoUrl, primaryColor,
+ * secondaryColor, headerBackground, supportEmail, phone, website, year).
+ */
+
+const layout = {
+  description: 'Shared wrapper (header, footer, branding) around every HTML email',
+  subject: '',
+  text: '',
+  html: `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title><%= subject %></title>
+</head>
+<body style="font-family:'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin:0; padding:20px; background-color:#f5f5f5;">
+  <div style="max-width:600px; margin:0 auto; background:#ffffff; border-radius:10px; overflow:hidden;">
+    <div style="background:<%= brand.headerBackground %>; padding:20px 30px; text-align:center;">
+      <% if (brand.logoUrl) { %>
+        <img src="<%= brand.logoUrl %>" alt="<%= brand.companyName %>" style="max-height:48px;">
+      <% } else { %>
+        <h2 style="margin:0; color:#ffffff;"><%= brand.companyName %></h2>
+      <% } %>
+    </div>
+    <div style="padding:30px;">
+      <%- body %>
+    </div>
+    <div style="background:#f8f9fa; padding:20px; text-align:center; color:#666666; font-size:12px;">
+      <p style="margin:0 0 5px 0;"><strong><%= brand.companyName %></strong></p>
+      <p style="margin:0 0 5px 0;"><%= brand.supportEmail %><% if (brand.phone) { %> | <%= brand.phone %><% } %></p>
+      <p style="margin:0;">This is an automated email. Please do not reply directly to this email.</p>
+    </div>
+  </div>
+</body>
+</html>`,
+  variables: [
+    { name: 'subject', description: 'Rendered subject of the email', sample: 'Sample subject' },
+    { name: 'body', description: 'Rendered HTML body of the email', sample: '<p>Email body goes here.</p>' }
+  ]
+};
+
+const bill_invoice = {
+  description: 'Invoice sent after a successful subscription payment',
+  subject: 'Invoice <%= billNumber %> - <%= brand.companyName %>',
+  text: `THANK YOU FOR YOUR PURCHASE!
+
+Hello <%= customerName %>,
+
+Thank you for subscribing to our premium service. Your payment has been successfully processed.
+
+INVOICE DETAILS:
+- Invoice Number: <%= billNumber %>
+- Date: <%= billDate %>
+- Subscription: <%= subscriptionName %>
+- Plan Type: <%= planType %>
+- Total Paid: ₹<%= totalAmount %>
+
+PAYMENT CONFIRMED - SUBSCRIPTION ACTIVE
+
+Your subscription is now active! You'll receive separate emails with access to your premium content and Telegram groups.
+
+If you have any questions, please contact us at <%= brand.supportEmail %>
+
+<%= brand.companyName %>
+<%= brand.phone %>`,
+  html: `<h2 style="color:<%= brand.primaryColor %>;">Thank You for Your Purchase!</h2>
+<p>Hello <%= customerName %>!</p>
+<p>Thank you for subscribing to our premium service. Your payment has been successfully processed and your subscription is now active.</p>
+
+<div style="background:#f8f9ff; padding:20px; border-radius:8px; margin:20px 0;">
+  <h3 style="margin:0 0 15px 0; color:<%= brand.primaryColor %>;">📄 Invoice Details</h3>
+  <p><strong>Invoice Number:</strong> <%= billNumber %></p>
+  <p><strong>Date:</strong> <%= billDate %></p>
+  <p><strong>Subscription:</strong> <%= subscriptionName %></p>
+  <p><strong>Plan Type:</strong> <%= planType %></p>
+</div>
+
+<div style="font-size:24px; font-weight:bold; color:#28a745; text-align:center; margin:20px 0;">
+  Total Paid: ₹<%= totalAmount %>
+</div>
+
+<div style="background:#e8f5e8; padding:20px; border-radius:8px; margin:20px 0;">
+  <h3 style="margin:0 0 10px 0; color:#28a745;">🎉 What's Next?</h3>
+  <p style="margin:0;">Your subscription is now active! You'll receive separate emails with access to your premium content and Telegram groups.</p>
+</div>
+
+<p>If you have any questions about your subscription or need support, please don't hesitate to contact us.</p>`,
+  variables: [
+    { name: 'customerName', required: true, sample: 'Rahul Sharma' },
+    { name: 'billNumber', required: true, sample: 'INV-2026-00042' },
+    { name: 'billDate', required: true, description: 'Formatted invoice date', sample: '19/10/2026' },
+    { name: 'subscriptionName', required: true, sample: 'Premium Portfolio - Monthly' },
+    { name: 'planType', sample: 'monthly' },
+    { name: 'totalAmount', required: true, description: 'Formatted amount without currency symbol', sample: '1,999' }
+  ]
+};
+
+const telegram_invite = {
+  description: 'Telegram group invite links sent after subscribing',
+  subject: '🎉 Welcome! Your Telegram Group Access is Ready',
+  text: `WELCOME TO THE COMMUNITY!
+
+Hello <%= userName %>,
+
+Your subscription is active and you now have access to our exclusive Telegram community.
+
+TELEGRAM GROUPS:
+<% inviteLinks.forEach(function (invite) { %>
+- <%= invite.name %>
+  <%= invite.description || 'Exclusive content and discussions' %>
+  Join: <%= invite.link %>
+<% }) %>
+IMPORTANT: These invite links will expire on <%= expiresAt %>. Please join as soon as possible.
+
+If you have any issues joining the groups, please contact our support team at <%= brand.supportEmail %>.`,
+  html: `<h2 style="color:<%= brand.primaryColor %>;">🎉 Welcome to the Community!</h2>
+<p>Hello <%= userName %>!</p>
+<p>Congratulations! Your subscription is active and you now have access to our exclusive Telegram community.</p>
+
+<% inviteLinks.forEach(function (invite) { %>
+  <div style="background:#f8f9fa; border:2px solid #0088cc; border-radius:8px; padding:20px; margin:15px 0; text-align:center;">
+    <h3>📱 <%= invite.name %></h3>
+    <p><%= invite.description || 'Exclusive content and discussions' %></p>
+    <a href="<%= invite.link %>" style="background:#0088cc; color:#ffffff; padding:12px 24px; text-decoration:none; border-radius:5px; display:inline-block; margin:10px 0;">Join Group</a>
+  </div>
+<% }) %>
+
+<div style="background:#fff3cd; border:1px solid #ffeaa7; border-radius:5px; padding:15px; margin:20px 0;">
+  <p><strong>⚠️ Important:</strong> These invite links will expire on <%= expiresAt %>. Please join the groups as soon as possible.</p>
+</div>
+
+<h3>📋 What to Expect:</h3>
+<ul>
+  <li>Real-time market updates and insights</li>
+  <li>Exclusive trading tips and strategies</li>
+  <li>Direct interaction with our expert team</li>
+  <li>Community discussions with fellow investors</li>
+</ul>
+
+<p>If you have any issues joining the groups, please contact our support team.</p>`,
+  variables: [
+    { name: 'userName', required: true, sample: 'Rahul Sharma' },
+    {
+      name: 'inviteLinks',
+      required: true,
+      description: 'Array of { name, description, link }',
+      sample: [{ name: 'Premium Signals', description: 'Live trade calls', link: 'https://t.me/+sample' }]
+    },
+    { name: 'expiresAt', required: true, description: 'Formatted link expiry date', sample: '26/10/2026' }
+  ]
+};
+
+const renewal_reminder = {
+  description: 'Reminder sent before a subscription expires',
+  subject: 'Subscription Renewal Reminder - <%= portfolioName %>',
+  text: 'Your subscription to <%= portfolioName %> expires in <%= daysUntilExpiry %> days. Renew now to continue your access: <%= renewalUrl %>',
+  html: `<h2 style="color:<%= brand.primaryColor %>;">Subscription Renewal Reminder</h2>
+<p>Dear <%= userName %>,</p>
+<p>Your subscription to <strong><%= portfolioName %></strong> will expire in <strong><%= daysUntilExpiry %> days</strong>.</p>
+<p>Expiry Date: <strong><%= expiryDate %></strong></p>
+
+<div style="margin:30px 0;">
+  <a href="<%= renewalUrl %>" style="background-color:<%= brand.primaryColor %>; color:white; padding:12px 24px; text-decoration:none; border-radius:5px; display:inline-block;">Renew Subscription</a>
+</div>
+
+<div style="background-color:#f8f9fa; padding:15px; border-radius:5px; margin:20px 0;">
+  <h3 style="color:#28a745; margin-top:0;">Renewal Benefits:</h3>
+  <ul>
+    <li>✅ Seamless continuation of your access</li>
+    <li>✅ No service interruption</li>
+    <li>✅ Early renewal compensation - remaining days will be added to your new subscription</li>
+  </ul>
+</div>
+
+<p>You can renew your subscription up to 7 days before expiry. Any remaining days from your current subscription will be automatically added to your new subscription period.</p>
+
+<p>Or copy and paste this link in your browser:</p>
+<p style="word-break:break-all;"><%= renewalUrl %></p>`,
+  variables: [
+    { name: 'userName', required: true, sample: 'Rahul Sharma' },
+    { name: 'portfolioName', required: true, sample: 'Premium Portfolio' },
+    { name: 'daysUntilExpiry', required: true, sample: 5 },
+    { name: 'expiryDate', required: true, sample: 'Sat Oct 24 2026' },
+    { name: 'renewalUrl', required: true, sample: 'https://example.com/renew-subscription/123' }
+  ]
+};
+
+const subscription_cancelled = {
+  description: 'Confirmation sent when a user cancels a subscription',
+  subject: 'Subscription Cancelled - <%= portfolioName %>',
+  text: 'Your subscription to <%= portfolioName %> has been cancelled. You will retain access until <%= accessEndsOn %>.',
+  html: `<h2 style="color:#e74c3c;">Subscription Cancelled</h2>
+<p>Dear <%= userName %>,</p>
+<p>Your subscription to <strong><%= portfolioName %></strong> has been successfully cancelled.</p>
+
+<div style="background-color:#f8f9fa; padding:15px; border-radius:5px; margin:20px 0;">
+  <h3 style="color:#e74c3c; margin-top:0;">Details:</h3>
+  <p><strong>Portfolio:</strong> <%= portfolioName %></p>
+  <p><strong>Cancellation Date:</strong> <%= cancelledOn %></p>
+  <p><strong>Access Ends:</strong> <%= accessEndsOn %></p>
+</div>
+
+<p>You will retain access until your subscription expiration date.
+If you wish to resubscribe, you can do so at any time.</p>`,
+  variables: [
+    { name: 'userName', required: true, sample: 'Rahul Sharma' },
+    { name: 'portfolioName', required: true, sample: 'Premium Portfolio' },
+    { name: 'cancelledOn', required: true, sample: '19/10/2026' },
+    { name: 'accessEndsOn', required: true, sample: '31/10/2026' }
+  ]
+};
+
+const payment_failed = {
+  description: 'Sent when a subscription payment fails',
+  subject: 'Payment Failed - Action Required',
+  text: 'Your subscription payment failed. Please update your payment method or contact support.',
+  html: `<h2 style="color:#e74c3c;">Payment Failed</h2>
+<p>Dear <%= userName %>,</p>
+<p>We were unable to process your subscription payment.</p>
+
+<div style="background-color:#f8f9fa; padding:15px; border-radius:5px; margin:20px 0;">
+  <h3 style="color:#e74c3c; margin-top:0;">Details:</h3>
+  <p><strong>Subscription ID:</strong> <%= subscriptionId %></p>
+  <p><strong>Error:</strong> <%= errorDescription || 'Payment processing failed' %></p>
+  <p><strong>Date:</strong> <%= failedOn %></p>
+</div>
+
+<div style="margin:30px 0;">
+  <a href="<%= retryUrl %>" style="background-color:<%= brand.primaryColor %>; color:white; padding:12px 24px; text-decoration:none; border-radius:5px; display:inline-block;">Retry Payment</a>
+</div>
+
+<p>Please contact support if you continue to experience issues.</p>`,
+  variables: [
+    { name: 'userName', required: true, sample: 'Rahul Sharma' },
+    { name: 'subscriptionId', required: true, sample: 'sub_NxYz123' },
+    { name: 'errorDescription', sample: 'Card declined by issuer' },
+    { name: 'failedOn', required: true, sample: '19/10/2026' },
+    { name: 'retryUrl', required: true, sample: 'https://example.com/subscription/retry' }
+  ]
+};
+
+const subscription_expired = {
+  description: 'Sent by the cleanup job when a subscription expires',
+  subject: 'Subscription Expired - <%= portfolioName %>',
+  text: 'Your subscription to <%= portfolioName %> has expired. Renew here: <%= renewUrl %>',
+  html: `<h2 style="color:#e67e22;">Subscription Expired</h2>
+<p>Dear <%= userName %>,</p>
+<p>Your subscription to <strong><%= portfolioName %></strong> expired on <%= expiredOn %>.</p>
+
+<div style="background-color:#f8f9fa; padding:15px; border-radius:5px; margin:20px 0;">
+  <h3 style="color:#e67e22; margin-top:0;">Details:</h3>
+  <p><strong>Portfolio:</strong> <%= portfolioName %></p>
+  <p><strong>Expiration Date:</strong> <%= expiredOn %></p>
+  <% if (isRecurring) { %>
+    <p><strong>Note:</strong> Your recurring payments have been stopped.</p>
+  <% } %>
+</div>
+
+<p>To continue your access, please renew your subscription:</p>
+<p style="margin:25px 0;">
+  <a href="<%= renewUrl %>" style="background-color:<%= brand.primaryColor %>; color:white; padding:12px 24px; text-decoration:none; border-radius:4px;">Renew Subscription</a>
+</p>`,
+  variables: [
+    { name: 'userName', required: true, sample: 'Rahul Sharma' },
+    { name: 'portfolioName', required: true, sample: 'Premium Portfolio' },
+    { name: 'expiredOn', required: true, sample: '19/10/2026' },
+    { name: 'isRecurring', sample: true },
+    { name: 'renewUrl', required: true, sample: 'https://example.com/subscribe/123' }
+  ]
+};
+
+const portfolio_notification = {
+  description: 'Free-form admin notification sent to portfolio subscribers',
+  subject: '<%= subject %>',
+  text: '<%= message %>',
+  html: `<h2 style="color:<%= brand.primaryColor %>;"><%= subject %></h2>
+<p style="line-height:1.5;"><%- message.split('\\n').map(escapeHtml).join('<br>') %></p>`,
+  variables: [
+    { name: 'subject', required: true, sample: 'Important Portfolio Update' },
+    { name: 'message', required: true, sample: "We've rebalanced the portfolio to include new assets.\nPlease review the changes." }
+  ]
+};
+
+module.exports = {
+  layout,
+  bill_invoice,
+  telegram_invite,
+  renewal_reminder,
+  subscription_cancelled,
+  payment_failed,
+  subscription_expired,
+  portfolio_notification
+};
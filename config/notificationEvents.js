@@ -0,0 +1,155 @@
+/**
+ * Notification event catalog.
+ *
+ * Every user-facing message goes through services/notificationService with
+ * one of these event types. `category` separates the kinds of message:
+ *   regulatory     legally required records (invoices, mandate actions)
+ *   transactional  account and subscription lifecycle
+ *   service        updates the user asked for (alerts, portfolio changes)
+ *   marketing      announcements and promotions
+ *
+ * `defaults` are the channels used until the user changes them, `required`
+ * channels cannot be turned off, and `emailCategory` ties the email channel
+ * of marketing events to the EmailPreference category used by unsubscribe
+ * links, so both stay in sync. `inboxCategory` files the in-app copy under
+ * one of INBOX_CATEGORIES.
+ */
+
+const NOTIFICATION_CHANNELS = ['email', 'telegram', 'in_app', 'sms'];
+
+const NOTIFICATION_CATEGORIES = ['regulatory', 'transactional', 'service', 'marketing'];
+
+// Categories of the in-app notification inbox
+const INBOX_CATEGORIES = [
+  'new_tip',
+  'portfolio_rebalance',
+  'subscription_expiring',
+  'subscription',
+  'bill_generated',
+  'esign_status',
+  'price_alert',
+  'announcement'
+];
+
+const NOTIFICATION_EVENTS = {
+  bill_generated: {
+    label: 'Invoices',
+    category: 'regulatory',
+    defaults: { email: true, telegram: false, in_app: true, sms: false },
+    inboxCategory: 'bill_generated',
+    required: ['email']
+  },
+  emandate_pending: {
+    label: 'Payment mandate actions',
+    category: 'regulatory',
+    defaults: { email: true, telegram: false, in_app: true, sms: false },
+    inboxCategory: 'subscription',
+    required: ['email']
+  },
+  payment_failed: {
+    label: 'Failed payments',
+    category: 'transactional',
+    defaults: { email: true, telegram: true, in_app: true, sms: false },
+    inboxCategory: 'subscription',
+    required: ['email']
+  },
+  subscription_cancelled: {
+    label: 'Subscription cancellations',
+    category: 'transactional',
+    defaults: { email: true, telegram: false, in_app: true, sms: false },
+    inboxCategory: 'subscription',
+    required: ['email']
+  },
+  subscription_activated: {
+    label: 'Subscription activations',
+    category: 'transactional',
+    defaults: { email: false, telegram: false, in_app: true, sms: false },
+    inboxCategory: 'subscription',
+    required: []
+  },
+  subscription_plan_changed: {
+    label: 'Plan changes',
+    category: 'transactional',
+    defaults: { email: true, telegram: false, in_app: true, sms: false },
+    inboxCategory: 'subscription',
+    required: []
+  },
+  refund_processed: {
+    label: 'Refunds',
+    category: 'transactional',
+    defaults: { email: true, telegram: false, in_app: true, sms: false },
+    inboxCategory: 'bill_generated',
+    required: ['email']
+  },
+  subscription_renewed: {
+    label: 'Renewal confirmations',
+    category: 'transactional',
+    defaults: { email: true, telegram: false, in_app: true, sms: false },
+    inboxCategory: 'subscription',
+    required: ['email']
+  },
+  subscription_expired: {
+    label: 'Subscription expiry',
+    category: 'transactional',
+    defaults: { email: true, telegram: true, in_app: true, sms: false },
+    inboxCategory: 'subscription_expiring',
+    required: []
+  },
+  subscription_renewal_reminder: {
+    label: 'Renewal reminders',
+    category: 'transactional',
+    defaults: { email: true, telegram: true, in_app: true, sms: false },
+    inboxCategory: 'subscription_expiring',
+    required: []
+  },
+  esign_status: {
+    label: 'eSign status',
+    category: 'transactional',
+    defaults: { email: false, telegram: false, in_app: true, sms: false },
+    inboxCategory: 'esign_status',
+    required: []
+  },
+  telegram_invite: {
+    label: 'Telegram group invites',
+    category: 'transactional',
+    defaults: { email: true, telegram: false, in_app: true, sms: false },
+    inboxCategory: 'subscription',
+    required: ['email']
+  },
+  new_tip: {
+    label: 'New tips',
+    category: 'service',
+    defaults: { email: false, telegram: false, in_app: true, sms: false },
+    inboxCategory: 'new_tip',
+    required: []
+  },
+  price_alert: {
+    label: 'Price alerts',
+    category: 'service',
+    defaults: { email: true, telegram: true, in_app: true, sms: false },
+    inboxCategory: 'price_alert',
+    required: []
+  },
+  portfolio_rebalance: {
+    label: 'Portfolio rebalances',
+    category: 'service',
+    defaults: { email: true, telegram: true, in_app: true, sms: false },
+    inboxCategory: 'portfolio_rebalance',
+    required: []
+  },
+  portfolio_announcement: {
+    label: 'Portfolio announcements',
+    category: 'marketing',
+    defaults: { email: true, telegram: false, in_app: true, sms: false },
+    inboxCategory: 'announcement',
+    required: [],
+    emailCategory: 'portfolio_updates'
+  }
+};
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_CATEGORIES,
+  INBOX_CATEGORIES,
+  NOTIFICATION_EVENTS
+};
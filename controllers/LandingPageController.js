@@ -1,5 +1,6 @@
 // controllers/landingPageController.js
 const LandingPage = require('../models/LandingPage');
+const emailTemplateService = require('../services/emailTemplateService');
 
 exports.getLandingPage = async (req, res) => {
   try {
@@ -67,6 +68,8 @@ exports.createOrUpdateLandingPage = async (req, res) => {
     }
 
     const savedLandingPage = await landingPage.save();
+    // Emails pick up the new logo and theme colours
+    emailTemplateService.clearBrandingCache();
     res.json(savedLandingPage);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -0,0 +1,114 @@
+const Bill = require('../models/bill');
+const CreditNote = require('../models/CreditNote');
+const billService = require('../services/billService');
+const documentNumberService = require('../services/documentNumberService');
+
+function sendError(res, err) {
+  const status = err.statusCode || (err.name === 'ValidationError' || err.name === 'CastError' ? 400 : 500);
+  res.status(status).json({ success: false, error: err.message });
+}
+
+/**
+ * Credit notes issued against a bill
+ */
+exports.getCreditNotes = async (req, res) => {
+  try {
+    const bill = await Bill.findById(req.params.billId).select('billNumber totalAmount creditedAmount').lean();
+    if (!bill) {
+      return res.status(404).json({ success: false, error: 'Bill not found' });
+    }
+    const creditNotes = await CreditNote.find({ bill: bill._id }).sort({ creditNoteDate: -1 }).lean();
+    res.json({
+      success: true,
+      bill: {
+        ...bill,
+        creditableAmount: Math.max(bill.totalAmount - (bill.creditedAmount || 0), 0)
+      },
+      data: creditNotes
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Issue a credit note against a bill and email it to the customer
+ */
+exports.createCreditNote = async (req, res) => {
+  try {
+    const { amount, reason, sendEmail = true } = req.body || {};
+    const creditNote = await billService.createCreditNote(req.params.billId, {
+      amount,
+      reason,
+      issuedBy: req.user && req.user._id
+    });
+
+    let emailError = null;
+    if (sendEmail) {
+      try {
+        await billService.sendCreditNoteEmail(creditNote._id);
+      } catch (err) {
+        // The credit note stands; the email can be resent from the download
+        emailError = err.message;
+      }
+    }
+
+    res.status(201).json({ success: true, data: creditNote, emailSent: Boolean(sendEmail) && !emailError, emailError });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Download a credit note as PDF, or HTML with ?format=html
+ */
+exports.downloadCreditNote = async (req, res) => {
+  try {
+    const creditNote = await CreditNote.findById(req.params.creditNoteId);
+    if (!creditNote) {
+      return res.status(404).json({ success: false, error: 'Credit note not found' });
+    }
+
+    if (req.query.format === 'html') {
+      res.setHeader('Content-Type', 'text/html');
+      res.setHeader('Content-Disposition', `attachment; filename="CreditNote-${creditNote.creditNoteNumber}.html"`);
+      return res.send(billService.generateCreditNoteHTML(creditNote));
+    }
+
+    const pdfBuffer = await billService.generateCreditNotePDF(creditNote);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="CreditNote-${creditNote.creditNoteNumber}.pdf"`);
+    res.send(pdfBuffer);
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Check a document series for duplicate and missing numbers
+ */
+exports.auditNumbering = async (req, res) => {
+  try {
+    const { series = 'invoice', financialYear } = req.query;
+    const audit = await documentNumberService.auditDocumentNumbers(series, { financialYear });
+    res.json({ success: true, data: audit });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Repair a document series; a dry run unless apply is true
+ */
+exports.repairNumbering = async (req, res) => {
+  try {
+    const { series = 'invoice', financialYear, apply = false } = req.body || {};
+    const result = await documentNumberService.repairDocumentNumbers(series, {
+      financialYear,
+      apply: apply === true
+    });
+    res.json({ success: true, data: result });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
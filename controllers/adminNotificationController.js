@@ -3,13 +3,15 @@
  * ------------------------------------------
  * Manages sending notification emails to portfolio subscribers
  */
+const mongoose = require('mongoose');
 const Subscription = require('../models/subscription');
-const User = require('../models/user');
-const { getSmtpConfig } = require('../utils/configSettings');
-const nodemailer = require('nodemailer');
+const notificationService = require('../services/notificationService');
 
 /**
- * Send notifications to all active subscribers of a portfolio
+ * Send notifications to all active subscribers of a portfolio.
+ * Delivered as a portfolio_announcement on the channels each subscriber
+ * chose; emails go only to those who did not opt out of portfolio
+ * announcements and carry unsubscribe and preference links.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @returns {Promise<void>}
@@ -21,53 +23,53 @@ exports.sendNotifications = async (req, res) => {
         if (!portfolioId || !subject || !message) {
             return res.status(400).json({ error: 'portfolioId, subject, and message are required' });
         }
+        if (!mongoose.Types.ObjectId.isValid(portfolioId)) {
+            return res.status(400).json({ error: 'Invalid portfolioId' });
+        }
         
-        // Find active subscribers
+        // Find active subscribers (portfolio subscriptions, including those bought through a bundle)
         const subs = await Subscription.find({ 
-            portfolio: portfolioId, 
-            isActive: true 
-        }).populate('user', 'email');
+            $or: [{ portfolio: portfolioId }, { productId: portfolioId }],
+            status: 'active'
+        }).populate('user', 'email fullName username phone');
+        
+        const users = new Map();
+        subs.forEach(s => {
+            if (s.user && s.user.email) users.set(s.user._id.toString(), s.user);
+        });
         
-        if (!subs.length) {
+        if (!users.size) {
             return res.status(404).json({ error: 'No active subscribers found' });
         }
         
-        // Get SMTP config from database (falls back to env variables)
-        const smtpConfig = await getSmtpConfig();
-        
-        // Configure mail transporter using database settings
-        const transporter = nodemailer.createTransport({
-            host: smtpConfig.host,
-            port: smtpConfig.port,
-            secure: smtpConfig.port === 465, // true for port 465
-            auth: {
-                user: smtpConfig.user,
-                pass: smtpConfig.pass
-            }
-        });
+        const emailsSent = [];
+        const skipped = [];
         
-        // Send emails in parallel
-        await Promise.all(subs.map(s => {
-            return transporter.sendMail({
-                from: `"Portfolio Service" <${smtpConfig.user}>`,
-                to: s.user.email,
-                subject,
-                text: message,
-             
-                html: `<div style="font-family: sans-serif; max-width: 600px; margin: 0 auto;">
-                    <h2 style="color: #4a77e5;">${subject}</h2>
-                    <p style="line-height: 1.5;">${message.replace(/\n/g, '<br>')}</p>
-                </div>`
+        for (const user of users.values()) {
+            const deliveries = await notificationService.notify(user, 'portfolio_announcement', {
+                email: { template: 'portfolio_notification', data: { subject, message } },
+                telegram: { text: `${subject}\n\n${message}` },
+                inApp: { title: subject, body: message, data: { portfolioId } }
+            }, {
+                email: { type: 'portfolio_notification', metadata: { portfolioId } }
             });
-        }));
+            
+            const email = deliveries.find(d => d.channel === 'email');
+            if (email && email.status === 'queued') {
+                emailsSent.push(user.email);
+            } else {
+                skipped.push(user.email);
+            }
+        }
         
         res.json({ 
             success: true, 
-            mailedTo: subs.length,
-            emailsSent: subs.map(s => s.user.email)
+            mailedTo: emailsSent.length,
+            emailsSent,
+            skipped
         });
     } catch (err) {
         console.error('Error sending notifications:', err);
         res.status(500).json({ error: `Failed to send notifications: ${err.message}` });
     }
-};
\ No newline at end of file
+};
@@ -0,0 +1,52 @@
+const reconciliationService = require('../services/reconciliationService');
+
+function sendError(res, err) {
+  const status = err.statusCode || (err.name === 'ValidationError' || err.name === 'CastError' ? 400 : 500);
+  res.status(status).json({ success: false, error: err.message });
+}
+
+/**
+ * Start a reconciliation; it completes in the background
+ */
+exports.createReport = async (req, res) => {
+  try {
+    const report = await reconciliationService.startReconciliation(req.body || {}, {
+      requestedBy: req.user && req.user._id
+    });
+    res.status(202).json({ success: true, data: report });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.getReports = async (req, res) => {
+  try {
+    const { reports, total, page, limit } = await reconciliationService.listReports(req.query);
+    res.json({ success: true, count: reports.length, total, page, limit, data: reports });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.getReportById = async (req, res) => {
+  try {
+    const report = await reconciliationService.getReport(req.params.id, req.query);
+    res.json({ success: true, data: report });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.resolveMismatch = async (req, res) => {
+  try {
+    const mismatch = await reconciliationService.resolveMismatch(
+      req.params.id,
+      req.params.mismatchId,
+      req.body || {},
+      req.user && req.user._id
+    );
+    res.json({ success: true, data: mismatch });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
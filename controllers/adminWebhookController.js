@@ -0,0 +1,39 @@
+const webhookEventService = require('../services/webhookEventService');
+
+function sendError(res, err) {
+  const status = err.statusCode || (err.name === 'ValidationError' || err.name === 'CastError' ? 400 : 500);
+  res.status(status).json({ success: false, error: err.message });
+}
+
+exports.getEvents = async (req, res) => {
+  try {
+    const { events, total, page, limit } = await webhookEventService.listEvents(req.query);
+    res.json({ success: true, count: events.length, total, page, limit, data: events });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.getEventById = async (req, res) => {
+  try {
+    const event = await webhookEventService.getEvent(req.params.id);
+    res.json({ success: true, data: event });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Run a stored event's handler again and return the outcome
+ */
+exports.replayEvent = async (req, res) => {
+  try {
+    const event = await webhookEventService.replayEvent(req.params.id, {
+      force: (req.body || {}).force === true,
+      adminId: req.user && req.user._id
+    });
+    res.json({ success: true, data: event });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
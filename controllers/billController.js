@@ -366,13 +366,16 @@ exports.getBillStats = async (req, res) => {
  */
 exports.getBillingConfig = async (req, res) => {
   try {
-    const { COMPANY_INFO, TAX_RATE } = require('../config/billConfig');
+    const { COMPANY_INFO, TAX_RATE, GST } = require('../config/billConfig');
     
     res.json({
       success: true,
       config: {
         companyName: COMPANY_INFO.name,
         taxRate: TAX_RATE,
+        gstin: COMPANY_INFO.gstin,
+        pricingMode: GST.PRICING_MODE,
+        sacCode: GST.SAC_CODE,
         currency: 'INR'
       }
     });
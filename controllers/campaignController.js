@@ -0,0 +1,156 @@
+const Campaign = require('../models/Campaign');
+const campaignService = require('../services/campaignService');
+const emailTemplateService = require('../services/emailTemplateService');
+const emailPreferenceService = require('../services/emailPreferenceService');
+
+function sendError(res, err) {
+  const status = err.statusCode || (err.name === 'ValidationError' || err.name === 'CastError' ? 400 : 500);
+  res.status(status).json({ success: false, error: err.message });
+}
+
+/**
+ * List campaigns, newest first
+ */
+exports.getCampaigns = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const query = {};
+    if (status) {
+      if (!Campaign.CAMPAIGN_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `Invalid status. Use one of: ${Campaign.CAMPAIGN_STATUSES.join(', ')}` });
+      }
+      query.status = status;
+    }
+
+    const [campaigns, total] = await Promise.all([
+      Campaign.find(query).select('-html -text').sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Campaign.countDocuments(query)
+    ]);
+    res.json({ success: true, count: campaigns.length, total, page, limit, data: campaigns });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.getCampaignById = async (req, res) => {
+  try {
+    const campaign = await campaignService.getCampaignOrThrow(req.params.id);
+    res.json({ success: true, data: campaign });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.createCampaign = async (req, res) => {
+  try {
+    const campaign = await campaignService.createCampaign(req.body, req.user && req.user._id);
+    res.status(201).json({ success: true, data: campaign });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.updateCampaign = async (req, res) => {
+  try {
+    const campaign = await campaignService.updateCampaign(req.params.id, req.body);
+    res.json({ success: true, data: campaign });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Delete a draft campaign
+ */
+exports.deleteCampaign = async (req, res) => {
+  try {
+    const campaign = await campaignService.getCampaignOrThrow(req.params.id);
+    if (campaign.status !== 'draft') {
+      return res.status(409).json({ success: false, error: 'Only draft campaigns can be deleted; cancel it instead' });
+    }
+    await campaign.deleteOne();
+    res.json({ success: true, message: 'Campaign deleted' });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Count and sample the users an audience matches
+ */
+exports.previewAudience = async (req, res) => {
+  try {
+    const audience = req.body.audience || req.body;
+    const result = await campaignService.previewAudience(audience);
+    res.json({ success: true, data: result });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Render the campaign as the requesting admin would receive it
+ */
+exports.previewCampaign = async (req, res) => {
+  try {
+    const campaign = await campaignService.getCampaignOrThrow(req.params.id);
+    const links = await emailPreferenceService.buildLinks('preview-token', campaign.category);
+    const content = await emailTemplateService.renderContent(
+      { subject: campaign.subject, html: campaign.html, text: campaign.text },
+      {
+        userName: req.user.fullName || req.user.username,
+        email: req.user.email,
+        ...links
+      },
+      { footer: emailPreferenceService.buildFooter(links) }
+    );
+
+    if (req.query.format === 'html') {
+      return res.type('html').send(content.html);
+    }
+    res.json({ success: true, data: content });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.scheduleCampaign = async (req, res) => {
+  try {
+    const campaign = await campaignService.scheduleCampaign(req.params.id, req.body.sendAt);
+    res.json({ success: true, message: 'Campaign scheduled', data: campaign });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.cancelCampaign = async (req, res) => {
+  try {
+    const campaign = await campaignService.cancelCampaign(req.params.id);
+    res.json({ success: true, message: 'Campaign cancelled', data: campaign });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Per-recipient delivery and open status
+ */
+exports.getCampaignRecipients = async (req, res) => {
+  try {
+    const { status, page, limit } = req.query;
+    const result = await campaignService.listRecipients(req.params.id, { status, page, limit });
+    res.json({
+      success: true,
+      count: result.recipients.length,
+      total: result.total,
+      page: result.page,
+      limit: result.limit,
+      data: result.recipients
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
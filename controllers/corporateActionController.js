@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const CorporateAction = require('../models/CorporateAction');
+const StockSymbol = require('../models/stockSymbol');
+const corporateActionService = require('../services/corporateActionService');
+
+/**
+ * List corporate actions, optionally filtered by symbol, type or status
+ */
+exports.getCorporateActions = async (req, res) => {
+  try {
+    const { symbol, type, status } = req.query;
+    const query = {};
+    if (symbol) query.symbol = symbol.toUpperCase();
+    if (type) query.type = type;
+    if (status) query.status = status;
+
+    const actions = await CorporateAction.find(query)
+      .sort({ exDate: -1 })
+      .populate('stockSymbol', 'symbol name exchange');
+
+    res.json({ success: true, count: actions.length, data: actions });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+/**
+ * Get a corporate action with its per-portfolio results
+ */
+exports.getCorporateActionById = async (req, res) => {
+  try {
+    const action = await CorporateAction.findById(req.params.id)
+      .populate('stockSymbol', 'symbol name exchange');
+    if (!action) {
+      return res.status(404).json({ success: false, error: 'Corporate action not found' });
+    }
+    res.json({ success: true, data: action });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ success: false, error: 'Invalid ID format' });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+/**
+ * Record a new corporate action (Admin only)
+ */
+exports.createCorporateAction = async (req, res) => {
+  try {
+    const { stockSymbol, type, exDate, recordDate, ratioFrom, ratioTo, dividendPerShare, description } = req.body;
+
+    if (!stockSymbol || !type || !exDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: stockSymbol, type, exDate'
+      });
+    }
+
+    const stock = mongoose.Types.ObjectId.isValid(stockSymbol)
+      ? await StockSymbol.findById(stockSymbol)
+      : await StockSymbol.findOne({ symbol: stockSymbol.toUpperCase() });
+    if (!stock) {
+      return res.status(404).json({ success: false, error: 'Stock symbol not found' });
+    }
+
+    const action = await CorporateAction.create({
+      stockSymbol: stock._id,
+      symbol: stock.symbol,
+      type,
+      exDate,
+      recordDate,
+      ratioFrom,
+      ratioTo,
+      dividendPerShare,
+      description,
+      createdBy: req.user && req.user._id
+    });
+
+    res.status(201).json({ success: true, data: action });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ success: false, error: 'A corporate action of this type already exists for this symbol and ex-date' });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: Object.values(err.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+/**
+ * Cancel a pending corporate action
+ */
+exports.cancelCorporateAction = async (req, res) => {
+  try {
+    const action = await CorporateAction.findById(req.params.id);
+    if (!action) {
+      return res.status(404).json({ success: false, error: 'Corporate action not found' });
+    }
+    if (action.status !== 'pending') {
+      return res.status(400).json({ success: false, error: `Cannot cancel a ${action.status} corporate action` });
+    }
+
+    action.status = 'cancelled';
+    await action.save();
+    res.json({ success: true, data: action });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ success: false, error: 'Invalid ID format' });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+/**
+ * Apply a corporate action to all portfolios holding the symbol
+ */
+exports.processCorporateAction = async (req, res) => {
+  try {
+    const force = req.query.force === 'true';
+    const { action, applied, failed, results } = await corporateActionService.processCorporateAction(req.params.id, { force });
+
+    res.json({
+      success: failed === 0,
+      message: `Applied to ${applied} portfolio(s), ${failed} failed`,
+      status: action.status,
+      results
+    });
+  } catch (err) {
+    if (err.message === 'Corporate action not found') {
+      return res.status(404).json({ success: false, error: err.message });
+    }
+    if (err.message === 'Corporate action is already being processed') {
+      return res.status(409).json({ success: false, error: err.message });
+    }
+    res.status(400).json({ success: false, error: err.message });
+  }
+};
@@ -0,0 +1,134 @@
+const emailPreferenceService = require('../services/emailPreferenceService');
+const campaignService = require('../services/campaignService');
+
+const CATEGORY_LABELS = {
+  marketing: { label: 'Offers and promotions', description: 'Discounts, new products and special offers' },
+  newsletter: { label: 'Newsletter', description: 'Market commentary and research highlights' },
+  portfolio_updates: { label: 'Portfolio announcements', description: 'Announcements sent to subscribers of a portfolio' }
+};
+
+// 1x1 transparent GIF
+const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+const categoryList = () => emailPreferenceService.EMAIL_CATEGORIES.map(key => ({ key, ...CATEGORY_LABELS[key] }));
+
+function renderPage(res, status, { token = null, preferences = null, message = null, error = false }) {
+  res.status(status).render('emailPreferences', {
+    token,
+    preferences,
+    message,
+    error,
+    categories: categoryList()
+  });
+}
+
+/**
+ * Preference center page opened from an email link
+ */
+exports.getPreferenceCenter = async (req, res) => {
+  try {
+    const preference = await emailPreferenceService.getByToken(req.query.token);
+    renderPage(res, 200, { token: req.query.token, preferences: emailPreferenceService.toJSON(preference) });
+  } catch (err) {
+    renderPage(res, err.statusCode || 500, { message: err.statusCode ? err.message : 'Something went wrong', error: true });
+  }
+};
+
+/**
+ * Save the preference center form, or a JSON body from the frontend
+ */
+exports.updatePreferenceCenter = async (req, res) => {
+  const isForm = req.is('application/x-www-form-urlencoded');
+  try {
+    const preference = await emailPreferenceService.getByToken(req.query.token || req.body.token);
+
+    // Unticked checkboxes are not submitted, so a form post sets every category
+    const changes = isForm
+      ? {
+        unsubscribedAll: req.body.unsubscribedAll === 'on',
+        categories: emailPreferenceService.EMAIL_CATEGORIES.reduce((categories, key) => {
+          categories[key] = req.body[key] === 'on';
+          return categories;
+        }, {})
+      }
+      : { unsubscribedAll: req.body.unsubscribedAll, categories: req.body.categories };
+
+    await emailPreferenceService.applyChanges(preference, changes, 'preference_center');
+    const preferences = emailPreferenceService.toJSON(preference);
+
+    if (isForm) {
+      return renderPage(res, 200, { token: preference.token, preferences, message: 'Your preferences have been saved.' });
+    }
+    res.json(preferences);
+  } catch (err) {
+    if (isForm) {
+      return renderPage(res, err.statusCode || 500, { message: err.statusCode ? err.message : 'Something went wrong', error: true });
+    }
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+};
+
+/**
+ * Unsubscribe link. GET shows a confirmation page; POST is the one-click
+ * variant used by mail clients and returns no body.
+ */
+exports.unsubscribe = async (req, res) => {
+  try {
+    const token = req.query.token || (req.body && req.body.token);
+    const category = req.query.category || null;
+    const preference = await emailPreferenceService.unsubscribe(token, category);
+
+    if (req.method === 'POST') {
+      return res.status(204).end();
+    }
+
+    const message = category && CATEGORY_LABELS[category]
+      ? `You have been unsubscribed from "${CATEGORY_LABELS[category].label}" emails.`
+      : 'You have been unsubscribed from all non-essential emails.';
+    renderPage(res, 200, { token: preference.token, preferences: emailPreferenceService.toJSON(preference), message });
+  } catch (err) {
+    if (req.method === 'POST') {
+      return res.status(err.statusCode || 500).json({ error: err.message });
+    }
+    renderPage(res, err.statusCode || 500, { message: err.statusCode ? err.message : 'Something went wrong', error: true });
+  }
+};
+
+/**
+ * Campaign open-tracking pixel. Always returns the image.
+ */
+exports.trackOpen = async (req, res) => {
+  try {
+    await campaignService.recordOpen(req.params.token);
+  } catch (err) {
+    // Never break the image for the mail client
+  }
+  res.set({
+    'Content-Type': 'image/gif',
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private'
+  });
+  res.send(TRACKING_PIXEL);
+};
+
+/**
+ * Logged-in user's email preferences
+ */
+exports.getMyEmailPreferences = async (req, res) => {
+  try {
+    const preference = await emailPreferenceService.getOrCreate(req.user._id);
+    res.json(emailPreferenceService.toJSON(preference));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+exports.updateMyEmailPreferences = async (req, res) => {
+  try {
+    const preference = await emailPreferenceService.getOrCreate(req.user._id);
+    const { unsubscribedAll, categories } = req.body;
+    await emailPreferenceService.applyChanges(preference, { unsubscribedAll, categories }, 'account');
+    res.json(emailPreferenceService.toJSON(preference));
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+};
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const emailQueue = require('../services/emailQueue');
+const EmailJob = require('../models/EmailJob');
+
+const JOB_STATUSES = ['pending', 'processing', 'sent', 'dead', 'skipped'];
+
+/**
+ * Queue counts by status
+ */
+exports.getQueueStatus = async (req, res) => {
+  try {
+    const status = await emailQueue.getStatus();
+    res.json({ success: true, data: status });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+/**
+ * List queued emails, newest first (bodies omitted)
+ */
+exports.getEmailJobs = async (req, res) => {
+  try {
+    const { status, type, to, page, limit } = req.query;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `Invalid status. Use one of: ${JOB_STATUSES.join(', ')}` });
+    }
+
+    const result = await emailQueue.listJobs({ status, type, to, page, limit });
+    res.json({
+      success: true,
+      count: result.jobs.length,
+      total: result.total,
+      page: result.page,
+      limit: result.limit,
+      data: result.jobs
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+/**
+ * Get one queued email including its body and attempt errors
+ */
+exports.getEmailJobById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid ID format' });
+    }
+    const job = await EmailJob.findById(req.params.id);
+    if (!job) return res.status(404).json({ success: false, error: 'Email job not found' });
+    res.json({ success: true, data: job });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+/**
+ * Requeue one dead email
+ */
+exports.retryEmailJob = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid ID format' });
+    }
+    const job = await EmailJob.findById(req.params.id).select('status');
+    if (!job) return res.status(404).json({ success: false, error: 'Email job not found' });
+    if (job.status !== 'dead') {
+      return res.status(400).json({ success: false, error: `Only dead emails can be retried (status: ${job.status})` });
+    }
+
+    await emailQueue.retryDeadJobs({ _id: job._id });
+    res.json({ success: true, message: 'Email requeued' });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+/**
+ * Requeue all dead emails, optionally of one type
+ */
+exports.retryDeadEmailJobs = async (req, res) => {
+  try {
+    const filter = req.body.type ? { type: req.body.type } : {};
+    const count = await emailQueue.retryDeadJobs(filter);
+    res.json({ success: true, message: `${count} email(s) requeued`, count });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+/**
+ * Delete dead (default) or sent emails, optionally older than a date
+ */
+exports.purgeEmailJobs = async (req, res) => {
+  try {
+    const { status = 'dead', type, olderThan } = req.query;
+    if (!['dead', 'sent'].includes(status)) {
+      return res.status(400).json({ success: false, error: 'Only dead or sent emails can be purged' });
+    }
+    if (olderThan && isNaN(new Date(olderThan))) {
+      return res.status(400).json({ success: false, error: 'Invalid olderThan date' });
+    }
+
+    const count = await emailQueue.purgeJobs({
+      status,
+      type,
+      olderThan: olderThan ? new Date(olderThan) : undefined
+    });
+    res.json({ success: true, message: `${count} email(s) purged`, count });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
@@ -0,0 +1,141 @@
+const emailTemplateService = require('../services/emailTemplateService');
+const LandingPage = require('../models/LandingPage');
+
+function sendError(res, err) {
+  res.status(err.statusCode || 500).json({ success: false, error: err.message });
+}
+
+/**
+ * List every template with its active and latest version
+ */
+exports.getTemplates = async (req, res) => {
+  try {
+    const templates = await emailTemplateService.listTemplates();
+    res.json({ success: true, count: templates.length, data: templates });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Active template, built-in default and version history
+ */
+exports.getTemplate = async (req, res) => {
+  try {
+    const template = await emailTemplateService.getTemplate(req.params.name);
+    res.json({ success: true, data: template });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Get one saved version (0 = built-in default)
+ */
+exports.getTemplateVersion = async (req, res) => {
+  try {
+    const version = Number(req.params.version);
+    if (!Number.isInteger(version) || version < 0) {
+      return res.status(400).json({ success: false, error: 'version must be a non-negative integer' });
+    }
+    const template = await emailTemplateService.getVersion(req.params.name, version);
+    res.json({ success: true, data: template });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Save a new version and make it active
+ */
+exports.saveTemplate = async (req, res) => {
+  try {
+    const { subject, html, text, variables, description, changeNote } = req.body;
+    const template = await emailTemplateService.saveVersion(
+      req.params.name,
+      { subject, html, text, variables, description, changeNote },
+      req.user && req.user._id
+    );
+    res.status(201).json({ success: true, data: template });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Re-activate a saved version
+ */
+exports.activateTemplateVersion = async (req, res) => {
+  try {
+    const version = Number(req.params.version);
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({ success: false, error: 'version must be a positive integer' });
+    }
+    const template = await emailTemplateService.activateVersion(req.params.name, version);
+    res.json({ success: true, data: template });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Deactivate saved versions so the built-in default is used
+ */
+exports.resetTemplate = async (req, res) => {
+  try {
+    const template = await emailTemplateService.resetToDefault(req.params.name);
+    res.json({ success: true, message: 'Template reset to default', data: template });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Render the active version, or an unsaved draft, with sample data
+ */
+exports.previewTemplate = async (req, res) => {
+  try {
+    const { data, subject, html, text, variables } = req.body || {};
+    const hasDraft = [subject, html, text, variables].some(v => v !== undefined);
+    const draft = hasDraft
+      ? Object.fromEntries(Object.entries({ subject, html, text, variables }).filter(([, v]) => v !== undefined))
+      : null;
+
+    const result = await emailTemplateService.preview(req.params.name, { data, draft });
+    if (req.query.format === 'html') {
+      return res.type('html').send(result.html);
+    }
+    res.json({ success: true, data: result });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Current branding used by the templates
+ */
+exports.getBranding = async (req, res) => {
+  try {
+    emailTemplateService.clearBrandingCache();
+    const brand = await emailTemplateService.getBranding();
+    res.json({ success: true, data: brand });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Public landing page logo referenced by email <img> tags
+ */
+exports.getLogo = async (req, res) => {
+  try {
+    const landingPage = await LandingPage.findOne().select('logo');
+    if (!landingPage || !landingPage.logo || !landingPage.logo.data) {
+      return res.status(404).json({ error: 'Logo not found' });
+    }
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.type(landingPage.logo.contentType).send(landingPage.logo.data);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
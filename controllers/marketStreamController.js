@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const Admin = require('../models/admin');
+const marketStreamService = require('../services/marketStreamService');
+const { getUserAccessInfo } = require('./userController');
+
+// Keeps proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+// Subscriptions start and expire while a stream is open
+const ACCESS_REFRESH_MS = 10 * 60 * 1000;
+const MAX_SYMBOLS = 100;
+
+// Portfolio valuation fields every visitor may see
+const PUBLIC_VALUATION_FIELDS = ['portfolioId', 'name', 'changePercent'];
+
+const parseList = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+async function resolveAccess(user) {
+  if (!user) return { isAdmin: false, portfolioIds: new Set() };
+  if (await Admin.exists({ user: user._id })) return { isAdmin: true, portfolioIds: new Set() };
+  const { accessiblePortfolioIds } = await getUserAccessInfo(user._id);
+  return { isAdmin: false, portfolioIds: new Set(accessiblePortfolioIds) };
+}
+
+/**
+ * Full valuation for admins and subscribers of the portfolio,
+ * public fields for everyone else
+ */
+function visibleValuation(valuation, access) {
+  if (access.isAdmin || access.portfolioIds.has(valuation.portfolioId)) {
+    return { ...valuation, access: 'full' };
+  }
+  const visible = PUBLIC_VALUATION_FIELDS.reduce((result, field) => {
+    result[field] = valuation[field];
+    return result;
+  }, {});
+  return { ...visible, access: 'public' };
+}
+
+/**
+ * Server-Sent Events stream of stock price changes and portfolio valuations
+ * pushed after each scheduler run. Starts with a snapshot of the requested
+ * symbols and portfolios.
+ */
+exports.streamMarket = async (req, res) => {
+  const symbols = parseList(req.query.symbols).map(symbol => symbol.toUpperCase());
+  const portfolioIds = parseList(req.query.portfolios);
+
+  if (symbols.length > MAX_SYMBOLS) {
+    return res.status(400).json({ error: `At most ${MAX_SYMBOLS} symbols can be streamed` });
+  }
+  const invalidId = portfolioIds.find(id => !mongoose.Types.ObjectId.isValid(id));
+  if (invalidId) {
+    return res.status(400).json({ error: `Invalid portfolio id ${invalidId}` });
+  }
+
+  const symbolFilter = symbols.length ? new Set(symbols) : null;
+  const portfolioFilter = portfolioIds.length ? new Set(portfolioIds) : null;
+
+  let access;
+  try {
+    access = await resolveAccess(req.user);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const sendPrices = ({ source, at, prices }) => {
+    const visible = symbolFilter ? prices.filter(price => symbolFilter.has(price.symbol)) : prices;
+    if (visible.length) send('prices', { source, at, prices: visible });
+  };
+
+  const sendPortfolios = ({ source, at, portfolios }) => {
+    const visible = portfolios
+      .filter(valuation => !portfolioFilter || portfolioFilter.has(valuation.portfolioId))
+      .map(valuation => visibleValuation(valuation, access));
+    if (visible.length) send('portfolios', { source, at, portfolios: visible });
+  };
+
+  const unsubscribe = marketStreamService.subscribe(({ type, payload }) => {
+    if (type === 'prices') sendPrices(payload);
+    else if (type === 'portfolios') sendPortfolios(payload);
+  });
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  const accessRefresh = req.user && !access.isAdmin
+    ? setInterval(async () => {
+      try {
+        access = await resolveAccess(req.user);
+      } catch (err) {
+        // Keep the previous access until the next refresh
+      }
+    }, ACCESS_REFRESH_MS)
+    : null;
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    if (accessRefresh) clearInterval(accessRefresh);
+    unsubscribe();
+  });
+
+  try {
+    const at = new Date();
+    if (symbols.length) {
+      sendPrices({ source: 'snapshot', at, prices: await marketStreamService.getPrices(symbols) });
+    }
+    sendPortfolios({
+      source: 'snapshot',
+      at,
+      portfolios: await marketStreamService.getPortfolioValuations(portfolioFilter ? portfolioIds : null)
+    });
+  } catch (err) {
+    send('error', { error: err.message });
+  }
+};
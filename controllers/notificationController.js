@@ -0,0 +1,82 @@
+const inAppNotificationService = require('../services/inAppNotificationService');
+
+// Keeps proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * Logged-in user's in-app notifications, newest first
+ */
+exports.getNotifications = async (req, res) => {
+  try {
+    const { page, limit, category, unread } = req.query;
+    res.json(await inAppNotificationService.list(req.user._id, { page, limit, category, unread }));
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+};
+
+exports.getUnreadCount = async (req, res) => {
+  try {
+    res.json(await inAppNotificationService.getUnreadCounts(req.user._id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+exports.markNotificationRead = async (req, res) => {
+  try {
+    res.json(await inAppNotificationService.markRead(req.user._id, req.params.id));
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+};
+
+exports.markAllNotificationsRead = async (req, res) => {
+  try {
+    const category = (req.body && req.body.category) || req.query.category || null;
+    const marked = await inAppNotificationService.markAllRead(req.user._id, category);
+    res.json({ marked });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+};
+
+/**
+ * Server-Sent Events stream of new notifications and unread counts.
+ * Notifications carry their id so a reconnecting client that sends
+ * Last-Event-ID receives what it missed.
+ */
+exports.streamNotifications = async (req, res) => {
+  const userId = req.user._id;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const send = (event, data, id) => {
+    if (id) res.write(`id: ${id}\n`);
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const unsubscribe = inAppNotificationService.subscribe(userId, ({ type, payload }) => {
+    send(type, payload, type === 'notification' ? payload.id : null);
+  });
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    const missed = await inAppNotificationService.listSince(userId, req.get('Last-Event-ID') || req.query.lastEventId);
+    missed.forEach(notification => send('notification', notification, notification.id));
+    send('unread_count', await inAppNotificationService.getUnreadCounts(userId));
+  } catch (err) {
+    send('error', { error: err.message });
+  }
+};
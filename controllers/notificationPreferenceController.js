@@ -0,0 +1,21 @@
+const notificationService = require('../services/notificationService');
+
+/**
+ * Logged-in user's notification channels per event
+ */
+exports.getMyNotificationPreferences = async (req, res) => {
+  try {
+    res.json(await notificationService.getPreferencesForUser(req.user._id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+exports.updateMyNotificationPreferences = async (req, res) => {
+  try {
+    const { channels, events } = req.body;
+    res.json(await notificationService.updatePreferencesForUser(req.user._id, { channels, events }));
+  } catch (err) {
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+};
@@ -0,0 +1,78 @@
+const winston = require("winston");
+const planChangeService = require("../services/planChangeService");
+
+// Logger setup
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp({ format: "YYYY-MM-DD HH:mm:ss" }),
+    winston.format.errors({ stack: true }),
+    winston.format.splat(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({
+      filename: "logs/plan-changes.log",
+      maxsize: 5 * 1024 * 1024,
+      maxFiles: 7
+    })
+  ]
+});
+
+const sendError = (res, err, operation) => {
+  if (!err.statusCode) {
+    logger.error(`Error in ${operation}`, { error: err.message, stack: err.stack });
+  }
+  res.status(err.statusCode || 500).json({ success: false, error: err.message });
+};
+
+/**
+ * Price a plan change: credit for unused days, amount due and new expiry
+ */
+exports.quotePlanChange = async (req, res) => {
+  try {
+    const quote = await planChangeService.quotePlanChange(req.user._id, req.body || {});
+    res.json({ success: true, quote });
+  } catch (err) {
+    sendError(res, err, "quotePlanChange");
+  }
+};
+
+/**
+ * Start a plan change. Responds with a Razorpay order when payment is due.
+ */
+exports.requestPlanChange = async (req, res) => {
+  try {
+    const result = await planChangeService.requestPlanChange(req.user._id, req.body || {});
+    res.status(201).json({ success: true, ...result });
+  } catch (err) {
+    sendError(res, err, "requestPlanChange");
+  }
+};
+
+exports.verifyPlanChange = async (req, res) => {
+  try {
+    const result = await planChangeService.verifyPlanChangePayment(req.user._id, req.body || {});
+    res.json({ success: true, ...result });
+  } catch (err) {
+    sendError(res, err, "verifyPlanChange");
+  }
+};
+
+exports.getPlanChanges = async (req, res) => {
+  try {
+    res.json({ success: true, planChanges: await planChangeService.listPlanChanges(req.user._id) });
+  } catch (err) {
+    sendError(res, err, "getPlanChanges");
+  }
+};
+
+exports.cancelPlanChange = async (req, res) => {
+  try {
+    const planChange = await planChangeService.cancelPlanChange(req.user._id, req.params.id);
+    res.json({ success: true, planChange });
+  } catch (err) {
+    sendError(res, err, "cancelPlanChange");
+  }
+};
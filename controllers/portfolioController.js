@@ -20,6 +20,8 @@ const PriceLog = require('../models/PriceLog');
 const Bundle = require('../models/bundle');
 const Subscription = require('../models/subscription');
 const portfolioService = require('../services/portfolioservice');
+const tradeLedgerService = require('../services/tradeLedgerService');
+const TradeLedger = require('../models/TradeLedger');
 const { PortfolioCalculationValidator } = require('../utils/portfolioCalculationValidator');
 const transactionLogger = require('../utils/transactionLogger');
 const TelegramService = require('../services/tgservice');
@@ -85,6 +87,22 @@ const portfolioLogger = winston.createLogger({
   ]
 });
 
+// Non-holding fields updatePortfolio may change
+const UPDATABLE_PORTFOLIO_FIELDS = [
+  'name', 'description', 'subscriptionFee', 'emandateSubriptionFees', 
+  'PortfolioCategory', 'downloadLinks', 'youTubeLinks', 'timeHorizon', 
+  'rebalancing', 'index', 'details', 'compareWith', 'additionalBenchmarks',
+  'lastRebalanceDate', 'nextRebalanceDate', 'monthlyContribution',
+  'durationMonths'
+];
+
+// Calculated fields that are never taken from the frontend
+const CALCULATED_PORTFOLIO_FIELDS = [
+  'cashBalance', 'currentValue', 'holdingsValue', 'holdingsValueAtMarket',
+  'weight', 'CAGRSinceInception', 'monthlyGains', 'oneYearGains',
+  'historicalValues', 'daysSinceCreation'
+];
+
 const asyncHandler = fn => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
@@ -138,7 +156,7 @@ exports.createPortfolio = asyncHandler(async (req, res) => {
     }
 
     const portfolio = new Portfolio({ ...requestData, externalId: telegramProductId });
-    await portfolio.save();
+    await tradeLedgerService.saveWithLedger(portfolio, [], { source: 'portfolio_create', user: req.user });
     
     portfolioLogger.info('Portfolio created successfully', {
       operation: 'CREATE',
@@ -283,6 +301,209 @@ exports.deletePortfolio = asyncHandler(async (req, res) => {
   res.json({ message: 'Portfolio deleted successfully' });
 });
 
+/**
+ * Benchmark-relative analytics (alpha, beta, tracking error, capture ratios)
+ * @route GET /api/portfolios/:id/benchmark-analytics
+ */
+exports.getPortfolioBenchmarkAnalytics = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { period = '1y', startDate, endDate, benchmarks } = req.query;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ 
+      status: 'error',
+      error: 'Invalid portfolio ID format'
+    });
+  }
+
+  try {
+    const benchmarkAnalyticsService = require('../services/benchmarkAnalyticsService');
+    const analytics = await benchmarkAnalyticsService.getBenchmarkAnalytics(id, {
+      period,
+      startDate,
+      endDate,
+      benchmarks: benchmarks ? benchmarks.split(',') : undefined
+    });
+
+    res.status(200).json({
+      status: 'success',
+      ...analytics
+    });
+  } catch (error) {
+    if (error.message === 'Portfolio not found') {
+      return res.status(404).json({ status: 'error', error: error.message });
+    }
+    if (/^Invalid|must be before/.test(error.message)) {
+      return res.status(400).json({ status: 'error', error: error.message });
+    }
+    portfolioLogger.error('Benchmark analytics error', {
+      operation: 'READ_BENCHMARK_ANALYTICS',
+      portfolioId: id,
+      details: { error: error.message, period, benchmarks }
+    });
+    res.status(500).json({ 
+      status: 'error',
+      error: 'Failed to calculate benchmark analytics',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Holdings, weights, cash and valuation as they stood on a past date
+ * @route GET /api/portfolios/:id/as-of
+ */
+exports.getPortfolioAsOf = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ status: 'error', error: 'Invalid portfolio ID format' });
+  }
+
+  try {
+    const portfolioAsOfService = require('../services/portfolioAsOfService');
+    const snapshot = await portfolioAsOfService.getPortfolioAsOf(id, req.query.date);
+    res.status(200).json({ status: 'success', ...snapshot });
+  } catch (error) {
+    if (error.message === 'Portfolio not found') {
+      return res.status(404).json({ status: 'error', error: error.message });
+    }
+    if (/^Invalid/.test(error.message)) {
+      return res.status(400).json({ status: 'error', error: error.message });
+    }
+    portfolioLogger.error('Point-in-time reconstruction error', {
+      operation: 'READ_AS_OF',
+      portfolioId: id,
+      details: { error: error.message, date: req.query.date }
+    });
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to reconstruct portfolio',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Differences in holdings, weights and cash between two dates
+ * @route GET /api/portfolios/:id/as-of/diff
+ */
+exports.getPortfolioAsOfDiff = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { from, to } = req.query;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ status: 'error', error: 'Invalid portfolio ID format' });
+  }
+  if (!from || !to) {
+    return res.status(400).json({ status: 'error', error: 'Both from and to dates are required' });
+  }
+
+  try {
+    const portfolioAsOfService = require('../services/portfolioAsOfService');
+    const diff = await portfolioAsOfService.diffPortfolioAsOf(id, from, to);
+    res.status(200).json({ status: 'success', ...diff });
+  } catch (error) {
+    if (error.message === 'Portfolio not found') {
+      return res.status(404).json({ status: 'error', error: error.message });
+    }
+    if (/^Invalid/.test(error.message)) {
+      return res.status(400).json({ status: 'error', error: error.message });
+    }
+    portfolioLogger.error('Point-in-time diff error', {
+      operation: 'READ_AS_OF_DIFF',
+      portfolioId: id,
+      details: { error: error.message, from, to }
+    });
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to compare portfolio dates',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Trade ledger entries for a portfolio, newest first
+ * @route GET /api/portfolios/:id/ledger
+ */
+exports.getPortfolioLedger = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { symbol, type, page, limit } = req.query;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ status: 'error', error: 'Invalid portfolio ID format' });
+  }
+
+  const exists = await Portfolio.exists({ _id: id });
+  if (!exists) {
+    return res.status(404).json({ status: 'error', error: 'Portfolio not found' });
+  }
+
+  const result = await tradeLedgerService.getLedgerEntries(id, { symbol, type, page, limit });
+  res.status(200).json({ status: 'success', ...result });
+});
+
+/**
+ * Replay the ledger and compare it with the stored holdings and cash
+ * @route GET /api/portfolios/:id/ledger/verify
+ */
+exports.verifyPortfolioLedger = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ status: 'error', error: 'Invalid portfolio ID format' });
+  }
+
+  try {
+    const result = await tradeLedgerService.verifyPortfolio(id);
+    res.status(200).json({ status: 'success', ...result });
+  } catch (error) {
+    if (error.message === 'Portfolio not found') {
+      return res.status(404).json({ status: 'error', error: error.message });
+    }
+    throw error;
+  }
+});
+
+/**
+ * Overwrite holdings and cash with the replayed ledger state
+ * @route POST /api/portfolios/:id/ledger/rebuild
+ */
+exports.rebuildPortfolioFromLedger = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ status: 'error', error: 'Invalid portfolio ID format' });
+  }
+
+  try {
+    const result = await tradeLedgerService.rebuildPortfolio(id, req.user);
+
+    portfolioLogger.warn('Portfolio rebuilt from trade ledger', {
+      operation: 'LEDGER_REBUILD',
+      portfolioId: id,
+      userId: req.user?._id,
+      details: {
+        lastSequence: result.lastSequence,
+        cashBefore: result.before.cashBalance,
+        cashAfter: result.after.cashBalance,
+        anomalies: result.anomalies.length
+      }
+    });
+
+    res.status(200).json({ status: 'success', ...result });
+  } catch (error) {
+    if (error.message === 'Portfolio not found') {
+      return res.status(404).json({ status: 'error', error: error.message });
+    }
+    if (error.message.includes('no ledger entries')) {
+      return res.status(400).json({ status: 'error', error: error.message });
+    }
+    throw error;
+  }
+});
+
 exports.getPortfolioPriceHistory = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { period = '1m', tz = 'Asia/Kolkata' } = req.query;
@@ -426,11 +647,54 @@ exports.updatePortfolio = asyncHandler(async (req, res) => {
     }
   }
 
+  // Validate additional benchmarks if provided
+  if (req.body.additionalBenchmarks !== undefined) {
+    if (!Array.isArray(req.body.additionalBenchmarks)) {
+      return res.status(400).json({ error: 'additionalBenchmarks must be an array of symbols or IDs' });
+    }
+    const StockSymbol = require('../models/stockSymbol');
+    for (const benchmark of req.body.additionalBenchmarks) {
+      const symbolExists = /^[0-9a-fA-F]{24}$/.test(benchmark)
+        ? await StockSymbol.exists({ _id: benchmark })
+        : await StockSymbol.exists({ symbol: benchmark });
+      if (!symbolExists) {
+        return res.status(400).json({ error: `Benchmark symbol "${benchmark}" does not exist` });
+      }
+    }
+  }
+
+  // What-if mode: run the real update in a transaction that is always aborted
+  if (req.query.dryRun === 'true' || req.body.dryRun === true) {
+    return dryRunPortfolioUpdate(req, res, portfolio, portfolioBefore);
+  }
+
+  return applyPortfolioUpdate(req, res, portfolio, { portfolioBefore });
+});
+
+/**
+ * Apply an update request (holdings by stockAction, then allowed fields) to a loaded portfolio
+ * and send the response. With dryRun the writes join the caller's session, transaction logs
+ * are skipped, and the updated portfolio is returned instead of being sent.
+ * @param {Object} options
+ * @param {Object} options.portfolioBefore - State logged before the update
+ * @param {ClientSession} [options.session] - Transaction the writes join
+ * @param {boolean} [options.dryRun]
+ */
+async function applyPortfolioUpdate(req, res, portfolio, { portfolioBefore, session = null, dryRun = false }) {
+  const portfolioId = req.params.id;
+  const userId = req.user?._id || 'Unknown';
+  const userEmail = req.user?.email || 'Unknown';
+
   const stockAction = req.body.stockAction ? req.body.stockAction.toLowerCase() : 'update';
   
   // Track if holdings were actually modified
   let holdingsModified = false;
 
+  // Trade ledger entries written with the save; state before any change for adjustments
+  const ledgerEntries = [];
+  const ledgerHoldingsBefore = portfolio.holdings.map(h => tradeLedgerService.snapshotHolding(h));
+  const ledgerCashBefore = portfolio.cashBalance || 0;
+
   // Handle holdings based on stockAction
   if (req.body.holdings) {
     holdingsModified = true;
@@ -490,6 +754,16 @@ exports.updatePortfolio = asyncHandler(async (req, res) => {
           }
         });
 
+        ledgerEntries.push(tradeLedgerService.buildEntry('buy', {
+          symbol: newHolding.symbol,
+          quantity,
+          price: buyPrice,
+          holdingAfter: newHolding,
+          cashBefore: oldCashBalance,
+          cashAfter: portfolio.cashBalance,
+          note: 'Holding added'
+        }));
+
         updatedHoldings.push(newHolding);
       }
 
@@ -604,6 +878,9 @@ exports.updatePortfolio = asyncHandler(async (req, res) => {
           weight: updatedHoldings[existingHoldingIndex].weight || 0,
           unrealizedPnL: updatedHoldings[existingHoldingIndex].unrealizedPnL || 0
         } : { exists: false };
+        const ledgerHoldingBefore = existingHoldingIndex >= 0
+          ? tradeLedgerService.snapshotHolding(updatedHoldings[existingHoldingIndex])
+          : null;
         
         const transactionData = {
           buyPrice: buyPrice,
@@ -652,9 +929,20 @@ exports.updatePortfolio = asyncHandler(async (req, res) => {
               totalQuantity: existingHolding.quantity
             }
           });
+
+          ledgerEntries.push(tradeLedgerService.buildEntry('buy', {
+            symbol: existingHolding.symbol,
+            quantity,
+            price: buyPrice,
+            holdingBefore: ledgerHoldingBefore,
+            holdingAfter: existingHolding,
+            cashBefore: oldCashBalance,
+            cashAfter: portfolio.cashBalance,
+            note: 'Add-on buy'
+          }));
           
           // Log the transaction
-          await transactionLogger.logBuyTransaction({
+          if (!dryRun) await transactionLogger.logBuyTransaction({
             portfolioId: portfolio._id,
             portfolioName: portfolio.name,
             stockSymbol: buyRequest.symbol.toUpperCase(),
@@ -731,9 +1019,19 @@ exports.updatePortfolio = asyncHandler(async (req, res) => {
               newHoldingCreated: true
             }
           });
+
+          ledgerEntries.push(tradeLedgerService.buildEntry('buy', {
+            symbol: newHolding.symbol,
+            quantity,
+            price: buyPrice,
+            holdingAfter: newHolding,
+            cashBefore: oldCashBalance,
+            cashAfter: portfolio.cashBalance,
+            note: 'Fresh buy'
+          }));
           
           // Log the transaction
-          await transactionLogger.logBuyTransaction({
+          if (!dryRun) await transactionLogger.logBuyTransaction({
             portfolioId: portfolio._id,
             portfolioName: portfolio.name,
             stockSymbol: buyRequest.symbol.toUpperCase(),
@@ -967,7 +1265,7 @@ exports.updatePortfolio = asyncHandler(async (req, res) => {
             symbol: saleRequest.symbol,
             quantityToSell: quantityToSell,
             saleType: saleType
-          });
+          }, req.user, { session, dryRun });
 
           // Sale processed successfully - logged via portfolioLogger
         } catch (saleError) {
@@ -988,7 +1286,8 @@ exports.updatePortfolio = asyncHandler(async (req, res) => {
       }
 
       // Refresh the portfolio to get updated holdings and cash balance after sales
-      const refreshedPortfolio = await Portfolio.findById(portfolio._id);
+      const refreshedPortfolio = await Portfolio.findById(portfolio._id).session(session);
+      if (dryRun) return refreshedPortfolio;
       
       // For sell actions, return the updated portfolio immediately without further processing
       // since portfolioService.processStockSaleWithLogging already saved all changes
@@ -1134,20 +1433,10 @@ exports.updatePortfolio = asyncHandler(async (req, res) => {
   }
 
   // Update other allowed fields (ignore calculated fields from frontend)
-  const allowedUpdates = [
-            'name', 'description', 'subscriptionFee', 'emandateSubriptionFees', 
-    'PortfolioCategory', 'downloadLinks', 'youTubeLinks', 'timeHorizon', 
-    'rebalancing', 'index', 'details', 'compareWith', 
-    'lastRebalanceDate', 'nextRebalanceDate', 'monthlyContribution',
-    'durationMonths'
-  ];
+  const allowedUpdates = UPDATABLE_PORTFOLIO_FIELDS;
   
   // Explicitly ignore calculated fields that should not come from frontend
-  const ignoredFields = [
-    'cashBalance', 'currentValue', 'holdingsValue', 'holdingsValueAtMarket',
-    'weight', 'CAGRSinceInception', 'monthlyGains', 'oneYearGains',
-    'historicalValues', 'daysSinceCreation'
-  ];
+  const ignoredFields = CALCULATED_PORTFOLIO_FIELDS;
   
   allowedUpdates.forEach(field => {
     if (req.body[field] !== undefined) {
@@ -1168,16 +1457,39 @@ exports.updatePortfolio = asyncHandler(async (req, res) => {
 
   // Save portfolio (this will trigger pre-save hooks to recalculate weights and values)
   const saveStartTime = Date.now();
-  await portfolio.save();
+  if (holdingsModified) {
+    // Whatever the trade entries do not explain (replace, delete, field edits in the same
+    // request) is ledgered as adjustments from the state the trades leave behind
+    const afterTrades = tradeLedgerService.replayEntries([
+      {
+        type: 'opening_balance',
+        holdings: ledgerHoldingsBefore.filter(Boolean),
+        after: { cashBalance: ledgerCashBefore }
+      },
+      ...ledgerEntries
+    ]);
+    ledgerEntries.push(...tradeLedgerService.buildAdjustmentEntries(
+      afterTrades.holdings,
+      afterTrades.cashBalance,
+      portfolio.holdings,
+      portfolio.cashBalance,
+      `Holdings ${stockAction} by admin`
+    ));
+    await tradeLedgerService.saveWithLedger(portfolio, ledgerEntries, { source: 'portfolio_update', user: req.user, session });
+  } else {
+    await portfolio.save({ session });
+  }
   const saveEndTime = Date.now();
   
   // Log portfolio snapshot after transaction (only if holdings were modified)
-  if (holdingsModified && stockAction && (stockAction.includes('buy') || stockAction.includes('sell'))) {
+  if (!dryRun && holdingsModified && stockAction && (stockAction.includes('buy') || stockAction.includes('sell'))) {
     await transactionLogger.logPortfolioSnapshot(portfolio, `After ${stockAction} transaction`);
   }
   
   // Get portfolio state after update
-  const populatedPortfolio = await Portfolio.findById(portfolio._id);
+  const populatedPortfolio = await Portfolio.findById(portfolio._id).session(session);
+  if (dryRun) return populatedPortfolio;
+
   const portfolioAfter = {
     name: populatedPortfolio.name,
     cashBalance: populatedPortfolio.cashBalance,
@@ -1213,7 +1525,211 @@ exports.updatePortfolio = asyncHandler(async (req, res) => {
       holdingsValue: populatedPortfolio.holdingsValue
     }
   });
-});
+}
+
+/**
+ * Run an update request through applyPortfolioUpdate in a transaction that is always aborted,
+ * then respond with the resulting holdings, the ledger entries the update wrote and the
+ * calculation validator's checks. Requests the live update rejects get the same error response.
+ */
+async function dryRunPortfolioUpdate(req, res, portfolio, portfolioBefore) {
+  const round2 = (value) => parseFloat((Number(value) || 0).toFixed(2));
+  // applyPortfolioUpdate strips holdings and stockAction from req.body
+  const body = { ...req.body };
+  const stockAction = body.holdings !== undefined
+    ? (body.stockAction ? body.stockAction.toLowerCase() : 'update')
+    : null;
+  const current = {
+    cashBalance: round2(portfolio.cashBalance),
+    holdingsCount: portfolio.holdings.filter(h => h.status !== 'Sell').length,
+    currentValue: portfolio.currentValue
+  };
+  const fieldsBefore = {};
+  UPDATABLE_PORTFOLIO_FIELDS.forEach(field => {
+    fieldsBefore[field] = portfolio[field];
+  });
+  const fieldsBeforeJSON = JSON.parse(JSON.stringify(fieldsBefore));
+
+  let updated;
+  let trades = [];
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+    const last = await TradeLedger.findOne({ portfolio: portfolio._id })
+      .sort({ sequence: -1 })
+      .select('sequence')
+      .session(session)
+      .lean();
+
+    updated = await applyPortfolioUpdate(req, res, portfolio, { portfolioBefore, session, dryRun: true });
+
+    if (!res.headersSent) {
+      trades = await TradeLedger.find({
+        portfolio: portfolio._id,
+        sequence: { $gt: last ? last.sequence : 0 },
+        type: { $ne: 'opening_balance' }
+      }).sort({ sequence: 1 }).session(session).lean();
+    }
+  } finally {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    session.endSession();
+  }
+
+  // The update rejected the request and already responded
+  if (res.headersSent) return;
+
+  const holdings = updated.holdings
+    .filter(h => h.status !== 'Sell')
+    .map(h => ({
+      symbol: h.symbol,
+      quantity: h.quantity,
+      buyPrice: h.buyPrice,
+      currentPrice: h.currentPrice,
+      investmentValueAtBuy: h.investmentValueAtBuy,
+      investmentValueAtMarket: h.investmentValueAtMarket,
+      unrealizedPnL: h.unrealizedPnL,
+      realizedPnL: h.realizedPnL,
+      weight: h.weight
+    }));
+  const holdingsValueAtBuy = round2(holdings.reduce((sum, h) => sum + (h.investmentValueAtBuy || 0), 0));
+  const holdingsValueAtMarket = round2(holdings.reduce((sum, h) => sum + (h.investmentValueAtMarket || 0), 0));
+  const minInvestment = Number(updated.minInvestment) || 0;
+  const marketPrices = {};
+  holdings.forEach(h => {
+    if (h.currentPrice > 0) marketPrices[h.symbol] = h.currentPrice;
+  });
+
+  const validation = { weights: null, minInvestment: null, tampering: null, errors: [], warnings: [] };
+  try {
+    const summary = PortfolioCalculationValidator.calculatePortfolioSummary({
+      holdings: updated.holdings.map(h => h.toObject()),
+      minInvestment,
+      currentMarketPrices: marketPrices,
+      existingCashBalance: updated.cashBalance
+    });
+    validation.weights = {
+      isValid: summary.weightValidation.isValid,
+      totalWeight: summary.weightValidation.totalWeight,
+      remainingWeight: summary.weightValidation.remainingWeight,
+      errors: summary.weightValidation.errors
+    };
+    validation.minInvestment = {
+      isValid: summary.minInvestmentValidation.isValid,
+      effectiveMinInvestment: summary.minInvestmentValidation.effectiveMinInvestment,
+      totalActualInvestment: summary.minInvestmentValidation.totalActualInvestment,
+      utilizationPercent: summary.minInvestmentValidation.utilizationPercent,
+      errors: summary.minInvestmentValidation.errors,
+      warnings: summary.minInvestmentValidation.warnings
+    };
+    validation.errors.push(...summary.weightValidation.errors, ...summary.minInvestmentValidation.errors);
+    validation.warnings.push(...summary.minInvestmentValidation.warnings);
+
+    if (minInvestment > 0) {
+      const bufferCheck = PortfolioCalculationValidator.validateMinimumInvestment(minInvestment, holdings);
+      validation.warnings.push(...(bufferCheck.warnings || []));
+    }
+  } catch (error) {
+    validation.errors.push(`Portfolio calculation failed: ${error.message}`);
+  }
+
+  // Only meaningful when the request submits the full holdings list with frontend-calculated weights
+  if ((stockAction === 'update' || (stockAction && stockAction.includes('replace'))) &&
+      Array.isArray(body.holdings) && body.holdings.length &&
+      body.holdings.every(h => typeof h.weight === 'number')) {
+    const tampering = PortfolioCalculationValidator.detectCalculationTampering({
+      holdings: body.holdings.map(h => ({
+        ...h,
+        minimumInvestmentValueStock: h.minimumInvestmentValueStock ?? parseFloat(h.buyPrice) * parseFloat(h.quantity)
+      })),
+      minInvestment,
+      cashBalance: body.cashBalance ?? round2(updated.cashBalance),
+      currentValue: body.currentValue ?? round2(holdingsValueAtBuy + updated.cashBalance)
+    }, { id: portfolio._id });
+    validation.tampering = {
+      isTampered: tampering.isTampered,
+      comparisons: tampering.comparisons,
+      holdingValidations: (tampering.holdingValidations || []).map(v => ({
+        symbol: v.symbol,
+        isValid: v.isValid,
+        quantityValid: v.quantityValid,
+        investmentValid: v.investmentValid,
+        weightValid: v.weightValid,
+        error: v.error
+      })),
+      error: tampering.error
+    };
+    if (tampering.isTampered) {
+      validation.warnings.push('Submitted weights or quantities differ from the backend calculation');
+    }
+  }
+
+  CALCULATED_PORTFOLIO_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      validation.warnings.push(`${field} is calculated and would be ignored`);
+    }
+  });
+  if (updated.cashBalance < 0) {
+    validation.errors.push(`Negative cash balance: ₹${round2(updated.cashBalance).toLocaleString()}`);
+  }
+
+  const fieldChanges = {};
+  UPDATABLE_PORTFOLIO_FIELDS.forEach(field => {
+    const after = JSON.parse(JSON.stringify(updated[field] ?? null));
+    if (JSON.stringify(fieldsBeforeJSON[field] ?? null) !== JSON.stringify(after)) {
+      fieldChanges[field] = { from: fieldsBeforeJSON[field], to: after };
+    }
+  });
+
+  const projection = {
+    dryRun: true,
+    stockAction,
+    wouldSucceed: true,
+    current,
+    projected: {
+      holdings,
+      cashBalance: round2(updated.cashBalance),
+      cashChange: round2(updated.cashBalance - current.cashBalance),
+      holdingsValueAtBuy,
+      holdingsValueAtMarket,
+      totalValue: round2(holdingsValueAtMarket + updated.cashBalance)
+    },
+    trades: trades.map(entry => ({
+      type: entry.type,
+      symbol: entry.symbol,
+      quantity: entry.quantity,
+      price: entry.price,
+      amount: entry.amount,
+      realizedPnL: entry.realizedPnL,
+      cashBefore: entry.before && entry.before.cashBalance,
+      cashAfter: entry.after && entry.after.cashBalance,
+      note: entry.note
+    })),
+    realizedPnL: round2(trades.reduce((sum, entry) => sum + (entry.realizedPnL || 0), 0)),
+    fieldChanges,
+    validation
+  };
+
+  portfolioLogger.info('Portfolio update dry run', {
+    operation: 'UPDATE-DRY-RUN',
+    portfolioId: portfolio._id,
+    userId: req.user?._id || 'Unknown',
+    userEmail: req.user?.email || 'Unknown',
+    details: {
+      stockAction,
+      trades: projection.trades.length,
+      projectedCashBalance: projection.projected.cashBalance,
+      errors: validation.errors
+    }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Dry run: update is valid; nothing was saved',
+    ...projection
+  });
+}
 
 
 
@@ -2448,7 +2964,7 @@ async function generateBundleInviteLinks(user, bundleId, subscription) {
 
 async function sendTelegramInviteEmail(user, product, inviteLink, expiresAt) {
   try {
-    const emailQueue = require('../services/emailQueue');
+    const notificationService = require('../services/notificationService');
     const productType = product.hasOwnProperty('holdings') ? 'Portfolio' : 'Bundle';
     const subject = `Your ${product.name} Telegram Group Access`;
     const text = `You've been granted access to the ${product.name} ${productType} Telegram group.\n\nJoin here: ${inviteLink}\n\nLink expires on ${expiresAt.toDateString()}`;
@@ -2489,18 +3005,14 @@ async function sendTelegramInviteEmail(user, product, inviteLink, expiresAt) {
       </div>
     `;
     
-    await emailQueue.addEmail({
-      to: user.email,
-      subject,
-      text,
-      html,
-      type: 'telegram_invite',
-      userId: user._id,
-      metadata: {
-        productName: product.name,
-        productType: productType,
-        inviteLink,
-        expiresAt
+    await notificationService.notify(user, 'telegram_invite', {
+      email: { subject, text, html },
+      inApp: { title: subject, body: `Join the ${product.name} Telegram group before ${expiresAt.toDateString()}.`, link: inviteLink }
+    }, {
+      dedupeKey: `telegram_invite:${inviteLink}`,
+      email: {
+        type: 'telegram_invite',
+        metadata: { productName: product.name, productType, inviteLink, expiresAt }
       }
     });
     
@@ -2598,7 +3110,7 @@ function getErrorMessage(error) {
  */
 async function sendConsolidatedTelegramEmail(user, invites, errors) {
   try {
-    const emailQueue = require('../services/emailQueue');
+    const notificationService = require('../services/notificationService');
     
     if (invites.length === 0 && errors.length === 0) {
       return; // Nothing to send
@@ -2710,11 +3222,13 @@ async function sendConsolidatedTelegramEmail(user, invites, errors) {
     
     text += `Need help? Contact our support team if you have any questions.`;
     
-    await emailQueue.add('sendEmail', {
-      to: user.email,
-      subject,
-      text,
-      html
+    await notificationService.notify(user, 'telegram_invite', {
+      email: { subject, text, html }
+    }, {
+      email: {
+        type: 'telegram_invite',
+        metadata: { inviteCount: invites.length, errorCount: errors.length }
+      }
     });
     
     portfolioLogger.info('Consolidated Telegram email sent', {
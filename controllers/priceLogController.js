@@ -1,6 +1,7 @@
 const { default: mongoose } = require('mongoose');
 const PriceLog = require('../models/PriceLog');
 const Portfolio = require('../models/modelPortFolio');
+const portfolioPerformanceService = require('../services/portfolioPerformanceService');
 
 // Helper function to handle async routes
 const asyncHandler = fn => (req, res, next) => {
@@ -296,6 +297,45 @@ exports.getPortfolioPerformance = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get computed return/risk metrics and the flow-adjusted value series
+ * @route GET /api/chart-data/portfolio/:id
+ */
+exports.getPortfolioMetrics = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const refresh = req.query.refresh === 'true';
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid portfolio ID format'
+    });
+  }
+
+  const portfolio = await Portfolio.findById(id).select('name holdings.symbol holdings.priceHistory saleHistory');
+  if (!portfolio) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Portfolio not found'
+    });
+  }
+
+  const { metrics, series } = await portfolioPerformanceService.calculatePortfolioPerformance(portfolio, { includeSeries: true });
+  if (refresh) {
+    await portfolioPerformanceService.refreshPortfolioPerformance(portfolio);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      portfolio: { _id: portfolio._id, name: portfolio.name },
+      metrics,
+      persisted: refresh,
+      series
+    }
+  });
+});
+
 /**
  * Clean up duplicate price logs
  * @route POST /api/chart-data/cleanup-duplicates
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const RebalanceProposal = require('../models/RebalanceProposal');
+const rebalanceService = require('../services/rebalanceService');
+
+// Map service errors onto HTTP status codes
+const sendError = (res, err) => {
+  if (/not found$/.test(err.message)) {
+    return res.status(404).json({ success: false, error: err.message });
+  }
+  if (err.isTradeError) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  if (err.name === 'CastError') {
+    return res.status(400).json({ success: false, error: 'Invalid ID format' });
+  }
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: Object.values(err.errors).map(e => e.message)
+    });
+  }
+  return res.status(500).json({ success: false, error: err.message });
+};
+
+/**
+ * List rebalance proposals, optionally filtered by portfolio or status
+ */
+exports.getProposals = async (req, res) => {
+  try {
+    const { portfolioId, status } = req.query;
+    const query = {};
+    if (portfolioId) {
+      if (!mongoose.Types.ObjectId.isValid(portfolioId)) {
+        return res.status(400).json({ success: false, error: 'Invalid portfolio ID format' });
+      }
+      query.portfolio = portfolioId;
+    }
+    if (status) query.status = status;
+
+    const proposals = await RebalanceProposal.find(query)
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'username email')
+      .populate('reviewedBy', 'username email');
+
+    res.json({ success: true, count: proposals.length, data: proposals });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Get one proposal with its trades
+ */
+exports.getProposalById = async (req, res) => {
+  try {
+    const proposal = await RebalanceProposal.findById(req.params.id)
+      .populate('createdBy', 'username email')
+      .populate('reviewedBy', 'username email');
+    if (!proposal) {
+      return res.status(404).json({ success: false, error: 'Rebalance proposal not found' });
+    }
+    res.json({ success: true, data: proposal });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Compute trades for target weights and store them as a draft (Admin only)
+ */
+exports.createProposal = async (req, res) => {
+  try {
+    const { portfolioId, targets, driftTolerance, nextRebalanceDate, notes } = req.body;
+    if (!portfolioId || !mongoose.Types.ObjectId.isValid(portfolioId)) {
+      return res.status(400).json({ success: false, error: 'A valid portfolioId is required' });
+    }
+
+    const proposal = await rebalanceService.createProposal(
+      portfolioId,
+      { targets, driftTolerance, nextRebalanceDate, notes },
+      req.user
+    );
+    res.status(201).json({ success: true, data: proposal });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Approve a draft and apply its trades (Admin only)
+ */
+exports.approveProposal = async (req, res) => {
+  try {
+    const { proposal, portfolio } = await rebalanceService.approveProposal(req.params.id, req.user, {
+      nextRebalanceDate: req.body && req.body.nextRebalanceDate
+    });
+
+    res.json({
+      success: true,
+      message: `Applied ${proposal.trades.length} trade(s) to ${portfolio.name}`,
+      data: proposal,
+      portfolio: {
+        _id: portfolio._id,
+        cashBalance: portfolio.cashBalance,
+        currentValue: portfolio.currentValue,
+        lastRebalanceDate: portfolio.lastRebalanceDate,
+        nextRebalanceDate: portfolio.nextRebalanceDate
+      }
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+/**
+ * Reject a draft (Admin only)
+ */
+exports.rejectProposal = async (req, res) => {
+  try {
+    const proposal = await rebalanceService.rejectProposal(req.params.id, req.user, req.body && req.body.reason);
+    res.json({ success: true, data: proposal });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
@@ -0,0 +1,37 @@
+const refundService = require('../services/refundService');
+
+function sendError(res, err) {
+  const status = err.statusCode || (err.name === 'ValidationError' || err.name === 'CastError' ? 400 : 500);
+  res.status(status).json({ success: false, error: err.message });
+}
+
+/**
+ * Refund a payment through Razorpay
+ */
+exports.createRefund = async (req, res) => {
+  try {
+    const refund = await refundService.createRefund(req.body || {}, req.user && req.user._id);
+    // 202 until Razorpay reports the refund processed
+    res.status(refund.status === 'processed' ? 201 : 202).json({ success: true, data: refund });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.getRefunds = async (req, res) => {
+  try {
+    const { refunds, total, page, limit } = await refundService.listRefunds(req.query);
+    res.json({ success: true, count: refunds.length, total, page, limit, data: refunds });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+exports.getRefundById = async (req, res) => {
+  try {
+    const refund = await refundService.getRefund(req.params.id);
+    res.json({ success: true, data: refund });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
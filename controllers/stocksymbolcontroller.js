@@ -1,290 +1,8 @@
-const { TradingViewAPI } = require("tradingview-scraper");
 const StockSymbol = require('../models/stockSymbol'); // Use the model from separate file
-const cron = require('node-cron');
-const fs = require('fs');
-const path = require('path');
+const PriceBar = require('../models/PriceBar');
 const mongoose = require('mongoose');
-const emailService = require('../services/emailServices');
-const config = require('../config/config'); // Import config
-
-// Configure logging
-const LOGS_DIR = path.resolve(__dirname, '../logs');
-if (!fs.existsSync(LOGS_DIR)) {
-  fs.mkdirSync(LOGS_DIR, { recursive: true });
-}
-
-// Enhanced TradingViewService with retry logic
-class TradingViewService {
-  constructor() {
-    this.client = null;
-    this.batchSize = 50;
-    this.batchDelay = 1500;
-    this.maxRetries = 3;
-    this.retryDelay = 2000;
-  }
-
-  async initialize() {
-    if (!this.client) {
-      this.client = new TradingViewAPI();
-      await this.client.setup();
-    }
-    return this;
-  }
-
-  async fetchPriceWithRetry(stock) {
-    const symbolKey = `${stock.exchange}:${stock.symbol}`;
-    let retries = 0;
-    
-    while (retries < this.maxRetries) {
-      try {
-        const ticker = await this.client.getTicker(symbolKey);
-        const data = await ticker.fetch();
-        if (data.lp) {
-          return {
-            price: data.lp.toString(),
-            error: null
-          };
-        }
-      } catch (error) {
-        if (retries === this.maxRetries - 1) {
-          return {
-            price: null,
-            error: error.message || 'API error'
-          };
-        }
-      }
-      
-      retries++;
-      await new Promise(r => setTimeout(r, this.retryDelay));
-    }
-    
-    return {
-      price: null,
-      error: 'Max retries reached'
-    };
-  }
-
-  async fetchBatchPrices(symbols) {
-    const results = [];
-    
-    for (const stock of symbols) {
-      const { price, error } = await this.fetchPriceWithRetry(stock);
-      results.push({
-        stock,
-        price,
-        error
-      });
-    }
-    return results;
-  }
-
-  cleanup() {
-    this.client = null;
-  }
-}
-
-class PriceUpdater {
-  constructor() {
-    this.tvService = new TradingViewService();
-    this.logger = {
-      logUpdate: (results, duration) => {
-        const date = new Date();
-        const logFile = `price-update-${date.toISOString().split('T')[0]}.log`;
-        const logPath = path.join(LOGS_DIR, logFile);
-        
-        const logData = {
-          timestamp: date.toISOString(),
-          duration: `${duration}ms`,
-          total: results.total,
-          updated: results.updatedCount,
-          failed: results.failed.length,
-          failures: results.failed
-        };
-        
-        fs.appendFileSync(logPath, JSON.stringify(logData) + '\n');
-        
-        // Send email report if failures exist
-        if (results.failed.length > 0 && config.mail && config.mail.reportTo) {
-          const failureRate = (results.failed.length / results.total * 100).toFixed(2);
-          const subject = `Stock Price Update Report - ${failureRate}% Failed`;
-          
-          let htmlContent = `
-            <h1>Stock Price Update Report</h1>
-            <p><strong>Time:</strong> ${date.toLocaleString()}</p>
-            <p><strong>Duration:</strong> ${duration}ms</p>
-            <p><strong>Total Symbols:</strong> ${results.total}</p>
-            <p><strong>Updated:</strong> ${results.updatedCount}</p>
-            <p><strong>Failed:</strong> ${results.failed.length} (${failureRate}%)</p>
-          `;
-          
-          if (results.failed.length > 0) {
-            htmlContent += `<h2>Failure Details:</h2><ul>`;
-            results.failed.forEach(failure => {
-              htmlContent += `<li>${failure.symbol} (${failure.exchange}): ${failure.error}</li>`;
-            });
-            htmlContent += `</ul>`;
-          }
-          
-          emailService.sendEmail(
-            config.mail.reportTo,
-            subject,
-            htmlContent
-          ).catch(err => {
-            console.error('Failed to send email report:', err);
-          });
-        }
-      }
-    };
-  }
-
- async executeUpdate(updateType = 'regular') {
-    const start = Date.now();
-    let updateQueue = [];
-    
-    try {
-      await this.tvService.initialize();
-      const stocks = await StockSymbol.find({}, '_id symbol exchange currentPrice');
-      
-      if (!stocks.length) {
-        return {
-          success: false,
-          message: 'No active stocks found',
-          total: 0,
-          updatedCount: 0,
-          failed: []
-        };
-      }
-
-      console.log(`Found ${stocks.length} stocks to update`);
-      
-      const batchCount = Math.ceil(stocks.length / this.tvService.batchSize);
-      let updatedCount = 0;
-      const failedUpdates = [];
-
-      for (let i = 0; i < batchCount; i++) {
-        const startIdx = i * this.tvService.batchSize;
-        const endIdx = Math.min(startIdx + this.tvService.batchSize, stocks.length);
-        const batch = stocks.slice(startIdx, endIdx);
-
-        console.log(`Processing batch ${i+1}/${batchCount} with ${batch.length} stocks`);
-        
-        const batchResults = await this.tvService.fetchBatchPrices(batch);
-        
-       
-    for (const result of batchResults) {
-      const { stock, price, error } = result;
-      
-      if (price) {
-        const update = {
-          $set: {
-            lastUpdated: new Date()
-          }
-        };
-
-        // Always update currentPrice and previousPrice
-        if (price !== stock.currentPrice) {
-          update.$set.currentPrice = price;
-          update.$set.previousPrice = stock.currentPrice;
-        }
-
-        // Always set todayClosingPrice for closing updates
-        if (updateType === 'closing') {
-          update.$set.todayClosingPrice = price;
-        }
-        
-        // For existing stocks without closing price, set it during any update
-        if (updateType !== 'closing' && !stock.todayClosingPrice) {
-          update.$set.todayClosingPrice = price;
-        }
-        
-        updateQueue.push({
-          updateOne: {
-            filter: { _id: stock._id },
-            update
-          }
-        });
-        updatedCount++;
-      } else if (error) {
-            console.error(`Failed to fetch price for ${stock.symbol}: ${error}`);
-            failedUpdates.push({
-              symbol: stock.symbol,
-              exchange: stock.exchange,
-              error
-            });
-          }
-        }
-
-        if (updateQueue.length > 0) {
-          console.log(`Writing ${updateQueue.length} updates to database...`);
-          await StockSymbol.bulkWrite(updateQueue);
-          updateQueue = [];
-        }
-
-        if (i < batchCount - 1) {
-          await new Promise(r => setTimeout(r, this.tvService.batchDelay));
-        }
-      }
-
-      const result = {
-        success: true,
-        total: stocks.length,
-        updatedCount,
-        failed: failedUpdates,
-        message: `Processed ${stocks.length} symbols`,
-        updateType
-      };
-
-      this.logger.logUpdate(result, Date.now() - start);
-      return result;
-
-    } catch (error) {
-      console.error('Price update error:', error);
-      return {
-        success: false,
-        message: 'Update failed',
-        error: error?.message,
-        total: 0,
-        updatedCount: 0,
-        failed: [],
-        updateType
-      };
-    } finally {
-      this.tvService.cleanup();
-    }
-  }
-}
-
-// Initialize updater and cron jobs
-const priceUpdater = new PriceUpdater();
-
-// Schedule regular updates (8:00 AM and 4:00 PM IST)
-cron.schedule('30 2 * * *', () => {  // 8:00 AM IST (2:30 UTC)
-  console.log('🚀 Starting morning update (8:00 AM IST)');
-  priceUpdater.executeUpdate()
-    .then(result => 
-      console.log(`✅ Morning update: ${result.message || 'Completed without results'}`))
-    .catch(err => 
-      console.error('❌ Morning update failed:', err));
-}, { timezone: "UTC" });
-
-cron.schedule('0 10 * * *', () => {  // 4:00 PM IST (10:30 UTC)
-  console.log('🚀 Starting afternoon update (4:00 PM IST)');
-  priceUpdater.executeUpdate()
-    .then(result => 
-      console.log(`✅ Afternoon update: ${result.message || 'Completed without results'}`))
-    .catch(err => 
-      console.error('❌ Afternoon update failed:', err));
-}, { timezone: "UTC" });
-
-// Schedule closing price update (3:45 PM IST - 10:15 UTC)
-cron.schedule('15 10 * * *', () => {  // 3:45 PM IST (10:15 UTC)
-  console.log('🚀 Starting closing price update (3:45 PM IST)');
-  priceUpdater.executeUpdate('closing')
-    .then(result => 
-      console.log(`✅ Closing price update: ${result.message || 'Completed without results'}`))
-    .catch(err => 
-      console.error('❌ Closing price update failed:', err));
-}, { timezone: "UTC" })
+// Price fetching is shared with the cron scheduler (see services/marketDataService.js)
+const { PriceUpdater } = require('../utils/cornscheduler');
 
 const stockSymbolController = {
   createStockSymbol: async (req, res) => {
@@ -572,7 +290,7 @@ const stockSymbolController = {
       const updateType = req.query.type || 'regular';
       console.log(`🚀 Manual stock price update initiated (${updateType})`);
       
-      const result = await priceUpdater.executeUpdate(updateType);
+      const result = await new PriceUpdater().executeUpdate(updateType);
       
       if (result.success) {
         console.log(`✅ Manual ${updateType} update: ${result.message}`);
@@ -582,7 +300,8 @@ const stockSymbolController = {
           failed: result.failed.length,
           total: result.total,
           message: result.message,
-          failures: result.failed
+          failures: result.failed,
+          providers: result.providers
         });
       }
       
@@ -673,6 +392,80 @@ const stockSymbolController = {
     }
   },
 
+  // Get OHLCV bars for a stock, aggregating lower intervals where needed
+  getStockBars: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const interval = req.query.interval || '1d';
+
+      if (!PriceBar.INTERVALS[interval]) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid interval. Use one of: ${Object.keys(PriceBar.INTERVALS).join(', ')}`
+        });
+      }
+
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      const from = req.query.from
+        ? new Date(req.query.from)
+        : new Date(to.getTime() - DEFAULT_BAR_WINDOW_DAYS[interval] * 86400000);
+
+      if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid date range'
+        });
+      }
+
+      const maxBars = 5000;
+      if ((to - from) / PriceBar.INTERVALS[interval] > maxBars) {
+        return res.status(400).json({
+          success: false,
+          message: `Range too large for ${interval} bars (max ${maxBars} bars)`
+        });
+      }
+
+      // 1m, 5m and 1h bars come from minute bars, which expire after the retention window
+      const retentionDays = PriceBar.MINUTE_BAR_RETENTION_SECONDS / 86400;
+      if (interval !== '1d' && from < new Date(Date.now() - PriceBar.MINUTE_BAR_RETENTION_SECONDS * 1000)) {
+        return res.status(400).json({
+          success: false,
+          message: `${interval} bars are only kept for the last ${retentionDays} days; use 1d bars for older ranges`
+        });
+      }
+
+      const query = mongoose.Types.ObjectId.isValid(id) ? { _id: id } : { symbol: id.toUpperCase() };
+      const stock = await StockSymbol.findOne(query).select('_id symbol exchange name');
+
+      if (!stock) {
+        return res.status(404).json({
+          success: false,
+          message: 'Symbol not found'
+        });
+      }
+
+      const { source, bars } = await PriceBar.getBars(stock._id, interval, from, to);
+
+      return res.status(200).json({
+        success: true,
+        symbol: stock.symbol,
+        exchange: stock.exchange,
+        interval,
+        source,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        count: bars.length,
+        data: bars
+      });
+    } catch (error) {
+      console.error('Error getting stock bars:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  },
+
   // Get all available enum values for stock symbols
   getEnumValues: async (req, res) => {
     try {
@@ -728,13 +521,29 @@ async function getStocksUsedAsBenchmarks() {
   }
 }
 
-// Helper function to get price history for a stock
+// Default lookback per bar interval when no `from` is given
+const DEFAULT_BAR_WINDOW_DAYS = {
+  '1m': 1,
+  '5m': 5,
+  '1h': 30,
+  '1d': 365
+};
+
+// Helper function to get price history for a stock (daily candles)
 async function getPriceHistory(stockId, days) {
   try {
-    return [
-      { date: new Date(Date.now() - 86400000 * days), price: "0" },
-      { date: new Date(), price: "0" }
-    ];
+    const to = new Date();
+    const from = new Date(to.getTime() - 86400000 * days);
+    const { bars } = await PriceBar.getBars(stockId, '1d', from, to);
+    return bars.map(bar => ({
+      date: bar.timestamp,
+      price: bar.close,
+      open: bar.open,
+      high: bar.high,
+      low: bar.low,
+      close: bar.close,
+      volume: bar.volume
+    }));
   } catch (error) {
     console.error('Error getting price history:', error);
     return [];
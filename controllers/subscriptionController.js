@@ -10,15 +10,19 @@ const PaymentHistory = require("../models/paymenthistory");
 const Bundle = require("../models/bundle");
 const User = require("../models/user");
 const DigioSign = require("../models/DigioSign");
+const PlanChange = require("../models/PlanChange");
 const { getPaymentConfig } = require("../utils/configSettings");
 const { sendEmail } = require("../services/emailServices"); // Add your email service
 const TelegramService = require("../services/tgservice");
 const { generateAndSendBill, generateBillHTML } = require("../services/billService");
 const { COMPANY_INFO } = require("../config/billConfig");
-const emailQueue = require("../services/emailQueue");
+const { amountPayable } = require("../utils/gst");
+const notificationService = require("../services/notificationService");
 const { handleTelegramIntegration, sendTelegramInviteEmail } = require("./portfolioController");
 const winston = require("winston");
 const subscriptionEventService = require("../services/subscriptionEventService");
+const refundService = require("../services/refundService");
+const webhookEventService = require("../services/webhookEventService");
 
 // Logger setup
 const logger = winston.createLogger({
@@ -471,6 +475,14 @@ const updateUserPremiumStatus = async (userId) => {
   }
 };
 
+// Shared with the plan change service
+exports.getRazorpayInstance = getRazorpayInstance;
+exports.getProductInfo = getProductInfo;
+exports.calculateEndDate = calculateEndDate;
+exports.createSubscriptionPlan = createSubscriptionPlan;
+exports.generateShortReceipt = generateShortReceipt;
+exports.updateUserPremiumStatus = updateUserPremiumStatus;
+
 // ===== EMAIL FUNCTIONS =====
 
 /**
@@ -480,54 +492,32 @@ const sendRenewalReminderEmail = async (user, subscription, portfolio) => {
   const daysUntilExpiry = Math.ceil((subscription.expiresAt - new Date()) / (24 * 60 * 60 * 1000));
   const renewalUrl = `${process.env.FRONTEND_URL}/renew-subscription/${subscription._id}`;
   
-  const subject = `Subscription Renewal Reminder - ${portfolio.name}`;
-  const text = `Your subscription to ${portfolio.name} expires in ${daysUntilExpiry} days. Renew now to continue your access.`;
-  const html = `
-    <div style="max-width:600px; margin:0 auto; padding:20px; font-family:sans-serif;">
-      <h2 style="color:#4a77e5;">Subscription Renewal Reminder</h2>
-      <p>Dear ${user.fullName || user.username},</p>
-      <p>Your subscription to <strong>${portfolio.name}</strong> will expire in <strong>${daysUntilExpiry} days</strong>.</p>
-      <p>Expiry Date: <strong>${subscription.expiresAt.toDateString()}</strong></p>
-      
-      <div style="margin:30px 0;">
-        <a href="${renewalUrl}" style="background-color:#4a77e5; color:white; padding:12px 24px; text-decoration:none; border-radius:5px; display:inline-block;">Renew Subscription</a>
-      </div>
-      
-      <div style="background-color:#f8f9fa; padding:15px; border-radius:5px; margin:20px 0;">
-        <h3 style="color:#28a745; margin-top:0;">Renewal Benefits:</h3>
-        <ul>
-          <li>✅ Seamless continuation of your access</li>
-          <li>✅ No service interruption</li>
-          <li>✅ Early renewal compensation - remaining days will be added to your new subscription</li>
-        </ul>
-      </div>
-      
-      <p>You can renew your subscription up to 7 days before expiry. Any remaining days from your current subscription will be automatically added to your new subscription period.</p>
-      
-      <p>Or copy and paste this link in your browser:</p>
-      <p style="word-break:break-all;">${renewalUrl}</p>
-      
-      <hr style="margin:30px 0; border:none; border-top:1px solid #eee;">
-      <p style="color:#666; font-size:12px;">This is an automated reminder. If you have any questions, please contact our support team.</p>
-    </div>
-  `;
-  
   try {
-    await emailQueue.addEmail({
-      to: user.email,
-      subject,
-      text,
-      html,
-      type: 'renewal_reminder',
-      userId: user._id,
-      metadata: {
-        subscriptionId: subscription._id,
-        portfolioName: portfolio.name,
-
+    await notificationService.notify(user, 'subscription_renewal_reminder', {
+      email: {
+        template: 'renewal_reminder',
+        data: {
+          userName: user.fullName || user.username,
+          portfolioName: portfolio.name,
+          daysUntilExpiry,
+          expiryDate: subscription.expiresAt.toDateString(),
+          renewalUrl
+        }
+      },
+      inApp: {
+        title: `${portfolio.name} expires in ${daysUntilExpiry} days`,
+        body: `Renew before ${subscription.expiresAt.toDateString()} to keep your access.`,
+        link: renewalUrl
+      }
+    }, {
+      dedupeKey: `renewal_reminder:${subscription._id}:${daysUntilExpiry}`,
+      email: {
+        type: 'renewal_reminder',
+        metadata: { subscriptionId: subscription._id, portfolioName: portfolio.name }
       }
     });
     
-    logger.info(`Renewal reminder queued for ${user.email} for subscription ${subscription._id}`, {
+    logger.info(`Renewal reminder sent for ${user.email} for subscription ${subscription._id}`, {
       userId: user._id,
       portfolioName: portfolio.name,
       
@@ -572,22 +562,17 @@ const sendRenewalConfirmationEmail = async (user, subscription, portfolio, compe
   `;
   
   try {
-    await emailQueue.addEmail({
-      to: user.email,
-      subject,
-      text,
-      html,
-      type: 'renewal_confirmation',
-      userId: user._id,
-      metadata: {
-        subscriptionId: subscription._id,
-        portfolioName: portfolio.name,
-        compensationDays,
-
+    await notificationService.notify(user, 'subscription_renewed', {
+      email: { subject, text, html },
+      inApp: { title: subject, body: `New expiry date: ${subscription.expiresAt.toDateString()}` }
+    }, {
+      email: {
+        type: 'renewal_confirmation',
+        metadata: { subscriptionId: subscription._id, portfolioName: portfolio.name, compensationDays }
       }
     });
     
-    logger.info(`Renewal confirmation queued for ${user.email} for subscription ${subscription._id}`, {
+    logger.info(`Renewal confirmation sent for ${user.email} for subscription ${subscription._id}`, {
       userId: user._id,
       portfolioName: portfolio.name,
       compensationDays
@@ -962,11 +947,15 @@ exports.createOrder = async (req, res) => {
       });
     }
 
+    // GST is charged on top of the price when prices are tax-exclusive
+    const payable = amountPayable(finalAmount);
+    const taxAmount = parseFloat((payable - finalAmount).toFixed(2));
+
     const razorpay = await getRazorpayInstance();
     const receipt = generateShortReceipt("ord", userId);
     
     const order = await razorpay.orders.create({
-      amount: Math.round(finalAmount * 100), // Use final amount after discount
+      amount: Math.round(payable * 100), // Final amount after discount, plus GST if exclusive
       currency: "INR",
       receipt,
       notes: {
@@ -982,14 +971,15 @@ exports.createOrder = async (req, res) => {
         couponUsed: couponUsed?.toString() || null,
         originalAmount: originalAmount.toString(),
         discountApplied: discountApplied.toString(),
-        finalAmount: finalAmount.toString()
+        finalAmount: finalAmount.toString(),
+        taxAmount: taxAmount.toString()
       }
     });
 
     const responseData = { 
       success: true, 
       orderId: order.id, 
-      amount: order.amount, // This is in paisa (finalAmount * 100)
+      amount: order.amount, // This is in paisa ((finalAmount + taxAmount) * 100)
       currency: order.currency, 
       planType, 
       category,
@@ -997,6 +987,7 @@ exports.createOrder = async (req, res) => {
       originalAmount,
       discountApplied,
       finalAmount,
+      taxAmount,
       savings: discountApplied
     };
 
@@ -1258,7 +1249,7 @@ exports.createEmandate = async (req, res) => {
       }
     }
 
-    // Use the amount directly without GST calculation
+    // Subscriptions keep the pre-tax price; GST is added to the mandate when prices are tax-exclusive
     const emandateAmount = finalAmount;
     
     if (emandateAmount < 10) {
@@ -1324,7 +1315,7 @@ exports.createEmandate = async (req, res) => {
 
     let plan;
     try {
-      plan = await createSubscriptionPlan(emandateAmount * 100, emandateType);
+      plan = await createSubscriptionPlan(Math.round(amountPayable(emandateAmount) * 100), emandateType);
       
       if (!plan || !plan.id) {
         throw new Error("Failed to create subscription plan");
@@ -1640,6 +1631,7 @@ exports.createEmandate = async (req, res) => {
       subscriptionId: razorpaySubscription.id, 
       setupUrl: razorpaySubscription.short_url,
       amount: emandateAmount,
+      amountPayable: amountPayable(emandateAmount),
       originalAmount,
       finalAmount,
       discountApplied,
@@ -1727,6 +1719,11 @@ exports.createEmandate = async (req, res) => {
  * ✨ ENHANCED: Handles renewal with compensation logic
  */
 exports.verifyPayment = async (req, res) => {
+  // Orders created for a plan change are settled by the plan change flow
+  if (req.body.orderId && await PlanChange.exists({ razorpayOrderId: req.body.orderId })) {
+    return require("./planChangeController").verifyPlanChange(req, res);
+  }
+
   const session = await mongoose.startSession();
   session.startTransaction();
   
@@ -1821,15 +1818,18 @@ exports.verifyPayment = async (req, res) => {
       const originalTotal = parseFloat(noteOriginalTotal) || paidAmount;
       const discountApplied = parseFloat(noteDiscountApplied) || 0;
       const finalTotal = parseFloat(noteFinalTotal) || paidAmount;
+      // GST charged on top, for tax-exclusive pricing
+      const taxAmount = parseFloat(notes.taxAmount) || 0;
 
       // Validate payment amount matches expected final amount
-      if (Math.abs(paidAmount - finalTotal) > 0.01) { // Allow 1 paisa difference due to rounding
+      if (Math.abs(paidAmount - (finalTotal + taxAmount)) > 0.01) { // Allow 1 paisa difference due to rounding
         logger.error("Cart payment amount mismatch", {
           userId: userId.toString(),
           orderId,
           paymentId,
           paidAmount,
           expectedFinalAmount: finalTotal,
+          taxAmount,
           originalTotal,
           discountApplied
         });
@@ -1981,15 +1981,18 @@ exports.verifyPayment = async (req, res) => {
       const originalAmount = parseFloat(noteOriginalAmount) || paidAmount;
       const discountApplied = parseFloat(noteDiscountApplied) || 0;
       const finalAmount = parseFloat(noteFinalAmount) || paidAmount;
+      // GST charged on top, for tax-exclusive pricing
+      const taxAmount = parseFloat(notes.taxAmount) || 0;
 
       // Validate payment amount matches expected final amount
-      if (Math.abs(paidAmount - finalAmount) > 0.01) { // Allow 1 paisa difference due to rounding
+      if (Math.abs(paidAmount - (finalAmount + taxAmount)) > 0.01) { // Allow 1 paisa difference due to rounding
         logger.error("Payment amount mismatch", {
           userId: userId.toString(),
           orderId,
           paymentId,
           paidAmount,
           expectedFinalAmount: finalAmount,
+          taxAmount,
           originalAmount,
           discountApplied
         });
@@ -2090,6 +2093,7 @@ exports.verifyPayment = async (req, res) => {
                 productType: "Portfolio",
                 productId: port._id,
                 portfolio: port._id,
+                bundleId: productId,
                 type: "one_time",
                 status: "active",
                 amount: amountPer,
@@ -2287,29 +2291,12 @@ exports.verifyPayment = async (req, res) => {
           isCartCheckout: notes.cartCheckout === "true"
         });
         
-        // Directly import the billService module to access the generateBillNumber function
+        // Bill numbers come from the invoice series when the bill is saved
         const billService = require('../services/billService');
         
-        // Generate bill number - handle the case if function isn't available
-        let billNumber;
-        try {
-          if (typeof billService.generateBillNumber === 'function') {
-            billNumber = await billService.generateBillNumber();
-          } else {
-            // Fallback if the function isn't available
-            const now = new Date();
-            billNumber = `INV-${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}-${now.getTime().toString().slice(-8)}`;
-            logger.warn('billService.generateBillNumber not available, using fallback', { billNumber });
-          }
-        } catch (billNumError) {
-          logger.error('Failed to generate bill number', { error: billNumError.message });
-          billNumber = `INV-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
-        }
-        
         const bill = await billService.generateAndSendBill(newSubscriptions[0]._id, {
           paymentId,
           orderId,
-          billNumber, // Explicitly provide bill number
           originalAmount: parseFloat(notes.originalAmount || notes.originalTotal) || 0,
           discountApplied: parseFloat(notes.discountApplied) || 0,
           finalAmount: parseFloat(notes.finalAmount || notes.finalTotal) || 0,
@@ -2899,14 +2886,10 @@ exports.verifyEmandate = async (req, res) => {
             discountApplied
           });
           
-          // Generate bill number directly using the billService
-          const billNumber = await billService.generateBillNumber();
-          
           // Generate and send the bill
           const bill = await billService.generateAndSendBill(sub._id, {
             paymentId: null, // eMandate doesn't have immediate payment ID
             orderId: null,
-            billNumber, // Explicitly provide the bill number
             subscriptionId: subscription_id,
             originalAmount: originalAmount,
             discountApplied,
@@ -3111,23 +3094,23 @@ exports.verifyEmandate = async (req, res) => {
             <p style="color:#666; font-size:12px;">Automated notification</p>
           </div>
         `;
-        await emailQueue.addEmail({
-          to: user.email,
-          subject,
-          text,
-          html,
-          type: 'emandate_pending',
-          userId: user._id,
-          metadata: {
-            subscriptionId: subscription_id,
-            authenticationUrl: rSub.short_url,
-            status,
-            couponCode: couponCode || null,
-            discountApplied
+        await notificationService.notify(user, 'emandate_pending', {
+          email: { subject, text, html },
+          inApp: { title: subject, body: text, link: rSub.short_url }
+        }, {
+          dedupeKey: `emandate_pending:${subscription_id}:${status}`,
+          email: {
+            metadata: {
+              subscriptionId: subscription_id,
+              authenticationUrl: rSub.short_url,
+              status,
+              couponCode: couponCode || null,
+              discountApplied
+            }
           }
         });
         
-        logger.info(`eMandate pending email queued for ${user.email}`, {
+        logger.info(`eMandate pending notification sent for ${user.email}`, {
           userId: user._id,
           subscriptionId: subscription_id,
           status,
@@ -3372,44 +3355,29 @@ exports.cancelSubscription = async (req, res) => {
 
 async function sendCancellationEmail(user, subscription, portfolio) {
   try {
-    const subject = `Subscription Cancelled - ${portfolio.name}`;
-    const text = `Your subscription to ${portfolio.name} has been cancelled.`;
-    const html = `
-      <div style="max-width:600px; margin:0 auto; padding:20px; font-family:sans-serif;">
-        <h2 style="color:#e74c3c;">Subscription Cancelled</h2>
-        <p>Dear ${user.fullName || user.username},</p>
-        <p>Your subscription to <strong>${portfolio.name}</strong> has been successfully cancelled.</p>
-        
-        <div style="background-color:#f8f9fa; padding:15px; border-radius:5px; margin:20px 0;">
-          <h3 style="color:#e74c3c; margin-top:0;">Details:</h3>
-          <p><strong>Portfolio:</strong> ${portfolio.name}</p>
-          <p><strong>Cancellation Date:</strong> ${new Date().toLocaleDateString()}</p>
-          <p><strong>Access Ends:</strong> ${subscription.expiresAt.toLocaleDateString()}</p>
-        </div>
-        
-        <p>You will retain access until your subscription expiration date. 
-        If you wish to resubscribe, you can do so at any time.</p>
-        
-        <hr style="margin:30px 0; border:none; border-top:1px solid #eee;">
-        <p style="color:#666; font-size:12px;">This is an automated notification.</p>
-      </div>
-    `;
-    
-    await emailQueue.addEmail({
-      to: user.email,
-      subject,
-      text,
-      html,
-      type: 'subscription_cancellation',
-      userId: user._id,
-      metadata: {
-        portfolioId: portfolio._id,
-        portfolioName: portfolio.name,
-        subscriptionId: subscription._id
+    await notificationService.notify(user, 'subscription_cancelled', {
+      email: {
+        template: 'subscription_cancelled',
+        data: {
+          userName: user.fullName || user.username,
+          portfolioName: portfolio.name,
+          cancelledOn: new Date().toLocaleDateString(),
+          accessEndsOn: subscription.expiresAt.toLocaleDateString()
+        }
+      },
+      inApp: {
+        title: `${portfolio.name} subscription cancelled`,
+        body: `You keep access until ${subscription.expiresAt.toLocaleDateString()}.`
+      }
+    }, {
+      dedupeKey: `subscription_cancelled:${subscription._id}`,
+      email: {
+        type: 'subscription_cancellation',
+        metadata: { portfolioId: portfolio._id, portfolioName: portfolio.name, subscriptionId: subscription._id }
       }
     });
     
-    logger.info(`Cancellation email queued for ${user.email}`, {
+    logger.info(`Cancellation notification sent for ${user.email}`, {
       userId: user._id,
       portfolioName: portfolio.name
     });
@@ -3421,205 +3389,47 @@ async function sendCancellationEmail(user, subscription, portfolio) {
   }
 }
 /**
- * Razorpay webhook handler with robust error handling and timeout protection
+ * Razorpay webhook endpoint. The delivery is stored and acknowledged straight
+ * away; webhookEventService processes it in the background, dedupes
+ * redeliveries by event id and retries failed handlers.
  */
 exports.razorpayWebhook = async (req, res) => {
-  const startTime = Date.now();
-  
   try {
-    // Set a timeout for webhook processing (30 seconds)
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('Webhook processing timeout')), 30000);
-    });
-    
-    const processingPromise = processWebhook(req);
-    
-    // Race between processing and timeout
-    await Promise.race([processingPromise, timeoutPromise]);
-    
-    const processingTime = Date.now() - startTime;
-    logger.info(`Webhook processed successfully in ${processingTime}ms`);
-    
-    res.json({ success: true });
-  } catch(error) {
-    const processingTime = Date.now() - startTime;
-    logger.error("Webhook processing error", {
-      error: error.message,
-      stack: error.stack,
-      event: req.body?.event,
-      processingTime: `${processingTime}ms`
-    });
-    
-    if (error.message === 'Webhook processing timeout') {
-      res.status(408).json({ error: "Request timeout" });
-    } else {
-      res.status(500).json({ error: "Webhook processing failed" });
-    }
-  }
-};
+    const { event, duplicate } = await webhookEventService.recordRazorpayEvent(req);
 
-/**
- * Internal webhook processing function
- */
-async function processWebhook(req) {
-  // Verify webhook signature if secret is configured
-  const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
-  if (webhookSecret) {
-    const webhookSignature = req.headers["x-razorpay-signature"];
-    const expectedSignature = crypto
-      .createHmac("sha256", webhookSecret)
-      .update(req.rawBody || JSON.stringify(req.body))
-      .digest("hex");
-      
-    if (webhookSignature !== expectedSignature) {
-      logger.warn("Invalid webhook signature");
-      throw new Error("Invalid webhook signature");
+    if (event.status === "rejected") {
+      logger.warn("Invalid webhook signature", { eventId: event.eventId, event: event.event });
+      return res.status(400).json({ error: "Invalid webhook signature" });
     }
-  }
-
-  const { event, payload } = req.body;
-
-  // Log webhook received
-  logger.info(`Webhook received: ${event}`, {
-    event,
-    payloadKeys: Object.keys(payload || {}),
-    timestamp: new Date().toISOString()
-  });
-
-  // Add delay for processing to avoid race conditions
-  await new Promise(resolve => setTimeout(resolve, 2000));
-
-  switch(event) {
-    case "subscription.activated":
-    case "subscription.authenticated":
-      await handleSubscriptionActivatedWithRetry(payload);
-      break;
-    case "subscription.charged":
-      await handleSubscriptionChargedWithRetry(payload);
-      break;
-    case "subscription.cancelled":
-    case "subscription.halted":
-      await handleSubscriptionCancelledWithRetry(payload);
-      break;
-    case "payment.failed":
-      await handlePaymentFailedWithRetry(payload);
-      break;
-    default:
-      logger.info(`Unhandled webhook event: ${event}`);
-  }
-}
-
-// ===== WEBHOOK HANDLERS WITH RETRY =====
 
-/**
- * Wrapper for subscription activated with retry logic
- */
-async function handleSubscriptionActivatedWithRetry(payload, maxRetries = 3) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      await handleSubscriptionActivated(payload);
-      logger.info(`Subscription activation handled successfully on attempt ${attempt}`);
-      return;
-    } catch (error) {
-      logger.error(`Subscription activation attempt ${attempt} failed`, {
-        error: error.message,
-        payload: JSON.stringify(payload, null, 2)
-      });
-      
-      if (attempt === maxRetries) {
-        throw error;
-      }
-      
-      // Exponential backoff
-      const delay = Math.pow(2, attempt) * 1000;
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
-  }
-}
+    res.json({ success: true, duplicate });
 
-/**
- * Wrapper for subscription charged with retry logic
- */
-async function handleSubscriptionChargedWithRetry(payload, maxRetries = 3) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      await handleSubscriptionCharged(payload);
-      logger.info(`Subscription charged handled successfully on attempt ${attempt}`);
-      return;
-    } catch (error) {
-      logger.error(`Subscription charged attempt ${attempt} failed`, {
-        error: error.message,
-        payload: JSON.stringify(payload, null, 2)
-      });
-      
-      if (attempt === maxRetries) {
-        throw error;
-      }
-      
-      // Exponential backoff
-      const delay = Math.pow(2, attempt) * 1000;
-      await new Promise(resolve => setTimeout(resolve, delay));
+    if (!duplicate) {
+      webhookEventService.processEventSoon(event._id);
     }
+  } catch (error) {
+    logger.error("Webhook could not be recorded", {
+      error: error.message,
+      stack: error.stack,
+      event: req.body?.event
+    });
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : "Webhook processing failed" });
   }
-}
+};
 
-/**
- * Wrapper for subscription cancelled with retry logic
- */
-async function handleSubscriptionCancelledWithRetry(payload, maxRetries = 3) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      await handleSubscriptionCancelled(payload);
-      logger.info(`Subscription cancelled handled successfully on attempt ${attempt}`);
-      return;
-    } catch (error) {
-      logger.error(`Subscription cancelled attempt ${attempt} failed`, {
-        error: error.message,
-        payload: JSON.stringify(payload, null, 2)
-      });
-      
-      if (attempt === maxRetries) {
-        throw error;
-      }
-      
-      // Exponential backoff
-      const delay = Math.pow(2, attempt) * 1000;
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
-  }
-}
+// ===== WEBHOOK HANDLERS =====
+// Called by webhookEventService with the event's `payload`. Each handler must
+// be safe to run again for the same event: redeliveries are deduped, but
+// failed events are retried and admins can replay any event.
 
-/**
- * Wrapper for payment failed with retry logic
- */
-async function handlePaymentFailedWithRetry(payload, maxRetries = 3) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      await handlePaymentFailed(payload);
-      logger.info(`Payment failed handled successfully on attempt ${attempt}`);
-      return;
-    } catch (error) {
-      logger.error(`Payment failed attempt ${attempt} failed`, {
-        error: error.message,
-        payload: JSON.stringify(payload, null, 2)
-      });
-      
-      if (attempt === maxRetries) {
-        throw error;
-      }
-      
-      // Exponential backoff
-      const delay = Math.pow(2, attempt) * 1000;
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
-  }
-}
+// Subscription events carry the subscription under `entity`
+const subscriptionEntityOf = (payload) => payload.subscription?.entity || payload.subscription || {};
 
 async function handleSubscriptionActivated(payload) {
-  const subscriptionId = payload.subscription.id;
-  const userId = payload.subscription.notes?.user_id;
+  const { id: subscriptionId, notes } = subscriptionEntityOf(payload);
+  const userId = notes?.user_id;
   
-  if (!userId) return;
+  if (!userId) return { ignored: true, reason: "Subscription has no user_id note" };
 
   await Subscription.updateMany(
     { razorpaySubscriptionId: subscriptionId, user: userId },
@@ -3631,18 +3441,18 @@ async function handleSubscriptionActivated(payload) {
 }
 
 async function handleSubscriptionCharged(payload) {
-  const subscriptionId = payload.subscription.id;
-  const userId = payload.subscription.notes?.user_id;
+  const { id: subscriptionId, notes } = subscriptionEntityOf(payload);
+  const userId = notes?.user_id;
   const paymentId = payload.payment?.entity?.id;
   
-  if (!userId || !paymentId) return;
+  if (!userId || !paymentId) return { ignored: true, reason: "Charge has no user_id note or payment" };
 
   // Check for duplicate payment
   const existingPayment = await PaymentHistory.findOne({ paymentId });
-  if (existingPayment) return;
+  if (existingPayment) return { ignored: true, reason: "Payment already recorded" };
 
   const subscriptions = await Subscription.find({ razorpaySubscriptionId: subscriptionId });
-  if (!subscriptions.length) return;
+  if (!subscriptions.length) return { ignored: true, reason: "No subscriptions for this Razorpay subscription" };
 
   const totalAmount = payload.payment?.entity?.amount || payload.amount || 0;
   const amountPerSubscription = totalAmount / 100 / subscriptions.length;
@@ -3700,10 +3510,10 @@ async function handleSubscriptionCharged(payload) {
 }
 
 async function handleSubscriptionCancelled(payload) {
-  const subscriptionId = payload.subscription.id;
-  const userId = payload.subscription.notes?.user_id;
+  const { id: subscriptionId, notes } = subscriptionEntityOf(payload);
+  const userId = notes?.user_id;
   
-  if (!userId) return;
+  if (!userId) return { ignored: true, reason: "Subscription has no user_id note" };
 
   await Subscription.updateMany(
     { razorpaySubscriptionId: subscriptionId, user: userId },
@@ -3722,8 +3532,8 @@ async function handlePaymentFailed(payload) {
   
   try {
     const paymentId = payload.payment?.entity?.id;
-    const subscriptionId = payload.subscription?.id;
-    const userId = payload.subscription?.notes?.user_id;
+    const { id: subscriptionId, notes } = subscriptionEntityOf(payload);
+    const userId = notes?.user_id;
     const errorCode = payload.payment?.entity?.error_code;
     const errorDescription = payload.payment?.entity?.error_description;
     
@@ -3765,47 +3575,31 @@ async function handlePaymentFailed(payload) {
 
 async function sendPaymentFailureEmail(user, subscriptionId, errorCode, errorDescription) {
   try {
-    const subject = "Payment Failed - Action Required";
-    const text = `Your subscription payment failed. Please update your payment method or contact support.`;
-    const html = `
-      <div style="max-width:600px; margin:0 auto; padding:20px; font-family:sans-serif;">
-        <h2 style="color:#e74c3c;">Payment Failed</h2>
-        <p>Dear ${user.fullName || user.username},</p>
-        <p>We were unable to process your subscription payment.</p>
-        
-        <div style="background-color:#f8f9fa; padding:15px; border-radius:5px; margin:20px 0;">
-          <h3 style="color:#e74c3c; margin-top:0;">Details:</h3>
-          <p><strong>Subscription ID:</strong> ${subscriptionId}</p>
-          <p><strong>Error:</strong> ${errorDescription || 'Payment processing failed'}</p>
-          <p><strong>Date:</strong> ${new Date().toLocaleDateString()}</p>
-        </div>
-        
-        <div style="margin:30px 0;">
-          <a href="${process.env.FRONTEND_URL}/subscription/retry" style="background-color:#4a77e5; color:white; padding:12px 24px; text-decoration:none; border-radius:5px; display:inline-block;">Retry Payment</a>
-        </div>
-        
-        <p>Please contact support if you continue to experience issues.</p>
-        
-        <hr style="margin:30px 0; border:none; border-top:1px solid #eee;">
-        <p style="color:#666; font-size:12px;">This is an automated notification.</p>
-      </div>
-    `;
-    
-    await emailQueue.addEmail({
-      to: user.email,
-      subject,
-      text,
-      html,
-      type: 'payment_failure',
-      userId: user._id,
-      metadata: {
-        subscriptionId,
-        errorCode,
-        errorDescription
+    const retryUrl = `${process.env.FRONTEND_URL}/subscription/retry`;
+    await notificationService.notify(user, 'payment_failed', {
+      email: {
+        template: 'payment_failed',
+        data: {
+          userName: user.fullName || user.username,
+          subscriptionId,
+          errorDescription,
+          failedOn: new Date().toLocaleDateString(),
+          retryUrl
+        }
+      },
+      inApp: {
+        title: 'Payment failed',
+        body: errorDescription || 'We could not process your subscription payment.',
+        link: retryUrl
+      }
+    }, {
+      email: {
+        type: 'payment_failure',
+        metadata: { subscriptionId, errorCode, errorDescription }
       }
     });
     
-    logger.info(`Payment failure email queued for ${user.email}`, {
+    logger.info(`Payment failure notification sent for ${user.email}`, {
       userId: user._id,
       subscriptionId,
       errorCode
@@ -3818,6 +3612,169 @@ async function sendPaymentFailureEmail(user, subscriptionId, errorCode, errorDes
   }
 }
 
+/**
+ * Razorpay halts a subscription once every retry of a charge has failed.
+ * Access ends as for a cancellation and the customer is told why.
+ */
+async function handleSubscriptionHalted(payload) {
+  const { id: subscriptionId, notes } = subscriptionEntityOf(payload);
+  const userId = notes?.user_id;
+
+  if (!userId) return { ignored: true, reason: "Subscription has no user_id note" };
+
+  const result = await Subscription.updateMany(
+    { razorpaySubscriptionId: subscriptionId, user: userId, status: { $ne: "cancelled" } },
+    { status: "cancelled", cancelledAt: new Date(), cancelReason: "payment_halted" }
+  );
+  await updateUserPremiumStatus(userId);
+
+  // Only on the first run, so a replay does not email again
+  if (result.modifiedCount) {
+    const user = await User.findById(userId);
+    if (user) {
+      await sendPaymentFailureEmail(
+        user,
+        subscriptionId,
+        "SUBSCRIPTION_HALTED",
+        "Every retry of your subscription payment failed, so the subscription has been stopped."
+      );
+    }
+  }
+  logger.info(`Subscription halted for user ${userId}`, { subscriptionId, updated: result.modifiedCount });
+}
+
+async function handleSubscriptionPaused(payload) {
+  const { id: subscriptionId, notes } = subscriptionEntityOf(payload);
+  const userId = notes?.user_id;
+
+  if (!userId) return { ignored: true, reason: "Subscription has no user_id note" };
+
+  await Subscription.updateMany(
+    { razorpaySubscriptionId: subscriptionId, user: userId, status: "active" },
+    { status: "paused", pausedAt: new Date() }
+  );
+  await updateUserPremiumStatus(userId);
+  logger.info(`Subscription paused for user ${userId}`, { subscriptionId });
+}
+
+async function handleSubscriptionResumed(payload) {
+  const { id: subscriptionId, notes } = subscriptionEntityOf(payload);
+  const userId = notes?.user_id;
+
+  if (!userId) return { ignored: true, reason: "Subscription has no user_id note" };
+
+  await Subscription.updateMany(
+    { razorpaySubscriptionId: subscriptionId, user: userId, status: "paused" },
+    { status: "active", $unset: { pausedAt: 1 } }
+  );
+  await updateUserPremiumStatus(userId);
+  logger.info(`Subscription resumed for user ${userId}`, { subscriptionId });
+}
+
+// How long the checkout gets to verify a payment before the webhook settles it
+const CHECKOUT_GRACE_MS = 5 * 60 * 1000;
+
+// Cart and bundle checkouts record each item under a suffixed payment id
+const paymentRecorded = (paymentId, orderId) => PaymentHistory.exists({
+  $or: [{ paymentId }, ...(orderId ? [{ orderId }] : [])]
+});
+
+/**
+ * Settle a captured order payment the checkout never verified, e.g. because
+ * the customer closed the browser after paying.
+ */
+async function handlePaymentCaptured(payload) {
+  const paymentId = payload.payment?.entity?.id;
+  if (!paymentId) return { ignored: true, reason: "Webhook has no payment" };
+
+  // Only Razorpay's own copy of the payment is trusted, never the webhook body
+  const razorpay = await getRazorpayInstance();
+  const payment = await razorpay.payments.fetch(paymentId);
+
+  if (!payment.order_id) return { ignored: true, reason: "Not an order payment" };
+  // Recurring charges arrive as subscription.charged
+  if (payment.invoice_id) return { ignored: true, reason: "Subscription charge" };
+  if (await paymentRecorded(payment.id, payment.order_id)) {
+    return { ignored: true, reason: "Payment already verified at checkout" };
+  }
+
+  const settleAfter = new Date((payment.created_at || 0) * 1000 + CHECKOUT_GRACE_MS);
+  if (settleAfter > new Date()) {
+    return { retryAt: settleAfter, reason: "Waiting for the checkout to verify the payment" };
+  }
+
+  return settleCapturedPayment(payment);
+}
+
+/**
+ * Run the checkout verification for a captured order payment, with a
+ * signature computed from our own key secret. The payment is fetched from
+ * Razorpay again and must be captured for the order's full amount. Also
+ * used by payment reconciliation, which passes the order it already fetched.
+ */
+async function settleCapturedPayment(payment, order = null) {
+  const razorpay = await getRazorpayInstance();
+  const fetched = await razorpay.payments.fetch(payment.id);
+  if (!order) {
+    order = await razorpay.orders.fetch(payment.order_id);
+  }
+  if (fetched.status !== "captured") {
+    return { ignored: true, reason: `Payment is ${fetched.status} at Razorpay` };
+  }
+  if (fetched.order_id !== order.id || fetched.amount !== order.amount) {
+    throw new Error(`Captured payment ${payment.id} does not match order ${order.id}`);
+  }
+  payment = fetched;
+  const userId = order?.notes?.userId;
+  if (!userId) return { ignored: true, reason: "Order was not created by the checkout" };
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new Error(`User ${userId} not found for captured payment ${payment.id}`);
+  }
+
+  const { key_secret } = await getPaymentConfig();
+  const signature = crypto
+    .createHmac("sha256", key_secret)
+    .update(`${payment.order_id}|${payment.id}`)
+    .digest("hex");
+
+  const response = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await exports.verifyPayment({ body: { paymentId: payment.id, orderId: payment.order_id, signature }, user }, response);
+
+  if (response.statusCode === 409) {
+    return { ignored: true, reason: "Payment already verified at checkout" };
+  }
+  if (response.statusCode >= 400) {
+    throw new Error(`Verification of captured payment failed: ${response.body?.error || response.statusCode}`);
+  }
+
+  logger.info("Captured payment settled", { userId, paymentId: payment.id, orderId: payment.order_id });
+  return { settled: true };
+}
+
+exports.settleCapturedPayment = settleCapturedPayment;
+
+// Handlers by Razorpay event, used by webhookEventService
+exports.razorpayWebhookHandlers = {
+  "subscription.activated": handleSubscriptionActivated,
+  "subscription.authenticated": handleSubscriptionActivated,
+  "subscription.charged": handleSubscriptionCharged,
+  "subscription.cancelled": handleSubscriptionCancelled,
+  "subscription.halted": handleSubscriptionHalted,
+  "subscription.paused": handleSubscriptionPaused,
+  "subscription.resumed": handleSubscriptionResumed,
+  "payment.captured": handlePaymentCaptured,
+  "payment.failed": handlePaymentFailed,
+  "refund.processed": refundService.handleRefundProcessed,
+  "refund.failed": refundService.handleRefundFailed
+};
+
 // ===== ADDITIONAL FUNCTIONS =====
 
 /**
@@ -4031,11 +3988,15 @@ exports.checkoutCart = async (req, res) => {
       });
     }
     
+    // GST is charged on top of the price when prices are tax-exclusive
+    const payable = amountPayable(finalTotal);
+    const taxAmount = parseFloat((payable - finalTotal).toFixed(2));
+
     const razorpay = await getRazorpayInstance();
     const receipt = generateShortReceipt("cart", req.user._id);
     
     const order = await razorpay.orders.create({
-      amount: Math.round(finalTotal * 100), // Use final total after discount
+      amount: Math.round(payable * 100), // Final total after discount, plus GST if exclusive
       currency: "INR",
       receipt,
       notes: { 
@@ -4048,6 +4009,7 @@ exports.checkoutCart = async (req, res) => {
         originalTotal: originalTotal.toString(),
         discountApplied: discountApplied.toString(),
         finalTotal: finalTotal.toString(),
+        taxAmount: taxAmount.toString(),
         // Cart items info for verification
         itemCount: cart.items.length.toString(),
         cartId: cart._id.toString()
@@ -4057,13 +4019,14 @@ exports.checkoutCart = async (req, res) => {
     const responseData = {
       success: true,
       orderId: order.id,
-      amount: order.amount, // This is in paisa (finalTotal * 100)
+      amount: order.amount, // This is in paisa ((finalTotal + taxAmount) * 100)
       currency: order.currency,
       planType,
       // Pricing breakdown
       originalTotal,
       discountApplied,
       finalTotal,
+      taxAmount,
       savings: discountApplied,
       // Cart details
       itemCount: cart.items.length,
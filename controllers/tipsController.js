@@ -1,5 +1,7 @@
 const Tip = require('../models/portfolioTips');
 const Portfolio = require('../models/modelPortFolio');
+const tipPerformanceService = require('../services/tipPerformanceService');
+const tipEventService = require('../services/tipEventService');
 
 function mapTipToCamelCase(tip) {
   if (!tip) return null;
@@ -22,6 +24,8 @@ function mapTipToCamelCase(tip) {
     exitPrice: tip.exitPrice,
     exitStatus: tip.exitStatus,
     exitStatusPercentage: tip.exitStatusPercentage,
+    stopLoss: tip.stopLoss,
+    tracking: tip.tracking,
     horizon: tip.horizon,
     analysistConfidence: tip.analysistConfidence || 0,
     downloadLinks: Array.isArray(tip.downloadLinks) ? tip.downloadLinks : [],
@@ -70,6 +74,7 @@ exports.createTip = async (req, res) => {
       exitPrice,
       exitStatus,
       exitStatusPercentage,
+      stopLoss,
       horizon,
       downloadLinks,
       mpWeightage,
@@ -106,10 +111,12 @@ exports.createTip = async (req, res) => {
       analysistConfidence,
       exitStatus,
       exitStatusPercentage,
+      stopLoss,
       horizon: horizon || 'Long Term',
       downloadLinks: Array.isArray(downloadLinks) ? downloadLinks : []
     });
     const saved = await tip.save();
+    tipEventService.emitTipEvent('created', saved, { description: saved.description });
     res.status(201).json(mapTipToCamelCase(saved));
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -281,6 +288,7 @@ exports.createTipWithoutPortfolio = async (req, res) => {
       exitPrice,
       exitStatus,
       exitStatusPercentage,
+      stopLoss,
       horizon,
       downloadLinks
     } = req.body;
@@ -313,10 +321,12 @@ exports.createTipWithoutPortfolio = async (req, res) => {
       exitPrice,
       exitStatus,
       exitStatusPercentage,
+      stopLoss,
       horizon: horizon || 'Long Term',
       downloadLinks: Array.isArray(downloadLinks) ? downloadLinks : []
     });
     const saved = await tip.save();
+    tipEventService.emitTipEvent('created', saved, { description: saved.description });
     res.status(201).json(mapTipToCamelCase(saved));
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -380,6 +390,7 @@ exports.updateTip = async (req, res) => {
       exitPrice,
       exitStatus,
       exitStatusPercentage,
+      stopLoss,
       horizon,
       downloadLinks
     } = req.body;
@@ -413,6 +424,7 @@ exports.updateTip = async (req, res) => {
     if (exitPrice !== undefined) updates.exitPrice = exitPrice;
     if (exitStatus !== undefined) updates.exitStatus = exitStatus;
     if (exitStatusPercentage !== undefined) updates.exitStatusPercentage = exitStatusPercentage;
+    if (stopLoss !== undefined) updates.stopLoss = stopLoss;
     if (horizon !== undefined) updates.horizon = horizon;
     if (downloadLinks !== undefined) updates.downloadLinks = downloadLinks;
     if (analysistConfidence !== undefined) updates.analysistConfidence = analysistConfidence;
@@ -424,12 +436,49 @@ exports.updateTip = async (req, res) => {
       { new: true, runValidators: true }
     );
     if (!tip) return res.status(404).json({ error: 'Not found' });
+    if (tip.status === 'Closed') await tipPerformanceService.closeTip(tip);
     res.json(mapTipToCamelCase(tip));
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 };
 
+exports.getTipPerformance = async (req, res) => {
+  try {
+    const { category, horizon, portfolioId, startDate, endDate } = req.query;
+
+    if ((startDate && isNaN(new Date(startDate))) || (endDate && isNaN(new Date(endDate)))) {
+      return res.status(400).json({ error: 'Invalid date format. Use ISO format (YYYY-MM-DD)' });
+    }
+    if (category && !['basic', 'premium'].includes(category)) {
+      return res.status(400).json({ error: 'Invalid category. Use "basic" or "premium"' });
+    }
+    if (portfolioId && !/^[0-9a-fA-F]{24}$/.test(portfolioId)) {
+      return res.status(400).json({ error: 'Invalid portfolio ID' });
+    }
+
+    const performance = await tipPerformanceService.getPerformance({
+      category,
+      horizon,
+      portfolio: portfolioId,
+      from: startDate ? new Date(startDate) : undefined,
+      to: endDate ? new Date(`${endDate}T23:59:59.999Z`) : undefined
+    });
+    res.json(performance);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+exports.refreshTipPerformance = async (req, res) => {
+  try {
+    const summary = await tipPerformanceService.trackTips();
+    res.json(summary);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
 exports.deleteTip = async (req, res) => {
   try {
     const tip = await Tip.findByIdAndDelete(req.params.id);
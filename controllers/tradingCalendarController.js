@@ -0,0 +1,112 @@
+const tradingCalendar = require('../utils/tradingCalendar');
+
+/**
+ * Get holidays and Muhurat sessions, optionally filtered by year
+ */
+exports.getCalendar = async (req, res) => {
+  try {
+    const { year } = req.query;
+    if (year && !/^\d{4}$/.test(year)) {
+      return res.status(400).json({ error: 'year must be a 4-digit year' });
+    }
+
+    const calendar = await tradingCalendar.getCalendar(year);
+    res.json(calendar);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+/**
+ * Get the current or next trading session
+ */
+exports.getNextSession = async (req, res) => {
+  try {
+    const exchange = (req.query.exchange || 'NSE').toUpperCase();
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    if (isNaN(from.getTime())) {
+      return res.status(400).json({ error: 'Invalid from date' });
+    }
+
+    const session = await tradingCalendar.getNextTradingSession(from, exchange);
+    res.json({
+      exchange,
+      marketOpen: await tradingCalendar.isMarketOpen(from, exchange),
+      nextTradingSession: session
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+/**
+ * Add or replace a holiday
+ */
+exports.addHoliday = async (req, res) => {
+  try {
+    const { date, description, exchanges } = req.body;
+    if (!date) {
+      return res.status(400).json({ error: 'date is required' });
+    }
+    if (exchanges !== undefined && !(
+      Array.isArray(exchanges) &&
+      exchanges.every(e => typeof e === 'string' && tradingCalendar.SUPPORTED_EXCHANGES.includes(e.toUpperCase()))
+    )) {
+      return res.status(400).json({
+        error: `exchanges must be an array of: ${tradingCalendar.SUPPORTED_EXCHANGES.join(', ')}`
+      });
+    }
+
+    const holiday = await tradingCalendar.addHoliday({ date, description, exchanges });
+    res.status(201).json(holiday);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+/**
+ * Remove a holiday
+ */
+exports.removeHoliday = async (req, res) => {
+  try {
+    const removed = await tradingCalendar.removeHoliday(req.params.date);
+    if (!removed) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+    res.json({ message: 'Holiday removed successfully' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+/**
+ * Add or replace a Muhurat session
+ */
+exports.addMuhuratSession = async (req, res) => {
+  try {
+    const { date, start, end, description } = req.body;
+    if (!date || !start || !end) {
+      return res.status(400).json({ error: 'date, start and end are required' });
+    }
+
+    const session = await tradingCalendar.addMuhuratSession({ date, start, end, description });
+    res.status(201).json(session);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+/**
+ * Remove a Muhurat session
+ */
+exports.removeMuhuratSession = async (req, res) => {
+  try {
+    const removed = await tradingCalendar.removeMuhuratSession(req.params.date);
+    if (!removed) {
+      return res.status(404).json({ error: 'Muhurat session not found' });
+    }
+    res.json({ message: 'Muhurat session removed successfully' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
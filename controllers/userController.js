@@ -8,6 +8,8 @@ const Bundle = require('../models/bundle');
 const { digioPanVerify } = require('../services/digioPanService');
 const DigioSign = require('../models/DigioSign');
 const { syncDocument } = require('../services/digioWebhookService');
+const PriceAlert = require('../models/PriceAlert');
+const priceAlertService = require('../services/priceAlertService');
 
 // Helper function to convert internal status to user-friendly status
 const getUserFriendlyStatus = (status) => {
@@ -121,6 +123,9 @@ const getUserAccessInfo = async (userId) => {
   }
 };
 
+// Shared with the price alert service
+exports.getUserAccessInfo = getUserAccessInfo;
+
 // User Profile Endpoints
 exports.getProfile = async (req, res) => {
   try {
@@ -465,6 +470,7 @@ exports.getPortfolioById = async (req, res) => {
   durationMonths: portfolio.durationMonths,
   monthlyContribution: portfolio.monthlyContribution,
         PortfolioCategory: portfolio.PortfolioCategory,
+        performanceMetrics: portfolio.performanceMetrics,
         createdAt: portfolio.createdAt,
         message: "Login to view details"
       });
@@ -488,6 +494,7 @@ exports.getPortfolioById = async (req, res) => {
   monthlyContribution: portfolio.monthlyContribution,
       durationMonths: portfolio.durationMonths,
       PortfolioCategory: portfolio.PortfolioCategory,
+      performanceMetrics: portfolio.performanceMetrics,
       createdAt: portfolio.createdAt,
       message: "Subscribe to view complete details"
     });
@@ -1015,4 +1022,54 @@ exports.clearCart = async (req, res) => {
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
-};
\ No newline at end of file
+};
+
+// Alerts Endpoints
+exports.getAlerts = async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const query = { user: req.user._id };
+    if (status) query.status = status;
+    if (type) query.type = type;
+
+    const alerts = await PriceAlert.find(query)
+      .populate('tip', 'title stockId status')
+      .populate('portfolio', 'name')
+      .sort('-createdAt');
+    res.json(alerts);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+exports.createAlert = async (req, res) => {
+  try {
+    const alertData = await priceAlertService.prepareAlert(req.user._id, req.body);
+    const alert = await PriceAlert.create(alertData);
+    res.status(201).json(alert);
+  } catch (err) {
+    res.status(err.statusCode || 400).json({ error: err.message });
+  }
+};
+
+exports.updateAlert = async (req, res) => {
+  try {
+    const alert = await PriceAlert.findOne({ _id: req.params.id, user: req.user._id });
+    if (!alert) return res.status(404).json({ error: 'Alert not found' });
+
+    const updated = await priceAlertService.updateAlert(alert, req.body);
+    res.json(updated);
+  } catch (err) {
+    res.status(err.statusCode || 400).json({ error: err.message });
+  }
+};
+
+exports.deleteAlert = async (req, res) => {
+  try {
+    const alert = await PriceAlert.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!alert) return res.status(404).json({ error: 'Alert not found' });
+    res.json({ message: 'Alert deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { EMAIL_CATEGORIES } = require('./EmailPreference');
+
+const CAMPAIGN_STATUSES = ['draft', 'scheduled', 'sending', 'sent', 'cancelled', 'failed'];
+
+/**
+ * Who receives a campaign. Subscription filters are combined with AND; an
+ * empty list means "any". With allUsers set, every registered user matches
+ * and only `states` applies.
+ */
+const audienceSchema = new Schema({
+  allUsers: { type: Boolean, default: false },
+  statuses: [{ type: String, enum: ['pending', 'active', 'paused', 'expired', 'cancelled'] }],
+  productType: { type: String, enum: ['Portfolio', 'Bundle'] },
+  productIds: [{ type: Schema.Types.ObjectId }],
+  planTypes: [{ type: String, enum: ['monthly', 'quarterly', 'yearly'] }],
+  categories: [{ type: String, enum: ['basic', 'premium'] }],
+  states: [String],
+  // Subscription expiry window, absolute or relative to the send time
+  expiresFrom: Date,
+  expiresTo: Date,
+  expiresWithinDays: { type: Number, min: 0 },
+  coupons: [{ type: Schema.Types.ObjectId, ref: 'Coupon' }],
+  // true = used any coupon, false = used none
+  couponUsed: { type: Boolean, default: undefined }
+}, { _id: false });
+
+const campaignStatsSchema = new Schema({
+  recipients: { type: Number, default: 0 },
+  queued: { type: Number, default: 0 },
+  sent: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  skipped: { type: Number, default: 0 },
+  opened: { type: Number, default: 0 }
+}, { _id: false });
+
+/**
+ * A broadcast email to a segment of users. Content is EJS rendered per
+ * recipient (userName, email, unsubscribeUrl, preferencesUrl, brand) and
+ * delivered through the email queue at throttlePerMinute.
+ */
+const CampaignSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Preference category recipients can opt out of
+  category: {
+    type: String,
+    enum: EMAIL_CATEGORIES,
+    default: 'marketing'
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  html: {
+    type: String,
+    required: true
+  },
+  text: String,
+  audience: {
+    type: audienceSchema,
+    default: () => ({})
+  },
+  status: {
+    type: String,
+    enum: CAMPAIGN_STATUSES,
+    default: 'draft',
+    index: true
+  },
+  scheduledAt: Date,
+  throttlePerMinute: {
+    type: Number,
+    default: 60,
+    min: 1,
+    max: 1000
+  },
+  stats: {
+    type: campaignStatsSchema,
+    default: () => ({})
+  },
+  startedAt: Date,
+  completedAt: Date,
+  cancelledAt: Date,
+  lastError: String,
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+CampaignSchema.index({ status: 1, scheduledAt: 1 });
+
+CampaignSchema.statics.CAMPAIGN_STATUSES = CAMPAIGN_STATUSES;
+
+module.exports = mongoose.model('Campaign', CampaignSchema);
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Delivery record for one user in one campaign.
+ *   pending  selected, not yet queued
+ *   queued   handed to the email queue (emailJob)
+ *   sent     email queue delivered it
+ *   failed   email queue gave up (dead job) or rendering failed
+ *   skipped  opted out or no email address
+ */
+const CampaignRecipientSchema = new Schema({
+  campaign: {
+    type: Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'queued', 'sent', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  skipReason: String,
+  emailJob: {
+    type: Schema.Types.ObjectId,
+    ref: 'EmailJob'
+  },
+  // Identifies the open-tracking pixel
+  trackingToken: {
+    type: String,
+    default: () => crypto.randomBytes(16).toString('hex')
+  },
+  queuedAt: Date,
+  sentAt: Date,
+  failedAt: Date,
+  error: String,
+  openedAt: Date,
+  openCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+CampaignRecipientSchema.index({ campaign: 1, user: 1 }, { unique: true });
+CampaignRecipientSchema.index({ campaign: 1, status: 1 });
+CampaignRecipientSchema.index({ trackingToken: 1 }, { unique: true });
+
+module.exports = mongoose.model('CampaignRecipient', CampaignRecipientSchema);
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Per-portfolio outcome of processing an action
+const corporateActionResultSchema = new Schema({
+  portfolio: {
+    type: Schema.Types.ObjectId,
+    ref: 'Portfolio',
+    required: true
+  },
+  portfolioName: {
+    type: String
+  },
+  quantityBefore: {
+    type: Number
+  },
+  quantityAfter: {
+    type: Number
+  },
+  buyPriceBefore: {
+    type: Number
+  },
+  buyPriceAfter: {
+    type: Number
+  },
+  cashCredited: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['applied', 'failed'],
+    required: true
+  },
+  error: {
+    type: String
+  },
+  processedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const CorporateActionSchema = new Schema({
+  stockSymbol: {
+    type: Schema.Types.ObjectId,
+    ref: 'StockSymbol',
+    required: true,
+    index: true
+  },
+  // Denormalized so holdings (which only store the ticker) can be matched
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['split', 'bonus', 'dividend'],
+    required: true
+  },
+  exDate: {
+    type: Date,
+    required: true
+  },
+  recordDate: {
+    type: Date,
+    required: false
+  },
+  // Split: ratioFrom old shares become ratioTo new shares (ratioFrom 1, ratioTo 5 => 1 -> 5)
+  // Bonus: ratioTo bonus shares for every ratioFrom shares held, quoted as ratioTo:ratioFrom
+  // (ratioFrom 2, ratioTo 1 => "1:2", 1 bonus per 2 held, quantity x1.5)
+  ratioFrom: {
+    type: Number,
+    min: 1,
+    required: function() { return this.type !== 'dividend'; }
+  },
+  ratioTo: {
+    type: Number,
+    min: 1,
+    required: function() { return this.type !== 'dividend'; }
+  },
+  dividendPerShare: {
+    type: Number,
+    min: 0.01,
+    required: function() { return this.type === 'dividend'; }
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'processed', 'partially_processed', 'cancelled'],
+    default: 'pending',
+    index: true
+  },
+  // Set when a run claims the action; a stale value means that run crashed
+  processingStartedAt: {
+    type: Date
+  },
+  processedAt: {
+    type: Date
+  },
+  results: {
+    type: [corporateActionResultSchema],
+    default: []
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+CorporateActionSchema.index({ stockSymbol: 1, type: 1, exDate: 1 }, { unique: true });
+CorporateActionSchema.index({ status: 1, exDate: 1 });
+
+// Multiplier applied to quantity (and divisor applied to buy price) for splits and bonuses
+CorporateActionSchema.methods.getQuantityFactor = function() {
+  if (this.type === 'split') {
+    return this.ratioTo / this.ratioFrom;
+  }
+  if (this.type === 'bonus') {
+    return (this.ratioFrom + this.ratioTo) / this.ratioFrom;
+  }
+  return 1;
+};
+
+module.exports = mongoose.model('CorporateAction', CorporateActionSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Credit note against an issued Bill, e.g. for a refund.
+ * Taxable value and GST are credited in the same proportion as the
+ * original bill, so the breakup mirrors the invoice it reverses.
+ */
+const CreditNoteSchema = new Schema({
+  creditNoteNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Number before a duplicate was renumbered by the numbering repair
+  renumberedFrom: String,
+  bill: {
+    type: Schema.Types.ObjectId,
+    ref: "Bill",
+    required: true,
+    index: true
+  },
+  // Original invoice number, printed on the credit note
+  billNumber: { type: String, required: true },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true
+  },
+  subscription: {
+    type: Schema.Types.ObjectId,
+    ref: "Subscription"
+  },
+  creditNoteDate: {
+    type: Date,
+    default: Date.now
+  },
+  reason: { type: String, required: true },
+
+  customerDetails: {
+    name: String,
+    email: String,
+    phone: String,
+    panDetails: String,
+    state: String
+  },
+
+  items: [{
+    description: { type: String, required: true },
+    sacCode: String,
+    amount: { type: Number, required: true }
+  }],
+
+  taxableValue: { type: Number, required: true },
+  taxAmount: { type: Number, default: 0 },
+  totalAmount: { type: Number, required: true },
+  gst: {
+    gstin: String,
+    supplyType: { type: String, enum: ["intra_state", "inter_state"] },
+    placeOfSupply: String,
+    cgstRate: { type: Number, default: 0 },
+    cgstAmount: { type: Number, default: 0 },
+    sgstRate: { type: Number, default: 0 },
+    sgstAmount: { type: Number, default: 0 },
+    igstRate: { type: Number, default: 0 },
+    igstAmount: { type: Number, default: 0 }
+  },
+
+  // Payment the credit is returned against
+  paymentId: String,
+  refundId: String,
+
+  status: {
+    type: String,
+    enum: ["issued", "cancelled"],
+    default: "issued"
+  },
+  issuedBy: {
+    type: Schema.Types.ObjectId,
+    ref: "User"
+  },
+
+  emailSent: { type: Boolean, default: false },
+  emailSentAt: Date
+}, {
+  timestamps: true
+});
+
+CreditNoteSchema.index({ refundId: 1 }, { sparse: true });
+
+module.exports = mongoose.model("CreditNote", CreditNoteSchema);
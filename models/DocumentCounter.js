@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const DOCUMENT_SERIES = ['invoice', 'credit_note', 'proforma'];
+
+/**
+ * Last number issued in a document series for a financial year.
+ * Incremented atomically by services/documentNumberService; a number
+ * taken inside a transaction is released again if the transaction aborts.
+ */
+const DocumentCounterSchema = new Schema({
+  series: {
+    type: String,
+    enum: DOCUMENT_SERIES,
+    required: true
+  },
+  // e.g. '2026-27'
+  financialYear: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+DocumentCounterSchema.index({ series: 1, financialYear: 1 }, { unique: true });
+
+DocumentCounterSchema.statics.DOCUMENT_SERIES = DOCUMENT_SERIES;
+
+module.exports = mongoose.model('DocumentCounter', DocumentCounterSchema);
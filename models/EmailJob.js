@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const PRIORITY_RANK = { high: 0, normal: 1, low: 2 };
+
+// Keep delivered and skipped emails for 30 days; pending and dead jobs never expire
+const SENT_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+const attemptErrorSchema = new Schema({
+  at: { type: Date, default: Date.now },
+  attempt: Number,
+  message: String
+}, { _id: false });
+
+/**
+ * One queued email. Workers claim jobs atomically (status + lockedUntil), so any
+ * number of app instances can drain the same queue.
+ *   pending     waiting for runAt (first send or backoff retry)
+ *   processing  claimed by lockedBy until lockedUntil; expired locks are reclaimed
+ *   sent        delivered
+ *   dead        retries exhausted or cancelled; kept until an admin retries or purges it
+ *   skipped     campaign recipient opted out before the send; never retried
+ */
+const EmailJobSchema = new Schema({
+  to: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  text: String,
+  html: String,
+  type: {
+    type: String,
+    default: 'general',
+    index: true
+  },
+  priority: {
+    type: String,
+    enum: Object.keys(PRIORITY_RANK),
+    default: 'normal'
+  },
+  priorityRank: {
+    type: Number,
+    default: PRIORITY_RANK.normal
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'sent', 'dead', 'skipped'],
+    default: 'pending'
+  },
+  // Earliest send time: the scheduled time, then the backoff time after a failure
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxRetries: {
+    type: Number,
+    default: 3,
+    min: 0
+  },
+  idempotencyKey: String,
+  lockedBy: String,
+  lockedUntil: Date,
+  lastError: String,
+  attemptErrors: {
+    type: [attemptErrorSchema],
+    default: []
+  },
+  // Caller context (userId, subscriptionId, billNumber, ...)
+  metadata: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  sentAt: Date,
+  deadAt: Date,
+  skippedAt: Date
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+EmailJobSchema.pre('validate', function (next) {
+  if (this.isModified('priority') || this.isNew) {
+    this.priorityRank = PRIORITY_RANK[this.priority] ?? PRIORITY_RANK.normal;
+  }
+  next();
+});
+
+EmailJobSchema.index({ status: 1, runAt: 1, priorityRank: 1 });
+EmailJobSchema.index({ status: 1, lockedUntil: 1 });
+EmailJobSchema.index(
+  { idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+EmailJobSchema.index(
+  { sentAt: 1 },
+  { expireAfterSeconds: SENT_RETENTION_SECONDS, partialFilterExpression: { status: 'sent' } }
+);
+EmailJobSchema.index(
+  { skippedAt: 1 },
+  { expireAfterSeconds: SENT_RETENTION_SECONDS, partialFilterExpression: { status: 'skipped' } }
+);
+
+EmailJobSchema.statics.PRIORITY_RANK = PRIORITY_RANK;
+
+module.exports = mongoose.model('EmailJob', EmailJobSchema);
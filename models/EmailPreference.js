@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Non-transactional email categories a user can opt out of. Transactional
+// mail (bills, renewals, payment failures) is never filtered by these.
+const EMAIL_CATEGORIES = ['marketing', 'newsletter', 'portfolio_updates'];
+
+const categoryDefaults = EMAIL_CATEGORIES.reduce((fields, category) => {
+  fields[category] = { type: Boolean, default: true };
+  return fields;
+}, {});
+
+/**
+ * Per-user email subscription settings. The token authenticates the
+ * unsubscribe link and preference center without a login.
+ */
+const EmailPreferenceSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => crypto.randomBytes(24).toString('hex')
+  },
+  // Opted out of every non-transactional email
+  unsubscribedAll: {
+    type: Boolean,
+    default: false
+  },
+  categories: categoryDefaults,
+  unsubscribedAt: Date,
+  lastChangedVia: {
+    type: String,
+    enum: ['unsubscribe_link', 'preference_center', 'account', 'admin']
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+/**
+ * Whether mail of this category may be sent
+ */
+EmailPreferenceSchema.methods.allows = function (category) {
+  if (this.unsubscribedAll) return false;
+  return !this.categories || this.categories[category] !== false;
+};
+
+EmailPreferenceSchema.statics.EMAIL_CATEGORIES = EMAIL_CATEGORIES;
+
+module.exports = mongoose.model('EmailPreference', EmailPreferenceSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const templateVariableSchema = new Schema({
+  name: { type: String, required: true, trim: true },
+  description: String,
+  required: { type: Boolean, default: false },
+  // Value used by the preview endpoint when no data is supplied
+  sample: Schema.Types.Mixed
+}, { _id: false });
+
+/**
+ * One saved version of a transactional email template. Versions are never
+ * edited in place: saving creates version N+1 and makes it the active one,
+ * so older copy can be restored by re-activating its version. A template
+ * without any active version falls back to the built-in default in
+ * config/emailTemplates.js.
+ */
+const EmailTemplateSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  description: String,
+  // EJS sources; html is the body that gets wrapped in the `layout` template
+  subject: {
+    type: String,
+    required: true
+  },
+  html: {
+    type: String,
+    required: true
+  },
+  text: String,
+  variables: {
+    type: [templateVariableSchema],
+    default: []
+  },
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+  changeNote: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+EmailTemplateSchema.index({ name: 1, version: -1 }, { unique: true });
+EmailTemplateSchema.index(
+  { name: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+module.exports = mongoose.model('EmailTemplate', EmailTemplateSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { INBOX_CATEGORIES, NOTIFICATION_EVENTS } = require('../config/notificationEvents');
+
+/**
+ * In-app notification shown in the web and mobile inbox
+ */
+const NotificationSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: {
+    type: String,
+    enum: INBOX_CATEGORIES,
+    required: true
+  },
+  // Notification event that produced it (config/notificationEvents)
+  event: {
+    type: String,
+    enum: Object.keys(NOTIFICATION_EVENTS)
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  body: {
+    type: String,
+    default: ''
+  },
+  // App route or URL opened when the notification is tapped
+  link: String,
+  data: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  // Set by senders that may fire more than once for the same occurrence
+  dedupeKey: String
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+NotificationSchema.index({ user: 1, createdAt: -1 });
+NotificationSchema.index({ user: 1, readAt: 1, category: 1 });
+NotificationSchema.index(
+  { user: 1, dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
+
+NotificationSchema.statics.INBOX_CATEGORIES = INBOX_CATEGORIES;
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_EVENTS
+} = require('../config/notificationEvents');
+
+// Unset channels fall back to the event defaults in config/notificationEvents
+const channelFields = NOTIFICATION_CHANNELS.reduce((fields, channel) => {
+  fields[channel] = { type: Boolean };
+  return fields;
+}, {});
+
+const ChannelSettingsSchema = new Schema(channelFields, { _id: false });
+
+/**
+ * Per-user choice of channels for each notification event. `channels` mutes
+ * a channel for every event; `events` overrides individual events. Required
+ * channels of an event are delivered regardless of either.
+ */
+const NotificationPreferenceSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  channels: {
+    type: ChannelSettingsSchema,
+    default: () => ({})
+  },
+  events: {
+    type: Map,
+    of: ChannelSettingsSchema,
+    default: () => new Map()
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+NotificationPreferenceSchema.statics.NOTIFICATION_CHANNELS = NOTIFICATION_CHANNELS;
+NotificationPreferenceSchema.statics.NOTIFICATION_EVENTS = NOTIFICATION_EVENTS;
+
+module.exports = mongoose.model('NotificationPreference', NotificationPreferenceSchema);
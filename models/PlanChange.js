@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const PLAN_TYPES = ['monthly', 'quarterly', 'yearly'];
+const PLAN_CHANGE_TIMINGS = ['immediate', 'end_of_term'];
+const PLAN_CHANGE_STATUSES = ['pending_payment', 'scheduled', 'completed', 'cancelled', 'failed', 'expired'];
+
+/**
+ * A move from one subscription plan to another: a different product
+ * (Portfolio ↔ Bundle), a different billing period, or both.
+ *
+ * Immediate changes credit the unused part of the current term against the
+ * new price; end-of-term changes start the new plan when the current one
+ * expires. `from` snapshots the subscriptions being replaced, since a bundle
+ * is stored as one subscription per portfolio.
+ */
+const PlanChangeSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  timing: {
+    type: String,
+    enum: PLAN_CHANGE_TIMINGS,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: PLAN_CHANGE_STATUSES,
+    default: 'pending_payment'
+  },
+  from: {
+    subscriptions: [{ type: Schema.Types.ObjectId, ref: 'Subscription' }],
+    type: { type: String, enum: ['one_time', 'recurring'] },
+    productType: { type: String, enum: ['Portfolio', 'Bundle'] },
+    productId: Schema.Types.ObjectId,
+    productName: String,
+    planType: { type: String, enum: PLAN_TYPES },
+    amount: Number,
+    expiresAt: Date,
+    razorpaySubscriptionId: String
+  },
+  to: {
+    productType: { type: String, enum: ['Portfolio', 'Bundle'], required: true },
+    productId: { type: Schema.Types.ObjectId, required: true },
+    productName: String,
+    planType: { type: String, enum: PLAN_TYPES, required: true },
+    category: String,
+    price: { type: Number, required: true }
+  },
+  proration: {
+    totalDays: { type: Number, default: 0 },
+    remainingDays: { type: Number, default: 0 },
+    // Value of the unused days of the current term
+    credit: { type: Number, default: 0 },
+    // Part of the credit taken off the new price
+    creditApplied: { type: Number, default: 0 },
+    // Credit left over on a downgrade, given back as days on the new plan
+    extraDays: { type: Number, default: 0 },
+    amountDue: { type: Number, default: 0 }
+  },
+  razorpayOrderId: String,
+  razorpayPlanId: String,
+  paymentId: String,
+  // When the new plan starts; the current expiry for end-of-term changes
+  effectiveAt: Date,
+  appliedAt: Date,
+  newSubscriptions: [{ type: Schema.Types.ObjectId, ref: 'Subscription' }],
+  bill: {
+    type: Schema.Types.ObjectId,
+    ref: 'Bill'
+  },
+  cancelledAt: Date,
+  failureReason: String,
+  // Failed attempts to apply a scheduled change, and when to try again
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: Date
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+PlanChangeSchema.index({ user: 1, createdAt: -1 });
+PlanChangeSchema.index({ status: 1, effectiveAt: 1 });
+PlanChangeSchema.index({ 'from.subscriptions': 1, status: 1 });
+PlanChangeSchema.index({ razorpayOrderId: 1 }, { unique: true, sparse: true });
+
+PlanChangeSchema.statics.PLAN_CHANGE_TIMINGS = PLAN_CHANGE_TIMINGS;
+PlanChangeSchema.statics.PLAN_TYPES = PLAN_TYPES;
+
+module.exports = mongoose.model('PlanChange', PlanChangeSchema);
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const ALERT_TYPES = ['price_above', 'price_below', 'percent_move', 'tip_target', 'portfolio_value_change'];
+const ALERT_CHANNELS = ['email', 'telegram'];
+
+const deliverySchema = new Schema({
+  channel: { type: String, enum: ALERT_CHANNELS, required: true },
+  status: { type: String, enum: ['queued', 'sent', 'skipped', 'failed'], required: true },
+  error: String
+}, { _id: false });
+
+/**
+ * User-defined alert, evaluated after every scheduled price update.
+ *   price_above / price_below   threshold is a price
+ *   percent_move                threshold is a percent move from baseValue (the price when armed)
+ *   tip_target                  fires when the tip's target is reached
+ *   portfolio_value_change      threshold is a percent move of the portfolio value from baseValue
+ */
+const PriceAlertSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ALERT_TYPES,
+    required: true
+  },
+  stockSymbol: {
+    type: Schema.Types.ObjectId,
+    ref: 'StockSymbol'
+  },
+  symbol: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  tip: {
+    type: Schema.Types.ObjectId,
+    ref: 'Tip'
+  },
+  portfolio: {
+    type: Schema.Types.ObjectId,
+    ref: 'Portfolio'
+  },
+  threshold: {
+    type: Number,
+    min: 0
+  },
+  direction: {
+    type: String,
+    enum: ['up', 'down', 'either'],
+    default: 'either'
+  },
+  // Price or portfolio value the percent types measure from; reset each time a repeating alert fires
+  baseValue: Number,
+  channels: {
+    type: [{ type: String, enum: ALERT_CHANNELS }],
+    default: ['email']
+  },
+  // One-shot alerts move to 'triggered'; repeating alerts re-arm after the cooldown
+  repeat: {
+    type: Boolean,
+    default: false
+  },
+  cooldownMinutes: {
+    type: Number,
+    default: 60,
+    min: 5
+  },
+  status: {
+    type: String,
+    enum: ['active', 'triggered', 'paused'],
+    default: 'active',
+    index: true
+  },
+  pausedReason: String,
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  lastTriggeredAt: Date,
+  lastTriggeredValue: Number,
+  triggerCount: {
+    type: Number,
+    default: 0
+  },
+  lastDeliveries: [deliverySchema]
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+PriceAlertSchema.index({ status: 1, type: 1 });
+
+PriceAlertSchema.statics.ALERT_TYPES = ALERT_TYPES;
+PriceAlertSchema.statics.ALERT_CHANNELS = ALERT_CHANNELS;
+
+module.exports = mongoose.model('PriceAlert', PriceAlertSchema);
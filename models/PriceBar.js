@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Bucket sizes in milliseconds
+const INTERVALS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+// Intervals written directly by the price jobs; the rest are aggregated from 1m
+const STORED_INTERVALS = ['1m', '1d'];
+
+// Daily buckets start at midnight IST
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// Keep minute bars for 90 days, daily bars indefinitely
+const MINUTE_BAR_RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+const PriceBarSchema = new Schema({
+  stockSymbol: {
+    type: Schema.Types.ObjectId,
+    ref: 'StockSymbol',
+    required: true
+  },
+  interval: {
+    type: String,
+    enum: Object.keys(INTERVALS),
+    required: true
+  },
+  // Start of the bucket this bar covers
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  open: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  high: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  low: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  close: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Cumulative day volume as reported by the provider (daily bars only)
+  volume: {
+    type: Number,
+    required: false
+  },
+  // Number of price samples folded into this bar
+  sampleCount: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+// Indexes
+PriceBarSchema.index({ stockSymbol: 1, interval: 1, timestamp: 1 }, { unique: true });
+PriceBarSchema.index(
+  { timestamp: 1 },
+  { expireAfterSeconds: MINUTE_BAR_RETENTION_SECONDS, partialFilterExpression: { interval: '1m' } }
+);
+
+// Static method to get the bucket start for a date
+PriceBarSchema.statics.getBucketStart = function(interval, date = new Date()) {
+  const size = INTERVALS[interval];
+  if (!size) {
+    throw new Error(`Unsupported interval: ${interval}`);
+  }
+  const offset = interval === '1d' ? IST_OFFSET_MS : 0;
+  const t = new Date(date).getTime();
+  return new Date(Math.floor((t + offset) / size) * size - offset);
+};
+
+/**
+ * Fold a set of price samples into the current bars.
+ * @param {Array<{stockId, price, volume}>} samples
+ * @param {Date} [at] - Sample time
+ * @param {Array<string>} [intervals] - Bars to update (defaults to all stored intervals)
+ */
+PriceBarSchema.statics.recordSamples = async function(samples, at = new Date(), intervals = STORED_INTERVALS) {
+  const operations = [];
+
+  for (const { stockId, price, volume } of samples) {
+    const value = Number(price);
+    if (!stockId || !Number.isFinite(value) || value <= 0) continue;
+
+    for (const interval of intervals) {
+      const update = {
+        $setOnInsert: { open: value },
+        $max: { high: value },
+        $min: { low: value },
+        $set: { close: value },
+        $inc: { sampleCount: 1 }
+      };
+      if (interval === '1d' && Number.isFinite(Number(volume))) {
+        update.$max.volume = Number(volume);
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { stockSymbol: stockId, interval, timestamp: this.getBucketStart(interval, at) },
+          update,
+          upsert: true
+        }
+      });
+    }
+  }
+
+  if (!operations.length) {
+    return { written: 0 };
+  }
+
+  const result = await this.bulkWrite(operations, { ordered: false });
+  return { written: (result.upsertedCount || 0) + (result.modifiedCount || 0) };
+};
+
+/**
+ * Get OHLCV bars for a symbol, aggregating 1m bars into 5m/1h (and into 1d
+ * when no daily bars were stored for the range).
+ */
+PriceBarSchema.statics.getBars = async function(stockId, interval, from, to) {
+  const size = INTERVALS[interval];
+  if (!size) {
+    throw new Error(`Unsupported interval: ${interval}`);
+  }
+
+  const stockSymbol = new mongoose.Types.ObjectId(stockId);
+  const range = { $gte: this.getBucketStart(interval, from), $lte: to };
+  const projection = 'timestamp open high low close volume sampleCount -_id';
+
+  if (STORED_INTERVALS.includes(interval)) {
+    const stored = await this.find({ stockSymbol, interval, timestamp: range })
+      .sort({ timestamp: 1 })
+      .select(projection)
+      .lean();
+    if (stored.length || interval === '1m') {
+      return { source: interval, bars: stored };
+    }
+  }
+
+  const offset = interval === '1d' ? IST_OFFSET_MS : 0;
+  const epoch = { $toLong: '$timestamp' };
+  const bars = await this.aggregate([
+    { $match: { stockSymbol, interval: '1m', timestamp: range } },
+    { $sort: { timestamp: 1 } },
+    {
+      $group: {
+        _id: { $subtract: [epoch, { $mod: [{ $add: [epoch, offset] }, size] }] },
+        open: { $first: '$open' },
+        high: { $max: '$high' },
+        low: { $min: '$low' },
+        close: { $last: '$close' },
+        sampleCount: { $sum: '$sampleCount' }
+      }
+    },
+    { $sort: { _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        timestamp: { $toDate: '$_id' },
+        open: 1,
+        high: 1,
+        low: 1,
+        close: 1,
+        sampleCount: 1
+      }
+    }
+  ]);
+
+  return { source: '1m', bars };
+};
+
+PriceBarSchema.statics.INTERVALS = INTERVALS;
+PriceBarSchema.statics.STORED_INTERVALS = STORED_INTERVALS;
+PriceBarSchema.statics.MINUTE_BAR_RETENTION_SECONDS = MINUTE_BAR_RETENTION_SECONDS;
+
+module.exports = mongoose.model('PriceBar', PriceBarSchema);
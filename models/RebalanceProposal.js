@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Target allocation supplied by the admin; anything held but not listed targets 0%
+const rebalanceTargetSchema = new Schema({
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  weight: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  sector: {
+    type: String,
+    trim: true
+  },
+  stockCapType: {
+    type: String,
+    enum: ['small cap', 'mid cap', 'large cap', 'micro cap', 'mega cap']
+  }
+}, { _id: false });
+
+// One proposed order
+const rebalanceTradeSchema = new Schema({
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  side: {
+    type: String,
+    enum: ['buy', 'sell'],
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Sells only: whether the whole position is closed
+  saleType: {
+    type: String,
+    enum: ['partial', 'complete']
+  },
+  sector: {
+    type: String
+  },
+  stockCapType: {
+    type: String
+  },
+  currentWeight: {
+    type: Number,
+    default: 0
+  },
+  targetWeight: {
+    type: Number,
+    default: 0
+  },
+  projectedWeight: {
+    type: Number,
+    default: 0
+  },
+  // Realized P&L for sells / averaged buy price for buys, from the simulation
+  profitLoss: {
+    type: Number
+  },
+  averageBuyPrice: {
+    type: Number
+  }
+}, { _id: false });
+
+const RebalanceProposalSchema = new Schema({
+  portfolio: {
+    type: Schema.Types.ObjectId,
+    ref: 'Portfolio',
+    required: true,
+    index: true
+  },
+  portfolioName: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'applied', 'rejected', 'superseded', 'failed'],
+    default: 'draft',
+    index: true
+  },
+  targets: {
+    type: [rebalanceTargetSchema],
+    default: []
+  },
+  trades: {
+    type: [rebalanceTradeSchema],
+    default: []
+  },
+  // Portfolio state the proposal was computed against
+  summary: {
+    portfolioValue: { type: Number, default: 0 },
+    cashBefore: { type: Number, default: 0 },
+    cashAfter: { type: Number, default: 0 },
+    totalBuyAmount: { type: Number, default: 0 },
+    totalSellAmount: { type: Number, default: 0 },
+    targetCashWeight: { type: Number, default: 0 },
+    projectedCashWeight: { type: Number, default: 0 }
+  },
+  pricesAsOf: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  nextRebalanceDate: {
+    type: Date
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  appliedAt: {
+    type: Date
+  },
+  rejectionReason: {
+    type: String,
+    trim: true
+  },
+  error: {
+    type: String
+  },
+  notification: {
+    recipients: { type: Number, default: 0 },
+    queuedAt: { type: Date }
+  }
+}, { timestamps: true });
+
+RebalanceProposalSchema.index({ portfolio: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('RebalanceProposal', RebalanceProposalSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const MISMATCH_TYPES = [
+  'paid_not_activated',
+  'missing_bill',
+  'activated_without_payment',
+  'amount_mismatch',
+  'not_settled'
+];
+const REMEDIATION_ACTIONS = ['activate', 'refund', 'refund_difference', 'generate_bill', 'cancel_subscription', 'dismiss'];
+const RESOLUTION_STATUSES = ['open', 'in_progress', 'resolved', 'dismissed'];
+
+const MismatchSchema = new Schema({
+  type: {
+    type: String,
+    enum: MISMATCH_TYPES,
+    required: true
+  },
+  message: String,
+  paymentId: String,
+  orderId: String,
+  user: { type: Schema.Types.ObjectId, ref: 'User' },
+  subscriptions: [{ type: Schema.Types.ObjectId, ref: 'Subscription' }],
+  bill: { type: Schema.Types.ObjectId, ref: 'Bill' },
+  // Rupees: captured at Razorpay, recorded in PaymentHistory, and what should have been captured
+  razorpayAmount: Number,
+  recordedAmount: Number,
+  expectedAmount: Number,
+  // Remediations offered for this mismatch
+  actions: [{ type: String, enum: REMEDIATION_ACTIONS }],
+  resolution: {
+    status: { type: String, enum: RESOLUTION_STATUSES, default: 'open' },
+    action: { type: String, enum: REMEDIATION_ACTIONS },
+    note: String,
+    // e.g. the refund or bill the action created
+    result: String,
+    error: String,
+    resolvedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    resolvedAt: Date
+  }
+});
+
+/**
+ * Result of matching Razorpay payments, orders and settlements for a date
+ * range against PaymentHistory, Subscription and Bill.
+ */
+const ReconciliationReportSchema = new Schema({
+  from: { type: Date, required: true },
+  to: { type: Date, required: true },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running',
+    index: true
+  },
+  // 'stub' when run against RAZORPAY_STUB_FILE
+  source: {
+    type: String,
+    enum: ['razorpay', 'stub'],
+    default: 'razorpay'
+  },
+  trigger: {
+    type: String,
+    enum: ['admin', 'schedule'],
+    default: 'admin'
+  },
+  requestedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  summary: {
+    payments: { type: Number, default: 0 },
+    capturedAmount: { type: Number, default: 0 },
+    orders: { type: Number, default: 0 },
+    subscriptionsChecked: { type: Number, default: 0 },
+    settlements: { type: Number, default: 0 },
+    settledAmount: { type: Number, default: 0 },
+    settlementFees: { type: Number, default: 0 },
+    settledPayments: { type: Number, default: 0 },
+    mismatches: { type: Number, default: 0 },
+    byType: { type: Map, of: Number, default: {} }
+  },
+  mismatches: [MismatchSchema],
+  error: String,
+  startedAt: { type: Date, default: Date.now },
+  completedAt: Date
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+ReconciliationReportSchema.index({ createdAt: -1 });
+
+ReconciliationReportSchema.statics.MISMATCH_TYPES = MISMATCH_TYPES;
+ReconciliationReportSchema.statics.REMEDIATION_ACTIONS = REMEDIATION_ACTIONS;
+ReconciliationReportSchema.statics.RESOLUTION_STATUSES = RESOLUTION_STATUSES;
+
+module.exports = mongoose.model('ReconciliationReport', ReconciliationReportSchema);
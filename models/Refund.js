@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const REFUND_STATUSES = ['pending', 'processed', 'failed'];
+// What happens to the subscriptions the payment bought
+const SUBSCRIPTION_ACTIONS = ['cancel', 'shorten', 'none'];
+
+/**
+ * Refund of a Razorpay payment, issued by an admin or picked up from the
+ * refund webhooks when it was made in the Razorpay dashboard.
+ * Subscriptions, Telegram access and the credit note are only touched once
+ * Razorpay reports the refund as processed (`appliedAt`).
+ */
+const RefundSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  paymentId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  orderId: String,
+  razorpayRefundId: String,
+  // Rupees
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  paymentAmount: Number,
+  type: {
+    type: String,
+    enum: ['full', 'partial'],
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  speed: {
+    type: String,
+    enum: ['normal', 'optimum'],
+    default: 'normal'
+  },
+  status: {
+    type: String,
+    enum: REFUND_STATUSES,
+    default: 'pending',
+    index: true
+  },
+  source: {
+    type: String,
+    enum: ['admin', 'razorpay_dashboard'],
+    default: 'admin'
+  },
+  subscriptionAction: {
+    type: String,
+    enum: SUBSCRIPTION_ACTIONS,
+    required: true
+  },
+  subscriptions: [{ type: Schema.Types.ObjectId, ref: 'Subscription' }],
+  // Expiry per subscription after a 'shorten'
+  shortenedTo: [{
+    subscription: { type: Schema.Types.ObjectId, ref: 'Subscription' },
+    from: Date,
+    to: Date
+  }],
+  bill: {
+    type: Schema.Types.ObjectId,
+    ref: 'Bill'
+  },
+  creditNote: {
+    type: Schema.Types.ObjectId,
+    ref: 'CreditNote'
+  },
+  requestedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  processedAt: Date,
+  appliedAt: Date,
+  failedAt: Date,
+  failureReason: String,
+  // Steps that failed after the refund was processed (credit note, Telegram)
+  followUpErrors: [String]
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+RefundSchema.index({ razorpayRefundId: 1 }, { unique: true, sparse: true });
+RefundSchema.index({ createdAt: -1 });
+
+RefundSchema.statics.REFUND_STATUSES = REFUND_STATUSES;
+RefundSchema.statics.SUBSCRIPTION_ACTIONS = SUBSCRIPTION_ACTIONS;
+
+module.exports = mongoose.model('Refund', RefundSchema);
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Position state captured on a ledger entry (null/absent means no position)
+const holdingSnapshotSchema = new Schema({
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  sector: {
+    type: String
+  },
+  stockCapType: {
+    type: String
+  },
+  status: {
+    type: String
+  },
+  quantity: {
+    type: Number,
+    default: 0
+  },
+  buyPrice: {
+    type: Number,
+    default: 0
+  },
+  originalBuyPrice: {
+    type: Number
+  },
+  realizedPnL: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+/**
+ * Immutable record of every change to a portfolio's holdings or cash.
+ * Entries are numbered per portfolio and written in the same MongoDB
+ * transaction as the portfolio update, so replaying them in sequence
+ * rebuilds holdings and cashBalance.
+ */
+const TradeLedgerSchema = new Schema({
+  portfolio: {
+    type: Schema.Types.ObjectId,
+    ref: 'Portfolio',
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  type: {
+    type: String,
+    enum: ['opening_balance', 'buy', 'sell', 'cash_adjustment', 'holding_adjustment'],
+    required: true
+  },
+  // Code path that produced the entry
+  source: {
+    type: String,
+    enum: [
+      'portfolio_create', 'portfolio_update', 'stock_sale', 'rebalance',
+      'corporate_action', 'ledger_opening'
+    ],
+    required: true
+  },
+  symbol: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  price: {
+    type: Number,
+    default: 0
+  },
+  // Gross trade value (quantity x price)
+  amount: {
+    type: Number,
+    default: 0
+  },
+  // Signed change to cashBalance applied by this entry
+  cashChange: {
+    type: Number,
+    default: 0
+  },
+  realizedPnL: {
+    type: Number,
+    default: 0
+  },
+  before: {
+    cashBalance: { type: Number, default: 0 },
+    holding: { type: holdingSnapshotSchema, default: null }
+  },
+  after: {
+    cashBalance: { type: Number, default: 0 },
+    holding: { type: holdingSnapshotSchema, default: null }
+  },
+  // Full position list, opening_balance entries only
+  holdings: {
+    type: [holdingSnapshotSchema],
+    default: undefined
+  },
+  // Related document (rebalance proposal, corporate action)
+  reference: {
+    kind: { type: String },
+    id: { type: Schema.Types.ObjectId }
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  executedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  executedByEmail: {
+    type: String
+  },
+  executedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+TradeLedgerSchema.index({ portfolio: 1, sequence: 1 }, { unique: true });
+TradeLedgerSchema.index({ portfolio: 1, symbol: 1, sequence: 1 });
+
+// Entries are append-only
+const rejectMutation = function(next) {
+  next(new Error('Trade ledger entries are immutable'));
+};
+
+TradeLedgerSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Trade ledger entries are immutable'));
+  }
+  next();
+});
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+].forEach(operation => {
+  TradeLedgerSchema.pre(operation, rejectMutation);
+});
+
+module.exports = mongoose.model('TradeLedger', TradeLedgerSchema);
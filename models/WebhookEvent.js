@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const WEBHOOK_STATUSES = ['received', 'processing', 'processed', 'ignored', 'failed', 'rejected'];
+
+/**
+ * Every webhook delivery received from Razorpay, kept so events are processed
+ * once, retried from the store when a handler fails and can be replayed.
+ * Deliveries that fail the signature check are kept as `rejected` without a
+ * `dedupeKey`, so a forged request can never block the genuine event.
+ */
+const WebhookEventSchema = new Schema({
+  provider: {
+    type: String,
+    enum: ['razorpay'],
+    default: 'razorpay'
+  },
+  // x-razorpay-event-id, or a hash of the body when the header is missing
+  eventId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Set to the event id once the signature checks out
+  dedupeKey: String,
+  event: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Payment, subscription or refund the event is about
+  entityId: {
+    type: String,
+    index: true
+  },
+  payload: {
+    type: Schema.Types.Mixed,
+    required: true
+  },
+  // false also when no webhook secret is configured
+  signatureValid: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: WEBHOOK_STATUSES,
+    default: 'received',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  // Why an event was ignored or deferred
+  note: String,
+  nextAttemptAt: Date,
+  processingStartedAt: Date,
+  processedAt: Date,
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Most recent attempts, newest last
+  history: [{
+    _id: false,
+    attempt: Number,
+    startedAt: Date,
+    finishedAt: Date,
+    outcome: { type: String, enum: ['processed', 'ignored', 'deferred', 'failed'] },
+    error: String,
+    replay: Boolean
+  }],
+  replayCount: {
+    type: Number,
+    default: 0
+  },
+  lastReplayedAt: Date,
+  lastReplayedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+WebhookEventSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+WebhookEventSchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookEventSchema.index({ receivedAt: -1 });
+
+WebhookEventSchema.statics.WEBHOOK_STATUSES = WEBHOOK_STATUSES;
+
+module.exports = mongoose.model('WebhookEvent', WebhookEventSchema);
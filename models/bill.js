@@ -40,7 +40,8 @@ const BillSchema = new Schema({
     email: { type: String, required: true },
     phone: String,
     address: String,
-    panDetails: String
+    panDetails: String,
+    state: String
   },
   
   // Product/Service details
@@ -51,14 +52,39 @@ const BillSchema = new Schema({
     planType: { type: String, enum: ["monthly", "quarterly", "yearly"], required: true },
     quantity: { type: Number, default: 1 },
     unitPrice: { type: Number, required: true },
-    totalPrice: { type: Number, required: true }
+    totalPrice: { type: Number, required: true },
+    sacCode: String
   }],
   
+  // Credits (negative) or charges on top of the items, e.g. proration credit on a plan change
+  adjustments: [{
+    description: { type: String, required: true },
+    amount: { type: Number, required: true }
+  }],
+
   // Financial details
   subtotal: { type: Number, required: true },
-  taxRate: { type: Number, default: 0 }, // No GST
-  taxAmount: { type: Number, default: 0 }, // No GST
+  taxRate: { type: Number, default: 0 },
+  taxAmount: { type: Number, default: 0 },
   totalAmount: { type: Number, required: true },
+
+  // GST breakup; see utils/gst
+  gst: {
+    gstin: String, // Supplier GSTIN at the time of billing
+    pricingMode: { type: String, enum: ["inclusive", "exclusive"] },
+    supplyType: { type: String, enum: ["intra_state", "inter_state"] },
+    placeOfSupply: String,
+    taxableValue: Number,
+    cgstRate: { type: Number, default: 0 },
+    cgstAmount: { type: Number, default: 0 },
+    sgstRate: { type: Number, default: 0 },
+    sgstAmount: { type: Number, default: 0 },
+    igstRate: { type: Number, default: 0 },
+    igstAmount: { type: Number, default: 0 }
+  },
+
+  // Total of credit notes issued against this bill
+  creditedAmount: { type: Number, default: 0 },
   
   // Payment details
   paymentId: String,
@@ -84,6 +110,8 @@ const BillSchema = new Schema({
   
   // Additional metadata
   notes: String,
+  // Number before a duplicate was renumbered by the numbering repair
+  renumberedFrom: String,
   isRenewal: { type: Boolean, default: false },
   previousBillId: { type: Schema.Types.ObjectId, ref: "Bill" }
 }, { 
@@ -91,40 +119,6 @@ const BillSchema = new Schema({
   toJSON: { virtuals: true }
 });
 
-// Generate bill number before validation so required validator passes
-BillSchema.pre('validate', async function(next) {
-  if (!this.billNumber) {
-    try {
-      const year = new Date().getFullYear();
-      const month = String(new Date().getMonth() + 1).padStart(2, '0');
-      
-      // Count existing bills for this month using a more reliable method
-      const count = await this.constructor.countDocuments({
-        billDate: {
-          $gte: new Date(year, new Date().getMonth(), 1),
-          $lt: new Date(year, new Date().getMonth() + 1, 1)
-        }
-      });
-      
-      this.billNumber = `INV-${year}${month}-${String(count + 1).padStart(4, '0')}`;
-      
-      console.log(`Generated bill number: ${this.billNumber} (count: ${count})`);
-    } catch (error) {
-      console.error('Error generating bill number:', error);
-      // Fallback bill number
-      this.billNumber = `INV-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    }
-  }
-  
-  // Ensure billNumber is always set
-  if (!this.billNumber) {
-    this.billNumber = `INV-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    console.log(`Fallback bill number generated: ${this.billNumber}`);
-  }
-  
-  next();
-});
-
 // Indexes for performance
 BillSchema.index({ user: 1, billDate: -1 });
 BillSchema.index({ billNumber: 1 }, { unique: true });
@@ -16,7 +16,7 @@ const ConfigSettingsSchema = new Schema({
   category: {
     type: String,
     required: true,
-    enum: ['smtp', 'payment', 'general', 'security', 'digio', 'other'],
+    enum: ['smtp', 'payment', 'general', 'security', 'digio', 'fmp_api', 'market_data', 'other'],
     index: true
   },
   description: {
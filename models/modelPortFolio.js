@@ -152,8 +152,18 @@ const StockHoldingSchema = new Schema({
     },
     action: {
       type: String,
-      enum: ['buy', 'sell', 'partial_sell', 'complete_sell'],
+      enum: ['buy', 'sell', 'partial_sell', 'complete_sell', 'split', 'bonus', 'dividend'],
       required: true
+    },
+    // Set for entries written by the corporate actions processor
+    corporateAction: {
+      type: Schema.Types.ObjectId,
+      ref: 'CorporateAction',
+      required: false
+    },
+    note: {
+      type: String,
+      required: false
     }
   }],
   soldDate: {
@@ -267,6 +277,32 @@ const youTubeLinkSchema = new Schema({
   }
 }, { _id: false });
 
+// Rolling trailing returns (percent); null until the series covers the window
+const rollingReturnsSchema = new Schema({
+  oneMonth: { type: Number, default: null },
+  threeMonth: { type: Number, default: null },
+  sixMonth: { type: Number, default: null },
+  oneYear: { type: Number, default: null }
+}, { _id: false });
+
+// Return and risk metrics computed from the PriceLog series by
+// services/portfolioPerformanceService. All figures are percentages.
+const performanceMetricsSchema = new Schema({
+  twr: { type: Number, default: null },
+  xirr: { type: Number, default: null },
+  cagr: { type: Number, default: null },
+  returns: { type: rollingReturnsSchema, default: () => ({}) },
+  maxDrawdown: { type: Number, default: null },
+  volatility: { type: Number, default: null },
+  sharpeRatio: { type: Number, default: null },
+  riskFreeRate: { type: Number, default: null },
+  netExternalFlows: { type: Number, default: 0 },
+  inceptionDate: { type: Date },
+  asOf: { type: Date },
+  dataPoints: { type: Number, default: 0 },
+  calculatedAt: { type: Date }
+}, { _id: false });
+
 const historicalValueSchema = new Schema({
   date: {
     type: Date,
@@ -278,6 +314,19 @@ const historicalValueSchema = new Schema({
   }
 }, { _id: false });
 
+// Check if a benchmark exists by either symbol name or StockSymbol ID
+const benchmarkSymbolExists = async (value) => {
+  const StockSymbol = mongoose.model('StockSymbol');
+  
+  // If it looks like a MongoDB ObjectId, check by ID
+  if (/^[0-9a-fA-F]{24}$/.test(value)) {
+    return StockSymbol.exists({ _id: value });
+  }
+  
+  // Otherwise check by symbol name
+  return StockSymbol.exists({ symbol: value });
+};
+
 // Main Portfolio Schema
 const PortfolioSchema = new Schema({
   name: {
@@ -389,23 +438,26 @@ const PortfolioSchema = new Schema({
     validate: {
       validator: async function(value) {
         if (!value) return true; // Allow empty value
-        
-        // Check if the referenced symbol exists by either symbol name or ID
-        const StockSymbol = mongoose.model('StockSymbol');
-        
-        // If it looks like a MongoDB ObjectId, check by ID
-        if (/^[0-9a-fA-F]{24}$/.test(value)) {
-          const symbolExistsById = await StockSymbol.exists({ _id: value });
-          return symbolExistsById;
-        }
-        
-        // Otherwise check by symbol name
-        const symbolExistsByName = await StockSymbol.exists({ symbol: value });
-        return symbolExistsByName;
+        return benchmarkSymbolExists(value);
       },
       message: props => `Benchmark symbol "${props.value}" does not exist in stock symbols`
     }
   },
+  // Extra benchmarks (symbol or StockSymbol ID) for benchmark-relative analytics;
+  // compareWith stays the primary benchmark recorded on each PriceLog
+  additionalBenchmarks: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: async function(values) {
+        for (const value of values || []) {
+          if (!(await benchmarkSymbolExists(value))) return false;
+        }
+        return true;
+      },
+      message: 'One or more additional benchmark symbols do not exist in stock symbols'
+    }
+  },
 
   holdings: {
     type: [StockHoldingSchema],
@@ -478,6 +530,10 @@ const PortfolioSchema = new Schema({
   historicalValues: {
     type: [historicalValueSchema],
     default: []
+  },
+  performanceMetrics: {
+    type: performanceMetricsSchema,
+    required: false
   }
 }, { 
   timestamps: true,
@@ -716,8 +772,22 @@ const MINIMUM_DATA_REQUIREMENTS = {
   'cagr': 730 // CAGR requires 2 years (730 days)
 };
 
-// CAGR calculation
+// Maps calculatePeriodGain periods to the computed rolling returns
+const ROLLING_RETURN_FIELDS = {
+  30: 'oneMonth',
+  90: 'threeMonth',
+  180: 'sixMonth',
+  365: 'oneYear'
+};
+
+const formatPercent = (value) => `${value.toFixed(2)}%`;
+
+// CAGR calculation (prefers the cash-flow adjusted figure from performanceMetrics)
 PortfolioSchema.methods.calculateCAGR = function() {
+  if (typeof this.performanceMetrics?.cagr === 'number') {
+    return formatPercent(this.performanceMetrics.cagr);
+  }
+
   const minDays = MINIMUM_DATA_REQUIREMENTS.cagr;
   if (this.daysSinceCreation < minDays) return "0%";
   if (!this.minInvestment || this.minInvestment <= 0) return "0%";
@@ -759,6 +829,12 @@ PortfolioSchema.methods.addHistoricalValue = function(value) {
 
 // Period gain calculation with minimum data requirements
 PortfolioSchema.methods.calculatePeriodGain = function(periodDays) {
+  const rollingField = ROLLING_RETURN_FIELDS[periodDays];
+  const rolling = rollingField && this.performanceMetrics?.returns?.[rollingField];
+  if (typeof rolling === 'number') {
+    return formatPercent(rolling);
+  }
+
   const minDays = MINIMUM_DATA_REQUIREMENTS[periodDays] || 1;
   
   // Return 0% if minimum data not met
@@ -44,6 +44,12 @@ const PaymentHistorySchema = new Schema({
     default: 'PENDING',
     index: true
   },
+  // Total refunded against this payment; status becomes 'refunded' once it is all returned
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   // Additional fields for better tracking
   paymentMethod: {
     type: String,
@@ -1,11 +1,47 @@
 const mongoose = require("mongoose");
 const { Schema } = mongoose;
+const { parsePrice, parsePriceRange, parsePercent, parseLevel } = require("../utils/tipLevelParser");
 
 const downloadLinksSchema = new Schema({
   name: { type: String, required: true },
   url: { type: String, required: true },
 }, { _id: true }); 
 
+// Numeric levels parsed from the free-text fields plus live tracking state
+const tipTrackingSchema = new Schema({
+  buyRangeLow: Number,
+  buyRangeHigh: Number,
+  targetPrice: Number,
+  targetPercentage: Number,
+  stopLoss: Number,
+  // Percent below the entry price, for levels entered as "5%"
+  stopLossPercentage: Number,
+  addMoreAt: Number,
+  addMorePercentage: Number,
+  exitPrice: Number,
+  exitPercentage: Number,
+  // Unset on tips created before tracking; the next save parses every level
+  levelsParsedAt: Date,
+  entryPrice: Number,
+  entryPriceSource: { type: String, enum: ["buy_range", "market"] },
+  lastPrice: Number,
+  lastPriceAt: Date,
+  highestPrice: Number,
+  lowestPrice: Number,
+  // Live return while Active, realized return once Closed
+  returnPercent: Number,
+  targetHit: { type: Boolean, default: false },
+  targetHitAt: Date,
+  stopLossHit: { type: Boolean, default: false },
+  stopLossHitAt: Date,
+  addMoreHit: { type: Boolean, default: false },
+  addMoreHitAt: Date,
+  // Set when the price feed closed the tip rather than an admin
+  autoClosed: { type: Boolean, default: false },
+  closedAt: Date,
+  holdingDays: Number
+}, { _id: false });
+
 const TipSchema = new Schema(
   {
     portfolio: {
@@ -74,6 +110,11 @@ const TipSchema = new Schema(
     exitPrice:String,
     exitStatus:String,
     exitStatusPercentage: String,
+    stopLoss: String,
+    tracking: {
+      type: tipTrackingSchema,
+      default: () => ({})
+    },
   downloadLinks: { 
       type: [downloadLinksSchema],
       default: [] 
@@ -84,4 +125,90 @@ const TipSchema = new Schema(
 
 );
 
+TipSchema.index({ status: 1, category: 1, horizon: 1 });
+
+// Free-text field -> parsed tracking fields
+const LEVEL_PARSERS = {
+  buyRange: (value) => {
+    const range = parsePriceRange(value);
+    return { buyRangeLow: range ? range.low : null, buyRangeHigh: range ? range.high : null };
+  },
+  targetPrice: (value) => ({ targetPrice: parsePrice(value) }),
+  targetPercentage: (value) => ({ targetPercentage: parsePercent(value) }),
+  stopLoss: (value) => {
+    const level = parseLevel(value);
+    return { stopLoss: level.price, stopLossPercentage: level.percent };
+  },
+  addMoreAt: (value) => {
+    const level = parseLevel(value);
+    return { addMoreAt: level.price, addMorePercentage: level.percent };
+  },
+  exitPrice: (value) => ({ exitPrice: parsePrice(value) }),
+  exitStatusPercentage: (value) => ({ exitPercentage: parsePercent(value) })
+};
+
+// Parse changed levels (or all of them on tips never parsed) into tracking
+TipSchema.methods.syncLevels = function () {
+  const parseAll = this.isNew || !(this.tracking && this.tracking.levelsParsedAt);
+  Object.entries(LEVEL_PARSERS).forEach(([field, parse]) => {
+    if (parseAll || this.isModified(field)) {
+      Object.entries(parse(this[field])).forEach(([key, value]) => {
+        this.set(`tracking.${key}`, value);
+      });
+    }
+  });
+  if (parseAll) this.set("tracking.levelsParsedAt", new Date());
+  return this;
+};
+
+// Hit and close state cleared when a Closed tip is reopened; parsed levels and the entry price stay.
+// The exit fields are kept when the reopening update sets them itself.
+const REOPEN_RESET = {
+  "tracking.targetHit": false,
+  "tracking.targetHitAt": null,
+  "tracking.stopLossHit": false,
+  "tracking.stopLossHitAt": null,
+  "tracking.addMoreHit": false,
+  "tracking.addMoreHitAt": null,
+  "tracking.autoClosed": false,
+  "tracking.closedAt": null,
+  "tracking.holdingDays": null,
+  "tracking.returnPercent": null
+};
+const REOPEN_EXIT_FIELDS = ["exitPrice", "exitStatus", "exitStatusPercentage"];
+
+TipSchema.pre("save", function (next) {
+  if (!this.isNew && this.isModified("status") && this.status === "Active") {
+    Object.entries(REOPEN_RESET).forEach(([path, value]) => this.set(path, value));
+    REOPEN_EXIT_FIELDS.filter(field => !this.isModified(field)).forEach(field => this.set(field, null));
+  }
+  this.syncLevels();
+  next();
+});
+
+// Keep parsed levels in sync for findByIdAndUpdate (tipsController.updateTip)
+TipSchema.pre("findOneAndUpdate", async function () {
+  const update = this.getUpdate() || {};
+  const fields = { ...update, ...(update.$set || {}) };
+
+  if (fields.status === "Active") {
+    const current = await this.model.findOne(this.getQuery()).select("status").lean();
+    if (current && current.status === "Closed") {
+      Object.entries(REOPEN_RESET).forEach(([path, value]) => this.set(path, value));
+      REOPEN_EXIT_FIELDS.filter(field => fields[field] === undefined).forEach(field => {
+        this.set(field, null);
+        fields[field] = null;
+      });
+    }
+  }
+
+  Object.entries(LEVEL_PARSERS).forEach(([field, parse]) => {
+    if (fields[field] !== undefined) {
+      Object.entries(parse(fields[field])).forEach(([key, value]) => {
+        this.set(`tracking.${key}`, value);
+      });
+    }
+  });
+});
+
 module.exports = mongoose.model("Tip", TipSchema);
\ No newline at end of file
@@ -55,7 +55,8 @@ const SubscriptionSchema = new Schema({
   status: {
     type: String,
     required: true,
-    enum: ["pending", "active", "expired", "cancelled"],
+    // "paused" while Razorpay has a recurring subscription paused
+    enum: ["pending", "active", "paused", "expired", "cancelled"],
     default: "pending"
   },
   category: {
@@ -107,6 +108,11 @@ discountApplied: {
   paymentId: String,
   orderId: String,
   razorpaySubscriptionId: String,
+
+  cancelledAt: Date,
+  pausedAt: Date,
+  // e.g. "Renewed", "plan_change"
+  cancelReason: String,
   
   // Bundle reference
   bundleId: {
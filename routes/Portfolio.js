@@ -364,6 +364,12 @@ const portfolioService = require('../services/portfolioservice');
  *           type: string
  *           description: Benchmark symbol or ID to compare performance against
  *           example: "NIFTY50"
+ *         additionalBenchmarks:
+ *           type: array
+ *           description: Extra benchmark symbols or IDs used by benchmark analytics
+ *           items:
+ *             type: string
+ *           example: ["SENSEX", "NIFTYMIDCAP150"]
  *         holdings:
  *           type: array
  *           items:
@@ -518,6 +524,631 @@ router.get('/portfolios', requireAdmin, portfolioController.getAllPortfolios);
  */
 router.get('/portfolios/:id/price-history', portfolioController.getPortfolioPriceHistory);
 
+/**
+ * @swagger
+ * /api/portfolios/{id}/benchmark-analytics:
+ *   get:
+ *     summary: Get benchmark-relative analytics for a portfolio
+ *     description: |
+ *       Compares the portfolio's flow-adjusted daily returns with its benchmarks
+ *       (compareWith plus additionalBenchmarks, or the `benchmarks` query list).
+ *       Alpha (annualized Jensen's alpha), beta, correlation, tracking error,
+ *       information ratio and up/down capture need at least 20 paired daily
+ *       returns and are null otherwise. Series are rebased to 100 at the start
+ *       of the period. All figures except beta, correlation and information ratio are percentages.
+ *     tags: [Portfolios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Portfolio ID
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [1m, 3m, 6m, 1y, 3y, all]
+ *           default: 1y
+ *         description: Lookback period (ignored when startDate is given)
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: benchmarks
+ *         schema:
+ *           type: string
+ *         description: Comma-separated benchmark symbols or IDs (e.g. NIFTY50,SENSEX)
+ *     responses:
+ *       200:
+ *         description: Benchmark analytics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 portfolioId:
+ *                   type: string
+ *                 period:
+ *                   type: string
+ *                 riskFreeRate:
+ *                   type: number
+ *                 portfolioSeries:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                         format: date-time
+ *                       value:
+ *                         type: number
+ *                 benchmarks:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       symbol:
+ *                         type: string
+ *                         example: "NIFTY50"
+ *                       primary:
+ *                         type: boolean
+ *                       metrics:
+ *                         type: object
+ *                         properties:
+ *                           observations:
+ *                             type: integer
+ *                           portfolioReturn:
+ *                             type: number
+ *                           benchmarkReturn:
+ *                             type: number
+ *                           excessReturn:
+ *                             type: number
+ *                           alpha:
+ *                             type: number
+ *                           beta:
+ *                             type: number
+ *                           correlation:
+ *                             type: number
+ *                           trackingError:
+ *                             type: number
+ *                           informationRatio:
+ *                             type: number
+ *                           upCapture:
+ *                             type: number
+ *                           downCapture:
+ *                             type: number
+ *                       series:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             date:
+ *                               type: string
+ *                               format: date-time
+ *                             value:
+ *                               type: number
+ *                               nullable: true
+ *                       error:
+ *                         type: string
+ *                         description: Set when the benchmark symbol could not be resolved
+ *       400:
+ *         description: Invalid portfolio ID, period or date range
+ *       404:
+ *         description: Portfolio not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/portfolios/:id/benchmark-analytics', requireAdmin, portfolioController.getPortfolioBenchmarkAnalytics);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PortfolioAsOfHolding:
+ *       type: object
+ *       properties:
+ *         symbol:
+ *           type: string
+ *         sector:
+ *           type: string
+ *         stockCapType:
+ *           type: string
+ *         quantity:
+ *           type: number
+ *         buyPrice:
+ *           type: number
+ *           description: Average cost per share at the date
+ *         investmentValue:
+ *           type: number
+ *         price:
+ *           type: number
+ *         priceDate:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         priceSource:
+ *           type: string
+ *           enum: [daily_close, live, price_log, cost]
+ *           description: price_log when no daily close exists and the value is scaled from the PriceLog
+ *         marketValue:
+ *           type: number
+ *         unrealizedPnL:
+ *           type: number
+ *         weight:
+ *           type: number
+ *           description: Percent of total value (holdings + cash)
+ *     PortfolioAsOf:
+ *       type: object
+ *       properties:
+ *         portfolioId:
+ *           type: string
+ *         portfolioName:
+ *           type: string
+ *         asOf:
+ *           type: string
+ *           format: date-time
+ *         source:
+ *           type: string
+ *           enum: [ledger, history]
+ *           description: ledger when the trade ledger covers the date, otherwise priceHistory/saleHistory
+ *         holdings:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/PortfolioAsOfHolding'
+ *         cashBalance:
+ *           type: number
+ *         cashSource:
+ *           type: string
+ *           enum: [ledger, price_log, derived]
+ *         cashWeight:
+ *           type: number
+ *         holdingsValue:
+ *           type: number
+ *         totalValue:
+ *           type: number
+ *         valuationSource:
+ *           type: string
+ *           enum: [prices, price_log, mixed, cost]
+ *           description: >
+ *             prices when every holding has a daily close or live price; price_log when
+ *             none does and holdings are scaled to the PriceLog holdings value; mixed
+ *             when only some are scaled; cost when there was neither
+ *         priceLog:
+ *           type: object
+ *           nullable: true
+ *           description: Latest daily valuation logged on or before the date; values holdings without a daily close
+ *           properties:
+ *             date:
+ *               type: string
+ *               format: date-time
+ *             portfolioValue:
+ *               type: number
+ *             cashRemaining:
+ *               type: number
+ *         warnings:
+ *           type: array
+ *           items:
+ *             type: string
+ */
+
+/**
+ * @swagger
+ * /api/portfolios/{id}/as-of:
+ *   get:
+ *     summary: Reconstruct a portfolio at a past date
+ *     description: |
+ *       Returns holdings, weights, cash and valuation as they stood at the given date.
+ *       Holdings come from the trade ledger once it covers the date; before that they
+ *       are rebuilt from the current holdings by undoing later priceHistory entries and
+ *       restoring positions closed later (saleHistory). Cash comes from the ledger or
+ *       that day's PriceLog; holdings are valued at the stored daily close. Warnings list
+ *       anything that had to be assumed.
+ *     tags: [Portfolios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: YYYY-MM-DD (end of that IST day) or an ISO timestamp
+ *         example: "2025-03-31"
+ *     responses:
+ *       200:
+ *         description: Portfolio as of the date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PortfolioAsOf'
+ *       400:
+ *         description: Invalid portfolio ID or date, or date before the portfolio was created
+ *       404:
+ *         description: Portfolio not found
+ */
+router.get('/portfolios/:id/as-of', requireAdmin, portfolioController.getPortfolioAsOf);
+
+/**
+ * @swagger
+ * /api/portfolios/{id}/as-of/diff:
+ *   get:
+ *     summary: Compare a portfolio at two dates
+ *     description: |
+ *       Reconstructs the portfolio at both dates and reports added, removed,
+ *       increased and decreased positions, weight and cash changes, and the trades
+ *       recorded in between.
+ *     tags: [Portfolios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "2025-01-01"
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "2025-03-31"
+ *     responses:
+ *       200:
+ *         description: Differences between the two dates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     cashBefore:
+ *                       type: number
+ *                     cashAfter:
+ *                       type: number
+ *                     cashChange:
+ *                       type: number
+ *                     totalValueBefore:
+ *                       type: number
+ *                     totalValueAfter:
+ *                       type: number
+ *                     totalValueChange:
+ *                       type: number
+ *                     added:
+ *                       type: integer
+ *                     removed:
+ *                       type: integer
+ *                     increased:
+ *                       type: integer
+ *                     decreased:
+ *                       type: integer
+ *                 holdings:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       symbol:
+ *                         type: string
+ *                       change:
+ *                         type: string
+ *                         enum: [added, removed, increased, decreased, unchanged]
+ *                       quantityBefore:
+ *                         type: number
+ *                       quantityAfter:
+ *                         type: number
+ *                       quantityChange:
+ *                         type: number
+ *                       weightBefore:
+ *                         type: number
+ *                       weightAfter:
+ *                         type: number
+ *                       weightChange:
+ *                         type: number
+ *                 events:
+ *                   type: array
+ *                   description: Trades between the dates, from the ledger or priceHistory/saleHistory
+ *                   items:
+ *                     type: object
+ *                 before:
+ *                   $ref: '#/components/schemas/PortfolioAsOf'
+ *                 after:
+ *                   $ref: '#/components/schemas/PortfolioAsOf'
+ *       400:
+ *         description: Missing or invalid dates
+ *       404:
+ *         description: Portfolio not found
+ */
+router.get('/portfolios/:id/as-of/diff', requireAdmin, portfolioController.getPortfolioAsOfDiff);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LedgerHoldingSnapshot:
+ *       type: object
+ *       nullable: true
+ *       properties:
+ *         symbol:
+ *           type: string
+ *         sector:
+ *           type: string
+ *         stockCapType:
+ *           type: string
+ *         status:
+ *           type: string
+ *         quantity:
+ *           type: number
+ *         buyPrice:
+ *           type: number
+ *         realizedPnL:
+ *           type: number
+ *     TradeLedgerEntry:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         portfolio:
+ *           type: string
+ *         sequence:
+ *           type: integer
+ *           description: Per-portfolio replay order, starting at 1
+ *         type:
+ *           type: string
+ *           enum: [opening_balance, buy, sell, cash_adjustment, holding_adjustment]
+ *         source:
+ *           type: string
+ *           enum: [portfolio_create, portfolio_update, stock_sale, rebalance, corporate_action, ledger_opening]
+ *         symbol:
+ *           type: string
+ *         quantity:
+ *           type: number
+ *         price:
+ *           type: number
+ *         amount:
+ *           type: number
+ *         cashChange:
+ *           type: number
+ *         realizedPnL:
+ *           type: number
+ *         before:
+ *           type: object
+ *           properties:
+ *             cashBalance:
+ *               type: number
+ *             holding:
+ *               $ref: '#/components/schemas/LedgerHoldingSnapshot'
+ *         after:
+ *           type: object
+ *           properties:
+ *             cashBalance:
+ *               type: number
+ *             holding:
+ *               $ref: '#/components/schemas/LedgerHoldingSnapshot'
+ *         holdings:
+ *           type: array
+ *           description: Full position list (opening_balance only)
+ *           items:
+ *             $ref: '#/components/schemas/LedgerHoldingSnapshot'
+ *         reference:
+ *           type: object
+ *           properties:
+ *             kind:
+ *               type: string
+ *               example: RebalanceProposal
+ *             id:
+ *               type: string
+ *         note:
+ *           type: string
+ *         executedByEmail:
+ *           type: string
+ *         executedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/portfolios/{id}/ledger:
+ *   get:
+ *     summary: List trade ledger entries for a portfolio
+ *     description: |
+ *       Every buy, sell, cash adjustment and holding adjustment is written to an
+ *       append-only ledger in the same transaction as the portfolio update. A
+ *       portfolio's first ledgered change also records an opening_balance entry.
+ *     tags: [Trade Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: symbol
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [opening_balance, buy, sell, cash_adjustment, holding_adjustment]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 500
+ *     responses:
+ *       200:
+ *         description: Ledger entries, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TradeLedgerEntry'
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 pages:
+ *                   type: integer
+ *       400:
+ *         description: Invalid portfolio ID
+ *       404:
+ *         description: Portfolio not found
+ */
+router.get('/portfolios/:id/ledger', requireAdmin, portfolioController.getPortfolioLedger);
+
+/**
+ * @swagger
+ * /api/portfolios/{id}/ledger/verify:
+ *   get:
+ *     summary: Replay the ledger and compare it with stored holdings and cash
+ *     description: |
+ *       Rebuilds holdings and cash purely from ledger entries and lists every
+ *       quantity, buy price or cash difference against the stored portfolio.
+ *       Anomalies flag entries whose before-snapshot disagrees with the replay,
+ *       i.e. the portfolio was changed outside the ledger between those entries.
+ *     tags: [Trade Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Verification result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 initialized:
+ *                   type: boolean
+ *                 inSync:
+ *                   type: boolean
+ *                   nullable: true
+ *                 lastSequence:
+ *                   type: integer
+ *                 entryCount:
+ *                   type: integer
+ *                 differences:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       symbol:
+ *                         type: string
+ *                         nullable: true
+ *                       field:
+ *                         type: string
+ *                         enum: [quantity, buyPrice, cashBalance]
+ *                       ledger:
+ *                         type: number
+ *                       portfolio:
+ *                         type: number
+ *                 anomalies:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       sequence:
+ *                         type: integer
+ *                       type:
+ *                         type: string
+ *                       symbol:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *                 ledger:
+ *                   type: object
+ *                   properties:
+ *                     cashBalance:
+ *                       type: number
+ *                     holdings:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LedgerHoldingSnapshot'
+ *       400:
+ *         description: Invalid portfolio ID
+ *       404:
+ *         description: Portfolio not found
+ */
+router.get('/portfolios/:id/ledger/verify', requireAdmin, portfolioController.verifyPortfolioLedger);
+
+/**
+ * @swagger
+ * /api/portfolios/{id}/ledger/rebuild:
+ *   post:
+ *     summary: Rebuild holdings and cash from the trade ledger
+ *     description: |
+ *       Replaces the portfolio's active holdings and cashBalance with the replayed
+ *       ledger state in one transaction. Price history of symbols still held is
+ *       kept. Use after /ledger/verify reports drift.
+ *     tags: [Trade Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Portfolio rebuilt; returns the before and after state
+ *       400:
+ *         description: Invalid portfolio ID or portfolio has no ledger entries
+ *       404:
+ *         description: Portfolio not found
+ */
+router.post('/portfolios/:id/ledger/rebuild', requireAdmin, portfolioController.rebuildPortfolioFromLedger);
+
 
 /**
  * @swagger
@@ -680,6 +1311,130 @@ router.get('/portfolios/:id', requireAdmin, portfolioController.getPortfolioById
  */
 router.post('/portfolios', requireAdmin, portfolioController.createPortfolio);
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PortfolioUpdateDryRun:
+ *       type: object
+ *       description: >
+ *         Result of running the update in a transaction that is then aborted;
+ *         nothing is saved and no transaction logs are written
+ *       properties:
+ *         dryRun:
+ *           type: boolean
+ *           example: true
+ *         stockAction:
+ *           type: string
+ *           nullable: true
+ *           description: Null when the request does not touch holdings
+ *         wouldSucceed:
+ *           type: boolean
+ *           description: Always true; requests the update rejects get the same 400 as without dryRun
+ *         current:
+ *           type: object
+ *           properties:
+ *             cashBalance:
+ *               type: number
+ *             holdingsCount:
+ *               type: integer
+ *             currentValue:
+ *               type: number
+ *         projected:
+ *           type: object
+ *           properties:
+ *             holdings:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   symbol:
+ *                     type: string
+ *                   quantity:
+ *                     type: number
+ *                   buyPrice:
+ *                     type: number
+ *                   currentPrice:
+ *                     type: number
+ *                   investmentValueAtBuy:
+ *                     type: number
+ *                   investmentValueAtMarket:
+ *                     type: number
+ *                   unrealizedPnL:
+ *                     type: number
+ *                   realizedPnL:
+ *                     type: number
+ *                   weight:
+ *                     type: number
+ *                     description: Percent of projected total value, as the pre-save hook computes it
+ *             cashBalance:
+ *               type: number
+ *             cashChange:
+ *               type: number
+ *             holdingsValueAtBuy:
+ *               type: number
+ *             holdingsValueAtMarket:
+ *               type: number
+ *             totalValue:
+ *               type: number
+ *         trades:
+ *           type: array
+ *           description: Trade ledger entries the update would write
+ *           items:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [buy, sell, cash_adjustment, holding_adjustment]
+ *               symbol:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               price:
+ *                 type: number
+ *               amount:
+ *                 type: number
+ *               realizedPnL:
+ *                 type: number
+ *               cashBefore:
+ *                 type: number
+ *               cashAfter:
+ *                 type: number
+ *               note:
+ *                 type: string
+ *         realizedPnL:
+ *           type: number
+ *           description: Realized P&L of the sales in this request
+ *         fieldChanges:
+ *           type: object
+ *           additionalProperties:
+ *             type: object
+ *             properties:
+ *               from: {}
+ *               to: {}
+ *         validation:
+ *           type: object
+ *           properties:
+ *             errors:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             warnings:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             weights:
+ *               type: object
+ *               nullable: true
+ *             minInvestment:
+ *               type: object
+ *               nullable: true
+ *             tampering:
+ *               type: object
+ *               nullable: true
+ *               description: Present for update/replace requests where every submitted holding carries a numeric weight
+ */
+
 /**
  * @swagger
  * /api/portfolios/{id}:
@@ -706,6 +1461,11 @@ router.post('/portfolios', requireAdmin, portfolioController.createPortfolio);
  *       - Buy AAPL at ₹150, then buy again at ₹160 → Average price becomes ₹155
  *       - Sell AAPL at current market price ₹170 → Profit added to cash balance
  *       - Insufficient funds validation prevents overspending
+ *       
+ *       **Dry run:** pass `dryRun=true` (query or body) to run the update in a transaction
+ *       that is then aborted, and get the resulting holdings, cash balance, realized P&L and
+ *       the calculation validator's checks (weights, cash, minimum investment, tampering)
+ *       without saving anything. Requests the update rejects return the same 400.
  *     tags: [Portfolios]
  *     security:
  *       - bearerAuth: []
@@ -716,6 +1476,11 @@ router.post('/portfolios', requireAdmin, portfolioController.createPortfolio);
  *         schema:
  *           type: string
  *         description: Portfolio ID
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Run the update in a transaction that is rolled back
  *     requestBody:
  *       required: true
  *       content:
@@ -723,6 +1488,9 @@ router.post('/portfolios', requireAdmin, portfolioController.createPortfolio);
  *           schema:
  *             type: object
  *             properties:
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Same as the dryRun query parameter
  *               stockAction:
  *                 type: string
  *                 enum: [update, add, delete, replace, buy, sell]
@@ -821,7 +1589,9 @@ router.post('/portfolios', requireAdmin, portfolioController.createPortfolio);
  *                     saleType: "complete"
  *     responses:
  *       200:
- *         description: Portfolio updated successfully with operation details
+ *         description: |
+ *           Portfolio updated successfully with operation details. With `dryRun=true` the
+ *           response is `{ status, message }` merged with a PortfolioUpdateDryRun.
  *         content:
  *           application/json:
  *             schema:
@@ -1521,7 +2291,7 @@ router.post('/portfolios/:id/sell-stock', requireAdmin, async (req, res) => {
       symbol,
       quantityToSell,
       saleType
-    });
+    }, req.user);
 
     res.json({
       success: true,
@@ -4,6 +4,7 @@ const express = require("express");
 const router = express.Router();
 const passport = require("passport");
 const subscriptionController = require("../controllers/subscriptionController");
+const planChangeController = require("../controllers/planChangeController");
 const { validateSubscriptions } = require("../middleware/subscriptionValidator");
 
 
@@ -244,6 +245,16 @@ router.post("/verify", requireAuth, (req, res, next) => {
  *     description: |
  *       Receives payment status events from Razorpay for reliable verification.
  *       This endpoint should be set as a webhook in Razorpay dashboard.
+ *       Subscribe it to `refund.processed` and `refund.failed` as well, so
+ *       refunds made in the Razorpay dashboard cancel access and issue credit notes.
+ *
+ *       Every delivery is stored and acknowledged before it is processed in the
+ *       background. Redeliveries of an event id are acknowledged without being
+ *       processed again; failed events are retried and can be replayed from
+ *       `/api/admin/webhooks`. Handled events: subscription.activated,
+ *       subscription.authenticated, subscription.charged, subscription.cancelled,
+ *       subscription.halted, subscription.paused, subscription.resumed,
+ *       payment.captured, payment.failed, refund.processed, refund.failed.
  *     requestBody:
  *       required: true
  *       content:
@@ -252,9 +263,9 @@ router.post("/verify", requireAuth, (req, res, next) => {
  *             type: object
  *     responses:
  *       200:
- *         description: Webhook processed
+ *         description: Webhook stored; `duplicate` is true for a redelivered event
  *       400:
- *         description: Invalid webhook data
+ *         description: Invalid webhook signature or data
  */
 router.post(
   "/webhook",
@@ -530,6 +541,253 @@ router.post(
   subscriptionController.verifyEmandate
 );
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PlanChangeRequest:
+ *       type: object
+ *       required:
+ *         - subscriptionId
+ *         - productType
+ *         - productId
+ *         - planType
+ *       properties:
+ *         subscriptionId:
+ *           type: string
+ *           description: Any active subscription of the current plan (for a bundle, any of its portfolios)
+ *         productType:
+ *           type: string
+ *           enum: [Portfolio, Bundle]
+ *         productId:
+ *           type: string
+ *         planType:
+ *           type: string
+ *           enum: [monthly, quarterly, yearly]
+ *         timing:
+ *           type: string
+ *           enum: [immediate, end_of_term]
+ *           default: immediate
+ *           description: |
+ *             **immediate** (one-time subscriptions only): the unused days of the current term are
+ *             credited against the new price; credit beyond the new price becomes extra days.
+ *             **end_of_term**: the new plan starts when the current one expires. One-time
+ *             subscriptions pay the new price now; recurring ones are switched to the new plan by
+ *             Razorpay at the end of the billing cycle.
+ *       example:
+ *         subscriptionId: "615a2d4b87d9c34f7d4f8a12"
+ *         productType: "Bundle"
+ *         productId: "615a2d4b87d9c34f7d4f8a99"
+ *         planType: "yearly"
+ *         timing: "immediate"
+ *     PlanChangeProration:
+ *       type: object
+ *       properties:
+ *         totalDays:
+ *           type: integer
+ *           description: Length of the current term
+ *         remainingDays:
+ *           type: integer
+ *         credit:
+ *           type: number
+ *           description: Value of the unused days (amount × remainingDays / totalDays)
+ *         creditApplied:
+ *           type: number
+ *         extraDays:
+ *           type: integer
+ *           description: Days added to the new plan for credit beyond its price
+ *         amountDue:
+ *           type: number
+ *     PlanChange:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending_payment, scheduled, completed, cancelled, failed, expired]
+ *           description: Unpaid changes expire an hour after they are requested
+ *         timing:
+ *           type: string
+ *           enum: [immediate, end_of_term]
+ *         from:
+ *           type: object
+ *           description: productType, productId, productName, planType, amount, expiresAt
+ *         to:
+ *           type: object
+ *           description: productType, productId, productName, planType, price
+ *         proration:
+ *           $ref: '#/components/schemas/PlanChangeProration'
+ *         effectiveAt:
+ *           type: string
+ *           format: date-time
+ *         appliedAt:
+ *           type: string
+ *           format: date-time
+ *         razorpayOrderId:
+ *           type: string
+ *         newSubscriptions:
+ *           type: array
+ *           items:
+ *             type: string
+ *         bill:
+ *           type: string
+ *         failureReason:
+ *           type: string
+ *           description: Why the change failed, or the last error of a scheduled change that is being retried
+ */
+
+/**
+ * @swagger
+ * /api/subscriptions/plan-change/quote:
+ *   post:
+ *     summary: Price a plan upgrade, downgrade or billing-period change
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PlanChangeRequest'
+ *     responses:
+ *       200:
+ *         description: Current plan, target plan, proration and the new plan's start and expiry
+ *       400:
+ *         description: Invalid target, same plan, or an immediate change of a recurring subscription
+ *       404:
+ *         description: Active subscription or product not found
+ *       409:
+ *         description: A plan change is already pending, or the user already subscribes to the target
+ */
+router.post("/plan-change/quote", requireAuth, planChangeController.quotePlanChange);
+
+/**
+ * @swagger
+ * /api/subscriptions/plan-change:
+ *   post:
+ *     summary: Change subscription plan
+ *     description: |
+ *       When money is due the response includes a Razorpay `order`; pay it and confirm with
+ *       `/api/subscriptions/plan-change/verify` (or `/api/subscriptions/verify`). When the credit
+ *       covers the new plan it is applied at once. The current subscriptions are cancelled
+ *       (immediate) or expire (end of term), the new ones become active, and one-time changes are
+ *       billed with the proration credit as a line on the invoice.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PlanChangeRequest'
+ *     responses:
+ *       201:
+ *         description: Plan change created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 planChange:
+ *                   $ref: '#/components/schemas/PlanChange'
+ *                 order:
+ *                   type: object
+ *                   properties:
+ *                     orderId:
+ *                       type: string
+ *                     amount:
+ *                       type: integer
+ *                       description: In paisa
+ *                     currency:
+ *                       type: string
+ *       400:
+ *         description: Invalid request
+ *       404:
+ *         description: Active subscription or product not found
+ *       409:
+ *         description: A plan change is already pending, or the user already subscribes to the target
+ */
+router.post("/plan-change", requireAuth, planChangeController.requestPlanChange);
+
+/**
+ * @swagger
+ * /api/subscriptions/plan-change/verify:
+ *   post:
+ *     summary: Confirm payment of a plan change order
+ *     description: Immediate changes are applied; end-of-term changes become scheduled.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [paymentId, orderId, signature]
+ *             properties:
+ *               paymentId:
+ *                 type: string
+ *               orderId:
+ *                 type: string
+ *               signature:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment verified
+ *       400:
+ *         description: Invalid signature or amount mismatch
+ *       404:
+ *         description: Plan change not found
+ *       409:
+ *         description: Plan change is no longer awaiting payment
+ */
+router.post("/plan-change/verify", requireAuth, planChangeController.verifyPlanChange);
+
+/**
+ * @swagger
+ * /api/subscriptions/plan-changes:
+ *   get:
+ *     summary: List the user's plan changes, newest first
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Up to 50 plan changes
+ */
+router.get("/plan-changes", requireAuth, planChangeController.getPlanChanges);
+
+/**
+ * @swagger
+ * /api/subscriptions/plan-change/{id}:
+ *   delete:
+ *     summary: Withdraw a plan change that has not been applied
+ *     description: Recurring changes are withdrawn from Razorpay. Paid one-time changes cannot be withdrawn.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Plan change cancelled
+ *       404:
+ *         description: Plan change not found
+ *       409:
+ *         description: Already applied, cancelled or paid
+ */
+router.delete("/plan-change/:id", requireAuth, planChangeController.cancelPlanChange);
+
 /**
  * @swagger
  * /api/subscriptions/{subscriptionId}/cancel:
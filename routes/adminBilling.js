@@ -0,0 +1,365 @@
+const express = require('express');
+const router = express.Router();
+const adminBillingController = require('../controllers/adminBillingController');
+const requireAdmin = require('../middleware/requirreAdmin');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GstBreakup:
+ *       type: object
+ *       description: CGST + SGST for customers in the company's state, IGST otherwise
+ *       properties:
+ *         gstin:
+ *           type: string
+ *         supplyType:
+ *           type: string
+ *           enum: [intra_state, inter_state]
+ *         placeOfSupply:
+ *           type: string
+ *           example: Karnataka
+ *         cgstRate:
+ *           type: number
+ *         cgstAmount:
+ *           type: number
+ *         sgstRate:
+ *           type: number
+ *         sgstAmount:
+ *           type: number
+ *         igstRate:
+ *           type: number
+ *         igstAmount:
+ *           type: number
+ *     NumberingAudit:
+ *       type: object
+ *       properties:
+ *         series:
+ *           type: string
+ *         financialYear:
+ *           type: string
+ *           example: 2026-27
+ *         documents:
+ *           type: number
+ *         lastNumber:
+ *           type: string
+ *           example: INV-2627-00042
+ *         counter:
+ *           type: number
+ *           description: Last sequence number handed out
+ *         counterBehind:
+ *           type: boolean
+ *           description: The next number would collide with an existing one
+ *         duplicates:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               number:
+ *                 type: string
+ *               count:
+ *                 type: number
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *         missing:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: First 500 missing numbers
+ *         missingCount:
+ *           type: number
+ *         outOfSeries:
+ *           type: number
+ *           description: Documents dated in the year whose number does not follow the format
+ *         ok:
+ *           type: boolean
+ *     CreditNote:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         creditNoteNumber:
+ *           type: string
+ *           example: CN-2627-00001
+ *         bill:
+ *           type: string
+ *         billNumber:
+ *           type: string
+ *           description: Invoice the credit note is issued against
+ *         reason:
+ *           type: string
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               sacCode:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *         taxableValue:
+ *           type: number
+ *         taxAmount:
+ *           type: number
+ *         totalAmount:
+ *           type: number
+ *         gst:
+ *           $ref: '#/components/schemas/GstBreakup'
+ *         refundId:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [issued, cancelled]
+ *         creditNoteDate:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/admin/bills/numbering/audit:
+ *   get:
+ *     summary: Audit a document number series
+ *     description: >
+ *       Lists duplicate numbers, numbers missing from the sequence, documents
+ *       dated in the year but numbered outside the series, and whether the
+ *       counter lags behind the highest number issued.
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: series
+ *         schema:
+ *           type: string
+ *           enum: [invoice, credit_note]
+ *           default: invoice
+ *       - in: query
+ *         name: financialYear
+ *         schema:
+ *           type: string
+ *           example: 2026-27
+ *         description: April-March year; defaults to the current one
+ *     responses:
+ *       200:
+ *         description: Audit report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/NumberingAudit'
+ *       400:
+ *         description: Unknown series or invalid financial year
+ */
+router.get('/numbering/audit', requireAdmin, adminBillingController.auditNumbering);
+
+/**
+ * @swagger
+ * /api/admin/bills/numbering/repair:
+ *   post:
+ *     summary: Repair a document number series
+ *     description: >
+ *       Moves a lagging counter up to the highest number issued and gives every
+ *       duplicate except the oldest document a new number. Missing numbers are
+ *       reported but never filled. Runs as a dry run unless `apply` is true.
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               series:
+ *                 type: string
+ *                 enum: [invoice, credit_note]
+ *                 default: invoice
+ *               financialYear:
+ *                 type: string
+ *                 example: 2026-27
+ *               apply:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Audit before the repair and the actions taken (or planned)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     audit:
+ *                       $ref: '#/components/schemas/NumberingAudit'
+ *                     actions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           action:
+ *                             type: string
+ *                             enum: [advance_counter, renumber]
+ *                           id:
+ *                             type: string
+ *                           from:
+ *                             oneOf:
+ *                               - type: string
+ *                               - type: number
+ *                           to:
+ *                             oneOf:
+ *                               - type: string
+ *                               - type: number
+ *                             nullable: true
+ *                     applied:
+ *                       type: boolean
+ *       400:
+ *         description: Unknown series or invalid financial year
+ */
+router.post('/numbering/repair', requireAdmin, adminBillingController.repairNumbering);
+
+/**
+ * @swagger
+ * /api/admin/bills/{billId}/credit-notes:
+ *   get:
+ *     summary: List credit notes issued against a bill
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: billId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The bill's credited totals and its credit notes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 bill:
+ *                   type: object
+ *                   properties:
+ *                     billNumber:
+ *                       type: string
+ *                     totalAmount:
+ *                       type: number
+ *                     creditedAmount:
+ *                       type: number
+ *                     creditableAmount:
+ *                       type: number
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CreditNote'
+ *       404:
+ *         description: Bill not found
+ *   post:
+ *     summary: Issue a credit note against a bill
+ *     description: Credits the taxable value and GST in the bill's proportions. The total credited can never exceed the bill total.
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: billId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Amount to credit including GST; defaults to the uncredited balance
+ *               reason:
+ *                 type: string
+ *               sendEmail:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Credit note issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CreditNote'
+ *                 emailSent:
+ *                   type: boolean
+ *                 emailError:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Missing reason or amount exceeds what is left to credit
+ *       404:
+ *         description: Bill not found
+ *       409:
+ *         description: Bill was credited concurrently
+ */
+router.get('/:billId/credit-notes', requireAdmin, adminBillingController.getCreditNotes);
+router.post('/:billId/credit-notes', requireAdmin, adminBillingController.createCreditNote);
+
+/**
+ * @swagger
+ * /api/admin/bills/credit-notes/{creditNoteId}/download:
+ *   get:
+ *     summary: Download a credit note
+ *     tags: [Billing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: creditNoteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, html]
+ *           default: pdf
+ *     responses:
+ *       200:
+ *         description: Credit note document
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Credit note not found
+ */
+router.get('/credit-notes/:creditNoteId/download', requireAdmin, adminBillingController.downloadCreditNote);
+
+module.exports = router;
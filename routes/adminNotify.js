@@ -12,10 +12,12 @@ const requireAdmin = require('../middleware/requirreAdmin');
  * @swagger
  * /api/admin/notify:
  *   post:
- *     summary: Send email notification to portfolio subscribers
+ *     summary: Send an announcement to portfolio subscribers
  *     description: |
- *       Sends an email notification to all active subscribers of a portfolio.
- *       Uses SMTP configuration from database settings, falling back to environment variables if needed.
+ *       Sends a portfolio announcement to all active subscribers of a portfolio on
+ *       the channels each subscriber enabled in their notification preferences.
+ *       Subscribers who opted out of portfolio announcement emails get no email, and
+ *       every email includes unsubscribe and preference center links.
  *     tags: [Admin Notifications]
  *     security:
  *       - bearerAuth: []
@@ -55,13 +57,18 @@ const requireAdmin = require('../middleware/requirreAdmin');
  *                   example: true
  *                 mailedTo:
  *                   type: integer
- *                   description: Number of subscribers who received the email
+ *                   description: Number of subscribers the email was queued for
  *                   example: 24
  *                 emailsSent:
  *                   type: array
  *                   items:
  *                     type: string
  *                   description: List of recipient email addresses
+ *                 skipped:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Subscribers who were not emailed (opted out or email turned off)
  *       400:
  *         description: Missing required parameters
  *         content:
@@ -0,0 +1,323 @@
+const express = require('express');
+const router = express.Router();
+const adminReconciliationController = require('../controllers/adminReconciliationController');
+const requireAdmin = require('../middleware/requirreAdmin');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReconciliationMismatch:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [paid_not_activated, missing_bill, activated_without_payment, amount_mismatch, not_settled]
+ *         message:
+ *           type: string
+ *         paymentId:
+ *           type: string
+ *         orderId:
+ *           type: string
+ *         user:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             email:
+ *               type: string
+ *             fullName:
+ *               type: string
+ *         subscriptions:
+ *           type: array
+ *           items:
+ *             type: string
+ *         razorpayAmount:
+ *           type: number
+ *           description: Captured at Razorpay (₹)
+ *         recordedAmount:
+ *           type: number
+ *           description: Recorded in payment history, before GST (₹)
+ *         expectedAmount:
+ *           type: number
+ *           description: Recorded amount plus GST (₹)
+ *         actions:
+ *           type: array
+ *           description: Remediations that can be run on this mismatch
+ *           items:
+ *             type: string
+ *             enum: [activate, refund, refund_difference, generate_bill, cancel_subscription, dismiss]
+ *         resolution:
+ *           type: object
+ *           properties:
+ *             status:
+ *               type: string
+ *               enum: [open, in_progress, resolved, dismissed]
+ *             action:
+ *               type: string
+ *             note:
+ *               type: string
+ *             result:
+ *               type: string
+ *               description: What the action did, e.g. the refund or bill it created
+ *             error:
+ *               type: string
+ *               description: Error from the last failed action
+ *             resolvedBy:
+ *               type: string
+ *             resolvedAt:
+ *               type: string
+ *               format: date-time
+ *     ReconciliationReport:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         from:
+ *           type: string
+ *           format: date-time
+ *         to:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [running, completed, failed]
+ *         source:
+ *           type: string
+ *           enum: [razorpay, stub]
+ *         trigger:
+ *           type: string
+ *           enum: [admin, schedule]
+ *         summary:
+ *           type: object
+ *           properties:
+ *             payments:
+ *               type: integer
+ *               description: Captured payments in the range
+ *             capturedAmount:
+ *               type: number
+ *             orders:
+ *               type: integer
+ *             subscriptionsChecked:
+ *               type: integer
+ *             settlements:
+ *               type: integer
+ *             settledAmount:
+ *               type: number
+ *             settlementFees:
+ *               type: number
+ *             settledPayments:
+ *               type: integer
+ *             mismatches:
+ *               type: integer
+ *             byType:
+ *               type: object
+ *               additionalProperties:
+ *                 type: integer
+ *         mismatches:
+ *           type: array
+ *           description: Detail view only
+ *           items:
+ *             $ref: '#/components/schemas/ReconciliationMismatch'
+ *         error:
+ *           type: string
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/admin/reconciliation/reports:
+ *   post:
+ *     summary: Reconcile Razorpay payments and settlements for a date range
+ *     description: >
+ *       Pulls payments, orders and settlements from Razorpay and matches them
+ *       against payment history, subscriptions and bills. The report is
+ *       created as running and completes in the background. The previous
+ *       day is also reconciled every morning at 06:30 IST.
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [from]
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 format: date-time
+ *               to:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now; at most 31 days after from
+ *     responses:
+ *       202:
+ *         description: Reconciliation started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ReconciliationReport'
+ *       400:
+ *         description: Invalid range
+ *       409:
+ *         description: A reconciliation is already running
+ *   get:
+ *     summary: List reconciliation reports
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Reports, newest first, without mismatches
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReconciliationReport'
+ */
+router.post('/reports', requireAdmin, adminReconciliationController.createReport);
+router.get('/reports', requireAdmin, adminReconciliationController.getReports);
+
+/**
+ * @swagger
+ * /api/admin/reconciliation/reports/{id}:
+ *   get:
+ *     summary: Get a reconciliation report with its mismatches
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [paid_not_activated, missing_bill, activated_without_payment, amount_mismatch, not_settled]
+ *       - in: query
+ *         name: status
+ *         description: Resolution status
+ *         schema:
+ *           type: string
+ *           enum: [open, in_progress, resolved, dismissed]
+ *     responses:
+ *       200:
+ *         description: Report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ReconciliationReport'
+ *       404:
+ *         description: Report not found
+ */
+router.get('/reports/:id', requireAdmin, adminReconciliationController.getReportById);
+
+/**
+ * @swagger
+ * /api/admin/reconciliation/reports/{id}/mismatches/{mismatchId}/resolve:
+ *   post:
+ *     summary: Run a remediation on a mismatch
+ *     description: >
+ *       `activate` activates the pending subscriptions or completes the
+ *       checkout for the payment; `refund` refunds the whole payment and
+ *       `refund_difference` the overcharge; `generate_bill` issues the missing
+ *       invoice; `cancel_subscription` cancels and removes channel access;
+ *       `dismiss` closes the mismatch and needs a note. A failed action leaves
+ *       the mismatch open with the error. With RAZORPAY_STUB_FILE set, refunds
+ *       and completing a checkout are refused.
+ *     tags: [Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: mismatchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [action]
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [activate, refund, refund_difference, generate_bill, cancel_subscription, dismiss]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Resolved mismatch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ReconciliationMismatch'
+ *       400:
+ *         description: Action not offered for this mismatch, dismiss without a note, or a Razorpay action in stub mode
+ *       404:
+ *         description: Report or mismatch not found
+ *       409:
+ *         description: Mismatch already resolved or being resolved
+ */
+router.post('/reports/:id/mismatches/:mismatchId/resolve', requireAdmin, adminReconciliationController.resolveMismatch);
+
+module.exports = router;
@@ -0,0 +1,220 @@
+const express = require('express');
+const router = express.Router();
+const refundController = require('../controllers/refundController');
+const requireAdmin = require('../middleware/requirreAdmin');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Refund:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         user:
+ *           type: string
+ *         paymentId:
+ *           type: string
+ *         razorpayRefundId:
+ *           type: string
+ *         amount:
+ *           type: number
+ *           description: Refunded amount in rupees
+ *         paymentAmount:
+ *           type: number
+ *         type:
+ *           type: string
+ *           enum: [full, partial]
+ *         reason:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, processed, failed]
+ *         source:
+ *           type: string
+ *           enum: [admin, razorpay_dashboard]
+ *         subscriptionAction:
+ *           type: string
+ *           enum: [cancel, shorten, none]
+ *         subscriptions:
+ *           type: array
+ *           items:
+ *             type: string
+ *         shortenedTo:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               subscription:
+ *                 type: string
+ *               from:
+ *                 type: string
+ *                 format: date-time
+ *               to:
+ *                 type: string
+ *                 format: date-time
+ *         bill:
+ *           type: string
+ *         creditNote:
+ *           type: string
+ *         processedAt:
+ *           type: string
+ *           format: date-time
+ *         failureReason:
+ *           type: string
+ *         followUpErrors:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Steps that failed after the refund processed, e.g. the Telegram removal
+ */
+
+/**
+ * @swagger
+ * /api/admin/refunds:
+ *   post:
+ *     summary: Refund a payment
+ *     description: >
+ *       Refunds a Razorpay payment in full or in part. When Razorpay reports the
+ *       refund processed, the subscriptions bought with the payment are cancelled
+ *       (Telegram access revoked, recurring charges stopped) or shortened by the
+ *       refunded share of their term, and a credit note is issued against the
+ *       invoice. Refunds still pending at Razorpay are finished by the
+ *       `refund.processed` webhook.
+ *     tags: [Refunds]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [paymentId, reason]
+ *             properties:
+ *               paymentId:
+ *                 type: string
+ *                 example: pay_29QQoUBi66xm2f
+ *               amount:
+ *                 type: number
+ *                 description: Rupees; defaults to everything not yet refunded
+ *               reason:
+ *                 type: string
+ *               subscriptionAction:
+ *                 type: string
+ *                 enum: [cancel, shorten, none]
+ *                 description: Defaults to cancel for a full refund and shorten for a partial one
+ *               speed:
+ *                 type: string
+ *                 enum: [normal, optimum]
+ *                 default: normal
+ *     responses:
+ *       201:
+ *         description: Refund processed and applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Refund'
+ *       202:
+ *         description: Refund accepted by Razorpay and waiting to be processed
+ *       400:
+ *         description: Missing reason or amount above what can still be refunded
+ *       404:
+ *         description: Payment not found on Razorpay or not linked to a customer
+ *       409:
+ *         description: Payment not captured or already fully refunded
+ *       502:
+ *         description: Razorpay refused the refund
+ *   get:
+ *     summary: List refunds
+ *     tags: [Refunds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, processed, failed]
+ *       - in: query
+ *         name: paymentId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Refunds, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Refund'
+ */
+router.post('/', requireAdmin, refundController.createRefund);
+router.get('/', requireAdmin, refundController.getRefunds);
+
+/**
+ * @swagger
+ * /api/admin/refunds/{id}:
+ *   get:
+ *     summary: Get a refund with its subscriptions and credit note
+ *     tags: [Refunds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Refund
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Refund'
+ *       404:
+ *         description: Refund not found
+ */
+router.get('/:id', requireAdmin, refundController.getRefundById);
+
+module.exports = router;
@@ -0,0 +1,232 @@
+const express = require('express');
+const router = express.Router();
+const adminWebhookController = require('../controllers/adminWebhookController');
+const requireAdmin = require('../middleware/requirreAdmin');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookEvent:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         provider:
+ *           type: string
+ *           example: razorpay
+ *         eventId:
+ *           type: string
+ *           description: Razorpay's x-razorpay-event-id
+ *         event:
+ *           type: string
+ *           example: subscription.charged
+ *         entityId:
+ *           type: string
+ *           description: Payment, subscription or refund the event is about
+ *         signatureValid:
+ *           type: boolean
+ *           description: false when the signature is wrong or no webhook secret is configured
+ *         status:
+ *           type: string
+ *           enum: [received, processing, processed, ignored, failed, rejected]
+ *         attempts:
+ *           type: integer
+ *         lastError:
+ *           type: string
+ *         note:
+ *           type: string
+ *           description: Why the event was ignored or deferred
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Next automatic retry; empty once retries run out
+ *         receivedAt:
+ *           type: string
+ *           format: date-time
+ *         processedAt:
+ *           type: string
+ *           format: date-time
+ *         replayCount:
+ *           type: integer
+ *         history:
+ *           type: array
+ *           description: Most recent attempts (detail view only)
+ *           items:
+ *             type: object
+ *             properties:
+ *               attempt:
+ *                 type: integer
+ *               startedAt:
+ *                 type: string
+ *                 format: date-time
+ *               finishedAt:
+ *                 type: string
+ *                 format: date-time
+ *               outcome:
+ *                 type: string
+ *                 enum: [processed, ignored, deferred, failed]
+ *               error:
+ *                 type: string
+ *               replay:
+ *                 type: boolean
+ *         payload:
+ *           type: object
+ *           description: Webhook body as received (detail view only)
+ */
+
+/**
+ * @swagger
+ * /api/admin/webhooks:
+ *   get:
+ *     summary: List received webhook events
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [received, processing, processed, ignored, failed, rejected]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *           example: payment.captured
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *         description: Payment, subscription or refund id
+ *       - in: query
+ *         name: eventId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Events, newest first, without payloads
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookEvent'
+ *       400:
+ *         description: Invalid status or dates
+ */
+router.get('/', requireAdmin, adminWebhookController.getEvents);
+
+/**
+ * @swagger
+ * /api/admin/webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook event with its payload and attempts
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook event
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookEvent'
+ *       404:
+ *         description: Event not found
+ */
+router.get('/:id', requireAdmin, adminWebhookController.getEventById);
+
+/**
+ * @swagger
+ * /api/admin/webhooks/{id}/replay:
+ *   post:
+ *     summary: Replay a webhook event
+ *     description: >
+ *       Runs the event's handler again and returns the outcome. Handlers are
+ *       idempotent, so a replay never extends or credits twice; events that
+ *       were already processed or ignored still need `force` as a safeguard.
+ *       Events that failed the signature check cannot be replayed.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               force:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Event after the replay
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookEvent'
+ *       404:
+ *         description: Event not found
+ *       409:
+ *         description: Event is rejected, being processed, or already processed without force
+ */
+router.post('/:id/replay', requireAdmin, adminWebhookController.replayEvent);
+
+module.exports = router;
@@ -0,0 +1,400 @@
+const express = require('express');
+const router = express.Router();
+const campaignController = require('../controllers/campaignController');
+const requireAdmin = require('../middleware/requirreAdmin');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CampaignAudience:
+ *       type: object
+ *       description: Subscription filters are combined with AND; omitted or empty filters match everything.
+ *       properties:
+ *         allUsers:
+ *           type: boolean
+ *           description: Every registered user (only `states` applies)
+ *         statuses:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [pending, active, paused, expired, cancelled]
+ *         productType:
+ *           type: string
+ *           enum: [Portfolio, Bundle]
+ *         productIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *         planTypes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [monthly, quarterly, yearly]
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [basic, premium]
+ *         states:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["Maharashtra", "Karnataka"]
+ *         expiresFrom:
+ *           type: string
+ *           format: date-time
+ *         expiresTo:
+ *           type: string
+ *           format: date-time
+ *         expiresWithinDays:
+ *           type: number
+ *           description: Subscriptions expiring between the send time and this many days later
+ *         coupons:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Coupon ids used on the subscription
+ *         couponUsed:
+ *           type: boolean
+ *           description: true = used any coupon, false = used none
+ *     Campaign:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         category:
+ *           type: string
+ *           enum: [marketing, newsletter, portfolio_updates]
+ *           description: Preference category recipients can opt out of
+ *         subject:
+ *           type: string
+ *           description: EJS; variables userName, email, unsubscribeUrl, preferencesUrl, brand
+ *         html:
+ *           type: string
+ *           description: EJS body, wrapped in the email layout with an unsubscribe footer
+ *         text:
+ *           type: string
+ *         audience:
+ *           $ref: '#/components/schemas/CampaignAudience'
+ *         status:
+ *           type: string
+ *           enum: [draft, scheduled, sending, sent, cancelled, failed]
+ *         scheduledAt:
+ *           type: string
+ *           format: date-time
+ *         throttlePerMinute:
+ *           type: integer
+ *           default: 60
+ *         stats:
+ *           type: object
+ *           properties:
+ *             recipients:
+ *               type: integer
+ *             queued:
+ *               type: integer
+ *             sent:
+ *               type: integer
+ *             failed:
+ *               type: integer
+ *             skipped:
+ *               type: integer
+ *               description: Opted out (checked again when each email is sent) or no email address
+ *             opened:
+ *               type: integer
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *     CampaignInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         category:
+ *           type: string
+ *           enum: [marketing, newsletter, portfolio_updates]
+ *         subject:
+ *           type: string
+ *         html:
+ *           type: string
+ *         text:
+ *           type: string
+ *         audience:
+ *           $ref: '#/components/schemas/CampaignAudience'
+ *         scheduledAt:
+ *           type: string
+ *           format: date-time
+ *         throttlePerMinute:
+ *           type: integer
+ *       example:
+ *         name: "Renewal offer - expiring premium"
+ *         category: "marketing"
+ *         subject: "<%= userName %>, renew today and save 20%"
+ *         html: "<p>Hi <%= userName %>, your plan expires soon. Use code RENEW20.</p>"
+ *         audience:
+ *           statuses: ["active"]
+ *           categories: ["premium"]
+ *           expiresWithinDays: 14
+ *         throttlePerMinute: 120
+ */
+
+/**
+ * @swagger
+ * /api/admin/campaigns:
+ *   get:
+ *     summary: List campaigns
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, scheduled, sending, sent, cancelled, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Campaigns, newest first (bodies omitted)
+ *   post:
+ *     summary: Create a draft campaign
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CampaignInput'
+ *     responses:
+ *       201:
+ *         description: Draft created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Campaign'
+ *       400:
+ *         description: Missing fields or invalid EJS
+ */
+router.get('/', requireAdmin, campaignController.getCampaigns);
+router.post('/', requireAdmin, campaignController.createCampaign);
+
+/**
+ * @swagger
+ * /api/admin/campaigns/audience/preview:
+ *   post:
+ *     summary: Count the users an audience matches
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               audience:
+ *                 $ref: '#/components/schemas/CampaignAudience'
+ *     responses:
+ *       200:
+ *         description: Total matching users and up to 10 examples (before opt-outs are applied)
+ */
+router.post('/audience/preview', requireAdmin, campaignController.previewAudience);
+
+/**
+ * @swagger
+ * /api/admin/campaigns/{id}:
+ *   get:
+ *     summary: Get a campaign with its delivery stats
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campaign
+ *       404:
+ *         description: Campaign not found
+ *   put:
+ *     summary: Update a draft or scheduled campaign
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CampaignInput'
+ *     responses:
+ *       200:
+ *         description: Updated campaign
+ *       409:
+ *         description: Campaign already sending or finished
+ *   delete:
+ *     summary: Delete a draft campaign
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Deleted
+ *       409:
+ *         description: Not a draft
+ */
+router.get('/:id', requireAdmin, campaignController.getCampaignById);
+router.put('/:id', requireAdmin, campaignController.updateCampaign);
+router.delete('/:id', requireAdmin, campaignController.deleteCampaign);
+
+/**
+ * @swagger
+ * /api/admin/campaigns/{id}/preview:
+ *   get:
+ *     summary: Render the campaign as the requesting admin would receive it
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html]
+ *     responses:
+ *       200:
+ *         description: Rendered subject, html and text
+ */
+router.get('/:id/preview', requireAdmin, campaignController.previewCampaign);
+
+/**
+ * @swagger
+ * /api/admin/campaigns/{id}/schedule:
+ *   post:
+ *     summary: Schedule a campaign
+ *     description: Without sendAt the campaign goes out on the next scheduler tick (within a minute).
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sendAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Campaign scheduled
+ *       409:
+ *         description: Campaign already sending or finished
+ */
+router.post('/:id/schedule', requireAdmin, campaignController.scheduleCampaign);
+
+/**
+ * @swagger
+ * /api/admin/campaigns/{id}/cancel:
+ *   post:
+ *     summary: Cancel a campaign
+ *     description: Emails still waiting in the queue are dropped; emails already sent are unaffected.
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campaign cancelled
+ *       409:
+ *         description: Campaign already finished
+ */
+router.post('/:id/cancel', requireAdmin, campaignController.cancelCampaign);
+
+/**
+ * @swagger
+ * /api/admin/campaigns/{id}/recipients:
+ *   get:
+ *     summary: Per-recipient delivery and open status
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, queued, sent, failed, skipped]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Recipients with status, skipReason, sentAt, openedAt and openCount
+ */
+router.get('/:id/recipients', requireAdmin, campaignController.getCampaignRecipients);
+
+module.exports = router;
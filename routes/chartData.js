@@ -147,6 +147,77 @@ router.get('/', requireAdmin, priceLogController.getAllPriceLogs);
  */
 router.get('/portfolio/:portfolioId/performance', requireAdmin, priceLogController.getPortfolioPerformance);
 
+/**
+ * @swagger
+ * /api/chart-data/portfolio/{id}:
+ *   get:
+ *     summary: Get computed performance metrics for a portfolio
+ *     description: |
+ *       Recomputes TWR, XIRR, CAGR, rolling 1M/3M/6M/1Y returns, max drawdown,
+ *       volatility and Sharpe ratio from the PriceLog series, and returns the
+ *       daily series with inferred external flows and a flow-adjusted index
+ *       (rebased to 100). Metrics are also refreshed daily after the 5 PM valuation job.
+ *     tags: [ChartData]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Portfolio ID
+ *       - in: query
+ *         name: refresh
+ *         schema:
+ *           type: boolean
+ *         description: Also persist the recomputed metrics on the portfolio
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Performance metrics and series
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     portfolio:
+ *                       type: object
+ *                     metrics:
+ *                       $ref: '#/components/schemas/PerformanceMetrics'
+ *                     persisted:
+ *                       type: boolean
+ *                     series:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           date:
+ *                             type: string
+ *                             format: date-time
+ *                           value:
+ *                             type: number
+ *                           cash:
+ *                             type: number
+ *                           flow:
+ *                             type: number
+ *                           dailyReturn:
+ *                             type: number
+ *                             nullable: true
+ *                           index:
+ *                             type: number
+ *       400:
+ *         description: Invalid portfolio ID
+ *       404:
+ *         description: Portfolio not found
+ */
+router.get('/portfolio/:id', requireAdmin, priceLogController.getPortfolioMetrics);
+
 /**
  * @swagger
  * /api/chart-data/cleanup-duplicates:
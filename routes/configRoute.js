@@ -22,7 +22,7 @@ const requireAdmin = require('../middleware/requirreAdmin');
  *           description: Value for single-value configurations
  *         category:
  *           type: string
- *           enum: [smtp, payment, general, security, fmp_api, other]
+ *           enum: [smtp, payment, general, security, digio, fmp_api, market_data, other]
  *           description: Category the config belongs to
  *         description:
  *           type: string
@@ -64,7 +64,7 @@ const requireAdmin = require('../middleware/requirreAdmin');
  *         name: category
  *         schema:
  *           type: string
- *           enum: [smtp, payment, general, security, fmp_api, other]
+ *           enum: [smtp, payment, general, security, digio, fmp_api, market_data, other]
  *         description: Filter configs by category
  *     responses:
  *       200:
@@ -134,7 +134,7 @@ router.get('/:key', requireAdmin, configController.getConfigByKey);
  *                 example: smtp.example.com
  *               category:
  *                 type: string
- *                 enum: [smtp, payment, general, security, fmp_api, other]
+ *                 enum: [smtp, payment, general, security, digio, fmp_api, market_data, other]
  *                 example: smtp
  *               description:
  *                 type: string
@@ -185,7 +185,7 @@ router.post('/', requireAdmin, configController.createConfig);
  *                 example: updated_value
  *               category:
  *                 type: string
- *                 enum: [smtp, payment, general, security, fmp_api, other]
+ *                 enum: [smtp, payment, general, security, digio, fmp_api, market_data, other]
  *               description:
  *                 type: string
  *               isActive:
@@ -259,7 +259,7 @@ router.delete('/:key', requireAdmin, configController.deleteConfig);
  *                       type: string
  *                     category:
  *                       type: string
- *                       enum: [smtp, payment, general, security, fmp_api, other]
+ *                       enum: [smtp, payment, general, security, digio, fmp_api, market_data, other]
  *                     description:
  *                       type: string
  *                     isSecret:
@@ -0,0 +1,256 @@
+const express = require('express');
+const router = express.Router();
+const corporateActionController = require('../controllers/corporateActionController');
+const requireAdmin = require('../middleware/requirreAdmin');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CorporateAction:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         stockSymbol:
+ *           type: string
+ *           description: StockSymbol ID
+ *         symbol:
+ *           type: string
+ *           example: RELIANCE
+ *         type:
+ *           type: string
+ *           enum: [split, bonus, dividend]
+ *         exDate:
+ *           type: string
+ *           format: date-time
+ *         recordDate:
+ *           type: string
+ *           format: date-time
+ *         ratioFrom:
+ *           type: number
+ *           description: "Split: old shares; Bonus: shares held (a 1:2 bonus has ratioFrom 2)"
+ *           example: 1
+ *         ratioTo:
+ *           type: number
+ *           description: "Split: new shares; Bonus: bonus shares issued for every ratioFrom held"
+ *           example: 5
+ *         dividendPerShare:
+ *           type: number
+ *           example: 8.5
+ *         status:
+ *           type: string
+ *           enum: [pending, processing, processed, partially_processed, cancelled]
+ *         processedAt:
+ *           type: string
+ *           format: date-time
+ *         results:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               portfolio:
+ *                 type: string
+ *               portfolioName:
+ *                 type: string
+ *               quantityBefore:
+ *                 type: number
+ *               quantityAfter:
+ *                 type: number
+ *               buyPriceBefore:
+ *                 type: number
+ *               buyPriceAfter:
+ *                 type: number
+ *               cashCredited:
+ *                 type: number
+ *               status:
+ *                 type: string
+ *                 enum: [applied, failed]
+ *               error:
+ *                 type: string
+ */
+
+/**
+ * @swagger
+ * /api/admin/corporate-actions:
+ *   get:
+ *     summary: List corporate actions
+ *     tags: [Corporate Actions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: symbol
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [split, bonus, dividend]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, processing, processed, partially_processed, cancelled]
+ *     responses:
+ *       200:
+ *         description: Corporate actions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CorporateAction'
+ */
+router.get('/', requireAdmin, corporateActionController.getCorporateActions);
+
+/**
+ * @swagger
+ * /api/admin/corporate-actions:
+ *   post:
+ *     summary: Record a split, bonus issue or dividend
+ *     description: |
+ *       Pending actions are applied automatically on their ex-date by the daily corporate
+ *       actions job, or immediately via the process endpoint.
+ *     tags: [Corporate Actions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - stockSymbol
+ *               - type
+ *               - exDate
+ *             properties:
+ *               stockSymbol:
+ *                 type: string
+ *                 description: StockSymbol ID or ticker
+ *                 example: RELIANCE
+ *               type:
+ *                 type: string
+ *                 enum: [split, bonus, dividend]
+ *               exDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2026-10-28"
+ *               recordDate:
+ *                 type: string
+ *                 format: date
+ *               ratioFrom:
+ *                 type: number
+ *                 example: 1
+ *               ratioTo:
+ *                 type: number
+ *                 example: 5
+ *               dividendPerShare:
+ *                 type: number
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Corporate action recorded
+ *       400:
+ *         description: Validation failed
+ *       404:
+ *         description: Stock symbol not found
+ *       409:
+ *         description: Duplicate action for symbol, type and ex-date
+ */
+router.post('/', requireAdmin, corporateActionController.createCorporateAction);
+
+/**
+ * @swagger
+ * /api/admin/corporate-actions/{id}:
+ *   get:
+ *     summary: Get a corporate action with per-portfolio results
+ *     tags: [Corporate Actions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Corporate action
+ *       404:
+ *         description: Corporate action not found
+ */
+router.get('/:id', requireAdmin, corporateActionController.getCorporateActionById);
+
+/**
+ * @swagger
+ * /api/admin/corporate-actions/{id}:
+ *   delete:
+ *     summary: Cancel a pending corporate action
+ *     tags: [Corporate Actions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Corporate action cancelled
+ *       400:
+ *         description: Action is not pending
+ *       404:
+ *         description: Corporate action not found
+ */
+router.delete('/:id', requireAdmin, corporateActionController.cancelCorporateAction);
+
+/**
+ * @swagger
+ * /api/admin/corporate-actions/{id}/process:
+ *   post:
+ *     summary: Apply a corporate action to all portfolios holding the symbol
+ *     description: |
+ *       Splits and bonuses scale quantity up and buy price down; dividends credit
+ *       quantity × dividendPerShare to cashBalance. Each affected holding gets an audit
+ *       entry in priceHistory. Each portfolio's result is saved with its holdings, so
+ *       re-running a partially processed or interrupted action skips portfolios that
+ *       were already adjusted.
+ *     tags: [Corporate Actions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *         description: Process before the ex-date
+ *     responses:
+ *       200:
+ *         description: Processing results
+ *       400:
+ *         description: Action already processed, cancelled, or ex-date not reached
+ *       404:
+ *         description: Corporate action not found
+ *       409:
+ *         description: Action is already being processed
+ */
+router.post('/:id/process', requireAdmin, corporateActionController.processCorporateAction);
+
+module.exports = router;
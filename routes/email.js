@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const emailPreferenceController = require('../controllers/emailPreferenceController');
+
+/**
+ * @swagger
+ * /api/email/preferences:
+ *   get:
+ *     summary: Email preference center
+ *     description: HTML page linked from every non-transactional email. The token identifies the user; no login needed.
+ *     tags: [Email Preferences]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Preference center page
+ *         content:
+ *           text/html: {}
+ *       404:
+ *         description: Invalid link
+ *   post:
+ *     summary: Save preferences from the preference center
+ *     description: Accepts the page's form post (unticked categories are turned off) or a JSON body.
+ *     tags: [Email Preferences]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               unsubscribedAll:
+ *                 type: boolean
+ *               categories:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: boolean
+ *     responses:
+ *       200:
+ *         description: Updated preferences (JSON) or the preference center page (form post)
+ *       400:
+ *         description: Unknown category
+ *       404:
+ *         description: Invalid link
+ */
+router.get('/preferences', emailPreferenceController.getPreferenceCenter);
+router.post('/preferences', emailPreferenceController.updatePreferenceCenter);
+
+/**
+ * @swagger
+ * /api/email/unsubscribe:
+ *   get:
+ *     summary: Unsubscribe link
+ *     description: Opts out of the given category, or of all non-transactional email when no category is passed, and shows a confirmation page.
+ *     tags: [Email Preferences]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [marketing, newsletter, portfolio_updates]
+ *     responses:
+ *       200:
+ *         description: Confirmation page
+ *       404:
+ *         description: Invalid link
+ *   post:
+ *     summary: One-click unsubscribe
+ *     description: Same as GET without the page, for mail clients that post to the unsubscribe link.
+ *     tags: [Email Preferences]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Unsubscribed
+ *       404:
+ *         description: Invalid link
+ */
+router.get('/unsubscribe', emailPreferenceController.unsubscribe);
+router.post('/unsubscribe', emailPreferenceController.unsubscribe);
+
+/**
+ * @swagger
+ * /api/email/open/{token}.gif:
+ *   get:
+ *     summary: Campaign open-tracking pixel
+ *     tags: [Email Preferences]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 1x1 transparent GIF
+ *         content:
+ *           image/gif: {}
+ */
+router.get('/open/:token.gif', emailPreferenceController.trackOpen);
+
+module.exports = router;
@@ -0,0 +1,262 @@
+const express = require('express');
+const router = express.Router();
+const emailQueueController = require('../controllers/emailQueueController');
+const requireAdmin = require('../middleware/requirreAdmin');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EmailJob:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         to:
+ *           type: string
+ *           example: user@example.com
+ *         subject:
+ *           type: string
+ *         type:
+ *           type: string
+ *           example: bill
+ *         priority:
+ *           type: string
+ *           enum: [high, normal, low]
+ *         status:
+ *           type: string
+ *           enum: [pending, processing, sent, dead, skipped]
+ *           description: dead = retries exhausted; kept until retried or purged. skipped = campaign recipient opted out; never retried
+ *         runAt:
+ *           type: string
+ *           format: date-time
+ *           description: Scheduled send time, or next retry time after a failure
+ *         attempts:
+ *           type: integer
+ *         maxRetries:
+ *           type: integer
+ *         idempotencyKey:
+ *           type: string
+ *           example: bill:INV-2024-0001
+ *         lockedBy:
+ *           type: string
+ *           description: Worker (host:pid) holding the job while processing
+ *         lockedUntil:
+ *           type: string
+ *           format: date-time
+ *         lastError:
+ *           type: string
+ *         attemptErrors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *               attempt:
+ *                 type: integer
+ *               message:
+ *                 type: string
+ *         metadata:
+ *           type: object
+ *         sentAt:
+ *           type: string
+ *           format: date-time
+ *         deadAt:
+ *           type: string
+ *           format: date-time
+ *         skippedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/admin/email-queue/status:
+ *   get:
+ *     summary: Email queue counts by status
+ *     tags: [Email Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending, processing, sent, dead and skipped counts plus the next scheduled send
+ */
+router.get('/status', requireAdmin, emailQueueController.getQueueStatus);
+
+/**
+ * @swagger
+ * /api/admin/email-queue:
+ *   get:
+ *     summary: List queued emails
+ *     description: Newest first; email bodies are omitted (fetch a single job to see them).
+ *     tags: [Email Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, processing, sent, dead, skipped]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Page of email jobs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EmailJob'
+ *       400:
+ *         description: Invalid status
+ */
+router.get('/', requireAdmin, emailQueueController.getEmailJobs);
+
+/**
+ * @swagger
+ * /api/admin/email-queue/retry-dead:
+ *   post:
+ *     summary: Requeue all dead emails
+ *     description: Dead emails go back to pending with a fresh retry budget.
+ *     tags: [Email Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 description: Only requeue emails of this type (e.g. bill)
+ *     responses:
+ *       200:
+ *         description: Number of emails requeued
+ */
+router.post('/retry-dead', requireAdmin, emailQueueController.retryDeadEmailJobs);
+
+/**
+ * @swagger
+ * /api/admin/email-queue:
+ *   delete:
+ *     summary: Purge dead or sent emails
+ *     tags: [Email Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [dead, sent]
+ *           default: dead
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: olderThan
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only purge emails last updated before this time
+ *     responses:
+ *       200:
+ *         description: Number of emails purged
+ *       400:
+ *         description: Invalid status or date
+ */
+router.delete('/', requireAdmin, emailQueueController.purgeEmailJobs);
+
+/**
+ * @swagger
+ * /api/admin/email-queue/{id}:
+ *   get:
+ *     summary: Get one queued email with its body and attempt errors
+ *     tags: [Email Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/EmailJob'
+ *       400:
+ *         description: Invalid ID format
+ *       404:
+ *         description: Email job not found
+ */
+router.get('/:id', requireAdmin, emailQueueController.getEmailJobById);
+
+/**
+ * @swagger
+ * /api/admin/email-queue/{id}/retry:
+ *   post:
+ *     summary: Requeue one dead email
+ *     tags: [Email Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email requeued
+ *       400:
+ *         description: Invalid ID or email is not dead
+ *       404:
+ *         description: Email job not found
+ */
+router.post('/:id/retry', requireAdmin, emailQueueController.retryEmailJob);
+
+module.exports = router;
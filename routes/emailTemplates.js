@@ -0,0 +1,318 @@
+const express = require('express');
+const router = express.Router();
+const emailTemplateController = require('../controllers/emailTemplateController');
+const requireAdmin = require('../middleware/requirreAdmin');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EmailTemplateVariable:
+ *       type: object
+ *       required: [name]
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: portfolioName
+ *         description:
+ *           type: string
+ *         required:
+ *           type: boolean
+ *         sample:
+ *           description: Value used by the preview endpoint
+ *           example: Premium Portfolio
+ *     EmailTemplate:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: renewal_reminder
+ *         version:
+ *           type: integer
+ *           description: 0 = built-in default
+ *         description:
+ *           type: string
+ *         subject:
+ *           type: string
+ *           description: EJS source of the subject line
+ *           example: Subscription Renewal Reminder - <%= portfolioName %>
+ *         html:
+ *           type: string
+ *           description: EJS source of the HTML body; wrapped in the layout template when sent
+ *         text:
+ *           type: string
+ *           description: EJS source of the plain-text body
+ *         variables:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/EmailTemplateVariable'
+ *         isActive:
+ *           type: boolean
+ *         isDefault:
+ *           type: boolean
+ *         changeNote:
+ *           type: string
+ *         createdBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/admin/email-templates:
+ *   get:
+ *     summary: List email templates
+ *     description: Every built-in and saved template with its active version (0 = built-in default).
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Templates
+ */
+router.get('/', requireAdmin, emailTemplateController.getTemplates);
+
+/**
+ * @swagger
+ * /api/admin/email-templates/branding:
+ *   get:
+ *     summary: Branding passed to templates as `brand`
+ *     description: Built from the landing page (company name, logo, theme colours). Reading it refreshes the cached copy.
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: companyName, logoUrl, primaryColor, secondaryColor, headerBackground, supportEmail, phone, website, year
+ */
+router.get('/branding', requireAdmin, emailTemplateController.getBranding);
+
+/**
+ * @swagger
+ * /api/admin/email-templates/logo:
+ *   get:
+ *     summary: Landing page logo for email clients
+ *     description: Public (no auth) so it can be referenced from email <img> tags. Set PUBLIC_API_URL to enable the logo in emails.
+ *     tags: [Email Templates]
+ *     responses:
+ *       200:
+ *         description: Logo image
+ *       404:
+ *         description: No logo uploaded
+ */
+router.get('/logo', emailTemplateController.getLogo);
+
+/**
+ * @swagger
+ * /api/admin/email-templates/{name}:
+ *   get:
+ *     summary: Get a template with its version history
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Active version, built-in default and saved versions (newest first)
+ *       404:
+ *         description: Unknown template
+ *   post:
+ *     summary: Save a new template version
+ *     description: |
+ *       Creates version N+1 and makes it active. Fields left out are copied from the
+ *       current active version. The EJS sources must compile, and the `layout`
+ *       template must output `<%- body %>`.
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               subject:
+ *                 type: string
+ *               html:
+ *                 type: string
+ *               text:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               variables:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/EmailTemplateVariable'
+ *               changeNote:
+ *                 type: string
+ *                 example: Updated renewal copy for Diwali offer
+ *     responses:
+ *       201:
+ *         description: Saved version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/EmailTemplate'
+ *       400:
+ *         description: Invalid name, missing fields or EJS syntax error
+ *       409:
+ *         description: Template changed concurrently
+ *   delete:
+ *     summary: Reset a template to its built-in default
+ *     description: Saved versions are kept and can be re-activated.
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Default template now in use
+ *       404:
+ *         description: Template has no built-in default
+ */
+router.get('/:name', requireAdmin, emailTemplateController.getTemplate);
+router.post('/:name', requireAdmin, emailTemplateController.saveTemplate);
+router.delete('/:name', requireAdmin, emailTemplateController.resetTemplate);
+
+/**
+ * @swagger
+ * /api/admin/email-templates/{name}/preview:
+ *   post:
+ *     summary: Preview a template with sample data
+ *     description: |
+ *       Renders the active version, or the draft subject/html/text/variables in the body
+ *       without saving them. Declared sample values are used for variables not in `data`.
+ *       Add `?format=html` to get the rendered email as an HTML page.
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html]
+ *           default: json
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               data:
+ *                 type: object
+ *                 description: Variable values overriding the samples
+ *               subject:
+ *                 type: string
+ *               html:
+ *                 type: string
+ *               text:
+ *                 type: string
+ *               variables:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/EmailTemplateVariable'
+ *     responses:
+ *       200:
+ *         description: Rendered subject, html and text plus any required variables still missing
+ *       400:
+ *         description: Template failed to compile or render
+ *       404:
+ *         description: Unknown template
+ */
+router.post('/:name/preview', requireAdmin, emailTemplateController.previewTemplate);
+
+/**
+ * @swagger
+ * /api/admin/email-templates/{name}/versions/{version}:
+ *   get:
+ *     summary: Get one template version
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 0 = built-in default
+ *     responses:
+ *       200:
+ *         description: Template version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/EmailTemplate'
+ *       404:
+ *         description: Version not found
+ */
+router.get('/:name/versions/:version', requireAdmin, emailTemplateController.getTemplateVersion);
+
+/**
+ * @swagger
+ * /api/admin/email-templates/{name}/versions/{version}/activate:
+ *   post:
+ *     summary: Re-activate a saved version
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Version now active
+ *       404:
+ *         description: Version not found
+ */
+router.post('/:name/versions/:version/activate', requireAdmin, emailTemplateController.activateTemplateVersion);
+
+module.exports = router;
@@ -0,0 +1,310 @@
+const express = require('express');
+const router = express.Router();
+const rebalanceController = require('../controllers/rebalanceController');
+const requireAdmin = require('../middleware/requirreAdmin');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RebalanceTrade:
+ *       type: object
+ *       properties:
+ *         symbol:
+ *           type: string
+ *           example: TCS
+ *         side:
+ *           type: string
+ *           enum: [buy, sell]
+ *         quantity:
+ *           type: number
+ *           example: 4
+ *         price:
+ *           type: number
+ *           example: 3450.5
+ *         amount:
+ *           type: number
+ *           example: 13802
+ *         saleType:
+ *           type: string
+ *           enum: [partial, complete]
+ *         currentWeight:
+ *           type: number
+ *           example: 8.2
+ *         targetWeight:
+ *           type: number
+ *           example: 12
+ *         projectedWeight:
+ *           type: number
+ *           example: 11.9
+ *         profitLoss:
+ *           type: number
+ *           description: Realized P&L (sells)
+ *         averageBuyPrice:
+ *           type: number
+ *           description: Averaged buy price after the purchase (buys)
+ *     RebalanceProposal:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         portfolio:
+ *           type: string
+ *         portfolioName:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [draft, applied, rejected, superseded, failed]
+ *         targets:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               symbol:
+ *                 type: string
+ *               weight:
+ *                 type: number
+ *         trades:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/RebalanceTrade'
+ *         summary:
+ *           type: object
+ *           properties:
+ *             portfolioValue:
+ *               type: number
+ *             cashBefore:
+ *               type: number
+ *             cashAfter:
+ *               type: number
+ *             totalBuyAmount:
+ *               type: number
+ *             totalSellAmount:
+ *               type: number
+ *             targetCashWeight:
+ *               type: number
+ *             projectedCashWeight:
+ *               type: number
+ *         pricesAsOf:
+ *           type: string
+ *           format: date-time
+ *         nextRebalanceDate:
+ *           type: string
+ *           format: date-time
+ *         error:
+ *           type: string
+ *         notification:
+ *           type: object
+ *           properties:
+ *             recipients:
+ *               type: integer
+ *             queuedAt:
+ *               type: string
+ *               format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/admin/rebalance-proposals:
+ *   get:
+ *     summary: List rebalance proposals
+ *     tags: [Rebalancing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: portfolioId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, applied, rejected, superseded, failed]
+ *     responses:
+ *       200:
+ *         description: Rebalance proposals
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RebalanceProposal'
+ */
+router.get('/', requireAdmin, rebalanceController.getProposals);
+
+/**
+ * @swagger
+ * /api/admin/rebalance-proposals:
+ *   post:
+ *     summary: Create a draft rebalance proposal from target weights
+ *     description: |
+ *       Prices every symbol at its latest market price and computes whole-share
+ *       buy/sell orders that move the portfolio toward the target weights. Holdings
+ *       not listed in targets are sold completely; weights may total less than 100%,
+ *       the rest stays in cash. Sells are simulated first so their proceeds fund buys.
+ *       Creating a proposal supersedes any existing draft for the same portfolio.
+ *     tags: [Rebalancing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - portfolioId
+ *               - targets
+ *             properties:
+ *               portfolioId:
+ *                 type: string
+ *               targets:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - symbol
+ *                     - weight
+ *                   properties:
+ *                     symbol:
+ *                       type: string
+ *                       example: TCS
+ *                     weight:
+ *                       type: number
+ *                       example: 12
+ *                     sector:
+ *                       type: string
+ *                       description: Required for symbols not yet held when StockSymbol has no sector
+ *                     stockCapType:
+ *                       type: string
+ *                       enum: [small cap, mid cap, large cap, micro cap, mega cap]
+ *               driftTolerance:
+ *                 type: number
+ *                 default: 0.5
+ *                 description: Skip positions within this many percentage points of their target
+ *               nextRebalanceDate:
+ *                 type: string
+ *                 format: date
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Draft proposal
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/RebalanceProposal'
+ *       400:
+ *         description: Invalid targets, missing prices or insufficient holdings
+ *       404:
+ *         description: Portfolio not found
+ */
+router.post('/', requireAdmin, rebalanceController.createProposal);
+
+/**
+ * @swagger
+ * /api/admin/rebalance-proposals/{id}:
+ *   get:
+ *     summary: Get a rebalance proposal
+ *     tags: [Rebalancing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rebalance proposal
+ *       404:
+ *         description: Proposal not found
+ */
+router.get('/:id', requireAdmin, rebalanceController.getProposalById);
+
+/**
+ * @swagger
+ * /api/admin/rebalance-proposals/{id}/approve:
+ *   post:
+ *     summary: Approve a draft and apply all its trades
+ *     description: |
+ *       Re-validates every trade against the portfolio's current holdings and cash
+ *       and applies them in a single transaction; if any trade no longer fits, nothing
+ *       is applied and the proposal is marked failed. On success lastRebalanceDate is
+ *       set, nextRebalanceDate advances (request body, proposal, or the portfolio's
+ *       rebalancing frequency) and active subscribers are emailed a rebalance update.
+ *     tags: [Rebalancing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               nextRebalanceDate:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       200:
+ *         description: Trades applied
+ *       400:
+ *         description: Proposal is not a draft or trades no longer fit the portfolio
+ *       404:
+ *         description: Proposal not found
+ */
+router.post('/:id/approve', requireAdmin, rebalanceController.approveProposal);
+
+/**
+ * @swagger
+ * /api/admin/rebalance-proposals/{id}/reject:
+ *   post:
+ *     summary: Reject a draft rebalance proposal
+ *     tags: [Rebalancing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Proposal rejected
+ *       400:
+ *         description: Proposal is not a draft
+ *       404:
+ *         description: Proposal not found
+ */
+router.post('/:id/reject', requireAdmin, rebalanceController.rejectProposal);
+
+module.exports = router;
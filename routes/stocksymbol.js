@@ -333,10 +333,22 @@ router.get('/search', stockSymbolController.searchStockSymbols);
  * @swagger
  * /api/stock-symbols/update-prices:
  *   post:
- *     summary: Update stock prices using TradingView API
+ *     summary: Update stock prices using the configured market data providers
+ *     description: |
+ *       Fetches prices through the market data provider layer (TradingView, FMP, local file)
+ *       using the per-exchange routing in MARKET_DATA_ROUTING. Symbols a provider cannot
+ *       price fail over to the next provider in the chain.
  *     tags: [Stock Symbols]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [regular, closing]
+ *           default: regular
+ *         description: Closing updates also set todayClosingPrice
  *     responses:
  *       200:
  *         description: Price update results
@@ -372,6 +384,9 @@ router.get('/search', stockSymbolController.searchStockSymbols);
  *                       type: integer
  *                 message:
  *                   type: string
+ *                 providers:
+ *                   type: object
+ *                   description: Per-provider fetched/failed/errors counters
  *       404:
  *         description: No stocks found in database
  *       500:
@@ -625,6 +640,91 @@ router.delete('/:id', requireAdmin, stockSymbolController.deleteStockSymbol);
  */
 router.get('/:id/history', stockSymbolController.getStockWithHistory);
 
+/**
+ * @swagger
+ * /api/stock-symbols/{id}/bars:
+ *   get:
+ *     summary: Get OHLCV bars for a stock
+ *     description: |
+ *       Returns open/high/low/close bars recorded by the price jobs. 1m and 1d bars are
+ *       stored directly; 5m and 1h bars (and 1d bars when none were stored for the range)
+ *       are aggregated from 1m bars. 1m bars are kept for 90 days, so 1m, 5m and 1h ranges
+ *       starting earlier are rejected.
+ *     tags: [Stock Symbols]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Stock symbol or ID
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [1m, 5m, 1h, 1d]
+ *           default: 1d
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Range start (defaults to 1/5/30/365 days before `to` for 1m/5m/1h/1d)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Range end (defaults to now)
+ *     responses:
+ *       200:
+ *         description: OHLCV bars
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 symbol:
+ *                   type: string
+ *                 interval:
+ *                   type: string
+ *                 source:
+ *                   type: string
+ *                   description: Interval the bars were read or aggregated from
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       timestamp:
+ *                         type: string
+ *                         format: date-time
+ *                       open:
+ *                         type: number
+ *                       high:
+ *                         type: number
+ *                       low:
+ *                         type: number
+ *                       close:
+ *                         type: number
+ *                       volume:
+ *                         type: number
+ *                       sampleCount:
+ *                         type: integer
+ *       400:
+ *         description: Invalid interval or date range, or an intraday range older than the 90-day retention
+ *       404:
+ *         description: Stock symbol not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/bars', stockSymbolController.getStockBars);
+
+
 
 
 module.exports = router;
\ No newline at end of file
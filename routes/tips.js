@@ -127,6 +127,12 @@ const requireAdmin = require("../middleware/requirreAdmin");
  *           type: string
  *           description: Percentage gain/loss at exit
  *           example: "25%"
+ *         stopLoss:
+ *           type: string
+ *           description: Price at which the call is invalidated
+ *           example: "90"
+ *         tracking:
+ *           $ref: '#/components/schemas/TipTracking'
  *         horizon:
  *           type: string
  *           description: Investment time horizon for the tip
@@ -147,6 +153,245 @@ const requireAdmin = require("../middleware/requirreAdmin");
  *           description: Timestamp when the tip was last updated
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TipTracking:
+ *       type: object
+ *       readOnly: true
+ *       description: Numeric levels parsed from the text fields, plus live tracking against StockSymbol prices
+ *       properties:
+ *         buyRangeLow:
+ *           type: number
+ *         buyRangeHigh:
+ *           type: number
+ *         targetPrice:
+ *           type: number
+ *         targetPercentage:
+ *           type: number
+ *         stopLoss:
+ *           type: number
+ *         stopLossPercentage:
+ *           type: number
+ *           description: Set instead of stopLoss when it was entered as a percentage ("5%"); resolved below entryPrice
+ *         addMoreAt:
+ *           type: number
+ *         addMorePercentage:
+ *           type: number
+ *           description: Set instead of addMoreAt when it was entered as a percentage; resolved below entryPrice
+ *         exitPrice:
+ *           type: number
+ *         exitPercentage:
+ *           type: number
+ *         entryPrice:
+ *           type: number
+ *           description: Midpoint of the buy range, or the first tracked market price
+ *         entryPriceSource:
+ *           type: string
+ *           enum: [buy_range, market]
+ *         lastPrice:
+ *           type: number
+ *         lastPriceAt:
+ *           type: string
+ *           format: date-time
+ *         highestPrice:
+ *           type: number
+ *         lowestPrice:
+ *           type: number
+ *         returnPercent:
+ *           type: number
+ *           description: Live return while Active, realized return once Closed
+ *         targetHit:
+ *           type: boolean
+ *         targetHitAt:
+ *           type: string
+ *           format: date-time
+ *         stopLossHit:
+ *           type: boolean
+ *         stopLossHitAt:
+ *           type: string
+ *           format: date-time
+ *         addMoreHit:
+ *           type: boolean
+ *         addMoreHitAt:
+ *           type: string
+ *           format: date-time
+ *         autoClosed:
+ *           type: boolean
+ *           description: True when the price feed closed the tip on a target or stop-loss hit
+ *         closedAt:
+ *           type: string
+ *           format: date-time
+ *         holdingDays:
+ *           type: number
+ *     TipPerformanceStats:
+ *       type: object
+ *       properties:
+ *         totalTips:
+ *           type: integer
+ *         activeTips:
+ *           type: integer
+ *         closedTips:
+ *           type: integer
+ *         targetHits:
+ *           type: integer
+ *         stopLossHits:
+ *           type: integer
+ *         hitRate:
+ *           type: number
+ *           nullable: true
+ *           description: Percent of closed tips that hit their target
+ *         winRate:
+ *           type: number
+ *           nullable: true
+ *           description: Percent of closed tips with a positive realized return
+ *         averageReturn:
+ *           type: number
+ *           nullable: true
+ *           description: Mean realized return (%) of closed tips
+ *         bestReturn:
+ *           type: number
+ *           nullable: true
+ *         worstReturn:
+ *           type: number
+ *           nullable: true
+ *         averageHoldingDays:
+ *           type: number
+ *           nullable: true
+ *         averageOpenReturn:
+ *           type: number
+ *           nullable: true
+ *           description: Mean live return (%) of Active tips
+ *         openTargetHits:
+ *           type: integer
+ *           description: Active tips whose target has already been reached
+ */
+
+/**
+ * @swagger
+ * /api/tips/performance:
+ *   get:
+ *     summary: Tip track record
+ *     description: |
+ *       Aggregate hit rate, average realized return and holding period of tips,
+ *       overall and per category/horizon. Only aggregates are returned, so no
+ *       authentication is required.
+ *     tags: [Tips]
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [basic, premium]
+ *       - in: query
+ *         name: horizon
+ *         schema:
+ *           type: string
+ *         example: "Long Term"
+ *       - in: query
+ *         name: portfolioId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only tips created on or after this date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only tips created on or before this date
+ *     responses:
+ *       200:
+ *         description: Track record
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 generatedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 filters:
+ *                   type: object
+ *                 overall:
+ *                   $ref: '#/components/schemas/TipPerformanceStats'
+ *                 byCategoryHorizon:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - type: object
+ *                         properties:
+ *                           category:
+ *                             type: string
+ *                           horizon:
+ *                             type: string
+ *                       - $ref: '#/components/schemas/TipPerformanceStats'
+ *       400:
+ *         description: Invalid date, category or portfolio ID
+ *       500:
+ *         description: Server error
+ */
+router.get("/performance", tipController.getTipPerformance);
+
+/**
+ * @swagger
+ * /api/tips/performance/refresh:
+ *   post:
+ *     summary: Track tips against live prices now
+ *     description: |
+ *       Evaluates every Active tip against the latest StockSymbol price and records
+ *       realized returns for Closed tips that have none yet. A tip whose target or
+ *       stop-loss is crossed is closed with exitPrice, exitStatus and
+ *       exitStatusPercentage filled in; reaching addMoreAt only flags it. Each
+ *       transition emits a tip event for notifications. Also runs after every
+ *       scheduled price update.
+ *     tags: [Tips]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tracking summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 evaluated:
+ *                   type: integer
+ *                 closedRecorded:
+ *                   type: integer
+ *                 autoClosed:
+ *                   type: integer
+ *                 targetHits:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 stopLossHits:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 addMoreHits:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 missingPrice:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       500:
+ *         description: Server error
+ */
+router.post("/performance/refresh", requireAdmin, tipController.refreshTipPerformance);
+
 // Get all tips for a specific portfolio
 /**
  * @swagger
@@ -461,6 +706,7 @@ router.post("/", requireAdmin, tipController.createTipWithoutPortfolio);
  * /api/tips/{id}:
  *   put:
  *     summary: Update an existing tip
+ *     description: Setting a Closed tip back to Active clears its hit and close tracking and the exit fields the update does not set.
  *     tags: [Tips]
  *     security:
  *       - bearerAuth: []
@@ -0,0 +1,221 @@
+const express = require('express');
+const router = express.Router();
+const tradingCalendarController = require('../controllers/tradingCalendarController');
+const requireAdmin = require('../middleware/requirreAdmin');
+
+/**
+ * @swagger
+ * /api/admin/trading-calendar:
+ *   get:
+ *     summary: Get trading holidays and Muhurat sessions
+ *     tags: [Trading Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: string
+ *           example: "2026"
+ *         description: Only return entries for this year
+ *     responses:
+ *       200:
+ *         description: Calendar entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 timezone:
+ *                   type: string
+ *                   example: Asia/Kolkata
+ *                 regularSession:
+ *                   type: object
+ *                   properties:
+ *                     open:
+ *                       type: string
+ *                       example: "09:15"
+ *                     close:
+ *                       type: string
+ *                       example: "15:30"
+ *                 holidays:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                         example: "2026-10-20"
+ *                       description:
+ *                         type: string
+ *                       exchanges:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                 muhuratSessions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                       start:
+ *                         type: string
+ *                       end:
+ *                         type: string
+ *                       description:
+ *                         type: string
+ */
+router.get('/', requireAdmin, tradingCalendarController.getCalendar);
+
+/**
+ * @swagger
+ * /api/admin/trading-calendar/next-session:
+ *   get:
+ *     summary: Get the current or next trading session
+ *     tags: [Trading Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: exchange
+ *         schema:
+ *           type: string
+ *           enum: [NSE, BSE]
+ *           default: NSE
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Reference time (defaults to now)
+ *     responses:
+ *       200:
+ *         description: Market state and next session
+ *       400:
+ *         description: Invalid from date
+ */
+router.get('/next-session', requireAdmin, tradingCalendarController.getNextSession);
+
+/**
+ * @swagger
+ * /api/admin/trading-calendar/holidays:
+ *   post:
+ *     summary: Add or replace a trading holiday
+ *     tags: [Trading Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 example: "2026-11-09"
+ *               description:
+ *                 type: string
+ *                 example: Diwali Balipratipada
+ *               exchanges:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [NSE, BSE]
+ *                 description: Defaults to both exchanges
+ *     responses:
+ *       201:
+ *         description: Holiday saved
+ *       400:
+ *         description: Invalid date or exchange
+ */
+router.post('/holidays', requireAdmin, tradingCalendarController.addHoliday);
+
+/**
+ * @swagger
+ * /api/admin/trading-calendar/holidays/{date}:
+ *   delete:
+ *     summary: Remove a trading holiday
+ *     tags: [Trading Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "2026-11-09"
+ *     responses:
+ *       200:
+ *         description: Holiday removed
+ *       404:
+ *         description: Holiday not found
+ */
+router.delete('/holidays/:date', requireAdmin, tradingCalendarController.removeHoliday);
+
+/**
+ * @swagger
+ * /api/admin/trading-calendar/muhurat:
+ *   post:
+ *     summary: Add or replace a Muhurat trading session
+ *     description: A Muhurat session opens the market on that date even if it is a weekend or holiday.
+ *     tags: [Trading Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *               - start
+ *               - end
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 example: "2026-11-08"
+ *               start:
+ *                 type: string
+ *                 example: "18:00"
+ *               end:
+ *                 type: string
+ *                 example: "19:15"
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Session saved
+ *       400:
+ *         description: Invalid date or times
+ */
+router.post('/muhurat', requireAdmin, tradingCalendarController.addMuhuratSession);
+
+/**
+ * @swagger
+ * /api/admin/trading-calendar/muhurat/{date}:
+ *   delete:
+ *     summary: Remove a Muhurat trading session
+ *     tags: [Trading Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session removed
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/muhurat/:date', requireAdmin, tradingCalendarController.removeMuhuratSession);
+
+module.exports = router;
@@ -8,6 +8,10 @@ const express = require('express');
 const router = express.Router();
 const passport = require('passport');
 const userController = require('../controllers/userController');
+const emailPreferenceController = require('../controllers/emailPreferenceController');
+const notificationPreferenceController = require('../controllers/notificationPreferenceController');
+const notificationController = require('../controllers/notificationController');
+const marketStreamController = require('../controllers/marketStreamController');
 const { getUserSubscriptions } = require('../controllers/subscriptionController');
 
 // Enhanced authentication middleware
@@ -20,6 +24,21 @@ const optionalAuth = (req, res, next) => {
   })(req, res, next);
 };
 
+// EventSource cannot set headers, so streams also accept ?access_token=
+const requireStreamAuth = (req, res, next) => {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  requireAuth(req, res, next);
+};
+
+const optionalStreamAuth = (req, res, next) => {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  optionalAuth(req, res, next);
+};
+
 /**
  * @swagger
  * components:
@@ -127,6 +146,82 @@ const optionalAuth = (req, res, next) => {
  *         monthlyGains:
  *           type: number
  *           example: 1.8
+ *         performanceMetrics:
+ *           $ref: '#/components/schemas/PerformanceMetrics'
+ * 
+ *     PerformanceMetrics:
+ *       type: object
+ *       description: |
+ *         Return and risk metrics computed daily from the portfolio's PriceLog series.
+ *         All values are percentages except sharpeRatio; null means not enough history yet.
+ *       properties:
+ *         twr:
+ *           type: number
+ *           nullable: true
+ *           description: Time-weighted return since inception
+ *           example: 18.42
+ *         xirr:
+ *           type: number
+ *           nullable: true
+ *           description: Money-weighted annual return (after one year of history)
+ *           example: 16.9
+ *         cagr:
+ *           type: number
+ *           nullable: true
+ *           description: Annualized time-weighted return (after one year of history)
+ *           example: 15.2
+ *         returns:
+ *           type: object
+ *           properties:
+ *             oneMonth:
+ *               type: number
+ *               nullable: true
+ *               example: 1.8
+ *             threeMonth:
+ *               type: number
+ *               nullable: true
+ *               example: 4.6
+ *             sixMonth:
+ *               type: number
+ *               nullable: true
+ *               example: 9.1
+ *             oneYear:
+ *               type: number
+ *               nullable: true
+ *               example: 22.5
+ *         maxDrawdown:
+ *           type: number
+ *           nullable: true
+ *           example: -12.35
+ *         volatility:
+ *           type: number
+ *           nullable: true
+ *           description: Annualized standard deviation of daily returns
+ *           example: 14.8
+ *         sharpeRatio:
+ *           type: number
+ *           nullable: true
+ *           example: 0.82
+ *         riskFreeRate:
+ *           type: number
+ *           description: Annual risk-free rate used for Sharpe (RISK_FREE_RATE config)
+ *           example: 6.5
+ *         netExternalFlows:
+ *           type: number
+ *           description: Capital added (positive) or withdrawn (negative) excluded from returns
+ *           example: 0
+ *         inceptionDate:
+ *           type: string
+ *           format: date-time
+ *         asOf:
+ *           type: string
+ *           format: date-time
+ *         dataPoints:
+ *           type: number
+ *           example: 312
+ *         calculatedAt:
+ *           type: string
+ *           format: date-time
  * 
  *     RestrictedPortfolio:
  *       allOf:
@@ -518,7 +613,7 @@ router.get('/portfolios', optionalAuth, userController.getAllPortfolios);
  *     summary: Get portfolio details by ID
  *     description: |
  *       Returns portfolio details with access control:
- *       - Public access shows basic information
+ *       - Public access shows basic information and performanceMetrics
  *       - Full details require subscription
  *     tags: [Portfolios]
  *     security:
@@ -917,6 +1012,757 @@ router.delete('/cart/:portfolioId', requireAuth, userController.removeFromCart);
  */
 router.delete('/cart', requireAuth, userController.clearCart);
 
+// ======================
+//  Alerts Routes
+// ======================
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PriceAlert:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [price_above, price_below, percent_move, tip_target, portfolio_value_change]
+ *         symbol:
+ *           type: string
+ *           example: "TCS"
+ *         stockSymbol:
+ *           type: string
+ *         tip:
+ *           type: string
+ *         portfolio:
+ *           type: string
+ *         threshold:
+ *           type: number
+ *           description: Price for price_above/price_below, percent for percent_move/portfolio_value_change
+ *         direction:
+ *           type: string
+ *           enum: [up, down, either]
+ *           default: either
+ *         baseValue:
+ *           type: number
+ *           description: Price or portfolio value percent alerts measure from
+ *         channels:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [email, telegram]
+ *         repeat:
+ *           type: boolean
+ *           description: Re-arm after cooldownMinutes instead of firing once
+ *         cooldownMinutes:
+ *           type: number
+ *           minimum: 5
+ *           default: 60
+ *         status:
+ *           type: string
+ *           enum: [active, triggered, paused]
+ *         pausedReason:
+ *           type: string
+ *         note:
+ *           type: string
+ *         lastTriggeredAt:
+ *           type: string
+ *           format: date-time
+ *         lastTriggeredValue:
+ *           type: number
+ *         triggerCount:
+ *           type: integer
+ *         lastDeliveries:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               channel:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [queued, sent, skipped, failed]
+ *               error:
+ *                 type: string
+ */
+
+/**
+ * @swagger
+ * /api/user/alerts:
+ *   get:
+ *     summary: List the user's alerts
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, triggered, paused]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Alerts, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PriceAlert'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/alerts', requireAuth, userController.getAlerts);
+
+/**
+ * @swagger
+ * /api/user/alerts:
+ *   post:
+ *     summary: Create an alert
+ *     description: |
+ *       Alerts are checked after every scheduled price update and delivered on the
+ *       chosen channels. percent_move and portfolio_value_change need a premium
+ *       subscription; portfolio alerts and alerts on portfolio tips need a
+ *       subscription to that portfolio, and premium tips need premium access.
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [price_above, price_below, percent_move, tip_target, portfolio_value_change]
+ *               symbol:
+ *                 type: string
+ *                 description: Ticker for price alerts (or pass stockSymbolId)
+ *               stockSymbolId:
+ *                 type: string
+ *               tipId:
+ *                 type: string
+ *                 description: Required for tip_target
+ *               portfolioId:
+ *                 type: string
+ *                 description: Required for portfolio_value_change
+ *               threshold:
+ *                 type: number
+ *                 description: Required for all types except tip_target
+ *               direction:
+ *                 type: string
+ *                 enum: [up, down, either]
+ *               channels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [email, telegram]
+ *               repeat:
+ *                 type: boolean
+ *               cooldownMinutes:
+ *                 type: number
+ *               note:
+ *                 type: string
+ *           example:
+ *             type: "price_below"
+ *             symbol: "TCS"
+ *             threshold: 3500
+ *             channels: ["email", "telegram"]
+ *     responses:
+ *       201:
+ *         description: Alert created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PriceAlert'
+ *       400:
+ *         description: Invalid alert or alert limit reached
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Subscription does not cover this alert
+ *       404:
+ *         description: Stock, tip or portfolio not found
+ */
+router.post('/alerts', requireAuth, userController.createAlert);
+
+/**
+ * @swagger
+ * /api/user/alerts/{id}:
+ *   put:
+ *     summary: Update an alert
+ *     description: |
+ *       Changes threshold, direction, channels, repeat, cooldownMinutes, note or
+ *       status (active/paused). The alert target cannot change. Setting a paused or
+ *       triggered alert back to active re-arms percent alerts at the current value.
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               threshold:
+ *                 type: number
+ *               direction:
+ *                 type: string
+ *                 enum: [up, down, either]
+ *               channels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [email, telegram]
+ *               repeat:
+ *                 type: boolean
+ *               cooldownMinutes:
+ *                 type: number
+ *               note:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [active, paused]
+ *     responses:
+ *       200:
+ *         description: Updated alert
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PriceAlert'
+ *       400:
+ *         description: Invalid update
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Subscription no longer covers this alert
+ *       404:
+ *         description: Alert not found
+ */
+router.put('/alerts/:id', requireAuth, userController.updateAlert);
+
+/**
+ * @swagger
+ * /api/user/alerts/{id}:
+ *   delete:
+ *     summary: Delete an alert
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Alert deleted
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Alert not found
+ */
+router.delete('/alerts/:id', requireAuth, userController.deleteAlert);
+
+// ======================
+//  Email Preference Routes
+// ======================
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EmailPreferences:
+ *       type: object
+ *       properties:
+ *         unsubscribedAll:
+ *           type: boolean
+ *           description: Opted out of every non-transactional email
+ *         categories:
+ *           type: object
+ *           properties:
+ *             marketing:
+ *               type: boolean
+ *             newsletter:
+ *               type: boolean
+ *             portfolio_updates:
+ *               type: boolean
+ *         unsubscribedAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/user/email-preferences:
+ *   get:
+ *     summary: Get the user's email preferences
+ *     description: Categories of non-transactional email (campaigns, portfolio announcements). Invoices, renewals and payment notices are always sent.
+ *     tags: [Email Preferences]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EmailPreferences'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   put:
+ *     summary: Update the user's email preferences
+ *     tags: [Email Preferences]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               unsubscribedAll:
+ *                 type: boolean
+ *               categories:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: boolean
+ *           example:
+ *             categories:
+ *               marketing: false
+ *     responses:
+ *       200:
+ *         description: Updated preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EmailPreferences'
+ *       400:
+ *         description: Unknown category
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/email-preferences', requireAuth, emailPreferenceController.getMyEmailPreferences);
+router.put('/email-preferences', requireAuth, emailPreferenceController.updateMyEmailPreferences);
+
+// ======================
+//  Notification Preference Routes
+// ======================
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NotificationChannels:
+ *       type: object
+ *       properties:
+ *         email:
+ *           type: boolean
+ *         telegram:
+ *           type: boolean
+ *         in_app:
+ *           type: boolean
+ *         sms:
+ *           type: boolean
+ *           description: Stored, but no SMS provider is configured yet
+ *     NotificationPreferences:
+ *       type: object
+ *       properties:
+ *         channels:
+ *           allOf:
+ *             - $ref: '#/components/schemas/NotificationChannels'
+ *           description: false mutes the channel for every event except where it is required
+ *         events:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               event:
+ *                 type: string
+ *                 enum: [bill_generated, emandate_pending, payment_failed, subscription_cancelled, subscription_activated, subscription_plan_changed, refund_processed, subscription_renewed, subscription_expired, subscription_renewal_reminder, esign_status, telegram_invite, new_tip, price_alert, portfolio_rebalance, portfolio_announcement]
+ *               label:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *                 enum: [regulatory, transactional, service, marketing]
+ *               channels:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/NotificationChannels'
+ *                 description: Channels the event is delivered on after mutes and opt-outs
+ *               required:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Channels that cannot be turned off (e.g. email for invoices)
+ *         telegramLinked:
+ *           type: boolean
+ *           description: Whether a subscription carries a Telegram id to message
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/user/notification-preferences:
+ *   get:
+ *     summary: Get the user's notification channels per event
+ *     description: |
+ *       Regulatory and transactional events (invoices, mandate actions, payment failures) always
+ *       use their required channels. Email for marketing events follows the email preferences
+ *       behind unsubscribe links.
+ *     tags: [Notification Preferences]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationPreferences'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   put:
+ *     summary: Update the user's notification channels
+ *     tags: [Notification Preferences]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               channels:
+ *                 $ref: '#/components/schemas/NotificationChannels'
+ *               events:
+ *                 type: object
+ *                 description: Channel settings keyed by event
+ *                 additionalProperties:
+ *                   $ref: '#/components/schemas/NotificationChannels'
+ *           example:
+ *             channels:
+ *               sms: false
+ *             events:
+ *               price_alert:
+ *                 telegram: true
+ *                 email: false
+ *               portfolio_announcement:
+ *                 email: false
+ *     responses:
+ *       200:
+ *         description: Updated preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationPreferences'
+ *       400:
+ *         description: Unknown event or channel, or a required channel turned off
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/notification-preferences', requireAuth, notificationPreferenceController.getMyNotificationPreferences);
+router.put('/notification-preferences', requireAuth, notificationPreferenceController.updateMyNotificationPreferences);
+
+// ======================
+//  Notification Inbox Routes
+// ======================
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InAppNotification:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         category:
+ *           type: string
+ *           enum: [new_tip, portfolio_rebalance, subscription_expiring, subscription, bill_generated, esign_status, price_alert, announcement]
+ *         event:
+ *           type: string
+ *           description: Notification event that produced it
+ *           example: bill_generated
+ *         title:
+ *           type: string
+ *         body:
+ *           type: string
+ *         link:
+ *           type: string
+ *           nullable: true
+ *         data:
+ *           type: object
+ *           description: Ids of the related tip, bill, subscription or document
+ *         read:
+ *           type: boolean
+ *         readAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     NotificationUnreadCounts:
+ *       type: object
+ *       properties:
+ *         total:
+ *           type: integer
+ *         categories:
+ *           type: object
+ *           additionalProperties:
+ *             type: integer
+ *           example:
+ *             new_tip: 3
+ *             bill_generated: 1
+ */
+
+/**
+ * @swagger
+ * /api/user/notifications:
+ *   get:
+ *     summary: List the user's in-app notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [new_tip, portfolio_rebalance, subscription_expiring, subscription, bill_generated, esign_status, price_alert, announcement]
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only unread notifications
+ *     responses:
+ *       200:
+ *         description: Notifications, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 notifications:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InAppNotification'
+ *                 unreadCount:
+ *                   type: integer
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ *       400:
+ *         description: Unknown category
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/notifications', requireAuth, notificationController.getNotifications);
+
+/**
+ * @swagger
+ * /api/user/notifications/unread-count:
+ *   get:
+ *     summary: Unread notification counts, in total and per category
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationUnreadCounts'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/notifications/unread-count', requireAuth, notificationController.getUnreadCount);
+
+/**
+ * @swagger
+ * /api/user/notifications/stream:
+ *   get:
+ *     summary: Live notification stream (Server-Sent Events)
+ *     description: |
+ *       Sends `notification` events (an InAppNotification, with its id as the event id) and
+ *       `unread_count` events (NotificationUnreadCounts), starting with the current counts.
+ *       Browsers' EventSource cannot send an Authorization header, so the token may be passed
+ *       as `access_token`. On reconnect, notifications created after `Last-Event-ID` are replayed.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: JWT, when the Authorization header cannot be set
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream: {}
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/notifications/stream', requireStreamAuth, notificationController.streamNotifications);
+
+/**
+ * @swagger
+ * /api/user/market/stream:
+ *   get:
+ *     summary: Live stock prices and portfolio valuations (Server-Sent Events)
+ *     description: |
+ *       Pushes `prices` events with the stock prices that changed and `portfolios` events with
+ *       every portfolio recalculated at current prices, after each scheduled price update.
+ *       The stream starts with a snapshot (`source: snapshot`) of the requested symbols and portfolios.
+ *
+ *       Prices are public. Portfolio valuations carry `access: full` (value, cash, holdings and
+ *       weights) for admins and active subscribers of the portfolio, directly or through a bundle;
+ *       everyone else gets `access: public` with only portfolioId, name and changePercent.
+ *       Access is rechecked every 10 minutes while the stream is open. Browsers' EventSource
+ *       cannot send an Authorization header, so the token may be passed as `access_token`.
+ *     tags: [Market Stream]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - in: query
+ *         name: symbols
+ *         schema:
+ *           type: string
+ *         description: Comma-separated symbols (up to 100); all price changes when omitted
+ *         example: "RELIANCE,TCS"
+ *       - in: query
+ *         name: portfolios
+ *         schema:
+ *           type: string
+ *         description: Comma-separated portfolio ids; all portfolios when omitted
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: JWT, when the Authorization header cannot be set
+ *     responses:
+ *       200:
+ *         description: |
+ *           Event stream. `prices` data is `{ source, at, prices: [{ symbol, exchange, currentPrice,
+ *           previousPrice, todayClosingPrice }] }`; `portfolios` data is `{ source, at, portfolios:
+ *           [{ portfolioId, name, changePercent, access, totalValue, holdingsValue, cashBalance,
+ *           change, holdings: [{ symbol, quantity, currentPrice, previousPrice, value, weight }] }] }`.
+ *         content:
+ *           text/event-stream: {}
+ *       400:
+ *         description: Too many symbols or an invalid portfolio id
+ */
+router.get('/market/stream', optionalStreamAuth, marketStreamController.streamMarket);
+
+/**
+ * @swagger
+ * /api/user/notifications/read-all:
+ *   patch:
+ *     summary: Mark all notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               category:
+ *                 type: string
+ *                 description: Only mark this category
+ *     responses:
+ *       200:
+ *         description: Number of notifications marked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 marked:
+ *                   type: integer
+ *       400:
+ *         description: Unknown category
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.patch('/notifications/read-all', requireAuth, notificationController.markAllNotificationsRead);
+
+/**
+ * @swagger
+ * /api/user/notifications/{id}/read:
+ *   patch:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The notification
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/InAppNotification'
+ *       404:
+ *         description: Notification not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.patch('/notifications/:id/read', requireAuth, notificationController.markNotificationRead);
+
 // ======================
 //  Contact Routes
 // ======================
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+/**
+ * Script to check invoice and credit note numbers for duplicates and gaps
+ * Dry run by default; --apply advances lagging counters and renumbers duplicates
+ *
+ * Usage: node scripts/audit-document-numbers.js [--series=invoice|credit_note] [--fy=2026-27] [--apply]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const { repairDocumentNumbers } = require('../services/documentNumberService');
+
+function parseArgs(argv) {
+  return argv.reduce((args, arg) => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    args[key] = value === undefined ? true : value;
+    return args;
+  }, {});
+}
+
+async function runAudit() {
+  const args = parseArgs(process.argv.slice(2));
+  const seriesList = args.series ? [args.series] : ['invoice', 'credit_note'];
+  let problems = 0;
+
+  try {
+    await mongoose.connect(config.database.mongodb.uri);
+
+    for (const series of seriesList) {
+      const { audit, actions, applied } = await repairDocumentNumbers(series, {
+        financialYear: args.fy,
+        apply: args.apply === true
+      });
+
+      console.log(`\n${series} ${audit.financialYear}: ${audit.documents} documents, last ${audit.lastNumber || '-'}, counter ${audit.counter}`);
+      console.log(`- Duplicates: ${audit.duplicates.length}`);
+      audit.duplicates.forEach(duplicate => console.log(`    ${duplicate.number} x${duplicate.count}`));
+      console.log(`- Missing numbers: ${audit.missingCount}${audit.missing.length ? ` (${audit.missing.slice(0, 20).join(', ')}${audit.missingCount > 20 ? ', ...' : ''})` : ''}`);
+      console.log(`- Numbered outside the series: ${audit.outOfSeries}`);
+      console.log(`- Counter behind last number: ${audit.counterBehind ? 'yes' : 'no'}`);
+
+      actions.forEach(action => {
+        const verb = applied ? 'Done' : 'Would';
+        console.log(`  ${verb}: ${action.action} ${action.id || ''} ${action.from} -> ${action.to === null ? '(next number)' : action.to}`);
+      });
+      if (!audit.ok) problems++;
+    }
+
+    if (problems && args.apply !== true) {
+      console.log('\nRun again with --apply to advance counters and renumber duplicates. Missing numbers need a manual explanation.');
+    }
+  } catch (error) {
+    console.error('Document number audit failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+
+  if (problems && !process.exitCode) process.exitCode = 2;
+}
+
+runAudit();
@@ -278,7 +278,12 @@ const logCleanupService = new LogCleanupService();
 
 // Middleware
 app.use(cors()); 
-app.use(express.json());
+// Keep the raw body so webhook signatures are checked against the exact bytes sent
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString();
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Serve local test page for Razorpay checkout at /razorpay-test
@@ -966,6 +971,18 @@ app.use('/api/internal/webhooks/subscription', require('./routes/subscriptionWeb
 app.use('/api/admin/coupons', require('./routes/couponRoute'));
 app.use('/api/admin/telegram', require('./routes/telegram'));
 app.use('/api/stock-symbols', require('./routes/stocksymbol'));
+app.use('/api/admin/trading-calendar', require('./routes/tradingCalendar'));
+app.use('/api/admin/corporate-actions', require('./routes/corporateActions'));
+app.use('/api/admin/rebalance-proposals', require('./routes/rebalance'));
+app.use('/api/admin/email-queue', require('./routes/emailQueue'));
+app.use('/api/admin/email-templates', require('./routes/emailTemplates'));
+app.use('/api/admin/campaigns', require('./routes/campaigns'));
+app.use('/api/admin/bills', require('./routes/adminBilling'));
+app.use('/api/admin/refunds', require('./routes/adminRefunds'));
+app.use('/api/admin/webhooks', require('./routes/adminWebhooks'));
+app.use('/api/admin/reconciliation', require('./routes/adminReconciliation'));
+app.use('/api/email', require('./routes/email'));
+app.use('/api/admin', require('./routes/adminNotify'));
 app.use('/api/faqs', require('./routes/faqRoute'));
 app.use('/api/tips', require('./routes/tips'));                    
 app.use('/api/bundles', require('./routes/bundleRouter'));          
@@ -1020,47 +1037,6 @@ app.get('/api/request-count', (req, res) => {
       }
     });
 
-    // Global error handling middleware
-    app.use((err, req, res, next) => {
-      console.error('🚨 Global error handler:', err);
-      
-      // Handle specific error cases with better user feedback
-      if (err.status === 409 && req.path.includes('/subscriptions/verify')) {
-        return res.status(409).json({
-          status: 'error',
-          code: 'PAYMENT_ALREADY_PROCESSED',
-          message: 'This payment has already been processed. Your subscription is active.',
-          userAction: 'Please check your email for Telegram invite links or visit your account dashboard.'
-        });
-      }
-      
-      // Don't expose internal error details in production
-      const isDevelopment = process.env.NODE_ENV !== 'production';
-      
-      res.status(err.status || 500).json({
-        status: 'error',
-        message: err.message || 'Internal server error',
-        ...(isDevelopment && { stack: err.stack, details: err })
-      });
-    });
-
-    // 404 handler for undefined routes
-    app.use('*', (req, res) => {
-      res.status(404).json({
-        status: 'error',
-        message: `Route ${req.originalUrl} not found`,
-        availableEndpoints: [
-          'GET /health',
-          'GET /api-docs',
-          'POST /auth/login',
-          'GET /api/portfolios'
-        ]
-      });
-    });
-
- 
-
-
     /**
      * @swagger
      * /api/admin/logs/status:
@@ -1331,6 +1307,32 @@ app.get('/api/request-count', (req, res) => {
      *                         nextRun:
      *                           type: string
      *                           format: date-time
+     *                 market:
+     *                   type: object
+     *                   description: Market state from the NSE trading calendar
+     *                   properties:
+     *                     isTradingDay:
+     *                       type: boolean
+     *                     marketOpen:
+     *                       type: boolean
+     *                     nextTradingSession:
+     *                       type: object
+     *                       nullable: true
+     *                       properties:
+     *                         date:
+     *                           type: string
+     *                           example: "2026-10-20"
+     *                         type:
+     *                           type: string
+     *                           enum: [regular, muhurat]
+     *                         open:
+     *                           type: string
+     *                           format: date-time
+     *                         close:
+     *                           type: string
+     *                           format: date-time
+     *                         inProgress:
+     *                           type: boolean
      *                 timestamp:
      *                   type: string
      *                   format: date-time
@@ -1341,12 +1343,14 @@ app.get('/api/request-count', (req, res) => {
      *         $ref: '#/components/responses/InternalServerError'
      */
     // **NEW CRON ENDPOINTS** - Add these for monitoring and manual triggers
-    app.get('/api/cron/status', (req, res) => {
+    app.get('/api/cron/status', async (req, res) => {
       try {
         const status = cronScheduler.getStatus();
+        const market = await cronScheduler.getMarketStatus();
         res.json({
           success: true,
           jobs: status,
+          market,
           timestamp: new Date().toISOString(),
           environment: process.env.NODE_ENV || 'development'
         });
@@ -1485,6 +1489,44 @@ app.get('/api/request-count', (req, res) => {
       }
     });
 
+    // Global error handling middleware
+    app.use((err, req, res, next) => {
+      console.error('🚨 Global error handler:', err);
+      
+      // Handle specific error cases with better user feedback
+      if (err.status === 409 && req.path.includes('/subscriptions/verify')) {
+        return res.status(409).json({
+          status: 'error',
+          code: 'PAYMENT_ALREADY_PROCESSED',
+          message: 'This payment has already been processed. Your subscription is active.',
+          userAction: 'Please check your email for Telegram invite links or visit your account dashboard.'
+        });
+      }
+      
+      // Don't expose internal error details in production
+      const isDevelopment = process.env.NODE_ENV !== 'production';
+      
+      res.status(err.status || 500).json({
+        status: 'error',
+        message: err.message || 'Internal server error',
+        ...(isDevelopment && { stack: err.stack, details: err })
+      });
+    });
+
+    // 404 handler for undefined routes
+    app.use('*', (req, res) => {
+      res.status(404).json({
+        status: 'error',
+        message: `Route ${req.originalUrl} not found`,
+        availableEndpoints: [
+          'GET /health',
+          'GET /api-docs',
+          'POST /auth/login',
+          'GET /api/portfolios'
+        ]
+      });
+    });
+
     // Start server
     app.listen(config.server.port, async () => {
 
@@ -1537,6 +1579,42 @@ app.get('/api/request-count', (req, res) => {
       } catch (error) {
         console.error('❌ Failed to start Digio sync service:', error.message);
       }
+
+      // **START PLAN CHANGE SCHEDULER**
+      try {
+        const { startPlanChangeScheduler } = require('./services/planChangeService');
+        startPlanChangeScheduler();
+        console.log('✅ Plan change scheduler started (every 5 minutes)');
+      } catch (error) {
+        console.error('❌ Failed to start plan change scheduler:', error.message);
+      }
+
+      // **START WEBHOOK RETRY SCHEDULER**
+      try {
+        const { startWebhookRetryScheduler } = require('./services/webhookEventService');
+        startWebhookRetryScheduler();
+        console.log('✅ Webhook retry scheduler started (every minute)');
+      } catch (error) {
+        console.error('❌ Failed to start webhook retry scheduler:', error.message);
+      }
+
+      // **START PAYMENT RECONCILIATION SCHEDULER**
+      try {
+        const { startReconciliationScheduler } = require('./services/reconciliationService');
+        startReconciliationScheduler();
+        console.log('✅ Payment reconciliation scheduler started (daily 06:30 IST)');
+      } catch (error) {
+        console.error('❌ Failed to start payment reconciliation scheduler:', error.message);
+      }
+
+      // **START EMAIL CAMPAIGN SCHEDULER**
+      try {
+        const { startCampaignScheduler } = require('./services/campaignService');
+        startCampaignScheduler();
+        console.log('✅ Email campaign scheduler started (every minute)');
+      } catch (error) {
+        console.error('❌ Failed to start email campaign scheduler:', error.message);
+      }
       
 
       
@@ -1567,7 +1645,8 @@ app.get('/api/request-count', (req, res) => {
         console.log('   - Hourly: Every hour');
         console.log('   - Afternoon: 2:00 PM IST');
         console.log('   - Closing Price: 4:00 PM IST (After Indian market close)');
-        console.log('   - Portfolio Valuation: 5:00 PM IST (1 hour after closing prices start)');
+        console.log('   - Portfolio Valuation + Performance Metrics: 5:00 PM IST (1 hour after closing prices start)');
+        console.log('   - Corporate Actions: 9:00 AM IST (splits, bonuses, dividends due on ex-date)');
         
       } catch (error) {
         console.error('❌ Failed to initialize stock price cron scheduler:', error);
@@ -0,0 +1,257 @@
+/**
+ * Benchmark Analytics Service
+ * Compares a model portfolio's flow-adjusted daily returns with one or more
+ * benchmarks (Portfolio.compareWith plus additionalBenchmarks) and computes
+ * alpha, beta, tracking error, information ratio, up/down capture and a
+ * rebased-to-100 comparison series.
+ *
+ * The primary benchmark uses PriceLog.compareIndexValue where it was recorded;
+ * other benchmarks (and gaps in the primary) use stored daily PriceBar closes.
+ */
+const { default: mongoose } = require('mongoose');
+const moment = require('moment-timezone');
+const Portfolio = require('../models/modelPortFolio');
+const PriceLog = require('../models/PriceLog');
+const PriceBar = require('../models/PriceBar');
+const StockSymbol = require('../models/stockSymbol');
+const portfolioPerformanceService = require('./portfolioPerformanceService');
+const { toDateKey, TIMEZONE } = require('../utils/tradingCalendar');
+
+const TRADING_DAYS_PER_YEAR = 252;
+// Regression-based figures need a meaningful number of paired daily returns
+const MIN_OBSERVATIONS = 20;
+
+const PERIOD_DAYS = {
+  '1m': 30,
+  '3m': 90,
+  '6m': 180,
+  '1y': 365,
+  '3y': 1095,
+  'all': null
+};
+
+const round = (value, digits = 2) => (value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(digits)));
+const toPercent = (ratio) => round(ratio === null ? null : ratio * 100);
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const sampleVariance = (values) => {
+  const avg = mean(values);
+  return values.reduce((sum, v) => sum + Math.pow(v - avg, 2), 0) / (values.length - 1);
+};
+
+const covariance = (a, b) => {
+  const avgA = mean(a);
+  const avgB = mean(b);
+  return a.reduce((sum, v, i) => sum + (v - avgA) * (b[i] - avgB), 0) / (a.length - 1);
+};
+
+/**
+ * Find a benchmark StockSymbol by ID or symbol (case-insensitive)
+ */
+exports.resolveBenchmark = async (value) => {
+  if (!value || !value.trim()) return null;
+  const key = value.trim();
+  if (mongoose.Types.ObjectId.isValid(key)) {
+    const byId = await StockSymbol.findById(key).select('symbol name exchange');
+    if (byId) return byId;
+  }
+  const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return StockSymbol.findOne({ symbol: { $regex: new RegExp(`^${escaped}$`, 'i') } }).select('symbol name exchange');
+};
+
+/**
+ * Paired daily returns and relative metrics for one benchmark.
+ * @param {Array<{dailyReturn, index}>} portfolioSeries - from buildReturnSeries
+ * @param {Array<number|null>} benchmarkValues - benchmark level aligned to portfolioSeries
+ * @param {number} riskFreeRate - Annual rate in percent
+ */
+exports.computeRelativeMetrics = (portfolioSeries, benchmarkValues, riskFreeRate = 0) => {
+  const portfolioReturns = [];
+  const benchmarkReturns = [];
+
+  for (let i = 1; i < portfolioSeries.length; i++) {
+    const rp = portfolioSeries[i].dailyReturn;
+    const previous = benchmarkValues[i - 1];
+    const current = benchmarkValues[i];
+    if (rp === null || !Number.isFinite(rp) || !(previous > 0) || !(current > 0)) continue;
+    portfolioReturns.push(rp);
+    benchmarkReturns.push(current / previous - 1);
+  }
+
+  const firstBenchmark = benchmarkValues.find(v => v > 0);
+  const lastBenchmark = [...benchmarkValues].reverse().find(v => v > 0);
+  const first = portfolioSeries[0];
+  const last = portfolioSeries[portfolioSeries.length - 1];
+
+  const portfolioReturn = first && last ? last.index / first.index - 1 : null;
+  const benchmarkReturn = firstBenchmark && lastBenchmark ? lastBenchmark / firstBenchmark - 1 : null;
+
+  const metrics = {
+    observations: portfolioReturns.length,
+    portfolioReturn: toPercent(portfolioReturn),
+    benchmarkReturn: toPercent(benchmarkReturn),
+    excessReturn: portfolioReturn !== null && benchmarkReturn !== null ? toPercent(portfolioReturn - benchmarkReturn) : null,
+    alpha: null,
+    beta: null,
+    correlation: null,
+    trackingError: null,
+    informationRatio: null,
+    upCapture: null,
+    downCapture: null
+  };
+
+  if (portfolioReturns.length < MIN_OBSERVATIONS) {
+    return metrics;
+  }
+
+  const benchmarkVariance = sampleVariance(benchmarkReturns);
+  const portfolioVariance = sampleVariance(portfolioReturns);
+  const cov = covariance(portfolioReturns, benchmarkReturns);
+  const dailyRiskFree = riskFreeRate / 100 / TRADING_DAYS_PER_YEAR;
+
+  if (benchmarkVariance > 0) {
+    const beta = cov / benchmarkVariance;
+    metrics.beta = round(beta, 3);
+    // Jensen's alpha, annualized
+    const alpha = (mean(portfolioReturns) - dailyRiskFree) - beta * (mean(benchmarkReturns) - dailyRiskFree);
+    metrics.alpha = toPercent(alpha * TRADING_DAYS_PER_YEAR);
+    if (portfolioVariance > 0) {
+      metrics.correlation = round(cov / Math.sqrt(portfolioVariance * benchmarkVariance), 3);
+    }
+  }
+
+  const activeReturns = portfolioReturns.map((rp, i) => rp - benchmarkReturns[i]);
+  const trackingError = Math.sqrt(sampleVariance(activeReturns)) * Math.sqrt(TRADING_DAYS_PER_YEAR);
+  metrics.trackingError = toPercent(trackingError);
+  if (trackingError > 0) {
+    metrics.informationRatio = round((mean(activeReturns) * TRADING_DAYS_PER_YEAR) / trackingError);
+  }
+
+  // Capture ratios on days the benchmark rose / fell
+  const capture = (predicate) => {
+    const days = benchmarkReturns.map((rb, i) => i).filter(i => predicate(benchmarkReturns[i]));
+    if (!days.length) return null;
+    const benchmarkAvg = mean(days.map(i => benchmarkReturns[i]));
+    return benchmarkAvg !== 0 ? toPercent(mean(days.map(i => portfolioReturns[i])) / benchmarkAvg) : null;
+  };
+  metrics.upCapture = capture(rb => rb > 0);
+  metrics.downCapture = capture(rb => rb < 0);
+
+  return metrics;
+};
+
+/**
+ * Rebase a series of levels to 100 at its first positive value
+ */
+exports.rebase = (dates, values) => {
+  const base = values.find(v => v > 0);
+  return dates.map((date, i) => ({
+    date,
+    value: base && values[i] > 0 ? round(values[i] / base * 100) : null
+  }));
+};
+
+/**
+ * Benchmark-relative analytics for a portfolio
+ * @param {string} portfolioId
+ * @param {Object} [options]
+ * @param {string} [options.period] - 1m, 3m, 6m, 1y, 3y or all (default 1y)
+ * @param {string} [options.startDate] - Overrides period
+ * @param {string} [options.endDate]
+ * @param {Array<string>} [options.benchmarks] - Defaults to compareWith + additionalBenchmarks
+ */
+exports.getBenchmarkAnalytics = async (portfolioId, options = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(portfolioId)) {
+    throw new Error('Invalid portfolio ID');
+  }
+
+  const period = options.period || '1y';
+  if (!options.startDate && !(period in PERIOD_DAYS)) {
+    throw new Error(`Invalid period. Use one of: ${Object.keys(PERIOD_DAYS).join(', ')}`);
+  }
+
+  const parseDate = (value, name) => {
+    const parsed = moment.tz(value, TIMEZONE);
+    if (!parsed.isValid()) {
+      throw new Error(`Invalid ${name}`);
+    }
+    return parsed;
+  };
+
+  const endDate = options.endDate ? parseDate(options.endDate, 'endDate').endOf('day').toDate() : new Date();
+  let startDate = new Date(0);
+  if (options.startDate) {
+    startDate = parseDate(options.startDate, 'startDate').startOf('day').toDate();
+  } else if (PERIOD_DAYS[period]) {
+    startDate = moment(endDate).tz(TIMEZONE).subtract(PERIOD_DAYS[period], 'days').startOf('day').toDate();
+  }
+  if (startDate > endDate) {
+    throw new Error('startDate must be before endDate');
+  }
+
+  const portfolio = await Portfolio.findById(portfolioId)
+    .select('name compareWith additionalBenchmarks holdings.symbol holdings.priceHistory saleHistory');
+  if (!portfolio) {
+    throw new Error('Portfolio not found');
+  }
+
+  const logs = await PriceLog.find({ portfolio: portfolio._id, date: { $gte: startDate, $lte: endDate } })
+    .sort({ dateOnly: 1 })
+    .select('date dateOnly portfolioValue cashRemaining compareIndexValue')
+    .lean();
+
+  const series = portfolioPerformanceService.buildReturnSeries(
+    logs,
+    portfolioPerformanceService.getTradeCashEvents(portfolio)
+  );
+  const dates = series.map(point => point.date);
+  const dateKeys = logs.map(log => toDateKey(log.date));
+  const riskFreeRate = await portfolioPerformanceService.getRiskFreeRate();
+
+  const requested = options.benchmarks && options.benchmarks.length
+    ? options.benchmarks
+    : [portfolio.compareWith, ...(portfolio.additionalBenchmarks || [])];
+  const benchmarkKeys = [...new Set(requested.filter(b => b && b.trim()).map(b => b.trim()))];
+
+  const benchmarks = [];
+  for (const key of benchmarkKeys) {
+    const stock = await exports.resolveBenchmark(key);
+    if (!stock) {
+      benchmarks.push({ benchmark: key, error: 'Benchmark symbol not found' });
+      continue;
+    }
+
+    const { bars } = await PriceBar.getBars(stock._id, '1d', startDate, endDate);
+    const closes = new Map(bars.map(bar => [toDateKey(bar.timestamp), bar.close]));
+    const isPrimary = !!portfolio.compareWith &&
+      [stock._id.toString(), stock.symbol].some(v => v.toUpperCase() === portfolio.compareWith.trim().toUpperCase());
+
+    const values = logs.map((log, i) => {
+      if (isPrimary && log.compareIndexValue > 0) return log.compareIndexValue;
+      return closes.get(dateKeys[i]) || null;
+    });
+
+    benchmarks.push({
+      benchmark: key,
+      symbol: stock.symbol,
+      name: stock.name,
+      primary: isPrimary,
+      dataPoints: values.filter(v => v > 0).length,
+      metrics: exports.computeRelativeMetrics(series, values, riskFreeRate),
+      series: exports.rebase(dates, values)
+    });
+  }
+
+  return {
+    portfolioId: portfolio._id,
+    portfolioName: portfolio.name,
+    period: options.startDate ? 'custom' : period,
+    startDate,
+    endDate,
+    riskFreeRate,
+    dataPoints: series.length,
+    portfolioSeries: exports.rebase(dates, series.map(point => point.index)),
+    benchmarks
+  };
+};
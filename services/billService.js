@@ -1,30 +1,26 @@
+const mongoose = require('mongoose');
 const Bill = require('../models/bill');
 const Subscription = require('../models/subscription');
 const Portfolio = require('../models/modelPortFolio');
 const Bundle = require('../models/bundle');
 const { sendEmail } = require('./emailServices');
-const { COMPANY_INFO, TAX_RATE, BILL_DUE_DAYS } = require('../config/billConfig');
+const CreditNote = require('../models/CreditNote');
+const { COMPANY_INFO, GST, BILL_DUE_DAYS } = require('../config/billConfig');
+const { calculateGST } = require('../utils/gst');
+const { nextDocumentNumber } = require('./documentNumberService');
 const winston = require('winston');
 const fs = require('fs');
 const path = require('path');
-const { generateSimplePDF } = require('../utils/simplePDF');
+const { generateSimplePDF, generateCreditNotePDF: generateCreditNoteSimplePDF } = require('../utils/simplePDF');
 
-// Helper: generate a bill number (safety net in service layer)
-async function generateBillNumber() {
-  try {
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const start = new Date(year, now.getMonth(), 1);
-    const end = new Date(year, now.getMonth() + 1, 1);
-    const Bill = require('../models/bill');
-    const count = await Bill.countDocuments({ billDate: { $gte: start, $lt: end } });
-    return `INV-${year}${month}-${String(count + 1).padStart(4, '0')}`;
-  } catch (e) {
-    return `INV-${Date.now()}-${Math.random().toString(36).slice(2, 9)}`;
-  }
+function billingError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
 }
 
+const roundAmount = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
 // Logger setup
 const logger = winston.createLogger({
   level: 'info',
@@ -117,7 +113,8 @@ async function generateBill(subscriptionId, paymentDetails = {}) {
       name: subscription.user.fullName || subscription.user.username || 'Customer',
       email: subscription.user.email,
       phone: subscription.user.phone || '',
-      panDetails: subscription.user.pandetails || ''
+      panDetails: subscription.user.pandetails || '',
+      state: subscription.user.state || ''
     };
 
     // Prepare bill items
@@ -134,7 +131,14 @@ async function generateBill(subscriptionId, paymentDetails = {}) {
       planType: subscription.planType
     });
 
-    if (subscription.productType === 'Bundle' && subscription.bundleId) {
+    if (paymentDetails.items && paymentDetails.items.length) {
+      // Caller describes what was bought (e.g. a plan change to a bundle)
+      paymentDetails.items.forEach(item => {
+        items.push({ quantity: 1, ...item });
+        subtotal += item.totalPrice;
+      });
+
+    } else if (subscription.productType === 'Bundle' && subscription.bundleId) {
       // Bundle subscription
       const bundle = subscription.bundleId;
       const description = `${bundle.name} - ${subscription.planType} subscription`;
@@ -183,13 +187,25 @@ async function generateBill(subscriptionId, paymentDetails = {}) {
       }
     }
 
-    // No GST calculation - amounts are already final
-    let taxAmount = 0;
-    let totalAmount = subtotal;
+    items.forEach(item => {
+      item.sacCode = item.sacCode || GST.SAC_CODE;
+    });
+
+    const adjustments = paymentDetails.adjustments || [];
+    const adjustmentTotal = adjustments.reduce((sum, adjustment) => sum + adjustment.amount, 0);
+
+    // Credits reduce the taxable value; GST is included in or added to the rest
+    const tax = calculateGST(subtotal + adjustmentTotal, customerDetails.state);
+    const taxAmount = tax.taxAmount;
+    const totalAmount = tax.totalAmount;
+    // Nothing to collect when credits cover the whole bill
+    const isPaid = Boolean(paymentDetails.paymentId) || totalAmount === 0;
     
-    logger.info('No GST applied to bill', {
+    logger.info('GST applied to bill', {
       subscriptionId: subscription._id,
       subtotal,
+      pricingMode: tax.pricingMode,
+      supplyType: tax.supplyType,
       taxAmount,
       totalAmount
     });
@@ -202,21 +218,33 @@ async function generateBill(subscriptionId, paymentDetails = {}) {
       dueDate: new Date(Date.now() + BILL_DUE_DAYS * 24 * 60 * 60 * 1000),
       customerDetails,
       items,
+      adjustments,
       subtotal,
-      taxRate: 0, // No GST
+      taxRate: tax.rate,
       taxAmount,
       totalAmount,
+      gst: {
+        gstin: COMPANY_INFO.gstin,
+        pricingMode: tax.pricingMode,
+        supplyType: tax.supplyType,
+        placeOfSupply: tax.placeOfSupply,
+        taxableValue: tax.taxableValue,
+        cgstRate: tax.cgstRate,
+        cgstAmount: tax.cgstAmount,
+        sgstRate: tax.sgstRate,
+        sgstAmount: tax.sgstAmount,
+        igstRate: tax.igstRate,
+        igstAmount: tax.igstAmount
+      },
       paymentId: paymentDetails.paymentId || null,
       orderId: paymentDetails.orderId || null,
-      paymentStatus: paymentDetails.paymentId ? 'paid' : 'pending',
-      paymentDate: paymentDetails.paymentId ? new Date() : null,
-      status: paymentDetails.paymentId ? 'paid' : 'sent',
-      isRenewal: subscription.isRenewal || false
+      paymentStatus: isPaid ? 'paid' : 'pending',
+      paymentDate: isPaid ? new Date() : null,
+      status: isPaid ? 'paid' : 'sent',
+      isRenewal: subscription.isRenewal || false,
+      notes: paymentDetails.notes
     };
 
-  // Safety net: assign billNumber if not provided by caller
-  billData.billNumber = paymentDetails.billNumber || await generateBillNumber();
-
     const bill = new Bill(billData);
     
     // Debug: Log bill data before saving
@@ -230,7 +258,11 @@ async function generateBill(subscriptionId, paymentDetails = {}) {
       }
     });
     
-    await bill.save();
+    // Number and save in one transaction so a failed save does not leave a gap in the series
+    await mongoose.connection.transaction(async (session) => {
+      bill.billNumber = await nextDocumentNumber('invoice', { date: bill.billDate, session });
+      await bill.save({ session });
+    });
 
     logger.info('Bill generated successfully', { 
       billId: bill._id, 
@@ -250,20 +282,7 @@ async function generateBill(subscriptionId, paymentDetails = {}) {
   }
 }
 
-/**
- * Generate HTML bill template
- */
-function generateBillHTML(bill) {
-  const formatCurrency = (amount) => `₹${amount.toLocaleString('en-IN')}`;
-  const formatDate = (date) => new Date(date).toLocaleDateString('en-IN');
-
-  return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="utf-8">
-      <title>Invoice ${bill.billNumber}</title>
-      <style>
+const DOCUMENT_STYLES = `
         body { font-family: Arial, sans-serif; margin: 0; padding: 20px; color: #333; }
         .invoice-container { max-width: 800px; margin: 0 auto; background: white; }
         .header { border-bottom: 3px solid #4a77e5; padding-bottom: 20px; margin-bottom: 30px; }
@@ -294,7 +313,45 @@ function generateBillHTML(bill) {
         }
         .status-paid { background: #d4edda; color: #155724; }
         .status-pending { background: #fff3cd; color: #856404; }
-      </style>
+`;
+
+/**
+ * Rows for the GST breakup of a bill or credit note, for the totals table.
+ * Bills issued before GST was configured have no breakup.
+ */
+function taxRowsHTML(doc, formatCurrency) {
+  const gst = doc.gst || {};
+  if (gst.taxableValue === undefined && doc.taxableValue === undefined) return '';
+
+  const rows = [['Taxable Value', doc.taxableValue !== undefined ? doc.taxableValue : gst.taxableValue]];
+  if (gst.supplyType === 'inter_state') {
+    rows.push([`IGST @ ${gst.igstRate}%`, gst.igstAmount]);
+  } else {
+    rows.push([`CGST @ ${gst.cgstRate}%`, gst.cgstAmount]);
+    rows.push([`SGST @ ${gst.sgstRate}%`, gst.sgstAmount]);
+  }
+  return rows.map(([label, amount]) => `
+              <tr>
+                <td>${label}:</td>
+                <td class="amount">${formatCurrency(amount || 0)}</td>
+              </tr>
+            `).join('');
+}
+
+/**
+ * Generate HTML bill template
+ */
+function generateBillHTML(bill) {
+  const formatCurrency = (amount) => `₹${amount.toLocaleString('en-IN')}`;
+  const formatDate = (date) => new Date(date).toLocaleDateString('en-IN');
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>Invoice ${bill.billNumber}</title>
+      <style>${DOCUMENT_STYLES}</style>
     </head>
     <body>
       <div class="invoice-container">
@@ -307,9 +364,10 @@ function generateBillHTML(bill) {
             <div>${COMPANY_INFO.country}</div>
             <div>Phone: ${COMPANY_INFO.phone}</div>
             <div>Email: ${COMPANY_INFO.email}</div>
+            ${bill.gst?.gstin ? `<div>GSTIN: ${bill.gst.gstin}</div>` : ''}
           </div>
           <div class="invoice-info">
-            <div class="invoice-title">INVOICE</div>
+            <div class="invoice-title">${bill.gst?.gstin ? 'TAX INVOICE' : 'INVOICE'}</div>
             <div><strong>Invoice #:</strong> ${bill.billNumber}</div>
             <div><strong>Date:</strong> ${formatDate(bill.billDate)}</div>
             <div><strong>Due Date:</strong> ${formatDate(bill.dueDate)}</div>
@@ -326,6 +384,8 @@ function generateBillHTML(bill) {
           <div>${bill.customerDetails.email}</div>
           ${bill.customerDetails.phone ? `<div>Phone: ${bill.customerDetails.phone}</div>` : ''}
           ${bill.customerDetails.panDetails ? `<div>PAN: ${bill.customerDetails.panDetails}</div>` : ''}
+          ${bill.customerDetails.state ? `<div>State: ${bill.customerDetails.state}</div>` : ''}
+          ${bill.gst?.placeOfSupply ? `<div>Place of Supply: ${bill.gst.placeOfSupply}</div>` : ''}
         </div>
 
         <!-- Items Table -->
@@ -333,6 +393,7 @@ function generateBillHTML(bill) {
           <thead>
             <tr>
               <th>Description</th>
+              <th>SAC</th>
               <th>Plan Type</th>
               <th>Qty</th>
               <th class="amount">Unit Price</th>
@@ -343,6 +404,7 @@ function generateBillHTML(bill) {
             ${bill.items.map(item => `
               <tr>
                 <td>${item.description}</td>
+                <td>${item.sacCode || '-'}</td>
                 <td>${item.planType.charAt(0).toUpperCase() + item.planType.slice(1)}</td>
                 <td>${item.quantity}</td>
                 <td class="amount">${formatCurrency(item.unitPrice)}</td>
@@ -359,6 +421,13 @@ function generateBillHTML(bill) {
               <td>Subtotal:</td>
               <td class="amount">${formatCurrency(bill.subtotal)}</td>
             </tr>
+            ${(bill.adjustments || []).map(adjustment => `
+              <tr>
+                <td>${adjustment.description}:</td>
+                <td class="amount">${adjustment.amount < 0 ? '-' : ''}${formatCurrency(Math.abs(adjustment.amount))}</td>
+              </tr>
+            `).join('')}
+            ${taxRowsHTML(bill, formatCurrency)}
             <tr class="total-row">
               <td>Total Amount:</td>
               <td class="amount">${formatCurrency(bill.totalAmount)}</td>
@@ -368,6 +437,8 @@ function generateBillHTML(bill) {
 
         <div class="clearfix"></div>
 
+        ${bill.notes ? `<p>${bill.notes}</p>` : ''}
+
         <!-- Payment Information -->
         ${bill.paymentId ? `
           <div class="payment-info">
@@ -409,6 +480,38 @@ async function generateBillPDF(bill) {
   }
 }
 
+/**
+ * Send an email with a PDF document attached
+ */
+async function sendDocumentEmail({ to, subject, text, html, filename, pdfBuffer }) {
+  const nodemailer = require('nodemailer');
+  const { getSmtpConfig } = require('../utils/configSettings');
+
+  const config = await getSmtpConfig();
+  const transporter = nodemailer.createTransport({
+    host: config.host,
+    port: Number(config.port),
+    secure: Number(config.port) === 465,
+    auth: {
+      user: config.user,
+      pass: config.pass
+    }
+  });
+
+  await transporter.sendMail({
+    from: `"${COMPANY_INFO.name}" <${config.user}>`,
+    to,
+    subject,
+    text,
+    html,
+    attachments: [{
+      filename,
+      content: pdfBuffer,
+      contentType: 'application/pdf'
+    }]
+  });
+}
+
 /**
  * Send bill via email with PDF attachment
  */
@@ -463,35 +566,14 @@ ${COMPANY_INFO.email}
       </div>
     `;
 
-    // Send email with PDF attachment
-    const nodemailer = require('nodemailer');
-    const { getSmtpConfig } = require('../utils/configSettings');
-    
-    const config = await getSmtpConfig();
-  const transporter = nodemailer.createTransport({
-      host: config.host,
-      port: Number(config.port),
-      secure: Number(config.port) === 465,
-      auth: {
-        user: config.user,
-        pass: config.pass
-      }
-    });
-
-    const mailOptions = {
-      from: `"${COMPANY_INFO.name}" <${config.user}>`,
+    await sendDocumentEmail({
       to: bill.customerDetails.email,
       subject,
       text: textContent,
       html: htmlContent,
-      attachments: [{
-        filename: `Invoice-${bill.billNumber}.pdf`,
-        content: pdfBuffer,
-        contentType: 'application/pdf'
-      }]
-    };
-
-    await transporter.sendMail(mailOptions);
+      filename: `Invoice-${bill.billNumber}.pdf`,
+      pdfBuffer
+    });
 
     // Update bill email status
     await Bill.findByIdAndUpdate(billId, {
@@ -525,28 +607,50 @@ async function generateAndSendBill(subscriptionId, paymentDetails = {}) {
   try {
     logger.info('Starting bill generation and email process', { 
       subscriptionId,
-      billNumber: paymentDetails.billNumber || 'to be generated', 
       paymentId: paymentDetails.paymentId || 'none'
     });
 
     // Generate bill
     const bill = await generateBill(subscriptionId, paymentDetails);
     
-    // Add bill email to queue instead of sending immediately
-    const emailQueue = require('./emailQueue');
+    // Notify the customer; the bill email is queued instead of sent immediately
+    const notificationService = require('./notificationService');
     const subscription = await Subscription.findById(subscriptionId).populate('user');
     
     if (subscription && subscription.user) {
-      const emailId = await emailQueue.addBillEmail(
-        subscription.user, 
-        subscription, 
-        bill
-      );
+      const deliveries = await notificationService.notify(subscription.user, 'bill_generated', {
+        email: {
+          template: 'bill_invoice',
+          data: {
+            customerName: bill.customerDetails.name,
+            billNumber: bill.billNumber,
+            billDate: bill.billDate.toLocaleDateString('en-IN'),
+            subscriptionName: bill.items[0].description,
+            planType: subscription.planType || 'Monthly',
+            totalAmount: bill.totalAmount.toLocaleString('en-IN')
+          }
+        },
+        inApp: {
+          title: `Invoice ${bill.billNumber}`,
+          body: `Your invoice for ₹${bill.totalAmount.toLocaleString('en-IN')} is ready.`,
+          data: { billId: bill._id, billNumber: bill.billNumber }
+        }
+      }, {
+        dedupeKey: `bill:${bill.billNumber}`,
+        // High priority, max 5 retries for bills
+        email: {
+          type: 'bill',
+          priority: 'high',
+          maxRetries: 5,
+          idempotencyKey: `bill:${bill.billNumber}`,
+          metadata: { subscriptionId: subscription._id, billNumber: bill.billNumber }
+        }
+      });
       
-      logger.info('Bill email added to queue', { 
+      logger.info('Bill notification dispatched', { 
         billId: bill._id, 
         billNumber: bill.billNumber,
-        emailId,
+        deliveries,
         userEmail: subscription.user.email
       });
     }
@@ -568,6 +672,246 @@ async function generateAndSendBill(subscriptionId, paymentDetails = {}) {
   }
 }
 
+/**
+ * Issue a credit note against a bill, e.g. for a refund.
+ * The taxable value and GST are credited in the bill's proportions.
+ * @param {string} billId
+ * @param {object} details - { amount (defaults to the uncredited balance), reason, refundId, issuedBy }
+ * @throws {Error} statusCode 404 for an unknown bill, 400 when the amount exceeds what is left to credit
+ */
+async function createCreditNote(billId, details = {}) {
+  const { reason, refundId, issuedBy } = details;
+
+  if (!reason || !String(reason).trim()) {
+    throw billingError('A reason is required for a credit note');
+  }
+  if (refundId) {
+    // Refund webhooks and admin retries may ask twice
+    const existing = await CreditNote.findOne({ refundId });
+    if (existing) return existing;
+  }
+
+  const bill = await Bill.findById(billId);
+  if (!bill) {
+    throw billingError('Bill not found', 404);
+  }
+
+  const creditable = roundAmount(bill.totalAmount - (bill.creditedAmount || 0));
+  const totalAmount = details.amount === undefined || details.amount === null
+    ? creditable
+    : roundAmount(Number(details.amount));
+
+  if (!(totalAmount > 0)) {
+    throw billingError('Credit amount must be greater than 0');
+  }
+  if (totalAmount > creditable) {
+    throw billingError(`At most ₹${creditable} can be credited against bill ${bill.billNumber}`);
+  }
+
+  const gst = bill.gst || {};
+  const ratio = bill.totalAmount > 0 ? totalAmount / bill.totalAmount : 0;
+  const taxAmount = roundAmount((bill.taxAmount || 0) * ratio);
+  const taxableValue = roundAmount(totalAmount - taxAmount);
+  const interState = gst.supplyType === 'inter_state';
+  const cgstAmount = interState ? 0 : roundAmount(taxAmount / 2);
+
+  const creditNote = new CreditNote({
+    bill: bill._id,
+    billNumber: bill.billNumber,
+    user: bill.user,
+    subscription: bill.subscription,
+    reason: String(reason).trim(),
+    customerDetails: bill.customerDetails,
+    items: [{
+      description: `${String(reason).trim()} - against invoice ${bill.billNumber}`,
+      sacCode: bill.items[0]?.sacCode || GST.SAC_CODE,
+      amount: taxableValue
+    }],
+    taxableValue,
+    taxAmount,
+    totalAmount,
+    gst: {
+      gstin: gst.gstin,
+      supplyType: gst.supplyType,
+      placeOfSupply: gst.placeOfSupply,
+      cgstRate: gst.cgstRate || 0,
+      cgstAmount,
+      sgstRate: gst.sgstRate || 0,
+      sgstAmount: interState ? 0 : roundAmount(taxAmount - cgstAmount),
+      igstRate: gst.igstRate || 0,
+      igstAmount: interState ? taxAmount : 0
+    },
+    paymentId: bill.paymentId,
+    refundId,
+    issuedBy
+  });
+
+  try {
+    await mongoose.connection.transaction(async (session) => {
+      // Reserve the amount so concurrent credit notes cannot over-credit the bill
+      const reserved = await Bill.findOneAndUpdate(
+        {
+          _id: bill._id,
+          $expr: { $lte: [{ $add: [{ $ifNull: ['$creditedAmount', 0] }, totalAmount] }, '$totalAmount'] }
+        },
+        { $inc: { creditedAmount: totalAmount } },
+        { new: true, session }
+      );
+      if (!reserved) {
+        throw billingError(`Bill ${bill.billNumber} has already been credited`, 409);
+      }
+
+      creditNote.creditNoteNumber = await nextDocumentNumber('credit_note', { date: creditNote.creditNoteDate, session });
+      await creditNote.save({ session });
+    });
+  } catch (error) {
+    logger.error('Error issuing credit note', { billId, error: error.message });
+    throw error;
+  }
+
+  logger.info('Credit note issued', {
+    creditNoteId: creditNote._id,
+    creditNoteNumber: creditNote.creditNoteNumber,
+    billNumber: bill.billNumber,
+    totalAmount
+  });
+
+  return creditNote;
+}
+
+/**
+ * Generate HTML credit note template
+ */
+function generateCreditNoteHTML(creditNote) {
+  const formatCurrency = (amount) => `₹${amount.toLocaleString('en-IN')}`;
+  const formatDate = (date) => new Date(date).toLocaleDateString('en-IN');
+  const customer = creditNote.customerDetails || {};
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>Credit Note ${creditNote.creditNoteNumber}</title>
+      <style>${DOCUMENT_STYLES}</style>
+    </head>
+    <body>
+      <div class="invoice-container">
+        <div class="header clearfix">
+          <div class="company-info">
+            <div class="company-name">${COMPANY_INFO.name}</div>
+            <div>${COMPANY_INFO.address}</div>
+            <div>${COMPANY_INFO.city}, ${COMPANY_INFO.state} ${COMPANY_INFO.pincode}</div>
+            <div>${COMPANY_INFO.country}</div>
+            ${creditNote.gst?.gstin ? `<div>GSTIN: ${creditNote.gst.gstin}</div>` : ''}
+          </div>
+          <div class="invoice-info">
+            <div class="invoice-title">CREDIT NOTE</div>
+            <div><strong>Credit Note #:</strong> ${creditNote.creditNoteNumber}</div>
+            <div><strong>Date:</strong> ${formatDate(creditNote.creditNoteDate)}</div>
+            <div><strong>Against Invoice #:</strong> ${creditNote.billNumber}</div>
+          </div>
+        </div>
+
+        <div class="customer-info">
+          <div class="bill-to">CREDITED TO:</div>
+          <div><strong>${customer.name || ''}</strong></div>
+          <div>${customer.email || ''}</div>
+          ${customer.state ? `<div>State: ${customer.state}</div>` : ''}
+          ${creditNote.gst?.placeOfSupply ? `<div>Place of Supply: ${creditNote.gst.placeOfSupply}</div>` : ''}
+        </div>
+
+        <table class="items-table">
+          <thead>
+            <tr>
+              <th>Description</th>
+              <th>SAC</th>
+              <th class="amount">Amount</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${creditNote.items.map(item => `
+              <tr>
+                <td>${item.description}</td>
+                <td>${item.sacCode || '-'}</td>
+                <td class="amount">${formatCurrency(item.amount)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+
+        <div class="totals">
+          <table>
+            ${taxRowsHTML(creditNote, formatCurrency)}
+            <tr class="total-row">
+              <td>Total Credit:</td>
+              <td class="amount">${formatCurrency(creditNote.totalAmount)}</td>
+            </tr>
+          </table>
+        </div>
+
+        <div class="clearfix"></div>
+
+        <p><strong>Reason:</strong> ${creditNote.reason}</p>
+
+        <div class="footer">
+          <p>For any queries regarding this credit note, please contact us at ${COMPANY_INFO.email}</p>
+          <p><strong>${COMPANY_INFO.name}</strong> | ${COMPANY_INFO.website}</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Generate credit note PDF using simple PDF creation
+ */
+async function generateCreditNotePDF(creditNote) {
+  return generateCreditNoteSimplePDF(creditNote);
+}
+
+/**
+ * Send credit note via email with PDF attachment
+ */
+async function sendCreditNoteEmail(creditNoteId) {
+  try {
+    const creditNote = await CreditNote.findById(creditNoteId);
+    if (!creditNote) {
+      throw billingError('Credit note not found', 404);
+    }
+
+    const customer = creditNote.customerDetails || {};
+    const amount = `₹${creditNote.totalAmount.toLocaleString('en-IN')}`;
+
+    await sendDocumentEmail({
+      to: customer.email,
+      subject: `Credit Note ${creditNote.creditNoteNumber} - ${COMPANY_INFO.name}`,
+      text: `Dear ${customer.name},\n\nA credit of ${amount} has been issued against invoice ${creditNote.billNumber}. The credit note is attached.\n\n${COMPANY_INFO.name}\n${COMPANY_INFO.email}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h2 style="color: #4a77e5;">Credit Note ${creditNote.creditNoteNumber}</h2>
+          <p>Dear ${customer.name},</p>
+          <p>A credit of <strong>${amount}</strong> has been issued against invoice ${creditNote.billNumber}. The credit note is attached.</p>
+          <p><strong>Reason:</strong> ${creditNote.reason}</p>
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+          <p style="color: #666; font-size: 12px;">${COMPANY_INFO.name}<br>${COMPANY_INFO.email}</p>
+        </div>
+      `,
+      filename: `CreditNote-${creditNote.creditNoteNumber}.pdf`,
+      pdfBuffer: await generateCreditNotePDF(creditNote)
+    });
+
+    await CreditNote.findByIdAndUpdate(creditNoteId, { emailSent: true, emailSentAt: new Date() });
+    logger.info('Credit note email sent', { creditNoteId, creditNoteNumber: creditNote.creditNoteNumber });
+
+    return { success: true, message: 'Credit note email sent successfully' };
+  } catch (error) {
+    logger.error('Error sending credit note email', { creditNoteId, error: error.message });
+    throw error;
+  }
+}
+
 /**
  * Get user bills
  */
@@ -615,6 +959,9 @@ module.exports = {
   sendBillEmail,
   generateAndSendBill,
   getUserBills,
-  COMPANY_INFO,
-  generateBillNumber  // Export the generateBillNumber function
+  createCreditNote,
+  generateCreditNoteHTML,
+  generateCreditNotePDF,
+  sendCreditNoteEmail,
+  COMPANY_INFO
 };
\ No newline at end of file
@@ -0,0 +1,511 @@
+/**
+ * Campaign Service
+ * Segmented broadcast emails to subscribers.
+ *
+ * Audiences are built from Subscription (status, product, plan, category,
+ * expiry window, coupon) joined with User (state). Sending snapshots the
+ * audience into CampaignRecipient rows, skips anyone who opted out of the
+ * campaign's preference category, and hands each email to the persistent
+ * email queue with staggered send times so throttlePerMinute is respected.
+ * Delivery status is read back from the queue jobs by the campaign cron;
+ * opens are recorded by a tracking pixel.
+ */
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+const winston = require('winston');
+const Campaign = require('../models/Campaign');
+const CampaignRecipient = require('../models/CampaignRecipient');
+const Subscription = require('../models/subscription');
+const User = require('../models/user');
+const EmailJob = require('../models/EmailJob');
+const emailQueue = require('./emailQueue');
+const emailTemplateService = require('./emailTemplateService');
+const emailPreferenceService = require('./emailPreferenceService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
+    winston.format.errors({ stack: true }),
+    winston.format.splat(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({
+      filename: 'logs/campaigns.log',
+      maxsize: 5 * 1024 * 1024,
+      maxFiles: 7
+    })
+  ]
+});
+
+const EDITABLE_STATUSES = ['draft', 'scheduled'];
+const QUEUE_BATCH_SIZE = 200;
+const CAMPAIGN_FIELDS = ['name', 'category', 'subject', 'html', 'text', 'audience', 'scheduledAt', 'throttlePerMinute'];
+
+function campaignError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+const toObjectIds = (ids = []) => ids
+  .filter(id => mongoose.Types.ObjectId.isValid(id))
+  .map(id => new mongoose.Types.ObjectId(id));
+
+/**
+ * Subscription match stage for an audience
+ * @param {Object} audience
+ * @param {Date} [now] - Reference time for expiresWithinDays
+ */
+function buildSubscriptionMatch(audience = {}, now = new Date()) {
+  const match = {};
+
+  if (audience.statuses && audience.statuses.length) match.status = { $in: audience.statuses };
+  if (audience.productType) match.productType = audience.productType;
+  if (audience.productIds && audience.productIds.length) match.productId = { $in: toObjectIds(audience.productIds) };
+  if (audience.planTypes && audience.planTypes.length) match.planType = { $in: audience.planTypes };
+  if (audience.categories && audience.categories.length) match.category = { $in: audience.categories };
+
+  const expiresAt = {};
+  if (audience.expiresFrom) expiresAt.$gte = new Date(audience.expiresFrom);
+  if (audience.expiresTo) expiresAt.$lte = new Date(audience.expiresTo);
+  if (audience.expiresWithinDays !== undefined && audience.expiresWithinDays !== null) {
+    expiresAt.$gte = now;
+    expiresAt.$lte = new Date(now.getTime() + audience.expiresWithinDays * 24 * 60 * 60 * 1000);
+  }
+  if (Object.keys(expiresAt).length) match.expiresAt = expiresAt;
+
+  if (audience.coupons && audience.coupons.length) {
+    match.couponUsed = { $in: toObjectIds(audience.coupons) };
+  } else if (audience.couponUsed === true) {
+    match.couponUsed = { $ne: null };
+  } else if (audience.couponUsed === false) {
+    match.couponUsed = null;
+  }
+
+  return match;
+}
+
+/**
+ * Users matching an audience
+ * @returns {Promise<Array<{_id, email, fullName, username}>>}
+ */
+async function resolveAudience(audience = {}, { limit = null } = {}) {
+  const userMatch = { email: { $nin: [null, ''] } };
+  if (audience.states && audience.states.length) userMatch.state = { $in: audience.states };
+
+  if (audience.allUsers) {
+    const query = User.find(userMatch).select('email fullName username').sort({ _id: 1 }).lean();
+    if (limit) query.limit(limit);
+    return query;
+  }
+
+  const pipeline = [
+    { $match: buildSubscriptionMatch(audience) },
+    { $group: { _id: '$user' } },
+    { $lookup: { from: User.collection.name, localField: '_id', foreignField: '_id', as: 'user' } },
+    { $unwind: '$user' },
+    { $replaceRoot: { newRoot: '$user' } },
+    { $match: userMatch },
+    { $project: { email: 1, fullName: 1, username: 1 } },
+    { $sort: { _id: 1 } }
+  ];
+  if (limit) pipeline.push({ $limit: limit });
+  return Subscription.aggregate(pipeline);
+}
+
+/**
+ * Audience size and a few example recipients
+ */
+async function previewAudience(audience) {
+  const users = await resolveAudience(audience);
+  return {
+    total: users.length,
+    sample: users.slice(0, 10).map(u => ({ id: u._id, email: u.email, name: u.fullName || u.username }))
+  };
+}
+
+/**
+ * Validate and normalize create/update fields
+ */
+function pickCampaignFields(body, { partial = false } = {}) {
+  const fields = {};
+  CAMPAIGN_FIELDS.forEach(key => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+
+  if (!partial) {
+    ['name', 'subject', 'html'].forEach(key => {
+      if (!fields[key]) throw campaignError(`${key} is required`);
+    });
+  }
+  if (fields.scheduledAt !== undefined && fields.scheduledAt !== null) {
+    const scheduledAt = new Date(fields.scheduledAt);
+    if (isNaN(scheduledAt.getTime())) throw campaignError('scheduledAt must be a valid date');
+    fields.scheduledAt = scheduledAt;
+  }
+  emailTemplateService.assertCompiles(fields);
+  return fields;
+}
+
+async function getCampaignOrThrow(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw campaignError('Invalid ID format');
+  const campaign = await Campaign.findById(id);
+  if (!campaign) throw campaignError('Campaign not found', 404);
+  return campaign;
+}
+
+async function createCampaign(body, userId) {
+  const campaign = new Campaign({ ...pickCampaignFields(body), createdBy: userId });
+  await campaign.validate();
+  await campaign.save();
+  logger.info('Campaign created', { campaignId: campaign._id.toString(), name: campaign.name });
+  return campaign;
+}
+
+async function updateCampaign(id, body) {
+  const campaign = await getCampaignOrThrow(id);
+  if (!EDITABLE_STATUSES.includes(campaign.status)) {
+    throw campaignError(`Campaign is ${campaign.status} and can no longer be edited`, 409);
+  }
+  campaign.set(pickCampaignFields(body, { partial: true }));
+  await campaign.save();
+  return campaign;
+}
+
+/**
+ * Schedule for later, or for immediate dispatch by the next cron tick when
+ * sendAt is omitted
+ */
+async function scheduleCampaign(id, sendAt = null) {
+  const campaign = await getCampaignOrThrow(id);
+  if (!EDITABLE_STATUSES.includes(campaign.status)) {
+    throw campaignError(`Campaign is ${campaign.status} and cannot be scheduled`, 409);
+  }
+
+  const scheduledAt = sendAt ? new Date(sendAt) : (campaign.scheduledAt || new Date());
+  if (isNaN(scheduledAt.getTime())) throw campaignError('sendAt must be a valid date');
+
+  campaign.scheduledAt = scheduledAt;
+  campaign.status = 'scheduled';
+  await campaign.save();
+  logger.info('Campaign scheduled', { campaignId: campaign._id.toString(), scheduledAt });
+  return campaign;
+}
+
+/**
+ * Cancel a campaign. Emails already handed to the queue but not yet sent
+ * are dead-lettered so they are not delivered.
+ */
+async function cancelCampaign(id) {
+  const campaign = await getCampaignOrThrow(id);
+  if (!['draft', 'scheduled', 'sending'].includes(campaign.status)) {
+    throw campaignError(`Campaign is ${campaign.status} and cannot be cancelled`, 409);
+  }
+
+  const queued = await CampaignRecipient.find({ campaign: campaign._id, status: 'queued' }).select('emailJob').lean();
+  const jobIds = queued.map(r => r.emailJob).filter(Boolean);
+  if (jobIds.length) {
+    await EmailJob.updateMany(
+      { _id: { $in: jobIds }, status: 'pending' },
+      { $set: { status: 'dead', deadAt: new Date(), lastError: 'Campaign cancelled' }, $unset: { lockedBy: '', lockedUntil: '' } }
+    );
+  }
+  await CampaignRecipient.updateMany(
+    { campaign: campaign._id, status: 'pending' },
+    { $set: { status: 'skipped', skipReason: 'campaign_cancelled' } }
+  );
+
+  campaign.status = 'cancelled';
+  campaign.cancelledAt = new Date();
+  await campaign.save();
+  await syncDeliveryStatus(campaign);
+  logger.info('Campaign cancelled', { campaignId: campaign._id.toString(), cancelledJobs: jobIds.length });
+  return campaign;
+}
+
+/**
+ * Render one recipient's email
+ */
+async function renderForRecipient(campaign, recipient, user, preference, baseUrl) {
+  const links = await emailPreferenceService.buildLinks(preference.token, campaign.category, baseUrl);
+  const content = await emailTemplateService.renderContent(
+    { subject: campaign.subject, html: campaign.html, text: campaign.text },
+    {
+      userName: user.fullName || user.username,
+      email: user.email,
+      ...links
+    },
+    { footer: emailPreferenceService.buildFooter(links) }
+  );
+
+  const pixelUrl = `${baseUrl}/api/email/open/${recipient.trackingToken}.gif`;
+  content.html = content.html.replace(
+    /<\/body>/i,
+    `<img src="${pixelUrl}" width="1" height="1" alt="" style="display:none;"></body>`
+  );
+  return content;
+}
+
+/**
+ * Snapshot the audience and queue every email. Runs once per campaign; a
+ * restart mid-way resumes with the recipients still pending.
+ */
+async function dispatchCampaign(campaign) {
+  const campaignId = campaign._id;
+  const startedAt = campaign.startedAt || new Date();
+
+  if (!campaign.startedAt) {
+    const users = await resolveAudience(campaign.audience ? campaign.audience.toObject() : {});
+    if (users.length) {
+      await CampaignRecipient.bulkWrite(users.map(u => ({
+        updateOne: {
+          filter: { campaign: campaignId, user: u._id },
+          update: { $setOnInsert: { campaign: campaignId, user: u._id, email: u.email } },
+          upsert: true
+        }
+      })), { ordered: false });
+    }
+    campaign.startedAt = startedAt;
+    await campaign.save();
+    logger.info('Campaign audience resolved', { campaignId: campaignId.toString(), recipients: users.length });
+  }
+
+  const baseUrl = await emailPreferenceService.getPublicBaseUrl();
+  const perMinute = campaign.throttlePerMinute || 60;
+  let position = await CampaignRecipient.countDocuments({ campaign: campaignId, status: { $in: ['queued', 'sent', 'failed'] } });
+
+  for (;;) {
+    // Re-check between batches so a cancel stops the dispatch
+    const current = await Campaign.findById(campaignId).select('status').lean();
+    if (!current || current.status !== 'sending') break;
+
+    const batch = await CampaignRecipient.find({ campaign: campaignId, status: 'pending' }).limit(QUEUE_BATCH_SIZE);
+    if (!batch.length) break;
+
+    const users = await User.find({ _id: { $in: batch.map(r => r.user) } }).select('email fullName username').lean();
+    const usersById = new Map(users.map(u => [u._id.toString(), u]));
+    const preferences = await emailPreferenceService.getForUsers(batch.map(r => r.user));
+
+    for (const recipient of batch) {
+      const user = usersById.get(recipient.user.toString());
+      const preference = preferences.get(recipient.user.toString());
+
+      if (!user || !user.email) {
+        recipient.status = 'skipped';
+        recipient.skipReason = 'no_email';
+      } else if (!preference.allows(campaign.category)) {
+        recipient.status = 'skipped';
+        recipient.skipReason = preference.unsubscribedAll ? 'unsubscribed' : `opted_out_${campaign.category}`;
+      } else {
+        try {
+          const content = await renderForRecipient(campaign, recipient, user, preference, baseUrl);
+          const sendAt = new Date(startedAt.getTime() + Math.floor(position / perMinute) * 60 * 1000);
+          const jobId = await emailQueue.addEmail({
+            to: user.email,
+            subject: content.subject,
+            text: content.text,
+            html: content.html,
+            type: 'campaign',
+            campaignId: campaignId.toString(),
+            recipientId: recipient._id.toString()
+          }, 'low', 3, { sendAt, idempotencyKey: `campaign:${campaignId}:${recipient.user}` });
+
+          recipient.status = 'queued';
+          recipient.emailJob = jobId;
+          recipient.queuedAt = new Date();
+          position++;
+        } catch (error) {
+          recipient.status = 'failed';
+          recipient.failedAt = new Date();
+          recipient.error = error.message;
+          logger.error('Failed to queue campaign email', { campaignId: campaignId.toString(), userId: recipient.user.toString(), error: error.message });
+        }
+      }
+      await recipient.save();
+    }
+  }
+
+  await refreshStats(campaignId);
+}
+
+/**
+ * Copy email queue outcomes (sent/dead) onto queued recipients and finish
+ * the campaign once nothing is left in flight
+ */
+async function syncDeliveryStatus(campaign) {
+  const queued = await CampaignRecipient.find({ campaign: campaign._id, status: 'queued' })
+    .select('emailJob')
+    .lean();
+
+  if (queued.length) {
+    const jobs = await EmailJob.find({ _id: { $in: queued.map(r => r.emailJob).filter(Boolean) }, status: { $in: ['sent', 'dead'] } })
+      .select('status sentAt deadAt lastError')
+      .lean();
+    const jobsById = new Map(jobs.map(j => [j._id.toString(), j]));
+
+    const updates = queued
+      .filter(r => r.emailJob && jobsById.has(r.emailJob.toString()))
+      .map(r => {
+        const job = jobsById.get(r.emailJob.toString());
+        const update = job.status === 'sent'
+          ? { status: 'sent', sentAt: job.sentAt || new Date() }
+          : { status: 'failed', failedAt: job.deadAt || new Date(), error: job.lastError };
+        return { updateOne: { filter: { _id: r._id }, update: { $set: update } } };
+      });
+    if (updates.length) await CampaignRecipient.bulkWrite(updates, { ordered: false });
+  }
+
+  const stats = await refreshStats(campaign._id);
+  const inFlight = await CampaignRecipient.countDocuments({ campaign: campaign._id, status: { $in: ['pending', 'queued'] } });
+  if (campaign.status === 'sending' && inFlight === 0) {
+    await Campaign.updateOne({ _id: campaign._id, status: 'sending' }, { $set: { status: 'sent', completedAt: new Date() } });
+    logger.info('Campaign completed', { campaignId: campaign._id.toString(), stats });
+  }
+  return stats;
+}
+
+/**
+ * Recount recipient statuses into campaign.stats
+ */
+async function refreshStats(campaignId) {
+  const counts = await CampaignRecipient.aggregate([
+    { $match: { campaign: new mongoose.Types.ObjectId(campaignId) } },
+    {
+      $group: {
+        _id: '$status',
+        count: { $sum: 1 },
+        opened: { $sum: { $cond: [{ $ifNull: ['$openedAt', false] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const stats = { recipients: 0, queued: 0, sent: 0, failed: 0, skipped: 0, opened: 0 };
+  counts.forEach(c => {
+    stats.recipients += c.count;
+    stats.opened += c.opened;
+    if (stats[c._id] !== undefined) stats[c._id] = c.count;
+  });
+  await Campaign.updateOne({ _id: campaignId }, { $set: { stats } });
+  return stats;
+}
+
+/**
+ * Record an open from the tracking pixel
+ */
+async function recordOpen(trackingToken) {
+  const now = new Date();
+  const recipient = await CampaignRecipient.findOneAndUpdate(
+    { trackingToken },
+    { $inc: { openCount: 1 } },
+    { new: true }
+  );
+  if (!recipient) return null;
+
+  if (!recipient.openedAt) {
+    await CampaignRecipient.updateOne({ _id: recipient._id, openedAt: null }, { $set: { openedAt: now } });
+    await Campaign.updateOne({ _id: recipient.campaign }, { $inc: { 'stats.opened': 1 } });
+  }
+  return recipient;
+}
+
+/**
+ * Per-recipient delivery records
+ */
+async function listRecipients(id, { status, page = 1, limit = 50 } = {}) {
+  const campaign = await getCampaignOrThrow(id);
+  const query = { campaign: campaign._id };
+  if (status) query.status = status;
+
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+
+  const [recipients, total] = await Promise.all([
+    CampaignRecipient.find(query)
+      .select('-trackingToken')
+      .populate('user', 'fullName username')
+      .sort({ _id: 1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    CampaignRecipient.countDocuments(query)
+  ]);
+  return { recipients, total, page: pageNum, limit: limitNum };
+}
+
+let running = false;
+
+/**
+ * Cron tick: start due campaigns and sync delivery for those in flight
+ */
+async function runCampaigns() {
+  if (running || mongoose.connection.readyState !== 1) return;
+  running = true;
+
+  try {
+    const due = await Campaign.find({ status: 'scheduled', scheduledAt: { $lte: new Date() } });
+    for (const campaign of due) {
+      // Claim so a second instance does not dispatch the same campaign
+      const claimed = await Campaign.findOneAndUpdate(
+        { _id: campaign._id, status: 'scheduled' },
+        { $set: { status: 'sending' } },
+        { new: true }
+      );
+      if (!claimed) continue;
+
+      try {
+        await dispatchCampaign(claimed);
+      } catch (error) {
+        logger.error('Campaign dispatch failed', { campaignId: claimed._id.toString(), error: error.message });
+        await Campaign.updateOne({ _id: claimed._id }, { $set: { status: 'failed', lastError: error.message } });
+      }
+    }
+
+    const inFlight = await Campaign.find({ status: 'sending' });
+    for (const campaign of inFlight) {
+      // Resume a dispatch interrupted by a restart
+      const pending = await CampaignRecipient.exists({ campaign: campaign._id, status: 'pending' });
+      if (pending || !campaign.startedAt) {
+        await dispatchCampaign(campaign);
+      }
+      await syncDeliveryStatus(campaign);
+    }
+  } catch (error) {
+    logger.error('Campaign run failed', { error: error.message });
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Check for due campaigns every minute
+ */
+function startCampaignScheduler() {
+  const task = cron.schedule('* * * * *', runCampaigns, {
+    scheduled: true,
+    timezone: 'Asia/Kolkata'
+  });
+  logger.info('Campaign scheduler started');
+  return task;
+}
+
+module.exports = {
+  buildSubscriptionMatch,
+  resolveAudience,
+  previewAudience,
+  getCampaignOrThrow,
+  createCampaign,
+  updateCampaign,
+  scheduleCampaign,
+  cancelCampaign,
+  dispatchCampaign,
+  syncDeliveryStatus,
+  refreshStats,
+  recordOpen,
+  listRecipients,
+  runCampaigns,
+  startCampaignScheduler
+};
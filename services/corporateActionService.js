@@ -0,0 +1,282 @@
+/**
+ * Corporate Action Service
+ * Applies splits, bonus issues and dividends to every model portfolio holding
+ * the affected symbol, so quantity/buy price stay comparable to the market
+ * price and dividends land in cashBalance.
+ */
+const mongoose = require('mongoose');
+const CorporateAction = require('../models/CorporateAction');
+const Portfolio = require('../models/modelPortFolio');
+const transactionLogger = require('../utils/transactionLogger');
+const tradeLedgerService = require('./tradeLedgerService');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
+    winston.format.errors({ stack: true }),
+    winston.format.splat(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({
+      filename: 'logs/corporate-actions.log',
+      maxsize: 5 * 1024 * 1024,
+      maxFiles: 7
+    })
+  ]
+});
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+// A run still processing after this long is assumed to have crashed
+const PROCESSING_TIMEOUT_MS = 30 * 60 * 1000;
+const claimableStatus = () => ({
+  $or: [
+    { status: { $in: ['pending', 'partially_processed'] } },
+    { status: 'processing', processingStartedAt: { $lt: new Date(Date.now() - PROCESSING_TIMEOUT_MS) } }
+  ]
+});
+
+const describeAction = (action) => {
+  if (action.type === 'split') {
+    return `Stock split ${action.ratioFrom}:${action.ratioTo}`;
+  }
+  if (action.type === 'bonus') {
+    return `Bonus issue ${action.ratioTo}:${action.ratioFrom} (${action.ratioTo} for every ${action.ratioFrom} held)`;
+  }
+  return `Dividend ₹${action.dividendPerShare}/share`;
+};
+
+/**
+ * Apply one corporate action to one portfolio (mutates the document, caller saves)
+ * @returns {Object} Result entry for CorporateAction.results
+ */
+exports.applyToPortfolio = (action, portfolio) => {
+  const holding = portfolio.holdings.find(h => h.symbol === action.symbol && h.quantity > 0);
+  if (!holding) {
+    return null;
+  }
+
+  const before = { quantity: holding.quantity, buyPrice: holding.buyPrice };
+  const cashBefore = portfolio.cashBalance;
+  const note = `${describeAction(action)} (ex-date ${action.exDate.toISOString().split('T')[0]})`;
+  let cashCredited = 0;
+
+  if (action.type === 'dividend') {
+    cashCredited = round2(holding.quantity * action.dividendPerShare);
+    portfolio.cashBalance = round2(portfolio.cashBalance + cashCredited);
+    holding.priceHistory.push({
+      date: new Date(),
+      price: action.dividendPerShare,
+      quantity: 0,
+      profitLoss: cashCredited,
+      action: 'dividend',
+      corporateAction: action._id,
+      note
+    });
+  } else {
+    const factor = action.getQuantityFactor();
+    const newQuantity = holding.quantity * factor;
+    const newBuyPrice = round2(holding.buyPrice / factor);
+
+    holding.priceHistory.push({
+      date: new Date(),
+      price: newBuyPrice,
+      quantity: round2(newQuantity - holding.quantity), // Shares added by the action
+      investment: 0,
+      action: action.type,
+      corporateAction: action._id,
+      note
+    });
+
+    holding.quantity = newQuantity;
+    holding.buyPrice = newBuyPrice;
+    if (holding.originalBuyPrice) {
+      holding.originalBuyPrice = round2(holding.originalBuyPrice / factor);
+    }
+  }
+  holding.lastUpdated = new Date();
+
+  return {
+    portfolio: portfolio._id,
+    portfolioName: portfolio.name,
+    quantityBefore: before.quantity,
+    quantityAfter: holding.quantity,
+    buyPriceBefore: before.buyPrice,
+    buyPriceAfter: holding.buyPrice,
+    cashCredited,
+    cashBefore,
+    cashAfter: portfolio.cashBalance,
+    note
+  };
+};
+
+/**
+ * Process a corporate action across all portfolios holding the symbol.
+ * The action is claimed first, so the cron and the admin route cannot run it
+ * together. Each portfolio's result is saved in the same transaction as its
+ * holdings, and portfolios already applied in an earlier (partial or
+ * interrupted) run are skipped.
+ * @param {string} actionId
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Process even if the ex-date is in the future
+ */
+exports.processCorporateAction = async (actionId, options = {}) => {
+  const existing = await CorporateAction.findById(actionId);
+  if (!existing) {
+    throw new Error('Corporate action not found');
+  }
+  if (['processed', 'cancelled'].includes(existing.status)) {
+    throw new Error(`Corporate action is already ${existing.status}`);
+  }
+  if (!options.force && existing.exDate > new Date()) {
+    throw new Error('Ex-date has not been reached yet');
+  }
+
+  const action = await CorporateAction.findOneAndUpdate(
+    { _id: actionId, ...claimableStatus() },
+    { $set: { status: 'processing', processingStartedAt: new Date() } },
+    { new: true }
+  );
+  if (!action) {
+    throw new Error('Corporate action is already being processed');
+  }
+
+  const alreadyApplied = new Set(
+    action.results.filter(r => r.status === 'applied').map(r => r.portfolio.toString())
+  );
+  const retained = action.results.filter(r => r.status === 'applied');
+  const results = [];
+
+  const portfolios = await Portfolio.find({
+    holdings: { $elemMatch: { symbol: action.symbol, quantity: { $gt: 0 } } }
+  });
+
+  logger.info(`Processing ${describeAction(action)} for ${action.symbol} across ${portfolios.length} portfolio(s)`, {
+    actionId: action._id.toString()
+  });
+
+  for (const portfolio of portfolios) {
+    if (alreadyApplied.has(portfolio._id.toString())) continue;
+
+    try {
+      const holdingBefore = tradeLedgerService.snapshotHolding(
+        portfolio.holdings.find(h => h.symbol === action.symbol && h.quantity > 0)
+      );
+      const applied = exports.applyToPortfolio(action, portfolio);
+      if (!applied) continue;
+
+      const holdingAfter = tradeLedgerService.snapshotHolding(
+        portfolio.holdings.find(h => h.symbol === action.symbol && h.quantity > 0)
+      );
+      const ledgerEntry = tradeLedgerService.buildEntry(
+        action.type === 'dividend' ? 'cash_adjustment' : 'holding_adjustment',
+        {
+          symbol: action.symbol,
+          quantity: action.type === 'dividend' ? applied.quantityAfter : applied.quantityAfter - applied.quantityBefore,
+          price: action.type === 'dividend' ? action.dividendPerShare : applied.buyPriceAfter,
+          amount: applied.cashCredited,
+          holdingBefore,
+          holdingAfter,
+          cashBefore: applied.cashBefore,
+          cashAfter: applied.cashAfter,
+          reference: { kind: 'CorporateAction', id: action._id },
+          note: applied.note
+        }
+      );
+      const result = {
+        portfolio: applied.portfolio,
+        portfolioName: applied.portfolioName,
+        quantityBefore: applied.quantityBefore,
+        quantityAfter: applied.quantityAfter,
+        buyPriceBefore: applied.buyPriceBefore,
+        buyPriceAfter: applied.buyPriceAfter,
+        cashCredited: applied.cashCredited,
+        status: 'applied',
+        processedAt: new Date()
+      };
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
+          await tradeLedgerService.saveWithLedger(portfolio, [ledgerEntry], { source: 'corporate_action', session });
+          await CorporateAction.updateOne({ _id: action._id }, { $push: { results: result } }, { session });
+        });
+      } finally {
+        session.endSession();
+      }
+      results.push(result);
+
+      // Applied and recorded by now; a logging failure must not mark it failed
+      await transactionLogger.logCorporateAction({
+        portfolioId: portfolio._id,
+        portfolioName: portfolio.name,
+        stockSymbol: action.symbol,
+        action: action.type,
+        details: applied.note,
+        beforeState: { quantity: applied.quantityBefore, buyPrice: applied.buyPriceBefore },
+        afterState: { quantity: applied.quantityAfter, buyPrice: applied.buyPriceAfter },
+        cashBefore: applied.cashBefore,
+        cashAfter: applied.cashAfter
+      }).catch(error => logger.error('Corporate action transaction log failed', {
+        actionId: action._id.toString(),
+        portfolioId: portfolio._id.toString(),
+        error: error.message
+      }));
+    } catch (error) {
+      logger.error(`Failed to apply corporate action to portfolio ${portfolio.name}`, {
+        actionId: action._id.toString(),
+        error: error.message
+      });
+      results.push({
+        portfolio: portfolio._id,
+        portfolioName: portfolio.name,
+        status: 'failed',
+        error: error.message
+      });
+    }
+  }
+
+  const failedCount = results.filter(r => r.status === 'failed').length;
+  action.results = [...retained, ...results];
+  action.status = failedCount > 0 ? 'partially_processed' : 'processed';
+  action.processedAt = new Date();
+  await action.save();
+
+  logger.info(`Corporate action ${action._id} ${action.status}`, {
+    applied: results.length - failedCount,
+    failed: failedCount
+  });
+
+  return {
+    action,
+    applied: results.length - failedCount,
+    failed: failedCount,
+    results
+  };
+};
+
+/**
+ * Process every pending action whose ex-date has been reached
+ */
+exports.processDueCorporateActions = async () => {
+  const due = await CorporateAction.find({
+    ...claimableStatus(),
+    exDate: { $lte: new Date() }
+  }).sort({ exDate: 1 });
+
+  const summary = [];
+  for (const action of due) {
+    try {
+      const { applied, failed } = await exports.processCorporateAction(action._id);
+      summary.push({ id: action._id, symbol: action.symbol, type: action.type, applied, failed });
+    } catch (error) {
+      logger.error(`Failed to process corporate action ${action._id}`, { error: error.message });
+      summary.push({ id: action._id, symbol: action.symbol, type: action.type, error: error.message });
+    }
+  }
+  return summary;
+};
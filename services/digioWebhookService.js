@@ -1,5 +1,6 @@
 const DigioSign = require('../models/DigioSign');
 const { getConfig } = require('../utils/configSettings');
+const notificationService = require('./notificationService');
 const axios = require('axios');
 
 /**
@@ -9,6 +10,38 @@ const axios = require('axios');
  * Also provides cron job functionality to poll document status.
  */
 
+// Statuses the user is told about in their notification inbox
+const NOTIFY_STATUSES = {
+  signed: { title: 'Document signed', body: 'Your eSign is complete.' },
+  completed: { title: 'Document signed', body: 'Your eSign is complete.' },
+  declined: { title: 'eSign declined', body: 'The document was declined. Start a new eSign to continue.' },
+  expired: { title: 'eSign link expired', body: 'Your eSign link expired before the document was signed. Start a new eSign to continue.' },
+  failed: { title: 'eSign failed', body: 'We could not complete your eSign. Please try again.' }
+};
+
+/**
+ * Notify the document owner when its status moves to one they act on
+ */
+async function notifyStatusChange(record, previousStatus, newStatus) {
+  if (!record.userId || record.isTemplate || previousStatus === newStatus || !NOTIFY_STATUSES[newStatus]) {
+    return;
+  }
+  // signed and completed read the same to the user
+  if (['signed', 'completed'].includes(previousStatus) && ['signed', 'completed'].includes(newStatus)) {
+    return;
+  }
+  try {
+    await notificationService.notify(record.userId, 'esign_status', {
+      inApp: {
+        ...NOTIFY_STATUSES[newStatus],
+        data: { documentId: record.documentId, status: newStatus }
+      }
+    }, { dedupeKey: `esign:${record._id}:${newStatus}` });
+  } catch (error) {
+    console.error(`[DIGIO_NOTIFY] Failed to notify user for document ${record.documentId}:`, error.message);
+  }
+}
+
 /**
  * Process webhook payload from Digio
  * Common webhook events: document.viewed, document.signed, document.completed, document.expired, document.declined
@@ -181,6 +214,7 @@ async function processWebhook(webhookPayload, headers = {}) {
     );
 
     console.log(`[DIGIO_WEBHOOK] Updated record ${record._id} with status: ${updateFields.status}`);
+    await notifyStatusChange(record, record.status, updateFields.status);
 
     return {
       success: true,
@@ -408,6 +442,7 @@ async function syncPendingDocuments() {
 
             await DigioSign.findByIdAndUpdate(doc._id, { $set: updateData });
             console.log(`[DIGIO_SYNC] Updated document ${doc.documentId}: ${doc.status} → ${mappedStatus}`);
+            await notifyStatusChange(doc, doc.status, mappedStatus);
             updated++;
           }
         }
@@ -493,6 +528,7 @@ async function syncDocument(documentId) {
     }
 
     const updatedDoc = await DigioSign.findByIdAndUpdate(doc._id, { $set: updateData }, { new: true });
+    await notifyStatusChange(doc, doc.status, mappedStatus);
 
     return {
       success: true,
@@ -0,0 +1,282 @@
+/**
+ * Document Number Service
+ * Sequential, per-financial-year numbers for invoices, credit notes and
+ * proformas, taken from an atomic counter (models/DocumentCounter).
+ *
+ * Pass the session of the transaction that saves the document so an
+ * aborted save gives its number back and the series stays gap-free.
+ * auditDocumentNumbers/repairDocumentNumbers check stored documents for
+ * duplicate and missing numbers.
+ */
+const winston = require('winston');
+const DocumentCounter = require('../models/DocumentCounter');
+const Bill = require('../models/bill');
+const CreditNote = require('../models/CreditNote');
+const { DOCUMENT_NUMBERING } = require('../config/billConfig');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp({ format: "YYYY-MM-DD HH:mm:ss" }),
+    winston.format.errors({ stack: true }),
+    winston.format.splat(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({
+      filename: "logs/document-numbers.log",
+      maxsize: 5 * 1024 * 1024,
+      maxFiles: 7
+    })
+  ]
+});
+
+// Financial years follow Indian time
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+// Longest list of missing numbers returned by an audit
+const MAX_MISSING_LISTED = 500;
+
+// Collections holding each series' documents
+const SERIES_STORES = {
+  invoice: { model: Bill, numberField: 'billNumber', dateField: 'billDate' },
+  credit_note: { model: CreditNote, numberField: 'creditNoteNumber', dateField: 'creditNoteDate' }
+};
+
+function numberingError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Financial year (April-March) containing a date
+ * @param {Date|string} [date]
+ * @returns {{ label: string, short: string, start: Date, end: Date }} e.g. label '2026-27', short '2627'
+ */
+function financialYear(date = new Date()) {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return financialYearFromStart(startYear);
+}
+
+function financialYearFromStart(startYear) {
+  const endYear = String((startYear + 1) % 100).padStart(2, '0');
+  return {
+    label: `${startYear}-${endYear}`,
+    short: `${String(startYear % 100).padStart(2, '0')}${endYear}`,
+    start: new Date(Date.UTC(startYear, 3, 1) - IST_OFFSET_MS),
+    end: new Date(Date.UTC(startYear + 1, 3, 1) - IST_OFFSET_MS)
+  };
+}
+
+/**
+ * Parse a financial year label such as '2026-27'
+ */
+function parseFinancialYear(label) {
+  const match = /^(\d{4})-(\d{2})$/.exec(String(label || ''));
+  if (!match || (Number(match[1]) + 1) % 100 !== Number(match[2])) {
+    throw numberingError(`Invalid financial year "${label}". Use the form 2026-27`);
+  }
+  return financialYearFromStart(Number(match[1]));
+}
+
+function seriesSettings(series) {
+  const settings = DOCUMENT_NUMBERING[series];
+  if (!settings) {
+    throw numberingError(`Unknown document series "${series}". Use one of: ${DocumentCounter.DOCUMENT_SERIES.join(', ')}`);
+  }
+  if (!settings.format.includes('{seq}') || !/\{fy(Short)?\}/.test(settings.format)) {
+    // Without the year, numbers would repeat every April
+    throw numberingError(`Number format for ${series} must contain {seq} and {fy} or {fyShort}`, 500);
+  }
+  return settings;
+}
+
+function formatDocumentNumber(series, fy, seq) {
+  const { prefix, format, padding } = seriesSettings(series);
+  return format
+    .replace('{prefix}', prefix)
+    .replace('{fy}', fy.label)
+    .replace('{fyShort}', fy.short)
+    .replace('{seq}', String(seq).padStart(padding, '0'));
+}
+
+/**
+ * Pattern matching the series' numbers for one financial year; group 1 is the sequence
+ */
+function documentNumberPattern(series, fy) {
+  const { prefix, format } = seriesSettings(series);
+  const source = format
+    .split(/(\{prefix\}|\{fy\}|\{fyShort\}|\{seq\})/)
+    .map(part => {
+      if (part === '{prefix}') return escapeRegex(prefix);
+      if (part === '{fy}') return escapeRegex(fy.label);
+      if (part === '{fyShort}') return escapeRegex(fy.short);
+      if (part === '{seq}') return '(\\d+)';
+      return escapeRegex(part);
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Take the next number of a series
+ * @param {string} series - 'invoice' | 'credit_note' | 'proforma'
+ * @param {object} [options] - { date: document date, session: transaction session }
+ * @returns {Promise<string>}
+ */
+async function nextDocumentNumber(series, { date = new Date(), session } = {}) {
+  seriesSettings(series);
+  const fy = financialYear(date);
+
+  // Create the year's counter outside the caller's transaction: a duplicate
+  // key error from two first numbers racing would abort that transaction
+  try {
+    await DocumentCounter.updateOne(
+      { series, financialYear: fy.label },
+      { $setOnInsert: { seq: 0 } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // The other first number created it
+    if (error.code !== 11000) throw error;
+  }
+
+  const counter = await DocumentCounter.findOneAndUpdate(
+    { series, financialYear: fy.label },
+    { $inc: { seq: 1 } },
+    { new: true, session }
+  );
+  return formatDocumentNumber(series, fy, counter.seq);
+}
+
+function seriesStore(series) {
+  seriesSettings(series);
+  const store = SERIES_STORES[series];
+  if (!store) {
+    throw numberingError(`Documents of the ${series} series are not stored, so they cannot be audited`);
+  }
+  return store;
+}
+
+/**
+ * Check a series for one financial year: duplicate numbers, missing
+ * numbers, documents numbered outside the series and a counter that
+ * lags behind the highest number issued
+ * @param {string} series - 'invoice' | 'credit_note'
+ * @param {object} [options] - { financialYear: '2026-27', defaults to the current one }
+ */
+async function auditDocumentNumbers(series, options = {}) {
+  const { model, numberField, dateField } = seriesStore(series);
+  const fy = options.financialYear ? parseFinancialYear(options.financialYear) : financialYear();
+  const pattern = documentNumberPattern(series, fy);
+
+  const [documents, counter, outOfSeries] = await Promise.all([
+    model.find({ [numberField]: { $regex: pattern } }).select(`${numberField} ${dateField} createdAt`).sort({ createdAt: 1 }).lean(),
+    DocumentCounter.findOne({ series, financialYear: fy.label }).lean(),
+    // Dated in this year but numbered otherwise, e.g. before this numbering scheme
+    model.countDocuments({
+      [dateField]: { $gte: fy.start, $lt: fy.end },
+      [numberField]: { $not: pattern }
+    })
+  ]);
+
+  const byNumber = new Map();
+  documents.forEach(doc => {
+    const number = doc[numberField];
+    if (!byNumber.has(number)) byNumber.set(number, []);
+    byNumber.get(number).push(doc);
+  });
+
+  const duplicates = [...byNumber.entries()]
+    .filter(([, docs]) => docs.length > 1)
+    .map(([number, docs]) => ({ number, count: docs.length, ids: docs.map(doc => doc._id) }));
+
+  const seqs = new Set([...byNumber.keys()].map(number => Number(pattern.exec(number)[1])));
+  const lastSeq = seqs.size ? Math.max(...seqs) : 0;
+  const counterSeq = counter ? counter.seq : 0;
+
+  // Numbers the counter handed out that no document carries
+  const missing = [];
+  let missingCount = 0;
+  for (let seq = 1; seq <= Math.max(lastSeq, counterSeq); seq++) {
+    if (seqs.has(seq)) continue;
+    missingCount++;
+    if (missing.length < MAX_MISSING_LISTED) missing.push(formatDocumentNumber(series, fy, seq));
+  }
+
+  return {
+    series,
+    financialYear: fy.label,
+    documents: documents.length,
+    lastNumber: lastSeq ? formatDocumentNumber(series, fy, lastSeq) : null,
+    counter: counterSeq,
+    counterBehind: counterSeq < lastSeq,
+    duplicates,
+    missing,
+    missingCount,
+    outOfSeries,
+    ok: duplicates.length === 0 && missingCount === 0 && counterSeq >= lastSeq
+  };
+}
+
+/**
+ * Fix what an audit can fix: move a lagging counter up to the highest
+ * number issued, and give every duplicate but the oldest a new number.
+ * Missing numbers are only reported; issued documents are never
+ * renumbered to close a gap.
+ * @param {string} series
+ * @param {object} [options] - { financialYear, apply: false for a dry run }
+ * @returns {Promise<object>} { audit, actions, applied }
+ */
+async function repairDocumentNumbers(series, options = {}) {
+  const { model, numberField, dateField } = seriesStore(series);
+  const audit = await auditDocumentNumbers(series, options);
+  const fy = parseFinancialYear(audit.financialYear);
+  const apply = options.apply === true;
+  const actions = [];
+
+  if (audit.counterBehind) {
+    const lastSeq = Number(documentNumberPattern(series, fy).exec(audit.lastNumber)[1]);
+    actions.push({ action: 'advance_counter', from: audit.counter, to: lastSeq });
+    if (apply) {
+      await DocumentCounter.updateOne(
+        { series, financialYear: fy.label },
+        { $max: { seq: lastSeq } },
+        { upsert: true }
+      );
+    }
+  }
+
+  for (const duplicate of audit.duplicates) {
+    // The oldest document keeps the number
+    for (const id of duplicate.ids.slice(1)) {
+      const action = { action: 'renumber', id, from: duplicate.number, to: null };
+      if (apply) {
+        const doc = await model.findById(id).select(dateField).lean();
+        action.to = await nextDocumentNumber(series, { date: doc[dateField] });
+        await model.updateOne({ _id: id }, { [numberField]: action.to, renumberedFrom: duplicate.number });
+      }
+      actions.push(action);
+    }
+  }
+
+  if (apply && actions.length) {
+    logger.warn('Document numbers repaired', { series, financialYear: fy.label, actions });
+  }
+
+  return { audit, actions, applied: apply };
+}
+
+module.exports = {
+  financialYear,
+  parseFinancialYear,
+  formatDocumentNumber,
+  nextDocumentNumber,
+  auditDocumentNumbers,
+  repairDocumentNumbers
+};
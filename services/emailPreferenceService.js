@@ -0,0 +1,174 @@
+/**
+ * Email Preference Service
+ * Unsubscribe links, the preference center and the opt-out check every
+ * non-transactional send (campaigns, admin broadcasts) goes through.
+ */
+const EmailPreference = require('../models/EmailPreference');
+const { getConfig } = require('../utils/configSettings');
+
+const { EMAIL_CATEGORIES } = EmailPreference;
+
+function preferenceError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Preferences for a user, created with everything enabled on first use
+ * @param {string|ObjectId} userId
+ */
+async function getOrCreate(userId) {
+  return EmailPreference.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+}
+
+/**
+ * Preferences keyed by user id for a batch of users (created where missing)
+ * @param {Array<string|ObjectId>} userIds
+ * @returns {Promise<Map<string, Object>>}
+ */
+async function getForUsers(userIds) {
+  const existing = await EmailPreference.find({ user: { $in: userIds } });
+  const byUser = new Map(existing.map(p => [p.user.toString(), p]));
+
+  const missing = userIds.filter(id => !byUser.has(id.toString()));
+  if (missing.length) {
+    await EmailPreference.bulkWrite(missing.map(id => ({
+      updateOne: {
+        filter: { user: id },
+        update: { $setOnInsert: { user: id } },
+        upsert: true,
+        setDefaultsOnInsert: true
+      }
+    })), { ordered: false });
+    const created = await EmailPreference.find({ user: { $in: missing } });
+    created.forEach(p => byUser.set(p.user.toString(), p));
+  }
+  return byUser;
+}
+
+async function getByToken(token) {
+  if (!token || typeof token !== 'string') {
+    throw preferenceError('Missing preference token');
+  }
+  const preference = await EmailPreference.findOne({ token });
+  if (!preference) {
+    throw preferenceError('Invalid or expired link', 404);
+  }
+  return preference;
+}
+
+/**
+ * Apply a preference change
+ * @param {Object} preference - EmailPreference document
+ * @param {Object} changes - { unsubscribedAll, categories: { <category>: boolean } }
+ * @param {string} via - unsubscribe_link | preference_center | account | admin
+ */
+async function applyChanges(preference, changes = {}, via) {
+  if (changes.categories !== undefined) {
+    if (typeof changes.categories !== 'object' || changes.categories === null) {
+      throw preferenceError('categories must be an object of booleans');
+    }
+    Object.entries(changes.categories).forEach(([category, enabled]) => {
+      if (!EMAIL_CATEGORIES.includes(category)) {
+        throw preferenceError(`Unknown category ${category}. Use one of: ${EMAIL_CATEGORIES.join(', ')}`);
+      }
+      preference.categories[category] = enabled === true || enabled === 'true' || enabled === 'on';
+    });
+  }
+
+  if (changes.unsubscribedAll !== undefined) {
+    const unsubscribe = changes.unsubscribedAll === true || changes.unsubscribedAll === 'true' || changes.unsubscribedAll === 'on';
+    if (unsubscribe && !preference.unsubscribedAll) preference.unsubscribedAt = new Date();
+    preference.unsubscribedAll = unsubscribe;
+  }
+
+  preference.lastChangedVia = via;
+  await preference.save();
+  return preference;
+}
+
+/**
+ * One-click unsubscribe from a category, or from everything
+ */
+async function unsubscribe(token, category = null) {
+  const preference = await getByToken(token);
+  if (category) {
+    return applyChanges(preference, { categories: { [category]: false } }, 'unsubscribe_link');
+  }
+  return applyChanges(preference, { unsubscribedAll: true }, 'unsubscribe_link');
+}
+
+/**
+ * Public base URL the unsubscribe and preference links point at
+ */
+async function getPublicBaseUrl() {
+  let baseUrl = process.env.PUBLIC_API_URL || '';
+  try {
+    baseUrl = await getConfig('PUBLIC_API_URL', baseUrl);
+  } catch (error) {
+    // Config store unavailable; keep the environment value
+  }
+  return (baseUrl || '').replace(/\/$/, '');
+}
+
+/**
+ * Unsubscribe and preference center links for a preference token
+ * @param {string} token
+ * @param {string} [category] - Category the unsubscribe link opts out of
+ * @param {string} [baseUrl] - Pass when building links for many users
+ */
+async function buildLinks(token, category = null, baseUrl = null) {
+  const base = baseUrl !== null ? baseUrl : await getPublicBaseUrl();
+  const query = `token=${encodeURIComponent(token)}`;
+  return {
+    unsubscribeUrl: `${base}/api/email/unsubscribe?${query}${category ? `&category=${encodeURIComponent(category)}` : ''}`,
+    preferencesUrl: `${base}/api/email/preferences?${query}`
+  };
+}
+
+/**
+ * Footer appended to every non-transactional email
+ */
+function buildFooter({ unsubscribeUrl, preferencesUrl }) {
+  return {
+    html: `<p style="margin-top:30px; color:#999999; font-size:12px; text-align:center;">
+  You are receiving this email because you have an account with us.
+  <a href="${unsubscribeUrl}" style="color:#999999;">Unsubscribe</a> |
+  <a href="${preferencesUrl}" style="color:#999999;">Email preferences</a>
+</p>`,
+    text: `Unsubscribe: ${unsubscribeUrl}\nEmail preferences: ${preferencesUrl}`
+  };
+}
+
+/**
+ * Plain view of a preference document for API responses
+ */
+function toJSON(preference) {
+  return {
+    unsubscribedAll: preference.unsubscribedAll,
+    categories: EMAIL_CATEGORIES.reduce((result, category) => {
+      result[category] = !preference.categories || preference.categories[category] !== false;
+      return result;
+    }, {}),
+    unsubscribedAt: preference.unsubscribedAt || null,
+    updatedAt: preference.updatedAt
+  };
+}
+
+module.exports = {
+  EMAIL_CATEGORIES,
+  getOrCreate,
+  getForUsers,
+  getByToken,
+  applyChanges,
+  unsubscribe,
+  getPublicBaseUrl,
+  buildLinks,
+  buildFooter,
+  toJSON
+};
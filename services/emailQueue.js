@@ -1,5 +1,13 @@
+const os = require('os');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const winston = require('winston');
+const EmailJob = require('../models/EmailJob');
+const Campaign = require('../models/Campaign');
+const CampaignRecipient = require('../models/CampaignRecipient');
+const EmailPreference = require('../models/EmailPreference');
 const { sendEmail } = require('./emailServices');
+const emailTemplateService = require('./emailTemplateService');
 
 // Logger setup
 const logger = winston.createLogger({
@@ -22,42 +30,69 @@ const logger = winston.createLogger({
 
 class EmailQueue {
   constructor() {
-    this.queue = [];
     this.processing = false;
     this.retryAttempts = 3;
-    this.retryDelay = 5000; // 5 seconds
-    
-    // Start processing emails immediately
-    this.processQueue();
+    this.retryDelay = 5000; // 5 seconds, doubled after each failed attempt
+    this.lockDuration = 2 * 60 * 1000; // A claimed job is reclaimable after 2 minutes
+    this.pollInterval = 15 * 1000;
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+    // Pick up scheduled sends, backoff retries and jobs left by other instances
+    this.pollTimer = setInterval(() => this.processQueue(), this.pollInterval);
+    if (this.pollTimer.unref) this.pollTimer.unref();
   }
 
   /**
    * Add email to queue
+   * @param {Object} emailData - to, subject, text, html, type; other fields are kept as metadata
+   * @param {string} priority - high | normal | low
+   * @param {number} maxRetries - Retries after the first attempt before the job is dead-lettered
+   * @param {Object} [options]
+   * @param {Date} [options.sendAt] - Do not send before this time
+   * @param {string} [options.idempotencyKey] - A second add with the same key returns the existing job
+   * @returns {Promise<string>} Job id
    */
-  async addEmail(emailData, priority = 'normal', maxRetries = 3) {
-    const queueItem = {
-      id: Date.now() + Math.random(),
-      ...emailData,
-      priority,
-      maxRetries,
-      retryCount: 0,
-      addedAt: new Date(),
-      status: 'pending'
-    };
+  async addEmail(emailData, priority = 'normal', maxRetries = 3, options = {}) {
+    const { to, subject, text, html, type, ...metadata } = emailData;
+    const idempotencyKey = options.idempotencyKey || undefined;
+
+    if (idempotencyKey) {
+      const existing = await EmailJob.findOne({ idempotencyKey }).select('_id status');
+      if (existing) {
+        logger.info('Email already queued for idempotency key', { id: existing._id.toString(), idempotencyKey, status: existing.status });
+        return existing._id.toString();
+      }
+    }
 
-    // Add to queue based on priority
-    if (priority === 'high') {
-      this.queue.unshift(queueItem);
-    } else {
-      this.queue.push(queueItem);
+    let job;
+    try {
+      job = await EmailJob.create({
+        to,
+        subject,
+        text,
+        html,
+        type: type || 'general',
+        priority,
+        maxRetries,
+        runAt: options.sendAt || new Date(),
+        idempotencyKey,
+        metadata
+      });
+    } catch (error) {
+      // Lost a race with another add for the same key
+      if (error.code === 11000 && idempotencyKey) {
+        const existing = await EmailJob.findOne({ idempotencyKey }).select('_id');
+        return existing._id.toString();
+      }
+      throw error;
     }
 
     logger.info('Email added to queue', {
-      id: queueItem.id,
-      to: emailData.to,
-      subject: emailData.subject,
+      id: job._id.toString(),
+      to,
+      subject,
       priority,
-      queueLength: this.queue.length
+      runAt: job.runAt
     });
 
     // Start processing if not already processing
@@ -65,361 +100,263 @@ class EmailQueue {
       this.processQueue();
     }
 
-    return queueItem.id;
-  }
-
-  /**
-   * Add bill email to queue with high priority
-   */
-  async addBillEmail(user, subscription, billData) {
-    const { COMPANY_INFO } = require('../config/billConfig');
-    
-    const subject = `Invoice ${billData.billNumber} - ${COMPANY_INFO.name}`;
-    const htmlContent = this.generateBillEmailHTML(billData, subscription);
-    const textContent = this.generateBillEmailText(billData, subscription);
-
-    return this.addEmail({
-      to: user.email,
-      subject,
-      text: textContent,
-      html: htmlContent,
-      type: 'bill',
-      userId: user._id,
-      subscriptionId: subscription._id,
-      billNumber: billData.billNumber
-    }, 'high', 5); // High priority, max 5 retries for bills
+    return job._id.toString();
   }
 
   /**
    * Add telegram invite email to queue
    */
   async addTelegramEmail(user, product, inviteLinks, expiresAt) {
-    const subject = `🎉 Welcome! Your Telegram Group Access is Ready`;
-    const htmlContent = this.generateTelegramEmailHTML(user, product, inviteLinks, expiresAt);
-    const textContent = this.generateTelegramEmailText(user, product, inviteLinks, expiresAt);
+    const email = await emailTemplateService.render('telegram_invite', {
+      userName: user.fullName || user.username,
+      inviteLinks: inviteLinks.map(invite => ({ name: invite.name, description: invite.description, link: invite.link })),
+      expiresAt: expiresAt.toLocaleDateString()
+    });
 
     return this.addEmail({
       to: user.email,
-      subject,
-      text: textContent,
-      html: htmlContent,
+      subject: email.subject,
+      text: email.text,
+      html: email.html,
       type: 'telegram',
       userId: user._id,
       productType: product.type,
-      productId: product.id
+      productId: product.id,
+      templateVersion: email.version
     }, 'high', 3);
   }
 
+  /**
+   * Atomically claim the next due job: pending and due, or processing with an expired lock
+   */
+  async claimNextJob() {
+    const now = new Date();
+    return EmailJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', runAt: { $lte: now } },
+          { status: 'processing', lockedUntil: { $lt: now } }
+        ]
+      },
+      {
+        $set: {
+          status: 'processing',
+          lockedBy: this.workerId,
+          lockedUntil: new Date(now.getTime() + this.lockDuration)
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { priorityRank: 1, runAt: 1 }, new: true }
+    );
+  }
+
   /**
    * Process email queue
    */
   async processQueue() {
-    if (this.processing || this.queue.length === 0) {
+    if (this.processing || mongoose.connection.readyState !== 1) {
       return;
     }
 
     this.processing = true;
-    logger.info('Starting email queue processing', { queueLength: this.queue.length });
-
-    while (this.queue.length > 0) {
-      const emailItem = this.queue.shift();
-      
-      try {
-        await this.sendEmailWithRetry(emailItem);
-      } catch (error) {
-        logger.error('Failed to process email after all retries', {
-          id: emailItem.id,
-          to: emailItem.to,
-          subject: emailItem.subject,
-          error: error.message
-        });
-      }
+    let processed = 0;
 
-      // Small delay between emails to avoid overwhelming SMTP server
-      await new Promise(resolve => setTimeout(resolve, 1000));
+    try {
+      let job;
+      while ((job = await this.claimNextJob())) {
+        if (processed === 0) logger.info('Starting email queue processing', { workerId: this.workerId });
+        await this.sendJob(job);
+        processed++;
+
+        // Small delay between emails to avoid overwhelming SMTP server
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    } catch (error) {
+      logger.error('Email queue processing error', { error: error.message });
+    } finally {
+      this.processing = false;
     }
 
-    this.processing = false;
-    logger.info('Email queue processing completed');
+    if (processed > 0) {
+      logger.info('Email queue processing completed', { processed });
+    }
   }
 
   /**
-   * Send email with retry logic
+   * Skip reason for a campaign email whose recipient opted out of the campaign's
+   * category (or of everything) after it was queued, else null
    */
-  async sendEmailWithRetry(emailItem) {
-    emailItem.status = 'processing';
-    
-    for (let attempt = 0; attempt <= emailItem.maxRetries; attempt++) {
-      try {
-        logger.info('Attempting to send email', {
-          id: emailItem.id,
-          to: emailItem.to,
-          attempt: attempt + 1,
-          maxRetries: emailItem.maxRetries + 1
-        });
+  async getCampaignOptOut(job) {
+    const { campaignId, recipientId } = job.metadata || {};
+    if (!campaignId || !recipientId) return null;
+
+    const [campaign, recipient] = await Promise.all([
+      Campaign.findById(campaignId).select('category').lean(),
+      CampaignRecipient.findById(recipientId).select('user').lean()
+    ]);
+    if (!campaign || !recipient) return null;
+
+    const preference = await EmailPreference.findOne({ user: recipient.user });
+    if (!preference || preference.allows(campaign.category)) return null;
+    return preference.unsubscribedAll ? 'unsubscribed' : `opted_out_${campaign.category}`;
+  }
 
-        const result = await sendEmail(
-          emailItem.to,
-          emailItem.subject,
-          emailItem.text,
-          emailItem.html
+  /**
+   * Send one claimed job; on failure schedule a backoff retry or dead-letter it
+   */
+  async sendJob(job) {
+    try {
+      const optOut = await this.getCampaignOptOut(job);
+      if (optOut) {
+        await CampaignRecipient.updateOne(
+          { _id: job.metadata.recipientId, status: 'queued' },
+          { $set: { status: 'skipped', skipReason: optOut } }
         );
+        await EmailJob.updateOne(
+          { _id: job._id, lockedBy: this.workerId },
+          { $set: { status: 'skipped', skippedAt: new Date(), lastError: `Recipient opted out (${optOut})` }, $unset: { lockedBy: 1, lockedUntil: 1 } }
+        );
+        logger.info('Campaign email not sent: recipient opted out', { id: job._id.toString(), to: job.to, reason: optOut });
+        return;
+      }
 
-        // Check if email service returned an error (production mode)
-        if (result && result.error) {
-          throw new Error(result.error);
-        }
-
-        emailItem.status = 'sent';
-        emailItem.sentAt = new Date();
-        
-        logger.info('Email sent successfully', {
-          id: emailItem.id,
-          to: emailItem.to,
-          subject: emailItem.subject,
-          attempt: attempt + 1
-        });
+      logger.info('Attempting to send email', {
+        id: job._id.toString(),
+        to: job.to,
+        attempt: job.attempts,
+        maxRetries: job.maxRetries + 1
+      });
+
+      const result = await sendEmail(job.to, job.subject, job.text, job.html);
 
-        return result;
+      // Check if email service returned an error (production mode)
+      if (result && result.error) {
+        throw new Error(result.error);
+      }
 
-      } catch (error) {
-        emailItem.retryCount = attempt + 1;
-        emailItem.lastError = error.message;
-        
-        logger.warn('Email send attempt failed', {
-          id: emailItem.id,
-          to: emailItem.to,
-          attempt: attempt + 1,
+      await EmailJob.updateOne(
+        { _id: job._id, lockedBy: this.workerId },
+        { $set: { status: 'sent', sentAt: new Date() }, $unset: { lockedBy: 1, lockedUntil: 1 } }
+      );
+
+      logger.info('Email sent successfully', {
+        id: job._id.toString(),
+        to: job.to,
+        subject: job.subject,
+        attempt: job.attempts
+      });
+    } catch (error) {
+      const exhausted = job.attempts > job.maxRetries;
+      const update = {
+        $set: { lastError: error.message },
+        $push: { attemptErrors: { $each: [{ at: new Date(), attempt: job.attempts, message: error.message }], $slice: -10 } },
+        $unset: { lockedBy: 1, lockedUntil: 1 }
+      };
+
+      if (exhausted) {
+        update.$set.status = 'dead';
+        update.$set.deadAt = new Date();
+        logger.error('Failed to process email after all retries', {
+          id: job._id.toString(),
+          to: job.to,
+          subject: job.subject,
+          error: error.message
+        });
+      } else {
+        const delay = this.retryDelay * Math.pow(2, job.attempts - 1); // Exponential backoff
+        update.$set.status = 'pending';
+        update.$set.runAt = new Date(Date.now() + delay);
+        logger.warn('Email send attempt failed, retry scheduled', {
+          id: job._id.toString(),
+          to: job.to,
+          attempt: job.attempts,
+          delay,
           error: error.message
         });
-
-        // If this is not the last attempt, wait before retrying
-        if (attempt < emailItem.maxRetries) {
-          const delay = this.retryDelay * Math.pow(2, attempt); // Exponential backoff
-          logger.info('Retrying email after delay', {
-            id: emailItem.id,
-            delay: delay,
-            nextAttempt: attempt + 2
-          });
-          await new Promise(resolve => setTimeout(resolve, delay));
-        }
       }
-    }
 
-    emailItem.status = 'failed';
-    emailItem.failedAt = new Date();
-    throw new Error(`Failed to send email after ${emailItem.maxRetries + 1} attempts: ${emailItem.lastError}`);
+      await EmailJob.updateOne({ _id: job._id, lockedBy: this.workerId }, update);
+    }
   }
 
   /**
-   * Generate bill email HTML
+   * List jobs for the admin view
    */
-  generateBillEmailHTML(billData, subscription) {
-    const { COMPANY_INFO } = require('../config/billConfig');
-    
-    return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8">
-        <title>Invoice ${billData.billNumber}</title>
-        <style>
-          body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 20px; background-color: #f5f5f5; }
-          .email-container { max-width: 600px; margin: 0 auto; background: white; border-radius: 10px; box-shadow: 0 0 20px rgba(0,0,0,0.1); overflow: hidden; }
-          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; }
-          .header h1 { margin: 0; font-size: 28px; }
-          .content { padding: 30px; }
-          .invoice-info { background: #f8f9ff; padding: 20px; border-radius: 8px; margin: 20px 0; }
-          .invoice-info h3 { margin: 0 0 15px 0; color: #667eea; }
-          .amount-highlight { font-size: 24px; font-weight: bold; color: #28a745; text-align: center; margin: 20px 0; }
-          .status-paid { background: #d4edda; color: #155724; padding: 10px 20px; border-radius: 20px; display: inline-block; font-weight: 600; }
-          .footer { background: #f8f9fa; padding: 20px; text-align: center; color: #666; }
-          .cta-button { background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block; margin: 15px 0; }
-        </style>
-      </head>
-      <body>
-        <div class="email-container">
-          <div class="header">
-            <h1>Thank You for Your Purchase!</h1>
-            <p>Your subscription is now active</p>
-          </div>
-          
-          <div class="content">
-            <h2>Hello ${billData.customerDetails.name}!</h2>
-            <p>Thank you for subscribing to our premium service. Your payment has been successfully processed and your subscription is now active.</p>
-            
-            <div class="invoice-info">
-              <h3>📄 Invoice Details</h3>
-              <p><strong>Invoice Number:</strong> ${billData.billNumber}</p>
-              <p><strong>Date:</strong> ${billData.billDate.toLocaleDateString('en-IN')}</p>
-              <p><strong>Subscription:</strong> ${billData.items[0].description}</p>
-              <p><strong>Plan Type:</strong> ${subscription.planType || 'Monthly'}</p>
-            </div>
-            
-            <div class="amount-highlight">
-              Total Paid: ₹${billData.totalAmount.toLocaleString('en-IN')}
-            </div>
-            
-            <div style="text-align: center; margin: 20px 0;">
-              <span class="status-paid">✅ PAYMENT CONFIRMED</span>
-            </div>
-            
-            <div style="background: #e8f5e8; padding: 20px; border-radius: 8px; margin: 20px 0;">
-              <h3 style="margin: 0 0 10px 0; color: #28a745;">🎉 What's Next?</h3>
-              <p style="margin: 0;">Your subscription is now active! You'll receive separate emails with access to your premium content and Telegram groups.</p>
-            </div>
-            
-            <p>If you have any questions about your subscription or need support, please don't hesitate to contact us.</p>
-          </div>
-          
-          <div class="footer">
-            <p><strong>${COMPANY_INFO.name}</strong></p>
-            <p>${COMPANY_INFO.email} | ${COMPANY_INFO.phone}</p>
-            <p>This is an automated email. Please do not reply directly to this email.</p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
+  async listJobs({ status, type, to, page = 1, limit = 50 } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (to) query.to = to;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit) || 50));
+    const [jobs, total] = await Promise.all([
+      EmailJob.find(query)
+        .select('-html -text')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      EmailJob.countDocuments(query)
+    ]);
+
+    return { jobs, total, page: pageNum, limit: limitNum };
   }
 
   /**
-   * Generate bill email text version
+   * Move dead jobs back to pending with a fresh retry budget
+   * @param {Object} filter - Extra conditions, e.g. { _id } or { type }
+   * @returns {Promise<number>} Jobs requeued
    */
-  generateBillEmailText(billData, subscription) {
-    const { COMPANY_INFO } = require('../config/billConfig');
-    
-    return `
-THANK YOU FOR YOUR PURCHASE!
-
-Hello ${billData.customerDetails.name},
-
-Thank you for subscribing to our premium service. Your payment has been successfully processed.
-
-INVOICE DETAILS:
-- Invoice Number: ${billData.billNumber}
-- Date: ${billData.billDate.toLocaleDateString('en-IN')}
-- Subscription: ${billData.items[0].description}
-- Plan Type: ${subscription.planType || 'Monthly'}
-- Total Paid: ₹${billData.totalAmount.toLocaleString('en-IN')}
-
-✅ PAYMENT CONFIRMED - SUBSCRIPTION ACTIVE
-
-Your subscription is now active! You'll receive separate emails with access to your premium content and Telegram groups.
-
-If you have any questions, please contact us at ${COMPANY_INFO.email}
-
-${COMPANY_INFO.name}
-${COMPANY_INFO.phone}
-    `;
-  }
+  async retryDeadJobs(filter = {}) {
+    const result = await EmailJob.updateMany(
+      { ...filter, status: 'dead' },
+      {
+        $set: { status: 'pending', runAt: new Date(), attempts: 0 },
+        $unset: { deadAt: 1, lockedBy: 1, lockedUntil: 1 }
+      }
+    );
 
-  /**
-   * Generate telegram email HTML
-   */
-  generateTelegramEmailHTML(user, product, inviteLinks, expiresAt) {
-    return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8">
-        <title>Your Telegram Access is Ready!</title>
-        <style>
-          body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 20px; background-color: #f5f5f5; }
-          .email-container { max-width: 600px; margin: 0 auto; background: white; border-radius: 10px; box-shadow: 0 0 20px rgba(0,0,0,0.1); overflow: hidden; }
-          .header { background: linear-gradient(135deg, #0088cc 0%, #0066aa 100%); color: white; padding: 30px; text-align: center; }
-          .content { padding: 30px; }
-          .invite-link { background: #f8f9fa; border: 2px solid #0088cc; border-radius: 8px; padding: 20px; margin: 15px 0; text-align: center; }
-          .invite-button { background: #0088cc; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block; margin: 10px 0; }
-          .warning-box { background: #fff3cd; border: 1px solid #ffeaa7; border-radius: 5px; padding: 15px; margin: 20px 0; }
-          .footer { background: #f8f9fa; padding: 20px; text-align: center; color: #666; }
-        </style>
-      </head>
-      <body>
-        <div class="email-container">
-          <div class="header">
-            <h1>🎉 Welcome to the Community!</h1>
-            <p>Your exclusive Telegram access is ready</p>
-          </div>
-          
-          <div class="content">
-            <h2>Hello ${user.fullName || user.username}!</h2>
-            <p>Congratulations! Your subscription is active and you now have access to our exclusive Telegram community.</p>
-            
-            ${inviteLinks.map(invite => `
-              <div class="invite-link">
-                <h3>📱 ${invite.name}</h3>
-                <p>${invite.description || 'Exclusive content and discussions'}</p>
-                <a href="${invite.link}" class="invite-button">Join Group</a>
-              </div>
-            `).join('')}
-            
-            <div class="warning-box">
-              <p><strong>⚠️ Important:</strong> These invite links will expire on ${expiresAt.toLocaleDateString()}. Please join the groups as soon as possible.</p>
-            </div>
-            
-            <h3>📋 What to Expect:</h3>
-            <ul>
-              <li>Real-time market updates and insights</li>
-              <li>Exclusive trading tips and strategies</li>
-              <li>Direct interaction with our expert team</li>
-              <li>Community discussions with fellow investors</li>
-            </ul>
-            
-            <p>If you have any issues joining the groups, please contact our support team.</p>
-          </div>
-          
-          <div class="footer">
-            <p>Need help? Contact us at support@yourcompany.com</p>
-            <p>This is an automated email. Please do not reply directly to this email.</p>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
+    logger.info('Dead emails requeued', { filter, count: result.modifiedCount });
+    if (result.modifiedCount > 0 && !this.processing) {
+      this.processQueue();
+    }
+    return result.modifiedCount;
   }
 
   /**
-   * Generate telegram email text version
+   * Delete dead (or sent) jobs, optionally only those older than a date
+   * @returns {Promise<number>} Jobs deleted
    */
-  generateTelegramEmailText(user, product, inviteLinks, expiresAt) {
-    return `
-🎉 WELCOME TO THE COMMUNITY!
-
-Hello ${user.fullName || user.username},
-
-Your subscription is active and you now have access to our exclusive Telegram community.
-
-TELEGRAM GROUPS:
-${inviteLinks.map(invite => `
-- ${invite.name}
-  ${invite.description || 'Exclusive content and discussions'}
-  Join: ${invite.link}
-`).join('')}
-
-⚠️ IMPORTANT: These invite links will expire on ${expiresAt.toLocaleDateString()}. Please join as soon as possible.
-
-WHAT TO EXPECT:
-- Real-time market updates and insights
-- Exclusive trading tips and strategies  
-- Direct interaction with our expert team
-- Community discussions with fellow investors
-
-If you have any issues joining the groups, please contact our support team.
+  async purgeJobs({ status = 'dead', olderThan, type } = {}) {
+    if (!['dead', 'sent'].includes(status)) {
+      throw new Error('Only dead or sent emails can be purged');
+    }
+    const query = { status };
+    if (type) query.type = type;
+    if (olderThan) query.updatedAt = { $lt: olderThan };
 
-Need help? Contact us at support@yourcompany.com
-    `;
+    const result = await EmailJob.deleteMany(query);
+    logger.info('Emails purged', { status, type, olderThan, count: result.deletedCount });
+    return result.deletedCount;
   }
 
   /**
    * Get queue status
    */
-  getStatus() {
+  async getStatus() {
+    const counts = await EmailJob.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+    const byStatus = Object.fromEntries(counts.map(c => [c._id, c.count]));
+    const nextDue = await EmailJob.findOne({ status: 'pending' }).sort({ runAt: 1 }).select('runAt').lean();
+
     return {
-      queueLength: this.queue.length,
+      workerId: this.workerId,
       processing: this.processing,
-      pendingEmails: this.queue.filter(item => item.status === 'pending').length,
-      processingEmails: this.queue.filter(item => item.status === 'processing').length
+      pendingEmails: byStatus.pending || 0,
+      processingEmails: byStatus.processing || 0,
+      sentEmails: byStatus.sent || 0,
+      deadEmails: byStatus.dead || 0,
+      skippedEmails: byStatus.skipped || 0,
+      nextRunAt: nextDue ? nextDue.runAt : null
     };
   }
 }
@@ -0,0 +1,446 @@
+/**
+ * Email Template Service
+ * Renders named transactional emails from admin-editable EJS templates.
+ *
+ * The active EmailTemplate version is used when one exists, otherwise the
+ * built-in default from config/emailTemplates.js. Rendered bodies are wrapped
+ * in the `layout` template and every template gets `brand`, built from the
+ * LandingPage document (company name, logo, theme colours) with COMPANY_INFO
+ * as the fallback. A saved template that fails to render falls back to the
+ * default so a bad edit cannot stop transactional mail.
+ */
+const ejs = require('ejs');
+const winston = require('winston');
+const EmailTemplate = require('../models/EmailTemplate');
+const LandingPage = require('../models/LandingPage');
+const { COMPANY_INFO } = require('../config/billConfig');
+const { getConfig } = require('../utils/configSettings');
+const DEFAULT_TEMPLATES = require('../config/emailTemplates');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
+    winston.format.errors({ stack: true }),
+    winston.format.splat(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({
+      filename: 'logs/email-templates.log',
+      maxsize: 5 * 1024 * 1024,
+      maxFiles: 7
+    })
+  ]
+});
+
+const LAYOUT = 'layout';
+const BRANDING_TTL = 5 * 60 * 1000;
+const DEFAULT_BRAND_COLOR = '#4a77e5';
+
+let brandingCache = null;
+let brandingCacheTime = 0;
+
+function templateError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Branding passed to every template as `brand`
+ * @returns {Promise<Object>}
+ */
+async function getBranding() {
+  if (brandingCache && Date.now() - brandingCacheTime < BRANDING_TTL) {
+    return brandingCache;
+  }
+
+  let landingPage = null;
+  let publicApiUrl = process.env.PUBLIC_API_URL || null;
+  try {
+    landingPage = await LandingPage.findOne().select('companyName logo.contentType theme contactInfo').lean();
+    publicApiUrl = await getConfig('PUBLIC_API_URL', publicApiUrl);
+  } catch (error) {
+    logger.warn('Falling back to default email branding', { error: error.message });
+  }
+
+  const theme = (landingPage && landingPage.theme) || {};
+  const contact = (landingPage && landingPage.contactInfo) || {};
+  const hasLogo = !!(landingPage && landingPage.logo && landingPage.logo.contentType);
+
+  brandingCache = {
+    companyName: (landingPage && landingPage.companyName) || COMPANY_INFO.name.trim(),
+    // Email clients block data: URIs, so the logo is served from a public endpoint
+    logoUrl: hasLogo && publicApiUrl
+      ? `${publicApiUrl.replace(/\/$/, '')}/api/admin/email-templates/logo`
+      : null,
+    primaryColor: theme.primaryColor || DEFAULT_BRAND_COLOR,
+    secondaryColor: theme.secondaryColor || theme.primaryColor || DEFAULT_BRAND_COLOR,
+    headerBackground: theme.headerBackground || theme.primaryColor || DEFAULT_BRAND_COLOR,
+    supportEmail: contact.email || COMPANY_INFO.email,
+    phone: contact.phone || COMPANY_INFO.phone,
+    website: COMPANY_INFO.website,
+    year: new Date().getFullYear()
+  };
+  brandingCacheTime = Date.now();
+  return brandingCache;
+}
+
+/**
+ * Drop cached branding (after the landing page changes)
+ */
+function clearBrandingCache() {
+  brandingCache = null;
+  brandingCacheTime = 0;
+}
+
+/**
+ * Built-in template as a version-0 template document
+ */
+function getDefaultTemplate(name) {
+  const template = DEFAULT_TEMPLATES[name];
+  if (!template) return null;
+  return { name, version: 0, isDefault: true, ...template };
+}
+
+/**
+ * Active saved version of a template, or its built-in default
+ * @param {string} name
+ * @returns {Promise<Object|null>} null when the name is unknown
+ */
+async function getActiveTemplate(name) {
+  const saved = await EmailTemplate.findOne({ name, isActive: true }).lean();
+  if (saved) return { ...saved, isDefault: false };
+  return getDefaultTemplate(name);
+}
+
+/**
+ * Names of required variables missing from data
+ */
+function findMissingVariables(template, data = {}) {
+  return (template.variables || [])
+    .filter(v => v.required && (data[v.name] === undefined || data[v.name] === null))
+    .map(v => v.name);
+}
+
+/**
+ * Sample data declared on the template's variables
+ */
+function getSampleData(template) {
+  return (template.variables || []).reduce((samples, v) => {
+    if (v.sample !== undefined) samples[v.name] = v.sample;
+    return samples;
+  }, {});
+}
+
+/**
+ * Check that the EJS sources compile
+ * @throws {Error} statusCode 400 naming the field that failed
+ */
+function assertCompiles(fields) {
+  ['subject', 'html', 'text'].forEach(field => {
+    if (!fields[field]) return;
+    try {
+      ejs.compile(fields[field]);
+    } catch (error) {
+      throw templateError(`Invalid EJS in ${field}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Render subject, html and text of one template without the layout
+ */
+function renderParts(template, data, brand) {
+  // Declared variables always exist so optional ones can be tested with if ()
+  const declared = (template.variables || []).reduce((locals, v) => {
+    locals[v.name] = undefined;
+    return locals;
+  }, {});
+  const locals = { ...declared, ...data, brand, escapeHtml: ejs.escapeXML };
+  const plain = { escape: value => (value === undefined || value === null ? '' : String(value)) };
+
+  return {
+    subject: template.subject ? ejs.render(template.subject, locals, plain).trim() : '',
+    html: ejs.render(template.html || '', locals),
+    text: template.text ? ejs.render(template.text, locals, plain).trim() : ''
+  };
+}
+
+/**
+ * Render a template and wrap its HTML in the layout. The optional footer
+ * ({ html, text }, e.g. unsubscribe links) is appended after the body so
+ * template edits cannot remove it.
+ */
+async function renderWith(template, data, brand, footer = null) {
+  const parts = renderParts(template, data, brand);
+  if (footer) {
+    parts.html += footer.html || '';
+    parts.text = [parts.text, footer.text].filter(Boolean).join('\n\n');
+  }
+  if (template.name === LAYOUT) return parts;
+
+  const layout = await getActiveTemplate(LAYOUT);
+  try {
+    parts.html = renderParts(layout, { subject: parts.subject, body: parts.html }, brand).html;
+  } catch (error) {
+    if (layout.isDefault) throw error;
+    logger.error('Saved email layout failed to render, using default', { version: layout.version, error: error.message });
+    parts.html = renderParts(getDefaultTemplate(LAYOUT), { subject: parts.subject, body: parts.html }, brand).html;
+  }
+  return parts;
+}
+
+/**
+ * Render a named email
+ * @param {string} name - Template name, e.g. 'renewal_reminder'
+ * @param {Object} data - Template variables
+ * @param {Object} [options]
+ * @param {Object} [options.footer] - { html, text } appended after the body
+ * @returns {Promise<{subject: string, html: string, text: string, template: string, version: number}>}
+ */
+async function render(name, data = {}, { footer = null } = {}) {
+  const template = await getActiveTemplate(name);
+  if (!template) {
+    throw templateError(`Unknown email template: ${name}`, 404);
+  }
+
+  const missing = findMissingVariables(template, data);
+  if (missing.length) {
+    logger.warn(`Email template ${name} rendered without required variables`, { version: template.version, missing });
+  }
+
+  const brand = await getBranding();
+  try {
+    const parts = await renderWith(template, data, brand, footer);
+    return { ...parts, template: name, version: template.version };
+  } catch (error) {
+    const fallback = getDefaultTemplate(name);
+    if (template.isDefault || !fallback) throw error;
+
+    logger.error(`Email template ${name} v${template.version} failed to render, using default`, { error: error.message });
+    const parts = await renderWith(fallback, data, brand, footer);
+    return { ...parts, template: name, version: 0 };
+  }
+}
+
+/**
+ * Render ad-hoc EJS content (e.g. a campaign) inside the layout
+ * @param {Object} content - subject, html, text EJS sources
+ * @param {Object} data - Template variables
+ * @param {Object} [options]
+ * @param {Object} [options.footer] - { html, text } appended after the body
+ * @throws {Error} statusCode 400 when the content fails to render
+ */
+async function renderContent(content, data = {}, { footer = null } = {}) {
+  const brand = await getBranding();
+  try {
+    return await renderWith({ ...content, name: null, variables: [] }, data, brand, footer);
+  } catch (error) {
+    throw templateError(`Content failed to render: ${error.message}`);
+  }
+}
+
+/**
+ * Render a saved template, or an unsaved draft, with sample data
+ * @param {string} name
+ * @param {Object} options
+ * @param {Object} [options.data] - Overrides for the declared sample values
+ * @param {Object} [options.draft] - Unsaved subject/html/text/variables to preview instead of the active version
+ */
+async function preview(name, { data = {}, draft = null } = {}) {
+  const active = await getActiveTemplate(name);
+  if (!active && !draft) {
+    throw templateError(`Unknown email template: ${name}`, 404);
+  }
+
+  const template = { ...(active || { variables: [] }), ...(draft || {}), name };
+  assertCompiles(template);
+
+  const sampleData = { ...getSampleData(template), ...data };
+  const missing = findMissingVariables(template, sampleData);
+
+  try {
+    const parts = await renderWith(template, sampleData, await getBranding());
+    return {
+      template: name,
+      version: draft ? null : template.version,
+      isDraft: !!draft,
+      data: sampleData,
+      missingVariables: missing,
+      ...parts
+    };
+  } catch (error) {
+    throw templateError(`Template failed to render: ${error.message}`);
+  }
+}
+
+/**
+ * Every known template with its active version
+ */
+async function listTemplates() {
+  const saved = await EmailTemplate.aggregate([
+    { $sort: { version: -1 } },
+    {
+      $group: {
+        _id: '$name',
+        latestVersion: { $first: '$version' },
+        versions: { $sum: 1 },
+        activeVersion: { $max: { $cond: ['$isActive', '$version', null] } },
+        updatedAt: { $max: '$updatedAt' }
+      }
+    }
+  ]);
+  const savedByName = Object.fromEntries(saved.map(s => [s._id, s]));
+  const names = [...new Set([...Object.keys(DEFAULT_TEMPLATES), ...Object.keys(savedByName)])].sort();
+
+  return names.map(name => {
+    const info = savedByName[name];
+    const fallback = DEFAULT_TEMPLATES[name];
+    return {
+      name,
+      description: fallback ? fallback.description : null,
+      hasDefault: !!fallback,
+      activeVersion: info && info.activeVersion ? info.activeVersion : (fallback ? 0 : null),
+      latestVersion: info ? info.latestVersion : 0,
+      savedVersions: info ? info.versions : 0,
+      updatedAt: info ? info.updatedAt : null
+    };
+  });
+}
+
+/**
+ * Active template plus its saved version history (newest first)
+ */
+async function getTemplate(name) {
+  const active = await getActiveTemplate(name);
+  const versions = await EmailTemplate.find({ name })
+    .select('version isActive changeNote createdBy createdAt')
+    .sort({ version: -1 })
+    .lean();
+
+  if (!active && !versions.length) {
+    throw templateError(`Unknown email template: ${name}`, 404);
+  }
+
+  return { active, default: getDefaultTemplate(name), versions };
+}
+
+/**
+ * Get one saved version
+ */
+async function getVersion(name, version) {
+  if (Number(version) === 0) {
+    const fallback = getDefaultTemplate(name);
+    if (fallback) return fallback;
+  }
+  const template = await EmailTemplate.findOne({ name, version: Number(version) }).lean();
+  if (!template) {
+    throw templateError(`Version ${version} of ${name} not found`, 404);
+  }
+  return template;
+}
+
+/**
+ * Save a new version of a template and make it active. Fields left out of
+ * the payload are copied from the current active version.
+ * @param {string} name
+ * @param {Object} payload - subject, html, text, variables, description, changeNote
+ * @param {string} [userId] - Admin making the change
+ */
+async function saveVersion(name, payload, userId) {
+  if (!/^[a-z0-9_]+$/.test(name)) {
+    throw templateError('Template name may only contain lowercase letters, digits and underscores');
+  }
+
+  const current = await getActiveTemplate(name);
+  const fields = {
+    description: payload.description !== undefined ? payload.description : current && current.description,
+    subject: payload.subject !== undefined ? payload.subject : current && current.subject,
+    html: payload.html !== undefined ? payload.html : current && current.html,
+    text: payload.text !== undefined ? payload.text : current && current.text,
+    variables: payload.variables !== undefined ? payload.variables : (current ? current.variables : [])
+  };
+
+  if (name !== LAYOUT && !fields.subject) throw templateError('subject is required');
+  if (!fields.html) throw templateError('html is required');
+  if (name === LAYOUT && !/<%-\s*body\s*%>/.test(fields.html)) {
+    throw templateError('The layout must output the email body with <%- body %>');
+  }
+  if (!Array.isArray(fields.variables) || fields.variables.some(v => !v || !v.name)) {
+    throw templateError('variables must be an array of { name, description, required, sample }');
+  }
+  assertCompiles(fields);
+
+  const latest = await EmailTemplate.findOne({ name }).sort({ version: -1 }).select('version').lean();
+  const version = latest ? latest.version + 1 : 1;
+
+  await EmailTemplate.updateMany({ name, isActive: true }, { $set: { isActive: false } });
+  try {
+    const template = await EmailTemplate.create({
+      name,
+      version,
+      ...fields,
+      subject: fields.subject || '',
+      isActive: true,
+      changeNote: payload.changeNote,
+      createdBy: userId
+    });
+    logger.info(`Email template ${name} v${version} saved`, { userId });
+    return template;
+  } catch (error) {
+    if (error.code === 11000) {
+      throw templateError(`Template ${name} was changed concurrently, please retry`, 409);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Make an existing version active again (roll back or forward)
+ */
+async function activateVersion(name, version) {
+  const template = await EmailTemplate.findOne({ name, version: Number(version) });
+  if (!template) {
+    throw templateError(`Version ${version} of ${name} not found`, 404);
+  }
+
+  if (!template.isActive) {
+    await EmailTemplate.updateMany({ name, isActive: true }, { $set: { isActive: false } });
+    template.isActive = true;
+    await template.save();
+    logger.info(`Email template ${name} v${template.version} activated`);
+  }
+  return template;
+}
+
+/**
+ * Go back to the built-in default. Saved versions are kept for history.
+ */
+async function resetToDefault(name) {
+  if (!DEFAULT_TEMPLATES[name]) {
+    throw templateError(`Template ${name} has no built-in default`, 404);
+  }
+  await EmailTemplate.updateMany({ name, isActive: true }, { $set: { isActive: false } });
+  logger.info(`Email template ${name} reset to default`);
+  return getDefaultTemplate(name);
+}
+
+module.exports = {
+  render,
+  renderContent,
+  assertCompiles,
+  preview,
+  getBranding,
+  clearBrandingCache,
+  getActiveTemplate,
+  listTemplates,
+  getTemplate,
+  getVersion,
+  saveVersion,
+  activateVersion,
+  resetToDefault
+};
@@ -0,0 +1,220 @@
+/**
+ * In-App Notification Service
+ * Stores inbox notifications for the web and mobile apps and pushes them to
+ * open Server-Sent Events streams. Notifications are written by the in_app
+ * channel of services/notificationService; streams subscribe per user.
+ *
+ * Live updates are delivered within this process only; clients that miss
+ * one catch up from the list endpoint or with Last-Event-ID on reconnect.
+ */
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp({ format: "YYYY-MM-DD HH:mm:ss" }),
+    winston.format.errors({ stack: true }),
+    winston.format.splat(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({
+      filename: "logs/in-app-notifications.log",
+      maxsize: 5 * 1024 * 1024,
+      maxFiles: 7
+    })
+  ]
+});
+
+const { INBOX_CATEGORIES } = Notification;
+const MAX_PAGE_SIZE = 100;
+const MAX_REPLAY = 50;
+
+function inboxError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function checkCategory(category) {
+  if (category && !INBOX_CATEGORIES.includes(category)) {
+    throw inboxError(`Unknown category ${category}. Use one of: ${INBOX_CATEGORIES.join(', ')}`);
+  }
+}
+
+const toJSON = (notification) => ({
+  id: notification._id,
+  category: notification.category,
+  event: notification.event || null,
+  title: notification.title,
+  body: notification.body,
+  link: notification.link || null,
+  data: notification.data || {},
+  read: Boolean(notification.readAt),
+  readAt: notification.readAt || null,
+  createdAt: notification.createdAt
+});
+
+class InAppNotificationService extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per open stream
+    this.setMaxListeners(0);
+  }
+
+  channelFor(userId) {
+    return `user:${userId.toString()}`;
+  }
+
+  /**
+   * Listen for inbox changes of a user
+   * @param {string|ObjectId} userId
+   * @param {Function} listener - ({ type: 'notification'|'unread_count', payload })
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(userId, listener) {
+    const channel = this.channelFor(userId);
+    this.on(channel, listener);
+    return () => this.off(channel, listener);
+  }
+
+  async publishUnreadCount(userId) {
+    if (!this.listenerCount(this.channelFor(userId))) return;
+    try {
+      const counts = await this.getUnreadCounts(userId);
+      this.emit(this.channelFor(userId), { type: 'unread_count', payload: counts });
+    } catch (error) {
+      logger.error('Failed to publish unread count', { userId: userId.toString(), error: error.message });
+    }
+  }
+
+  /**
+   * Add a notification to a user's inbox
+   * @param {string|ObjectId} userId
+   * @param {Object} notification - { category, event, title, body, link, data, dedupeKey }
+   * @returns {Promise<{notification: Object, duplicate: boolean}>}
+   */
+  async create(userId, { category, event, title, body, link, data, dedupeKey }) {
+    checkCategory(category);
+
+    if (dedupeKey) {
+      const existing = await Notification.findOne({ user: userId, dedupeKey }).lean();
+      if (existing) return { notification: toJSON(existing), duplicate: true };
+    }
+
+    let notification;
+    try {
+      notification = await Notification.create({ user: userId, category, event, title, body, link, data, dedupeKey });
+    } catch (error) {
+      // Lost a race with another create for the same key
+      if (error.code === 11000 && dedupeKey) {
+        const existing = await Notification.findOne({ user: userId, dedupeKey }).lean();
+        return { notification: toJSON(existing), duplicate: true };
+      }
+      throw error;
+    }
+
+    const payload = toJSON(notification);
+    this.emit(this.channelFor(userId), { type: 'notification', payload });
+    await this.publishUnreadCount(userId);
+    return { notification: payload, duplicate: false };
+  }
+
+  /**
+   * Page through a user's notifications, newest first
+   * @param {Object} query - { page, limit, category, unread }
+   */
+  async list(userId, { page = 1, limit = 20, category, unread } = {}) {
+    checkCategory(category);
+    page = Math.max(parseInt(page, 10) || 1, 1);
+    limit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_PAGE_SIZE);
+
+    const filter = { user: userId };
+    if (category) filter.category = category;
+    if (unread === true || unread === 'true') filter.readAt = null;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user: userId, readAt: null })
+    ]);
+
+    return {
+      notifications: notifications.map(toJSON),
+      unreadCount,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * Unread counts, in total and per category
+   */
+  async getUnreadCounts(userId) {
+    const rows = await Notification.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(userId.toString()), readAt: null } },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]);
+    const categories = INBOX_CATEGORIES.reduce((result, category) => {
+      result[category] = 0;
+      return result;
+    }, {});
+    rows.forEach(row => { categories[row._id] = row.count; });
+    return {
+      total: rows.reduce((sum, row) => sum + row.count, 0),
+      categories
+    };
+  }
+
+  async markRead(userId, notificationId) {
+    if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+      throw inboxError('Invalid notification id');
+    }
+    const notification = await Notification.findOne({ _id: notificationId, user: userId });
+    if (!notification) {
+      throw inboxError('Notification not found', 404);
+    }
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+      await this.publishUnreadCount(userId);
+    }
+    return toJSON(notification);
+  }
+
+  /**
+   * Mark every unread notification, or those of one category, as read
+   * @returns {Promise<number>} Number of notifications marked
+   */
+  async markAllRead(userId, category = null) {
+    checkCategory(category);
+    const filter = { user: userId, readAt: null };
+    if (category) filter.category = category;
+
+    const result = await Notification.updateMany(filter, { $set: { readAt: new Date() } });
+    if (result.modifiedCount) await this.publishUnreadCount(userId);
+    return result.modifiedCount;
+  }
+
+  /**
+   * Notifications created after the given one, oldest first, for stream reconnects
+   */
+  async listSince(userId, lastId) {
+    if (!lastId || !mongoose.Types.ObjectId.isValid(lastId)) return [];
+    const notifications = await Notification.find({ user: userId, _id: { $gt: lastId } })
+      .sort({ _id: 1 })
+      .limit(MAX_REPLAY)
+      .lean();
+    return notifications.map(toJSON);
+  }
+}
+
+// Create singleton instance
+const inAppNotificationService = new InAppNotificationService();
+inAppNotificationService.INBOX_CATEGORIES = INBOX_CATEGORIES;
+
+module.exports = inAppNotificationService;
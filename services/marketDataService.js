@@ -0,0 +1,398 @@
+/**
+ * Market Data Service
+ * Pluggable price providers (TradingView, FMP, local file) with per-exchange
+ * routing and automatic failover. Used by the cron scheduler and the manual
+ * /api/stock-symbols/update-prices route.
+ */
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const winston = require('winston');
+const { TradingViewAPI } = require('tradingview-scraper');
+const { getConfig, getFmpApiKeys } = require('../utils/configSettings');
+
+// Logger setup
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({
+      filename: 'logs/market-data.log',
+      maxsize: 5 * 1024 * 1024,
+      maxFiles: 7
+    })
+  ]
+});
+
+// Default provider order per exchange; overridable via the MARKET_DATA_ROUTING config
+const DEFAULT_ROUTING = {
+  default: ['tradingview', 'fmp'],
+  NYSE: ['fmp', 'tradingview'],
+  NASDAQ: ['fmp', 'tradingview']
+};
+
+// FMP ticker suffixes for non-US exchanges
+const FMP_EXCHANGE_SUFFIX = {
+  NSE: '.NS',
+  BSE: '.BO',
+  LSE: '.L',
+  TSX: '.TO',
+  ASX: '.AX',
+  HKEX: '.HK',
+  XETRA: '.DE'
+};
+
+const symbolKey = (stock) => `${stock.exchange}:${stock.symbol}`;
+
+const toPrice = (value) => {
+  const price = parseFloat(value);
+  return Number.isFinite(price) && price > 0 ? price : null;
+};
+
+/**
+ * TradingView provider - one ticker request per symbol with retry
+ */
+class TradingViewProvider {
+  constructor() {
+    this.name = 'tradingview';
+    this.client = null;
+    this.maxRetries = 3;
+    this.retryDelay = 2000;
+  }
+
+  async initialize() {
+    if (!this.client) {
+      logger.info('Initializing TradingView client...');
+      this.client = new TradingViewAPI();
+      await this.client.setup();
+    }
+    return this;
+  }
+
+  async fetchPrice(stock) {
+    const key = symbolKey(stock);
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      try {
+        if (!this.client) {
+          await this.initialize();
+        }
+
+        const ticker = await this.client.getTicker(key);
+        if (!ticker || typeof ticker.fetch !== 'function') {
+          throw new Error(`No ticker returned for ${key}`);
+        }
+
+        const data = await ticker.fetch();
+        const price = toPrice(data && data.lp);
+        if (price === null) {
+          throw new Error(`No price data (lp) found for ${key}`);
+        }
+        return { price, volume: data.volume, error: null };
+      } catch (error) {
+        lastError = error;
+        logger.warn(`TradingView attempt ${attempt} failed for ${key}: ${error.message}`);
+        if (attempt < this.maxRetries) {
+          await new Promise(r => setTimeout(r, this.retryDelay));
+        }
+      }
+    }
+
+    return { price: null, error: lastError ? lastError.message : 'Max retries reached' };
+  }
+
+  async fetchPrices(stocks) {
+    await this.initialize();
+    const results = new Map();
+    for (const stock of stocks) {
+      results.set(symbolKey(stock), await this.fetchPrice(stock));
+    }
+    return results;
+  }
+
+  cleanup() {
+    this.client = null;
+  }
+}
+
+/**
+ * Financial Modeling Prep provider - batched quote requests, rotates API keys
+ */
+class FmpProvider {
+  constructor() {
+    this.name = 'fmp';
+    this.baseURL = 'https://financialmodelingprep.com/api/v3';
+    this.chunkSize = 50;
+    this.timeout = 15000;
+    this.apiKeys = [];
+    this.keyIndex = 0;
+  }
+
+  async initialize() {
+    if (!this.apiKeys.length) {
+      const items = await getFmpApiKeys();
+      this.apiKeys = items
+        .map(item => (typeof item === 'string' ? item : item && (item.key || item.apiKey || item.value)))
+        .filter(Boolean);
+      if (!this.apiKeys.length) {
+        throw new Error('No usable FMP API keys configured');
+      }
+    }
+    return this;
+  }
+
+  toFmpSymbol(stock) {
+    return `${stock.symbol}${FMP_EXCHANGE_SUFFIX[stock.exchange] || ''}`;
+  }
+
+  async requestQuotes(fmpSymbols) {
+    let lastError = null;
+
+    // Try each key once; 401/403/429 rotate to the next key
+    for (let i = 0; i < this.apiKeys.length; i++) {
+      const apikey = this.apiKeys[this.keyIndex];
+      try {
+        // Symbols such as M&M.NS would otherwise break the path
+        const path = fmpSymbols.map(encodeURIComponent).join(',');
+        const response = await axios.get(`${this.baseURL}/quote/${path}`, {
+          params: { apikey },
+          timeout: this.timeout
+        });
+        return Array.isArray(response.data) ? response.data : [];
+      } catch (error) {
+        lastError = error;
+        const status = error.response && error.response.status;
+        if (![401, 403, 429].includes(status)) {
+          throw error;
+        }
+        logger.warn(`FMP key #${this.keyIndex + 1} rejected (${status}), rotating`);
+        this.keyIndex = (this.keyIndex + 1) % this.apiKeys.length;
+      }
+    }
+
+    throw lastError || new Error('All FMP API keys exhausted');
+  }
+
+  async fetchPrices(stocks) {
+    await this.initialize();
+    const results = new Map();
+
+    for (let i = 0; i < stocks.length; i += this.chunkSize) {
+      const chunk = stocks.slice(i, i + this.chunkSize);
+      const bySymbol = new Map(chunk.map(stock => [this.toFmpSymbol(stock), stock]));
+      const quotes = await this.requestQuotes([...bySymbol.keys()]);
+
+      const quoted = new Map(quotes.map(q => [q.symbol, q]));
+      for (const [fmpSymbol, stock] of bySymbol) {
+        const quote = quoted.get(fmpSymbol);
+        const price = toPrice(quote && quote.price);
+        results.set(symbolKey(stock), price !== null
+          ? { price, volume: quote.volume, error: null }
+          : { price: null, error: `No FMP quote for ${fmpSymbol}` });
+      }
+    }
+
+    return results;
+  }
+
+  cleanup() {}
+}
+
+/**
+ * Local file provider - reads prices from a CSV (exchange,symbol,price) or
+ * JSON ({ "NSE:TCS": 3500 }) file. Intended for tests and offline development.
+ */
+class LocalFileProvider {
+  constructor(filePath) {
+    this.name = 'local';
+    this.filePath = filePath;
+  }
+
+  async initialize() {
+    if (!this.filePath) {
+      this.filePath = await getConfig('MARKET_DATA_LOCAL_FILE');
+    }
+    if (!this.filePath) {
+      throw new Error('MARKET_DATA_LOCAL_FILE is not configured');
+    }
+    return this;
+  }
+
+  loadPrices() {
+    const resolved = path.resolve(this.filePath);
+    const raw = fs.readFileSync(resolved, 'utf8');
+    const prices = new Map();
+
+    if (resolved.endsWith('.json')) {
+      const data = JSON.parse(raw);
+      const entries = Array.isArray(data)
+        ? data.map(row => [`${row.exchange}:${row.symbol}`, row.price])
+        : Object.entries(data);
+      entries.forEach(([key, price]) => prices.set(key.toUpperCase(), toPrice(price)));
+      return prices;
+    }
+
+    raw.split(/\r?\n/).forEach((line, index) => {
+      const [exchange, symbol, price] = line.split(',').map(part => part && part.trim());
+      if (!exchange || !symbol || (index === 0 && exchange.toLowerCase() === 'exchange')) return;
+      prices.set(`${exchange}:${symbol}`.toUpperCase(), toPrice(price));
+    });
+    return prices;
+  }
+
+  async fetchPrices(stocks) {
+    await this.initialize();
+    const prices = this.loadPrices();
+    const results = new Map();
+
+    for (const stock of stocks) {
+      const key = symbolKey(stock);
+      const price = prices.get(key.toUpperCase());
+      results.set(key, price
+        ? { price, error: null }
+        : { price: null, error: `No local price for ${key}` });
+    }
+    return results;
+  }
+
+  cleanup() {}
+}
+
+const PROVIDERS = {
+  tradingview: TradingViewProvider,
+  fmp: FmpProvider,
+  local: LocalFileProvider
+};
+
+class MarketDataService {
+  constructor(options = {}) {
+    this.batchSize = 50;
+    this.batchDelay = 1500;
+    this.providers = {};
+    this.routing = options.routing || null;
+    this.stats = {};
+  }
+
+  async loadRouting() {
+    if (this.routing) return this.routing;
+
+    let routing = await getConfig('MARKET_DATA_ROUTING');
+    // An empty value (as in .env.example) means unset
+    if (typeof routing === 'string' && routing.trim() === '') {
+      routing = null;
+    }
+    if (typeof routing === 'string') {
+      try {
+        routing = JSON.parse(routing);
+      } catch (error) {
+        logger.error('Invalid MARKET_DATA_ROUTING config, using defaults', { error: error.message });
+        routing = null;
+      }
+    }
+
+    this.routing = { ...DEFAULT_ROUTING, ...(routing || {}) };
+    return this.routing;
+  }
+
+  getProvider(name) {
+    if (!this.providers[name]) {
+      const Provider = PROVIDERS[name];
+      if (!Provider) {
+        throw new Error(`Unknown market data provider: ${name}`);
+      }
+      this.providers[name] = new Provider();
+    }
+    return this.providers[name];
+  }
+
+  providerOrderFor(exchange) {
+    return this.routing[exchange] || this.routing.default || DEFAULT_ROUTING.default;
+  }
+
+  recordStat(provider, field, count = 1) {
+    if (!this.stats[provider]) {
+      this.stats[provider] = { fetched: 0, failed: 0, errors: 0 };
+    }
+    this.stats[provider][field] += count;
+  }
+
+  /**
+   * Fetch prices for a list of stocks. Stocks are grouped by their exchange's
+   * provider chain; anything a provider fails on falls through to the next one.
+   * @param {Array<Object>} stocks - StockSymbol docs (need symbol and exchange)
+   * @returns {Promise<Array<{stock, price, volume, error, provider}>>}
+   */
+  async fetchBatchPrices(stocks) {
+    await this.loadRouting();
+
+    const results = new Map();
+    const chains = new Map();
+    for (const stock of stocks) {
+      const chain = this.providerOrderFor(stock.exchange).join('>');
+      if (!chains.has(chain)) chains.set(chain, []);
+      chains.get(chain).push(stock);
+    }
+
+    for (const [chain, group] of chains) {
+      let pending = group;
+
+      for (const providerName of chain.split('>')) {
+        if (!pending.length) break;
+
+        let fetched;
+        try {
+          fetched = await this.getProvider(providerName).fetchPrices(pending);
+        } catch (error) {
+          logger.error(`Provider ${providerName} failed, failing over`, { error: error.message, symbols: pending.length });
+          this.recordStat(providerName, 'errors');
+          pending.forEach(stock => results.set(symbolKey(stock), {
+            stock, price: null, error: `${providerName}: ${error.message}`, provider: providerName
+          }));
+          continue;
+        }
+
+        const stillPending = [];
+        for (const stock of pending) {
+          const { price, volume, error } = fetched.get(symbolKey(stock)) || { price: null, error: 'No result' };
+          results.set(symbolKey(stock), { stock, price, volume, error: price ? null : `${providerName}: ${error}`, provider: providerName });
+          if (price) {
+            this.recordStat(providerName, 'fetched');
+          } else {
+            this.recordStat(providerName, 'failed');
+            stillPending.push(stock);
+          }
+        }
+
+        if (stillPending.length && stillPending.length < pending.length) {
+          logger.info(`${stillPending.length} symbol(s) failing over from ${providerName}`);
+        }
+        pending = stillPending;
+      }
+    }
+
+    return stocks.map(stock => results.get(symbolKey(stock)));
+  }
+
+  getStats() {
+    return { routing: this.routing, providers: this.stats };
+  }
+
+  cleanup() {
+    Object.values(this.providers).forEach(provider => provider.cleanup());
+    this.providers = {};
+  }
+}
+
+module.exports = {
+  MarketDataService,
+  TradingViewProvider,
+  FmpProvider,
+  LocalFileProvider,
+  DEFAULT_ROUTING
+};
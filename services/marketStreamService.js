@@ -0,0 +1,171 @@
+/**
+ * Market Stream Service
+ * Fans out StockSymbol price changes and recalculated portfolio valuations
+ * from the price scheduler to open Server-Sent Events streams.
+ *
+ * Updates are published unfiltered; each stream decides what its user may
+ * see (see controllers/marketStreamController). Valuations are only
+ * computed while at least one stream is open.
+ */
+const EventEmitter = require('events');
+const Portfolio = require('../models/modelPortFolio');
+const StockSymbol = require('../models/stockSymbol');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp({ format: "YYYY-MM-DD HH:mm:ss" }),
+    winston.format.errors({ stack: true }),
+    winston.format.splat(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({
+      filename: "logs/market-stream.log",
+      maxsize: 5 * 1024 * 1024,
+      maxFiles: 7
+    })
+  ]
+});
+
+const UPDATE_EVENT = 'update';
+
+const round = (value) => parseFloat((value || 0).toFixed(2));
+
+/**
+ * Value a portfolio from a symbol → StockSymbol map.
+ * Sold holdings are skipped and holdings without a market price fall back
+ * to their buy price, as in portfolioService.calculatePortfolioValue.
+ * `change` is measured against each stock's previous price.
+ */
+function valuePortfolio(portfolio, stocksBySymbol) {
+  const cashBalance = parseFloat(portfolio.cashBalance) || 0;
+  let holdingsValue = 0;
+  let previousHoldingsValue = 0;
+
+  const holdings = (portfolio.holdings || [])
+    .filter(holding => holding.status !== 'Sell' && holding.quantity > 0)
+    .map(holding => {
+      const stock = stocksBySymbol.get(holding.symbol);
+      const quantity = parseFloat(holding.quantity) || 0;
+      const currentPrice = stock && stock.currentPrice > 0 ? stock.currentPrice : parseFloat(holding.buyPrice) || 0;
+      const previousPrice = stock && stock.previousPrice > 0 ? stock.previousPrice : currentPrice;
+      const value = currentPrice * quantity;
+
+      holdingsValue += value;
+      previousHoldingsValue += previousPrice * quantity;
+      return { symbol: holding.symbol, quantity, currentPrice, previousPrice, value: round(value) };
+    });
+
+  const totalValue = cashBalance + holdingsValue;
+  const previousValue = cashBalance + previousHoldingsValue;
+  const change = totalValue - previousValue;
+
+  return {
+    portfolioId: portfolio._id.toString(),
+    name: portfolio.name,
+    totalValue: round(totalValue),
+    holdingsValue: round(holdingsValue),
+    cashBalance: round(cashBalance),
+    change: round(change),
+    changePercent: previousValue > 0 ? round((change / previousValue) * 100) : 0,
+    holdings: holdings.map(holding => ({
+      ...holding,
+      weight: totalValue > 0 ? round((holding.value / totalValue) * 100) : 0
+    }))
+  };
+}
+
+class MarketStreamService extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per open stream
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Listen for market updates
+   * @param {Function} listener - ({ type: 'prices'|'portfolios', payload })
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.on(UPDATE_EVENT, listener);
+    return () => this.off(UPDATE_EVENT, listener);
+  }
+
+  hasSubscribers() {
+    return this.listenerCount(UPDATE_EVENT) > 0;
+  }
+
+  /**
+   * Publish changed stock prices
+   * @param {Array} prices - [{ symbol, exchange, currentPrice, previousPrice, todayClosingPrice }]
+   * @param {string} source - Scheduler update type ('regular', 'closing', ...)
+   */
+  publishPrices(prices, source = 'regular') {
+    if (!prices.length || !this.hasSubscribers()) return;
+    this.emit(UPDATE_EVENT, {
+      type: 'prices',
+      payload: { source, at: new Date(), prices }
+    });
+  }
+
+  /**
+   * Current prices of the given symbols, for the first message of a stream
+   */
+  async getPrices(symbols) {
+    const stocks = await StockSymbol.find(
+      { symbol: { $in: symbols } },
+      'symbol exchange currentPrice previousPrice todayClosingPrice'
+    ).lean();
+    return stocks.map(stock => ({
+      symbol: stock.symbol,
+      exchange: stock.exchange,
+      currentPrice: stock.currentPrice,
+      previousPrice: stock.previousPrice,
+      todayClosingPrice: stock.todayClosingPrice
+    }));
+  }
+
+  /**
+   * Value portfolios at current prices
+   * @param {Array<string>} [portfolioIds] - All portfolios when omitted
+   */
+  async getPortfolioValuations(portfolioIds = null) {
+    const filter = portfolioIds ? { _id: { $in: portfolioIds } } : {};
+    const portfolios = await Portfolio.find(filter, 'name cashBalance holdings').lean();
+
+    const symbols = [...new Set(portfolios.flatMap(portfolio => (portfolio.holdings || []).map(h => h.symbol)))];
+    const stocks = await StockSymbol.find({ symbol: { $in: symbols } }, 'symbol currentPrice previousPrice').lean();
+    const stocksBySymbol = new Map(stocks.map(stock => [stock.symbol, stock]));
+
+    return portfolios.map(portfolio => valuePortfolio(portfolio, stocksBySymbol));
+  }
+
+  /**
+   * Recalculate every portfolio's value and publish it
+   * @returns {Promise<number>} Number of portfolios published
+   */
+  async publishPortfolioValuations(source = 'regular') {
+    if (!this.hasSubscribers()) return 0;
+    try {
+      const portfolios = await this.getPortfolioValuations();
+      this.emit(UPDATE_EVENT, {
+        type: 'portfolios',
+        payload: { source, at: new Date(), portfolios }
+      });
+      return portfolios.length;
+    } catch (error) {
+      logger.error('Failed to publish portfolio valuations', { source, error: error.message });
+      return 0;
+    }
+  }
+}
+
+// Create singleton instance
+const marketStreamService = new MarketStreamService();
+
+module.exports = marketStreamService;
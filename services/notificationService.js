@@ -0,0 +1,402 @@
+/**
+ * Notification Service
+ * Single dispatcher for user-facing notifications. Callers describe the
+ * message once per event and the service decides, from the event catalog in
+ * config/notificationEvents and the user's NotificationPreference, which
+ * channels (email, Telegram, in-app, SMS) it goes out on.
+ *
+ * Required channels of an event (e.g. email for invoices) are always used.
+ * Email for marketing events also honours the EmailPreference category behind
+ * the unsubscribe links, and gets the unsubscribe footer.
+ */
+const NotificationPreference = require('../models/NotificationPreference');
+const User = require('../models/user');
+const Subscription = require('../models/subscription');
+const emailQueue = require('./emailQueue');
+const emailTemplateService = require('./emailTemplateService');
+const emailPreferenceService = require('./emailPreferenceService');
+const TelegramService = require('./tgservice');
+const inAppNotificationService = require('./inAppNotificationService');
+const {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_EVENTS
+} = require('../config/notificationEvents');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
+    winston.format.errors({ stack: true }),
+    winston.format.splat(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({
+      filename: 'logs/notifications.log',
+      maxsize: 5 * 1024 * 1024,
+      maxFiles: 7
+    })
+  ]
+});
+
+const SMS_MAX_LENGTH = 160;
+
+function notificationError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function getEvent(eventType) {
+  const event = NOTIFICATION_EVENTS[eventType];
+  if (!event) {
+    throw notificationError(`Unknown notification event ${eventType}`);
+  }
+  return event;
+}
+
+const toBoolean = (value) => value === true || value === 'true';
+
+/**
+ * Channels enabled for an event, before marketing email opt-outs
+ * @param {string} eventType
+ * @param {Object|null} preference - NotificationPreference document or lean object
+ * @returns {Object} { email: boolean, telegram: boolean, in_app: boolean, sms: boolean }
+ */
+function resolveChannels(eventType, preference) {
+  const event = getEvent(eventType);
+  const muted = (preference && preference.channels) || {};
+  const events = preference && preference.events;
+  const override = (events && (events instanceof Map ? events.get(eventType) : events[eventType])) || {};
+
+  return NOTIFICATION_CHANNELS.reduce((result, channel) => {
+    if (event.required.includes(channel)) {
+      result[channel] = true;
+    } else if (muted[channel] === false) {
+      result[channel] = false;
+    } else if (typeof override[channel] === 'boolean') {
+      result[channel] = override[channel];
+    } else {
+      result[channel] = event.defaults[channel];
+    }
+    return result;
+  }, {});
+}
+
+async function getPreference(userId) {
+  return NotificationPreference.findOne({ user: userId }).lean();
+}
+
+/**
+ * Telegram id of the user's most recently updated linked subscription
+ */
+async function getTelegramUserId(userId) {
+  const subscription = await Subscription.findOne({
+    user: userId,
+    telegram_user_id: { $exists: true, $ne: null }
+  }).sort({ updatedAt: -1 }).select('telegram_user_id').lean();
+  return subscription ? subscription.telegram_user_id : null;
+}
+
+/**
+ * Channel handlers: (context) => { status, error?, ... }. SMS has no provider
+ * yet and only logs.
+ */
+const channelHandlers = {
+  async email({ user, eventType, content, options }) {
+    if (!user.email) {
+      return { status: 'skipped', error: 'No email address' };
+    }
+    const emailOptions = options.email || {};
+    const jobId = await emailQueue.addEmail({
+      to: user.email,
+      subject: content.subject,
+      text: content.text,
+      html: content.html,
+      type: emailOptions.type || eventType,
+      userId: user._id,
+      event: eventType,
+      ...(content.version ? { templateVersion: content.version } : {}),
+      ...(emailOptions.metadata || {})
+    }, emailOptions.priority || 'normal', emailOptions.maxRetries || 3, {
+      idempotencyKey: emailOptions.idempotencyKey,
+      sendAt: emailOptions.sendAt
+    });
+    return { status: 'queued', jobId };
+  },
+
+  async telegram({ user, content, options }) {
+    const telegramUserId = options.telegramUserId !== undefined
+      ? options.telegramUserId
+      : await getTelegramUserId(user._id);
+    if (!telegramUserId) {
+      return { status: 'skipped', error: 'Telegram not linked' };
+    }
+    const result = await TelegramService.sendMessage(telegramUserId, content.text);
+    return result.success
+      ? { status: 'sent' }
+      : { status: 'failed', error: result.error && result.error.message };
+  },
+
+  async in_app({ user, eventType, event, content, options }) {
+    const { duplicate } = await inAppNotificationService.create(user._id, {
+      category: event.inboxCategory,
+      event: eventType,
+      title: content.title,
+      body: content.body,
+      link: content.link,
+      data: content.data,
+      dedupeKey: options.dedupeKey
+    });
+    return duplicate
+      ? { status: 'skipped', error: 'Already in inbox' }
+      : { status: 'sent' };
+  },
+
+  async sms({ user, eventType, content }) {
+    if (!user.phone) {
+      return { status: 'skipped', error: 'No phone number' };
+    }
+    logger.info('SMS provider not configured, message not sent', {
+      userId: user._id.toString(),
+      event: eventType,
+      length: content.text.length
+    });
+    return { status: 'skipped', error: 'SMS provider not configured' };
+  }
+};
+
+/**
+ * Email content for the event: a template rendered with `data`, or a ready
+ * { subject, html, text }. Marketing events get the unsubscribe footer, or
+ * `optedOut` when the user unsubscribed from their category.
+ */
+async function buildEmail(user, event, email) {
+  let footer = null;
+  let optedOut = false;
+  if (event.emailCategory) {
+    const preference = await emailPreferenceService.getOrCreate(user._id);
+    optedOut = !preference.allows(event.emailCategory);
+    footer = emailPreferenceService.buildFooter(
+      await emailPreferenceService.buildLinks(preference.token, event.emailCategory)
+    );
+  }
+
+  if (email.template) {
+    return { ...(await emailTemplateService.render(email.template, email.data || {}, { footer })), optedOut };
+  }
+  return {
+    subject: email.subject,
+    html: footer ? `${email.html || ''}${footer.html}` : email.html,
+    text: footer ? `${email.text || ''}\n\n${footer.text}` : email.text,
+    optedOut
+  };
+}
+
+/**
+ * Send a notification to a user on every channel their preferences allow
+ *
+ * @param {Object|string} user - User document/object, or a user id
+ * @param {string} eventType - Key of config/notificationEvents
+ * @param {Object} message
+ * @param {Object} [message.email] - { template, data } or { subject, html, text }
+ * @param {Object} [message.telegram] - { text }; defaults to the email subject and text
+ * @param {Object} [message.inApp] - { title, body, link, data }; defaults to the email subject and text
+ * @param {Object} [message.sms] - { text }; defaults to the email subject
+ * @param {Object} [options]
+ * @param {string[]} [options.channels] - Only consider these channels
+ * @param {string} [options.telegramUserId] - Skip the Telegram id lookup
+ * @param {string} [options.dedupeKey] - Keeps a repeated send out of the in-app inbox
+ * @param {Object} [options.email] - { type, priority, maxRetries, idempotencyKey, sendAt, metadata }
+ * @returns {Promise<Array<{channel: string, status: string, error?: string}>>}
+ *   status is queued, sent, skipped or failed; channels turned off by the
+ *   user are only reported when requested through options.channels
+ */
+async function notify(user, eventType, message = {}, options = {}) {
+  const event = getEvent(eventType);
+
+  if (!user || !user._id) {
+    user = await User.findById(user).select('email fullName username phone').lean();
+    if (!user) {
+      throw notificationError('User not found', 404);
+    }
+  }
+
+  const enabled = resolveChannels(eventType, await getPreference(user._id));
+  const requested = options.channels || NOTIFICATION_CHANNELS;
+  const deliveries = [];
+
+  // Rendered even when email is off so the other channels can reuse its wording
+  let email = null;
+  if (message.email) {
+    try {
+      email = await buildEmail(user, event, message.email);
+    } catch (error) {
+      logger.error('Notification email could not be built', { event: eventType, userId: user._id.toString(), error: error.message });
+      email = { error: error.message };
+    }
+  }
+  const fallbackSubject = (email && email.subject) || event.label;
+  const fallbackText = (email && email.text) || '';
+
+  const contents = {
+    email,
+    telegram: message.telegram || { text: fallbackText ? `${fallbackSubject}\n\n${fallbackText}` : fallbackSubject },
+    in_app: message.inApp || { title: fallbackSubject, body: fallbackText },
+    sms: message.sms || { text: fallbackSubject.slice(0, SMS_MAX_LENGTH) }
+  };
+
+  for (const channel of requested) {
+    if (!NOTIFICATION_CHANNELS.includes(channel)) continue;
+
+    if (!enabled[channel]) {
+      if (options.channels) {
+        deliveries.push({ channel, status: 'skipped', error: 'Turned off in notification preferences' });
+      }
+      continue;
+    }
+
+    const content = contents[channel];
+    if (channel === 'email') {
+      if (!message.email) continue;
+      if (content.optedOut) {
+        deliveries.push({ channel, status: 'skipped', error: 'Unsubscribed' });
+        continue;
+      }
+      if (content.error) {
+        deliveries.push({ channel, status: 'failed', error: content.error });
+        continue;
+      }
+    }
+
+    try {
+      const result = await channelHandlers[channel]({ user, eventType, event, content, options });
+      deliveries.push({ channel, ...result });
+    } catch (error) {
+      logger.error('Notification delivery failed', { event: eventType, channel, userId: user._id.toString(), error: error.message });
+      deliveries.push({ channel, status: 'failed', error: error.message });
+    }
+  }
+
+  logger.info('Notification dispatched', {
+    event: eventType,
+    userId: user._id.toString(),
+    deliveries: deliveries.map(d => `${d.channel}:${d.status}`)
+  });
+  return deliveries;
+}
+
+/**
+ * The user's settings for every event, for the preferences API
+ */
+async function getPreferencesForUser(userId) {
+  const preference = await getPreference(userId);
+  const emailPreference = await emailPreferenceService.getOrCreate(userId);
+  const muted = (preference && preference.channels) || {};
+
+  return {
+    channels: NOTIFICATION_CHANNELS.reduce((result, channel) => {
+      result[channel] = muted[channel] !== false;
+      return result;
+    }, {}),
+    events: Object.entries(NOTIFICATION_EVENTS).map(([eventType, event]) => {
+      const channels = resolveChannels(eventType, preference);
+      if (event.emailCategory && !event.required.includes('email')) {
+        channels.email = channels.email && emailPreference.allows(event.emailCategory);
+      }
+      return {
+        event: eventType,
+        label: event.label,
+        category: event.category,
+        channels,
+        required: event.required
+      };
+    }),
+    telegramLinked: Boolean(await getTelegramUserId(userId)),
+    updatedAt: preference ? preference.updatedAt : null
+  };
+}
+
+/**
+ * Update channel mutes and per-event channels
+ * @param {string|ObjectId} userId
+ * @param {Object} changes - { channels: { <channel>: boolean }, events: { <event>: { <channel>: boolean } } }
+ */
+async function updatePreferencesForUser(userId, changes = {}) {
+  const { channels, events } = changes;
+  const update = {};
+  const emailCategories = {};
+
+  const checkChannels = (value, field) => {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+      throw notificationError(`${field} must be an object of booleans`);
+    }
+    Object.keys(value).forEach(channel => {
+      if (!NOTIFICATION_CHANNELS.includes(channel)) {
+        throw notificationError(`Unknown channel ${channel}. Use one of: ${NOTIFICATION_CHANNELS.join(', ')}`);
+      }
+    });
+  };
+
+  if (channels !== undefined) {
+    checkChannels(channels, 'channels');
+    Object.entries(channels).forEach(([channel, value]) => {
+      update[`channels.${channel}`] = toBoolean(value);
+    });
+  }
+
+  if (events !== undefined) {
+    if (typeof events !== 'object' || events === null || Array.isArray(events)) {
+      throw notificationError('events must be an object keyed by event');
+    }
+    Object.entries(events).forEach(([eventType, eventChannels]) => {
+      const event = NOTIFICATION_EVENTS[eventType];
+      if (!event) {
+        throw notificationError(`Unknown event ${eventType}. Use one of: ${Object.keys(NOTIFICATION_EVENTS).join(', ')}`);
+      }
+      checkChannels(eventChannels, `events.${eventType}`);
+      Object.entries(eventChannels).forEach(([channel, value]) => {
+        const enabled = toBoolean(value);
+        if (event.required.includes(channel)) {
+          if (!enabled) {
+            throw notificationError(`The ${channel} channel for "${event.label}" cannot be turned off`);
+          }
+          return;
+        }
+        // Marketing email lives in EmailPreference so unsubscribe links agree
+        if (channel === 'email' && event.emailCategory) {
+          emailCategories[event.emailCategory] = enabled;
+          return;
+        }
+        update[`events.${eventType}.${channel}`] = enabled;
+      });
+    });
+  }
+
+  if (Object.keys(update).length) {
+    await NotificationPreference.findOneAndUpdate(
+      { user: userId },
+      { $set: update },
+      { upsert: true }
+    );
+  }
+  if (Object.keys(emailCategories).length) {
+    const emailPreference = await emailPreferenceService.getOrCreate(userId);
+    await emailPreferenceService.applyChanges(emailPreference, { categories: emailCategories }, 'account');
+  }
+
+  return getPreferencesForUser(userId);
+}
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_EVENTS,
+  resolveChannels,
+  getTelegramUserId,
+  notify,
+  getPreferencesForUser,
+  updatePreferencesForUser
+};
@@ -0,0 +1,862 @@
+/**
+ * Plan Change Service
+ * Upgrades, downgrades and billing-period changes for active subscriptions.
+ *
+ * Immediate changes (one-time subscriptions only) value the unused days of
+ * the current term from `amount` and `expiresAt`, take that credit off the
+ * new price and collect the rest with a Razorpay order. Credit beyond the new
+ * price is given back as extra days. End-of-term changes start the new plan
+ * when the current one expires: one-time subscriptions pay the new price up
+ * front, recurring ones have their Razorpay subscription switched to the new
+ * plan at the end of the billing cycle. Due end-of-term changes are applied
+ * by the plan change cron.
+ */
+const cron = require('node-cron');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const winston = require('winston');
+const PlanChange = require('../models/PlanChange');
+const Subscription = require('../models/subscription');
+const PaymentHistory = require('../models/paymenthistory');
+const Portfolio = require('../models/modelPortFolio');
+const Bundle = require('../models/bundle');
+const User = require('../models/user');
+const { getPaymentConfig } = require('../utils/configSettings');
+const { amountPayable } = require('../utils/gst');
+const notificationService = require('./notificationService');
+const subscriptionEventService = require('./subscriptionEventService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp({ format: "YYYY-MM-DD HH:mm:ss" }),
+    winston.format.errors({ stack: true }),
+    winston.format.splat(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({
+      filename: "logs/plan-changes.log",
+      maxsize: 5 * 1024 * 1024,
+      maxFiles: 7
+    })
+  ]
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PLAN_MONTHS = { monthly: 1, quarterly: 3, yearly: 12 };
+const OPEN_STATUSES = ['pending_payment', 'scheduled'];
+// Razorpay does not accept orders below ₹1
+const MIN_ORDER_AMOUNT = 1;
+// How long a plan change order can be paid before the change expires
+const PENDING_PAYMENT_TTL_MS = 60 * 60 * 1000;
+// 5, 10, 20... minutes between attempts to apply a paid change, capped at 6 hours
+const retryDelayMs = (attempts) => Math.min(5 * Math.pow(2, attempts - 1), 6 * 60) * 60 * 1000;
+
+// Helpers shared with the subscription checkout
+const subscriptionHelpers = () => require('../controllers/subscriptionController');
+
+function planChangeError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+const wholeDays = (from, to) => Math.max(Math.ceil((to - from) / DAY_MS), 0);
+
+/**
+ * Length in days of the term that ends at `expiresAt`
+ */
+function termDays(planType, expiresAt) {
+  const start = new Date(expiresAt);
+  start.setMonth(start.getMonth() - (PLAN_MONTHS[planType] || 1));
+  return Math.round((new Date(expiresAt) - start) / DAY_MS);
+}
+
+async function getProductName(productType, productId) {
+  const Model = productType === 'Bundle' ? Bundle : Portfolio;
+  const product = await Model.findById(productId).select('name').lean();
+  return product ? product.name : productType;
+}
+
+/**
+ * The active subscription and everything billed with it: all portfolios of a
+ * bundle share the Razorpay subscription (recurring) or the bundle order
+ * (one-time).
+ */
+async function loadCurrentPlan(userId, subscriptionId) {
+  if (!mongoose.Types.ObjectId.isValid(subscriptionId)) {
+    throw planChangeError('Invalid subscription id');
+  }
+  const subscription = await Subscription.findOne({
+    _id: subscriptionId,
+    user: userId,
+    status: 'active',
+    expiresAt: { $gt: new Date() }
+  });
+  if (!subscription) {
+    throw planChangeError('Active subscription not found', 404);
+  }
+
+  let subscriptions = [subscription];
+  if (subscription.type === 'recurring' && subscription.razorpaySubscriptionId) {
+    subscriptions = await Subscription.find({
+      user: userId,
+      status: 'active',
+      razorpaySubscriptionId: subscription.razorpaySubscriptionId
+    });
+  } else if (subscription.bundleId && subscription.orderId) {
+    subscriptions = await Subscription.find({
+      user: userId,
+      status: 'active',
+      type: subscription.type,
+      bundleId: subscription.bundleId,
+      orderId: subscription.orderId
+    });
+  }
+
+  const productType = subscription.bundleId ? 'Bundle' : subscription.productType;
+  const productId = subscription.bundleId || subscription.productId;
+
+  return {
+    subscriptions,
+    type: subscription.type,
+    productType,
+    productId,
+    productName: await getProductName(productType, productId),
+    planType: subscription.planType,
+    amount: round(subscriptions.reduce((sum, sub) => sum + (sub.amount || 0), 0)),
+    expiresAt: new Date(Math.max(...subscriptions.map(sub => sub.expiresAt.getTime()))),
+    razorpaySubscriptionId: subscription.razorpaySubscriptionId || null
+  };
+}
+
+/**
+ * Price of the target plan, from the same price lists checkout uses
+ */
+async function resolveTarget({ productType, productId, planType }, subscriptionType) {
+  if (!['Portfolio', 'Bundle'].includes(productType)) {
+    throw planChangeError('productType must be Portfolio or Bundle');
+  }
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    throw planChangeError('Invalid productId');
+  }
+  if (!PlanChange.PLAN_TYPES.includes(planType)) {
+    throw planChangeError(`planType must be one of: ${PlanChange.PLAN_TYPES.join(', ')}`);
+  }
+
+  try {
+    const emandateType = subscriptionType === 'recurring' ? planType : null;
+    const { product, amount, category } = await subscriptionHelpers().getProductInfo(productType, productId, planType, emandateType);
+    return { productType, productId: product._id, productName: product.name, planType, category, price: amount, product };
+  } catch (error) {
+    throw planChangeError(error.message, /not found/i.test(error.message) ? 404 : 400);
+  }
+}
+
+/**
+ * Credit for the unused days of the current term and what is left to pay
+ */
+function calculateProration(current, target, timing, now = new Date()) {
+  if (timing === 'end_of_term') {
+    return {
+      totalDays: termDays(current.planType, current.expiresAt),
+      remainingDays: 0,
+      credit: 0,
+      creditApplied: 0,
+      extraDays: 0,
+      // Recurring subscriptions are charged by Razorpay when the cycle ends
+      amountDue: current.type === 'recurring' ? 0 : target.price
+    };
+  }
+
+  const totalDays = termDays(current.planType, current.expiresAt);
+  const remainingDays = Math.min(wholeDays(now, current.expiresAt), totalDays);
+  const credit = totalDays > 0 ? round(current.amount * remainingDays / totalDays) : 0;
+  const creditApplied = Math.min(credit, target.price);
+  const newTermDays = wholeDays(now, subscriptionHelpers().calculateEndDate(target.planType, now));
+  const dailyPrice = target.price / newTermDays;
+
+  return {
+    totalDays,
+    remainingDays,
+    credit,
+    creditApplied,
+    extraDays: credit > creditApplied ? Math.floor((credit - creditApplied) / dailyPrice) : 0,
+    amountDue: round(target.price - creditApplied)
+  };
+}
+
+/**
+ * Expiry of the new plan when it starts at `startsAt`
+ */
+function newExpiry(change, startsAt) {
+  const expiresAt = subscriptionHelpers().calculateEndDate(change.to.planType, startsAt);
+  return new Date(expiresAt.getTime() + (change.proration.extraDays || 0) * DAY_MS);
+}
+
+async function buildPlanChange(userId, { subscriptionId, productType, productId, planType, timing = 'immediate' }) {
+  if (!PlanChange.PLAN_CHANGE_TIMINGS.includes(timing)) {
+    throw planChangeError(`timing must be one of: ${PlanChange.PLAN_CHANGE_TIMINGS.join(', ')}`);
+  }
+  if (!subscriptionId) {
+    throw planChangeError('subscriptionId is required');
+  }
+
+  const current = await loadCurrentPlan(userId, subscriptionId);
+  const target = await resolveTarget({ productType, productId, planType }, current.type);
+
+  if (current.productType === target.productType &&
+      current.productId.toString() === target.productId.toString() &&
+      current.planType === target.planType) {
+    throw planChangeError('You are already on this plan');
+  }
+  if (current.type === 'recurring' && timing === 'immediate') {
+    throw planChangeError('Recurring subscriptions change plan at the end of the billing cycle. Use timing "end_of_term".');
+  }
+
+  const openChange = await PlanChange.exists({
+    'from.subscriptions': { $in: current.subscriptions.map(sub => sub._id) },
+    status: { $in: OPEN_STATUSES }
+  });
+  if (openChange) {
+    throw planChangeError('A plan change is already pending for this subscription', 409);
+  }
+
+  const currentIds = current.subscriptions.map(sub => sub._id);
+  const alreadySubscribed = await Subscription.exists({
+    _id: { $nin: currentIds },
+    user: userId,
+    status: 'active',
+    expiresAt: { $gt: new Date() },
+    $or: [
+      { productType: target.productType, productId: target.productId },
+      { bundleId: target.productId }
+    ]
+  });
+  if (alreadySubscribed) {
+    throw planChangeError(`You already have an active subscription to ${target.productName}`, 409);
+  }
+
+  const proration = calculateProration(current, target, timing);
+  return { current, target, proration, timing };
+}
+
+const toJSON = (change) => ({
+  id: change._id,
+  status: change.status,
+  timing: change.timing,
+  from: {
+    productType: change.from.productType,
+    productId: change.from.productId,
+    productName: change.from.productName,
+    planType: change.from.planType,
+    amount: change.from.amount,
+    expiresAt: change.from.expiresAt
+  },
+  to: {
+    productType: change.to.productType,
+    productId: change.to.productId,
+    productName: change.to.productName,
+    planType: change.to.planType,
+    price: change.to.price
+  },
+  proration: change.proration,
+  effectiveAt: change.effectiveAt || null,
+  appliedAt: change.appliedAt || null,
+  razorpayOrderId: change.razorpayOrderId || null,
+  newSubscriptions: change.newSubscriptions || [],
+  bill: change.bill || null,
+  failureReason: change.failureReason || null,
+  nextAttemptAt: change.nextAttemptAt || null,
+  createdAt: change.createdAt
+});
+
+/**
+ * Price a plan change without making it
+ */
+async function quotePlanChange(userId, body) {
+  const { current, target, proration, timing } = await buildPlanChange(userId, body);
+  const startsAt = timing === 'end_of_term' ? current.expiresAt : new Date();
+  const expiresAt = newExpiry({ to: target, proration }, startsAt);
+
+  return {
+    timing,
+    from: {
+      productType: current.productType,
+      productId: current.productId,
+      productName: current.productName,
+      planType: current.planType,
+      amount: current.amount,
+      expiresAt: current.expiresAt
+    },
+    to: {
+      productType: target.productType,
+      productId: target.productId,
+      productName: target.productName,
+      planType: target.planType,
+      price: target.price
+    },
+    proration,
+    // Amount due plus GST when prices are tax-exclusive
+    amountPayable: amountPayable(proration.amountDue),
+    startsAt,
+    expiresAt
+  };
+}
+
+/**
+ * Start a plan change. Returns the Razorpay order to pay when money is due;
+ * otherwise the change is applied (immediate) or scheduled (end of term).
+ */
+async function requestPlanChange(userId, body) {
+  const { current, target, proration, timing } = await buildPlanChange(userId, body);
+
+  const change = await PlanChange.create({
+    user: userId,
+    timing,
+    status: 'pending_payment',
+    from: {
+      subscriptions: current.subscriptions.map(sub => sub._id),
+      type: current.type,
+      productType: current.productType,
+      productId: current.productId,
+      productName: current.productName,
+      planType: current.planType,
+      amount: current.amount,
+      expiresAt: current.expiresAt,
+      razorpaySubscriptionId: current.razorpaySubscriptionId
+    },
+    to: {
+      productType: target.productType,
+      productId: target.productId,
+      productName: target.productName,
+      planType: target.planType,
+      category: target.category,
+      price: target.price
+    },
+    proration,
+    effectiveAt: timing === 'end_of_term' ? current.expiresAt : null
+  });
+
+  // Parallel requests can both pass the check in buildPlanChange. Each one
+  // looks again after inserting; racing requests may both back out, but
+  // never both go ahead.
+  const concurrent = await PlanChange.exists({
+    _id: { $ne: change._id },
+    'from.subscriptions': { $in: change.from.subscriptions },
+    status: { $in: OPEN_STATUSES }
+  });
+  if (concurrent) {
+    change.status = 'failed';
+    change.failureReason = 'Another plan change was requested at the same time';
+    await change.save();
+    throw planChangeError('A plan change is already pending for this subscription', 409);
+  }
+
+  try {
+    const helpers = subscriptionHelpers();
+
+    if (current.type === 'recurring') {
+      const razorpay = await helpers.getRazorpayInstance();
+      const plan = await helpers.createSubscriptionPlan(Math.round(amountPayable(target.price) * 100), target.planType);
+      await razorpay.subscriptions.update(current.razorpaySubscriptionId, {
+        plan_id: plan.id,
+        schedule_change_at: 'cycle_end',
+        customer_notify: 1
+      });
+      change.razorpayPlanId = plan.id;
+      change.status = 'scheduled';
+      await change.save();
+
+      logger.info('Recurring plan change scheduled', { planChangeId: change._id.toString(), planId: plan.id });
+      return { planChange: toJSON(change) };
+    }
+
+    if (proration.amountDue < MIN_ORDER_AMOUNT) {
+      // Credit covers the new plan
+      await completePlanChange(change);
+      return { planChange: toJSON(change) };
+    }
+
+    const razorpay = await helpers.getRazorpayInstance();
+    const order = await razorpay.orders.create({
+      amount: Math.round(amountPayable(proration.amountDue) * 100),
+      currency: 'INR',
+      receipt: helpers.generateShortReceipt('pc', userId),
+      notes: {
+        userId: userId.toString(),
+        planChangeId: change._id.toString(),
+        productType: target.productType,
+        productId: target.productId.toString(),
+        planType: target.planType,
+        timing,
+        credit: proration.creditApplied.toString(),
+        amountDue: proration.amountDue.toString()
+      }
+    });
+    change.razorpayOrderId = order.id;
+    await change.save();
+
+    logger.info('Plan change order created', {
+      planChangeId: change._id.toString(),
+      orderId: order.id,
+      amountDue: proration.amountDue
+    });
+    return {
+      planChange: toJSON(change),
+      order: { orderId: order.id, amount: order.amount, currency: order.currency }
+    };
+  } catch (error) {
+    if (change.status === 'pending_payment') {
+      change.status = 'failed';
+      change.failureReason = error.message;
+      await change.save();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Confirm the Razorpay payment of a plan change order
+ */
+async function verifyPlanChangePayment(userId, { paymentId, orderId, signature }) {
+  if (!paymentId || !orderId || !signature) {
+    throw planChangeError('Missing payment details');
+  }
+
+  const change = await PlanChange.findOne({ razorpayOrderId: orderId, user: userId });
+  if (!change) {
+    throw planChangeError('Plan change not found', 404);
+  }
+  if (change.paymentId === paymentId && change.status !== 'pending_payment') {
+    return { planChange: toJSON(change), alreadyProcessed: true };
+  }
+  if (change.status !== 'pending_payment') {
+    throw planChangeError(`Plan change is ${change.status}`, 409);
+  }
+
+  const { key_secret } = await getPaymentConfig();
+  const expected = crypto.createHmac('sha256', key_secret).update(`${orderId}|${paymentId}`).digest('hex');
+  if (expected !== signature) {
+    throw planChangeError('Invalid payment signature');
+  }
+
+  const razorpay = await subscriptionHelpers().getRazorpayInstance();
+  const order = await razorpay.orders.fetch(orderId);
+  if (Math.abs(order.amount / 100 - amountPayable(change.proration.amountDue)) > 0.01) {
+    throw planChangeError('Payment amount verification failed');
+  }
+
+  // Already recorded when an earlier attempt failed after payment, or by a
+  // verification running at the same time
+  if (!await PaymentHistory.exists({ paymentId })) {
+    await PaymentHistory.create({
+      user: userId,
+      subscription: change.from.subscriptions[0],
+      portfolio: change.to.productType === 'Portfolio' ? change.to.productId : null,
+      amount: change.proration.amountDue,
+      paymentId,
+      orderId,
+      signature,
+      status: 'VERIFIED',
+      description: `Plan change - ${change.from.productName} (${change.from.planType}) to ${change.to.productName} (${change.to.planType})`
+    }).catch(error => {
+      if (error.code !== 11000) throw error;
+    });
+  }
+
+  change.paymentId = paymentId;
+  let applied;
+  if (change.timing === 'immediate') {
+    applied = await completePlanChange(change);
+  } else {
+    applied = await PlanChange.findOneAndUpdate(
+      { _id: change._id, status: 'pending_payment' },
+      { $set: { status: 'scheduled', paymentId } },
+      { new: true }
+    );
+    if (applied) {
+      change.status = 'scheduled';
+      logger.info('Plan change paid and scheduled', {
+        planChangeId: change._id.toString(),
+        effectiveAt: change.effectiveAt
+      });
+    }
+  }
+
+  if (!applied) {
+    // A verification running at the same time got there first
+    return { planChange: toJSON(await PlanChange.findById(change._id)), alreadyProcessed: true };
+  }
+  return { planChange: toJSON(change) };
+}
+
+/**
+ * Subscription documents for the new plan. A bundle with portfolios is
+ * stored as one subscription per portfolio, as at checkout.
+ */
+async function buildTargetSubscriptions(change, expiresAt) {
+  const { to, from } = change;
+  const base = {
+    user: change.user,
+    type: from.type,
+    status: 'active',
+    category: to.category,
+    planType: to.planType,
+    expiresAt,
+    lastPaymentAt: new Date(),
+    paymentId: change.paymentId || null,
+    orderId: change.razorpayOrderId || null,
+    couponUsed: null,
+    discountApplied: 0
+  };
+  if (from.type === 'recurring') {
+    base.razorpaySubscriptionId = from.razorpaySubscriptionId;
+  }
+
+  if (to.productType === 'Bundle') {
+    const bundle = await Bundle.findById(to.productId).populate('portfolios');
+    const portfolios = (bundle && bundle.portfolios) || [];
+    if (portfolios.length) {
+      return portfolios.map(portfolio => ({
+        ...base,
+        productType: 'Portfolio',
+        productId: portfolio._id,
+        portfolio: portfolio._id,
+        bundleId: to.productId,
+        amount: round(to.price / portfolios.length),
+        originalAmount: round(to.price / portfolios.length)
+      }));
+    }
+    return [{ ...base, productType: 'Bundle', productId: to.productId, bundleId: to.productId, amount: to.price, originalAmount: to.price }];
+  }
+
+  return [{ ...base, productType: 'Portfolio', productId: to.productId, portfolio: to.productId, amount: to.price, originalAmount: to.price }];
+}
+
+/**
+ * Replace the old subscriptions with the new plan, bill it and tell the user.
+ * The change is claimed by its current status inside the transaction, so
+ * concurrent callers apply it once; the others get null.
+ */
+async function completePlanChange(change) {
+  const fromStatus = change.status;
+  const startsAt = change.timing === 'end_of_term' ? change.from.expiresAt : new Date();
+  const expiresAt = newExpiry(change, startsAt);
+  const targets = await buildTargetSubscriptions(change, expiresAt);
+  const oldSubscriptions = await Subscription.find({ _id: { $in: change.from.subscriptions } });
+
+  const session = await mongoose.startSession();
+  let newSubscriptions = [];
+  let claimed = null;
+  try {
+    await session.withTransaction(async () => {
+      newSubscriptions = [];
+      claimed = await PlanChange.findOneAndUpdate(
+        { _id: change._id, status: fromStatus },
+        {
+          $set: { status: 'completed', appliedAt: new Date(), ...(change.paymentId && { paymentId: change.paymentId }) },
+          $unset: { nextAttemptAt: 1, failureReason: 1 }
+        },
+        { new: true, session }
+      );
+      if (!claimed) return;
+
+      const oldUpdate = {
+        status: change.timing === 'immediate' ? 'cancelled' : 'expired',
+        cancelledAt: new Date(),
+        cancelReason: 'plan_change'
+      };
+      await Subscription.updateMany(
+        { _id: { $in: change.from.subscriptions } },
+        // The Razorpay subscription now bills the new plan
+        change.from.type === 'recurring' ? { ...oldUpdate, $unset: { razorpaySubscriptionId: 1 } } : oldUpdate,
+        { session }
+      );
+
+      for (const target of targets) {
+        const subscription = await Subscription.findOneAndUpdate(
+          { user: change.user, productType: target.productType, productId: target.productId, type: target.type },
+          { ...target, $unset: { cancelledAt: 1, cancelReason: 1 } },
+          { upsert: true, new: true, session }
+        );
+        newSubscriptions.push(subscription);
+      }
+
+      claimed.newSubscriptions = newSubscriptions.map(sub => sub._id);
+      await claimed.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (!claimed) {
+    logger.info('Plan change already applied by another request', { planChangeId: change._id.toString(), fromStatus });
+    return null;
+  }
+  change.status = claimed.status;
+  change.appliedAt = claimed.appliedAt;
+  change.nextAttemptAt = undefined;
+  change.failureReason = undefined;
+  change.newSubscriptions = claimed.newSubscriptions;
+
+  logger.info('Plan change applied', {
+    planChangeId: change._id.toString(),
+    newSubscriptions: change.newSubscriptions.map(id => id.toString()),
+    expiresAt
+  });
+
+  await afterPlanChange(change, oldSubscriptions, newSubscriptions);
+  return newSubscriptions;
+}
+
+/**
+ * Bill, access and notifications once the new plan is active. Failures are
+ * logged; the plan change itself stands.
+ */
+async function afterPlanChange(change, oldSubscriptions, newSubscriptions) {
+  const user = await User.findById(change.user);
+  const newProductIds = new Set(newSubscriptions.map(sub => sub.productId.toString()));
+
+  // One-time plans are billed here; Razorpay charges recurring ones
+  if (change.from.type === 'one_time') {
+    try {
+      const billService = require('./billService');
+      const { to, proration } = change;
+      const adjustments = proration.creditApplied > 0
+        ? [{
+          description: `Credit for ${proration.remainingDays} unused days of ${change.from.productName}`,
+          amount: -proration.creditApplied
+        }]
+        : [];
+      const bill = await billService.generateAndSendBill(newSubscriptions[0]._id, {
+        paymentId: change.paymentId || `plan_change_${change._id}`,
+        orderId: change.razorpayOrderId,
+        items: [{
+          description: `${to.productName} - ${to.planType} subscription (plan change)`,
+          productType: to.productType,
+          productId: to.productId,
+          planType: to.planType,
+          unitPrice: to.price,
+          totalPrice: to.price
+        }],
+        adjustments,
+        notes: proration.extraDays
+          ? `Remaining credit of ₹${round(proration.credit - proration.creditApplied)} added as ${proration.extraDays} extra days.`
+          : undefined
+      });
+      change.bill = bill._id;
+      await change.save();
+    } catch (error) {
+      logger.error('Plan change bill failed', { planChangeId: change._id.toString(), error: error.message });
+    }
+  }
+
+  // Leave Telegram groups of products no longer included
+  const TelegramService = require('./tgservice');
+  for (const subscription of oldSubscriptions) {
+    if (newProductIds.has(subscription.productId.toString())) continue;
+    if (!subscription.invite_link_url && !subscription.telegram_user_id) continue;
+    try {
+      await TelegramService.kickUser(change.user, subscription.productId);
+    } catch (error) {
+      logger.error('Telegram kick after plan change failed', {
+        subscriptionId: subscription._id.toString(),
+        error: error.message
+      });
+    }
+  }
+
+  newSubscriptions.forEach(subscription => subscriptionEventService.emitSubscriptionActivated(subscription));
+
+  if (user) {
+    try {
+      const { handleTelegramIntegration } = require('../controllers/portfolioController');
+      await handleTelegramIntegration(user, change.to.productType, change.to.productId, newSubscriptions[0]);
+    } catch (error) {
+      logger.error('Telegram integration after plan change failed', {
+        planChangeId: change._id.toString(),
+        error: error.message
+      });
+    }
+  }
+
+  await subscriptionHelpers().updateUserPremiumStatus(change.user);
+
+  try {
+    const { from, to, proration } = change;
+    const expiresAt = newSubscriptions[0].expiresAt.toLocaleDateString('en-IN');
+    const summary = `Your ${from.productName} (${from.planType}) plan has been changed to ${to.productName} (${to.planType}).`;
+    const credit = proration.creditApplied > 0
+      ? ` A credit of ₹${proration.creditApplied} for unused days was applied.`
+      : '';
+    await notificationService.notify(user || change.user, 'subscription_plan_changed', {
+      email: {
+        subject: `Your plan is now ${to.productName} (${to.planType})`,
+        html: `<p>${summary}${credit}</p><p>Your new plan is active until <strong>${expiresAt}</strong>.</p>`,
+        text: `${summary}${credit} Your new plan is active until ${expiresAt}.`
+      },
+      inApp: {
+        title: `Plan changed to ${to.productName}`,
+        body: `${to.planType} plan, active until ${expiresAt}.`,
+        data: { planChangeId: change._id, subscriptionIds: change.newSubscriptions }
+      }
+    }, { dedupeKey: `plan_change:${change._id}` });
+  } catch (error) {
+    logger.error('Plan change notification failed', { planChangeId: change._id.toString(), error: error.message });
+  }
+}
+
+/**
+ * Withdraw a plan change that has not been applied. Paid one-time changes
+ * cannot be withdrawn here.
+ */
+async function cancelPlanChange(userId, planChangeId) {
+  if (!mongoose.Types.ObjectId.isValid(planChangeId)) {
+    throw planChangeError('Invalid plan change id');
+  }
+  const change = await PlanChange.findOne({ _id: planChangeId, user: userId });
+  if (!change) {
+    throw planChangeError('Plan change not found', 404);
+  }
+  if (!OPEN_STATUSES.includes(change.status)) {
+    throw planChangeError(`Plan change is already ${change.status}`, 409);
+  }
+  if (change.paymentId) {
+    throw planChangeError('This plan change has been paid for and can no longer be withdrawn. Please contact support.', 409);
+  }
+
+  if (change.from.type === 'recurring' && change.status === 'scheduled') {
+    const razorpay = await subscriptionHelpers().getRazorpayInstance();
+    await razorpay.subscriptions.cancelScheduledChanges(change.from.razorpaySubscriptionId);
+  }
+
+  change.status = 'cancelled';
+  change.cancelledAt = new Date();
+  await change.save();
+  logger.info('Plan change cancelled', { planChangeId: change._id.toString() });
+  return toJSON(change);
+}
+
+async function listPlanChanges(userId) {
+  const changes = await PlanChange.find({ user: userId }).sort({ createdAt: -1 }).limit(50);
+  return changes.map(toJSON);
+}
+
+/**
+ * Apply end-of-term changes whose current term has ended. A change that was
+ * paid for, or that Razorpay already bills, stays scheduled and is retried
+ * with backoff; only unpaid ones are marked failed.
+ * @returns {Promise<{applied: number, retrying: number, failed: number}>}
+ */
+async function applyDueChanges() {
+  const now = new Date();
+  const due = await PlanChange.find({
+    status: 'scheduled',
+    effectiveAt: { $lte: now },
+    $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: now } }]
+  });
+  const summary = { applied: 0, retrying: 0, failed: 0 };
+
+  for (const change of due) {
+    try {
+      if (await completePlanChange(change)) summary.applied++;
+    } catch (error) {
+      const committed = Boolean(change.paymentId) || change.from.type === 'recurring';
+      const attempts = (change.attempts || 0) + 1;
+
+      if (committed) {
+        summary.retrying++;
+        const nextAttemptAt = new Date(Date.now() + retryDelayMs(attempts));
+        await PlanChange.updateOne(
+          { _id: change._id, status: 'scheduled' },
+          { attempts, nextAttemptAt, failureReason: error.message }
+        );
+        logger.error('Scheduled plan change failed; will retry', {
+          planChangeId: change._id.toString(),
+          attempts,
+          nextAttemptAt,
+          error: error.message
+        });
+      } else {
+        summary.failed++;
+        await PlanChange.updateOne(
+          { _id: change._id, status: 'scheduled' },
+          { status: 'failed', attempts, failureReason: error.message }
+        );
+        logger.error('Scheduled plan change failed', { planChangeId: change._id.toString(), error: error.message });
+      }
+    }
+  }
+
+  if (due.length) logger.info('Due plan changes processed', summary);
+  return summary;
+}
+
+/**
+ * Expire plan changes whose order was not paid in time, so they stop
+ * blocking new changes. An order Razorpay reports as paid is left for the
+ * checkout or the payment.captured webhook to settle.
+ * @returns {Promise<number>} changes expired
+ */
+async function expireUnpaidChanges() {
+  const stale = await PlanChange.find({
+    status: 'pending_payment',
+    createdAt: { $lte: new Date(Date.now() - PENDING_PAYMENT_TTL_MS) }
+  });
+  let expired = 0;
+
+  for (const change of stale) {
+    try {
+      if (change.razorpayOrderId) {
+        const razorpay = await subscriptionHelpers().getRazorpayInstance();
+        const order = await razorpay.orders.fetch(change.razorpayOrderId);
+        if (order.status === 'paid') continue;
+      }
+      const result = await PlanChange.updateOne(
+        { _id: change._id, status: 'pending_payment' },
+        { status: 'expired', cancelledAt: new Date() }
+      );
+      expired += result.modifiedCount;
+    } catch (error) {
+      logger.error('Expiring plan change failed', { planChangeId: change._id.toString(), error: error.message });
+    }
+  }
+
+  if (expired) logger.info('Unpaid plan changes expired', { expired });
+  return expired;
+}
+
+function startPlanChangeScheduler() {
+  const task = cron.schedule('*/5 * * * *', async () => {
+    try {
+      await applyDueChanges();
+      await expireUnpaidChanges();
+    } catch (error) {
+      logger.error('Plan change cron failed', { error: error.message });
+    }
+  }, {
+    scheduled: true,
+    timezone: 'Asia/Kolkata'
+  });
+  logger.info('Plan change scheduler started');
+  return task;
+}
+
+module.exports = {
+  calculateProration,
+  quotePlanChange,
+  requestPlanChange,
+  verifyPlanChangePayment,
+  completePlanChange,
+  cancelPlanChange,
+  listPlanChanges,
+  applyDueChanges,
+  expireUnpaidChanges,
+  startPlanChangeScheduler
+};
@@ -0,0 +1,438 @@
+/**
+ * Portfolio As-Of Service
+ * Reconstructs what a portfolio held on a past date (holdings, weights, cash
+ * and valuation) and diffs two dates.
+ *
+ * Holdings come from the trade ledger when it already covered the date;
+ * otherwise they are rebuilt backwards from the current holdings by undoing
+ * every priceHistory event after the date and restoring positions whose
+ * complete sale (saleHistory) came later. Cash comes from the ledger or the
+ * day's PriceLog. Holdings are valued at the stored daily close; holdings
+ * without one (dates before daily bars were stored) are scaled to the
+ * holdings value of the PriceLog on or before the date.
+ */
+const { default: mongoose } = require('mongoose');
+const moment = require('moment-timezone');
+const Portfolio = require('../models/modelPortFolio');
+const PriceLog = require('../models/PriceLog');
+const PriceBar = require('../models/PriceBar');
+const StockSymbol = require('../models/stockSymbol');
+const TradeLedger = require('../models/TradeLedger');
+const tradeLedgerService = require('./tradeLedgerService');
+const portfolioPerformanceService = require('./portfolioPerformanceService');
+const { toDateKey, TIMEZONE } = require('../utils/tradingCalendar');
+
+const SELL_ACTIONS = ['sell', 'partial_sell', 'complete_sell'];
+const QUANTITY_TOLERANCE = 1e-6;
+
+const round2 = (value) => parseFloat((Number(value) || 0).toFixed(2));
+const round4 = (value) => parseFloat((Number(value) || 0).toFixed(4));
+
+/**
+ * Parse an as-of date. Plain dates (YYYY-MM-DD) mean the end of that IST day;
+ * anything later than now is clamped to now.
+ */
+exports.parseAsOfDate = (value) => {
+  if (!value) {
+    throw new Error('Invalid date: a date is required');
+  }
+  const parsed = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? moment.tz(value, 'YYYY-MM-DD', true, TIMEZONE).endOf('day')
+    : moment(value, moment.ISO_8601, true);
+  if (!parsed.isValid()) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  const date = parsed.toDate();
+  const now = new Date();
+  return date > now ? now : date;
+};
+
+/**
+ * Rebuild positions at asOf from the portfolio's own history (no database access)
+ * @param {Object} portfolio - Plain portfolio with holdings and saleHistory
+ * @param {Date} asOf
+ * @returns {{holdings: Array, warnings: Array<string>}}
+ */
+exports.reconstructFromHistory = (portfolio, asOf) => {
+  const positions = new Map();
+  const warnings = [];
+
+  const addPosition = (symbol, fields, quantity, cost) => {
+    const existing = positions.get(symbol);
+    if (existing) {
+      existing.quantity += quantity;
+      existing.cost += cost;
+    } else {
+      positions.set(symbol, { symbol, ...fields, quantity, cost });
+    }
+  };
+
+  for (const holding of portfolio.holdings || []) {
+    const symbol = holding.symbol.toUpperCase();
+    let quantity = holding.status === 'Sell' ? 0 : Number(holding.quantity) || 0;
+    let buyPrice = Number(holding.buyPrice) || 0;
+    let cost = quantity * buyPrice;
+
+    const history = (holding.priceHistory || []).filter(entry => entry.date);
+    const later = history
+      .filter(entry => new Date(entry.date) > asOf)
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    // Undo newest first
+    for (const entry of later) {
+      const entryQuantity = Math.abs(Number(entry.quantity) || 0);
+      if (entry.action === 'buy') {
+        quantity -= entryQuantity;
+        cost -= entry.investment || entry.price * entryQuantity;
+      } else if (SELL_ACTIONS.includes(entry.action)) {
+        quantity += entryQuantity;
+        cost += entryQuantity * buyPrice;
+      } else if (entry.action === 'split' || entry.action === 'bonus') {
+        // Shares were added at no cost; the per-share cost rises back
+        quantity -= Number(entry.quantity) || 0;
+      }
+      buyPrice = quantity > QUANTITY_TOLERANCE ? cost / quantity : buyPrice;
+    }
+
+    const recordedBefore = history.some(entry => new Date(entry.date) <= asOf);
+    if (quantity > QUANTITY_TOLERANCE && holding.createdAt && new Date(holding.createdAt) > asOf && !recordedBefore) {
+      // Created after the date and no purchase undone above: the buy was never recorded in priceHistory
+      warnings.push(`${symbol}: created after the date without a recorded purchase; assumed not held`);
+      quantity = 0;
+    }
+    if (quantity < -QUANTITY_TOLERANCE) {
+      warnings.push(`${symbol}: priceHistory undoes more shares than are held; assumed not held`);
+      quantity = 0;
+    }
+    if (quantity > QUANTITY_TOLERANCE) {
+      addPosition(symbol, { sector: holding.sector, stockCapType: holding.stockCapType }, quantity, Math.max(cost, 0));
+    }
+  }
+
+  // Positions closed after the date only survive in saleHistory
+  for (const sale of portfolio.saleHistory || []) {
+    if (!sale.soldDate || new Date(sale.soldDate) <= asOf || !(sale.originalQuantity > 0)) continue;
+    const symbol = sale.symbol.toUpperCase();
+    const buyPrice = Number(sale.originalBuyPrice) || 0;
+    addPosition(symbol, {}, sale.originalQuantity, sale.originalQuantity * buyPrice);
+  }
+
+  const holdings = [...positions.values()].map(position => ({
+    symbol: position.symbol,
+    sector: position.sector,
+    stockCapType: position.stockCapType,
+    quantity: round4(position.quantity),
+    buyPrice: position.quantity > 0 ? round2(position.cost / position.quantity) : 0
+  }));
+
+  return { holdings: holdings.sort((a, b) => a.symbol.localeCompare(b.symbol)), warnings };
+};
+
+/**
+ * Daily close on or before asOf for each symbol (live price when asOf is today)
+ * @returns {Map<string, {price, priceDate, priceSource}>}
+ */
+const loadPricesAsOf = async (symbols, asOf) => {
+  const prices = new Map();
+  if (!symbols.length) return prices;
+
+  const isToday = toDateKey(asOf) === toDateKey(new Date());
+  const stocks = await StockSymbol.find({ symbol: { $in: symbols } })
+    .select('symbol currentPrice todayClosingPrice lastUpdated')
+    .lean();
+
+  for (const stock of stocks) {
+    if (isToday && (stock.currentPrice > 0 || stock.todayClosingPrice > 0)) {
+      prices.set(stock.symbol, {
+        price: stock.currentPrice > 0 ? stock.currentPrice : stock.todayClosingPrice,
+        priceDate: stock.lastUpdated || new Date(),
+        priceSource: 'live'
+      });
+      continue;
+    }
+
+    const bar = await PriceBar.findOne({ stockSymbol: stock._id, interval: '1d', timestamp: { $lte: asOf } })
+      .sort({ timestamp: -1 })
+      .select('timestamp close')
+      .lean();
+    if (bar) {
+      prices.set(stock.symbol, { price: bar.close, priceDate: bar.timestamp, priceSource: 'daily_close' });
+    }
+  }
+
+  return prices;
+};
+
+/**
+ * Holdings, weights, cash and valuation of a portfolio at a point in time
+ * @param {string} portfolioId
+ * @param {Date|string} date - See parseAsOfDate
+ */
+exports.getPortfolioAsOf = async (portfolioId, date) => {
+  if (!mongoose.Types.ObjectId.isValid(portfolioId)) {
+    throw new Error('Invalid portfolio ID');
+  }
+  const asOf = date instanceof Date ? date : exports.parseAsOfDate(date);
+
+  const portfolio = await Portfolio.findById(portfolioId)
+    .select('name createdAt cashBalance holdings saleHistory')
+    .lean();
+  if (!portfolio) {
+    throw new Error('Portfolio not found');
+  }
+  if (portfolio.createdAt && asOf < new Date(portfolio.createdAt)) {
+    throw new Error('Invalid date: portfolio did not exist yet');
+  }
+
+  const warnings = [];
+  const priceLog = await PriceLog.findOne({ portfolio: portfolio._id, date: { $lte: asOf } })
+    .sort({ date: -1 })
+    .select('date dateOnly portfolioValue cashRemaining')
+    .lean();
+
+  // Prefer the ledger once it covers the date
+  const opening = await TradeLedger.findOne({ portfolio: portfolio._id }).sort({ sequence: 1 }).select('executedAt').lean();
+  let source;
+  let holdings;
+  let cashBalance;
+  let cashSource;
+
+  if (opening && opening.executedAt <= asOf) {
+    const replay = await tradeLedgerService.replayLedger(portfolio._id, { asOf });
+    source = 'ledger';
+    holdings = replay.holdings.map(h => ({
+      symbol: h.symbol,
+      sector: h.sector,
+      stockCapType: h.stockCapType,
+      quantity: h.quantity,
+      buyPrice: h.buyPrice
+    }));
+    cashBalance = replay.cashBalance;
+    cashSource = 'ledger';
+    replay.anomalies.forEach(a => warnings.push(`Ledger entry ${a.sequence}: ${a.message}`));
+  } else {
+    const rebuilt = exports.reconstructFromHistory(portfolio, asOf);
+    source = 'history';
+    holdings = rebuilt.holdings;
+    warnings.push(...rebuilt.warnings);
+
+    if (priceLog && toDateKey(priceLog.date) === toDateKey(asOf)) {
+      cashBalance = round2(priceLog.cashRemaining);
+      cashSource = 'price_log';
+    } else {
+      // Undo trade cash movements after the date from today's cash
+      const laterCash = portfolioPerformanceService.getTradeCashEvents(portfolio)
+        .filter(event => event.date > asOf)
+        .reduce((sum, event) => sum + event.amount, 0);
+      cashBalance = round2(Math.max(0, (portfolio.cashBalance || 0) - laterCash));
+      cashSource = 'derived';
+      warnings.push('No PriceLog for the date; cash derived from current cash and later trades');
+    }
+  }
+
+  const prices = await loadPricesAsOf(holdings.map(h => h.symbol), asOf);
+  const valued = holdings.map(h => {
+    const quote = prices.get(h.symbol);
+    const price = quote ? quote.price : h.buyPrice;
+    const marketValue = round2(price * h.quantity);
+    const investmentValue = round2(h.buyPrice * h.quantity);
+    return {
+      ...h,
+      investmentValue,
+      price: round2(price),
+      priceDate: quote ? quote.priceDate : null,
+      priceSource: quote ? quote.priceSource : 'cost',
+      marketValue,
+      unrealizedPnL: round2(marketValue - investmentValue)
+    };
+  });
+
+  // Holdings without a daily close share what the PriceLog valued holdings at,
+  // less the holdings that do have a close, in proportion to their cost
+  const unpriced = valued.filter(h => h.priceSource === 'cost');
+  let valuationSource = unpriced.length ? 'cost' : 'prices';
+  if (unpriced.length && priceLog) {
+    const loggedHoldingsValue = (priceLog.portfolioValue || 0) - (priceLog.cashRemaining || 0);
+    const pricedValue = valued.filter(h => h.priceSource !== 'cost').reduce((sum, h) => sum + h.marketValue, 0);
+    const unpricedCost = unpriced.reduce((sum, h) => sum + h.investmentValue, 0);
+    const remaining = loggedHoldingsValue - pricedValue;
+
+    if (unpricedCost > 0 && remaining > 0) {
+      const factor = remaining / unpricedCost;
+      unpriced.forEach(h => {
+        h.marketValue = round2(h.investmentValue * factor);
+        h.price = h.quantity > 0 ? round2(h.marketValue / h.quantity) : h.price;
+        h.priceDate = priceLog.date;
+        h.priceSource = 'price_log';
+        h.unrealizedPnL = round2(h.marketValue - h.investmentValue);
+      });
+      valuationSource = unpriced.length === valued.length ? 'price_log' : 'mixed';
+      warnings.push(`${unpriced.map(h => h.symbol).join(', ')}: no daily close; scaled to the PriceLog of ${toDateKey(priceLog.date)}`);
+    } else {
+      warnings.push(`PriceLog of ${toDateKey(priceLog.date)} does not cover the holdings without a daily close`);
+    }
+  }
+  valued
+    .filter(h => h.priceSource === 'cost')
+    .forEach(h => warnings.push(`${h.symbol}: no price on or before the date; valued at cost`));
+
+  const holdingsValue = round2(valued.reduce((sum, h) => sum + h.marketValue, 0));
+  const totalValue = round2(holdingsValue + cashBalance);
+  valued.forEach(h => {
+    h.weight = totalValue > 0 ? round2(h.marketValue / totalValue * 100) : 0;
+  });
+
+  return {
+    portfolioId: portfolio._id,
+    portfolioName: portfolio.name,
+    asOf,
+    source,
+    holdings: valued,
+    cashBalance,
+    cashSource,
+    cashWeight: totalValue > 0 ? round2(cashBalance / totalValue * 100) : 0,
+    holdingsValue,
+    totalValue,
+    valuationSource,
+    priceLog: priceLog
+      ? { date: priceLog.date, portfolioValue: priceLog.portfolioValue, cashRemaining: priceLog.cashRemaining }
+      : null,
+    warnings
+  };
+};
+
+/**
+ * Trades and adjustments recorded between two dates (exclusive from, inclusive to)
+ */
+const getEventsBetween = async (portfolio, from, to) => {
+  const entries = await TradeLedger.find({
+    portfolio: portfolio._id,
+    executedAt: { $gt: from, $lte: to },
+    type: { $ne: 'opening_balance' }
+  })
+    .sort({ sequence: 1 })
+    .select('sequence type source symbol quantity price amount cashChange realizedPnL note executedAt executedByEmail')
+    .lean();
+  if (entries.length) {
+    return entries.map(e => ({
+      date: e.executedAt,
+      type: e.type,
+      symbol: e.symbol,
+      quantity: e.quantity,
+      price: e.price,
+      amount: e.amount,
+      cashChange: e.cashChange,
+      realizedPnL: e.realizedPnL,
+      note: e.note,
+      source: 'ledger',
+      sequence: e.sequence,
+      executedBy: e.executedByEmail
+    }));
+  }
+
+  const inRange = (date) => date && new Date(date) > from && new Date(date) <= to;
+  const events = [];
+  (portfolio.holdings || []).forEach(holding => {
+    (holding.priceHistory || []).filter(entry => inRange(entry.date)).forEach(entry => {
+      events.push({
+        date: new Date(entry.date),
+        type: entry.action,
+        symbol: holding.symbol,
+        quantity: Math.abs(entry.quantity || 0),
+        price: entry.price,
+        amount: entry.investment || entry.saleValue || 0,
+        realizedPnL: SELL_ACTIONS.includes(entry.action) ? entry.profitLoss : undefined,
+        note: entry.note,
+        source: 'priceHistory'
+      });
+    });
+  });
+  (portfolio.saleHistory || []).filter(sale => inRange(sale.soldDate)).forEach(sale => {
+    events.push({
+      date: new Date(sale.soldDate),
+      type: 'complete_sell',
+      symbol: sale.symbol,
+      quantity: sale.originalQuantity,
+      price: sale.salePrice,
+      amount: sale.saleValue,
+      realizedPnL: sale.profitLoss,
+      source: 'saleHistory'
+    });
+  });
+  return events.sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Compare a portfolio at two dates
+ * @param {string} portfolioId
+ * @param {Date|string} fromDate
+ * @param {Date|string} toDate
+ */
+exports.diffPortfolioAsOf = async (portfolioId, fromDate, toDate) => {
+  const from = fromDate instanceof Date ? fromDate : exports.parseAsOfDate(fromDate);
+  const to = toDate instanceof Date ? toDate : exports.parseAsOfDate(toDate);
+  if (from >= to) {
+    throw new Error('Invalid date range: from must be before to');
+  }
+
+  const before = await exports.getPortfolioAsOf(portfolioId, from);
+  const after = await exports.getPortfolioAsOf(portfolioId, to);
+
+  const beforeMap = new Map(before.holdings.map(h => [h.symbol, h]));
+  const afterMap = new Map(after.holdings.map(h => [h.symbol, h]));
+  const symbols = [...new Set([...beforeMap.keys(), ...afterMap.keys()])].sort();
+
+  const holdings = symbols.map(symbol => {
+    const a = beforeMap.get(symbol);
+    const b = afterMap.get(symbol);
+    const quantityBefore = a ? a.quantity : 0;
+    const quantityAfter = b ? b.quantity : 0;
+    const quantityChange = round4(quantityAfter - quantityBefore);
+
+    let change = 'unchanged';
+    if (!a) change = 'added';
+    else if (!b) change = 'removed';
+    else if (quantityChange > QUANTITY_TOLERANCE) change = 'increased';
+    else if (quantityChange < -QUANTITY_TOLERANCE) change = 'decreased';
+
+    return {
+      symbol,
+      change,
+      quantityBefore,
+      quantityAfter,
+      quantityChange,
+      buyPriceBefore: a ? a.buyPrice : null,
+      buyPriceAfter: b ? b.buyPrice : null,
+      weightBefore: a ? a.weight : 0,
+      weightAfter: b ? b.weight : 0,
+      weightChange: round2((b ? b.weight : 0) - (a ? a.weight : 0)),
+      marketValueBefore: a ? a.marketValue : 0,
+      marketValueAfter: b ? b.marketValue : 0
+    };
+  });
+
+  const portfolio = await Portfolio.findById(portfolioId).select('holdings saleHistory').lean();
+
+  return {
+    portfolioId: before.portfolioId,
+    portfolioName: before.portfolioName,
+    from: before.asOf,
+    to: after.asOf,
+    summary: {
+      cashBefore: before.cashBalance,
+      cashAfter: after.cashBalance,
+      cashChange: round2(after.cashBalance - before.cashBalance),
+      totalValueBefore: before.totalValue,
+      totalValueAfter: after.totalValue,
+      totalValueChange: round2(after.totalValue - before.totalValue),
+      added: holdings.filter(h => h.change === 'added').length,
+      removed: holdings.filter(h => h.change === 'removed').length,
+      increased: holdings.filter(h => h.change === 'increased').length,
+      decreased: holdings.filter(h => h.change === 'decreased').length
+    },
+    holdings,
+    events: await getEventsBetween(portfolio, from, to),
+    before,
+    after
+  };
+};
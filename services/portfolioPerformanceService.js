@@ -0,0 +1,373 @@
+/**
+ * Portfolio Performance Service
+ * Computes reproducible return and risk metrics for model portfolios from the
+ * daily PriceLog series (portfolioValue, cashRemaining) and the trade events
+ * in holdings[].priceHistory / saleHistory:
+ *   - TWR (time-weighted return, chain-linked daily returns)
+ *   - XIRR (money-weighted return) and CAGR (annualized TWR)
+ *   - rolling 1M/3M/6M/1Y returns
+ *   - max drawdown, annualized volatility and Sharpe ratio
+ *
+ * Buys, sells and dividends only move money between cash and holdings, so any
+ * change in cashRemaining they do not explain is treated as an external flow
+ * (capital added or withdrawn) and excluded from the return.
+ */
+const Portfolio = require('../models/modelPortFolio');
+const PriceLog = require('../models/PriceLog');
+const { getConfig } = require('../utils/configSettings');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
+    winston.format.errors({ stack: true }),
+    winston.format.splat(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({
+      filename: 'logs/portfolio-performance.log',
+      maxsize: 5 * 1024 * 1024,
+      maxFiles: 7
+    })
+  ]
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRADING_DAYS_PER_YEAR = 252;
+const DEFAULT_RISK_FREE_RATE = 6.5; // % per annum
+
+// Annualized figures (CAGR, XIRR) are withheld until one year of history exists
+const MIN_DAYS_FOR_ANNUALIZED = 365;
+// Volatility and Sharpe need a meaningful number of daily returns
+const MIN_RETURNS_FOR_RISK = 20;
+
+const ROLLING_WINDOWS = {
+  oneMonth: 30,
+  threeMonth: 90,
+  sixMonth: 180,
+  oneYear: 365
+};
+
+const SELL_ACTIONS = ['sell', 'partial_sell', 'complete_sell'];
+
+const toPercent = (ratio) => (ratio === null || !Number.isFinite(ratio) ? null : parseFloat((ratio * 100).toFixed(2)));
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+/**
+ * Cash effect of every trade event recorded on the portfolio.
+ * Buys are negative (cash spent), sells and dividends positive.
+ * @returns {Array<{date: Date, amount: number}>}
+ */
+exports.getTradeCashEvents = (portfolio) => {
+  const events = [];
+  const recordedSales = [];
+
+  (portfolio.holdings || []).forEach(holding => {
+    (holding.priceHistory || []).forEach(entry => {
+      if (!entry.date) return;
+      const date = new Date(entry.date);
+
+      if (entry.action === 'buy') {
+        const amount = entry.investment || entry.price * Math.abs(entry.quantity);
+        events.push({ date, amount: -amount });
+      } else if (SELL_ACTIONS.includes(entry.action)) {
+        const amount = entry.saleValue || entry.price * Math.abs(entry.quantity);
+        events.push({ date, amount });
+        recordedSales.push({ symbol: holding.symbol, date, amount });
+      } else if (entry.action === 'dividend') {
+        events.push({ date, amount: entry.profitLoss || 0 });
+      }
+    });
+  });
+
+  // Completely sold holdings are removed from holdings and only survive in
+  // saleHistory; skip sales that are still visible in priceHistory.
+  (portfolio.saleHistory || []).forEach(sale => {
+    const date = new Date(sale.soldDate);
+    const duplicate = recordedSales.some(s =>
+      s.symbol === sale.symbol &&
+      Math.abs(s.date - date) < 60 * 1000 &&
+      Math.abs(s.amount - sale.saleValue) < 0.01
+    );
+    if (!duplicate) {
+      events.push({ date, amount: sale.saleValue });
+    }
+  });
+
+  return events.sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Turn the PriceLog series into daily returns net of external flows.
+ * Each trade event is attributed to the first log taken at or after it.
+ * @param {Array<{date, dateOnly, portfolioValue, cashRemaining}>} logs - sorted ascending
+ * @param {Array<{date, amount}>} events - from getTradeCashEvents
+ * @returns {Array<{date, value, cash, flow, dailyReturn, index}>}
+ */
+exports.buildReturnSeries = (logs, events = []) => {
+  const series = [];
+  let eventIndex = 0;
+  let index = 100;
+
+  // Events before the first log are already in the starting value
+  while (eventIndex < events.length && logs.length && events[eventIndex].date <= logs[0].date) {
+    eventIndex++;
+  }
+
+  logs.forEach((log, i) => {
+    const value = Number(log.portfolioValue) || 0;
+    const cash = Number(log.cashRemaining) || 0;
+
+    if (i === 0) {
+      series.push({ date: log.dateOnly, value, cash, flow: 0, dailyReturn: null, index });
+      return;
+    }
+
+    const previous = series[series.length - 1];
+    let tradeCash = 0;
+    while (eventIndex < events.length && events[eventIndex].date <= log.date) {
+      tradeCash += events[eventIndex].amount;
+      eventIndex++;
+    }
+
+    // Ignore rounding noise when reconciling cash
+    const tolerance = Math.max(1, previous.value * 0.001);
+    const residual = (cash - previous.cash) - tradeCash;
+    const flow = Math.abs(residual) > tolerance ? round2(residual) : 0;
+
+    // Flows are assumed to arrive at the start of the day
+    const base = previous.value + flow;
+    const dailyReturn = base > 0 ? value / base - 1 : null;
+    if (dailyReturn !== null) {
+      index *= 1 + dailyReturn;
+    }
+
+    series.push({ date: log.dateOnly, value, cash, flow, dailyReturn, index });
+  });
+
+  return series;
+};
+
+/**
+ * Money-weighted annual return. Cash flows are from the investor's side:
+ * negative when capital goes in, positive when it comes out.
+ * @param {Array<{date: Date, amount: number}>} cashFlows
+ * @returns {number|null} Rate as a ratio (0.12 = 12%)
+ */
+exports.calculateXIRR = (cashFlows) => {
+  if (cashFlows.length < 2) return null;
+  if (!cashFlows.some(cf => cf.amount < 0) || !cashFlows.some(cf => cf.amount > 0)) return null;
+
+  const start = cashFlows[0].date;
+  const years = cashFlows.map(cf => (cf.date - start) / (365 * DAY_MS));
+  const npv = (rate) => cashFlows.reduce((sum, cf, i) => sum + cf.amount / Math.pow(1 + rate, years[i]), 0);
+  const derivative = (rate) => cashFlows.reduce((sum, cf, i) => sum - years[i] * cf.amount / Math.pow(1 + rate, years[i] + 1), 0);
+
+  // Newton-Raphson first, bisection if it does not converge
+  let rate = 0.1;
+  for (let i = 0; i < 50; i++) {
+    const value = npv(rate);
+    const slope = derivative(rate);
+    if (!Number.isFinite(value) || !Number.isFinite(slope) || slope === 0) break;
+    const next = rate - value / slope;
+    if (next <= -1) break;
+    if (Math.abs(next - rate) < 1e-7) return next;
+    rate = next;
+  }
+
+  let low = -0.9999;
+  let high = 10;
+  if (npv(low) * npv(high) > 0) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const value = npv(mid);
+    if (Math.abs(value) < 1e-6) return mid;
+    if (npv(low) * value < 0) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+  return (low + high) / 2;
+};
+
+/**
+ * Compute every metric from a return series
+ * @param {Array} series - from buildReturnSeries
+ * @param {Object} [options]
+ * @param {number} [options.riskFreeRate] - Annual risk-free rate in percent
+ */
+exports.computeMetrics = (series, options = {}) => {
+  const riskFreeRate = options.riskFreeRate ?? DEFAULT_RISK_FREE_RATE;
+  const metrics = {
+    twr: null,
+    xirr: null,
+    cagr: null,
+    returns: { oneMonth: null, threeMonth: null, sixMonth: null, oneYear: null },
+    maxDrawdown: null,
+    volatility: null,
+    sharpeRatio: null,
+    riskFreeRate,
+    netExternalFlows: 0,
+    inceptionDate: series.length ? series[0].date : null,
+    asOf: series.length ? series[series.length - 1].date : null,
+    dataPoints: series.length
+  };
+
+  if (series.length < 2) {
+    return metrics;
+  }
+
+  const first = series[0];
+  const last = series[series.length - 1];
+  const spanDays = (last.date - first.date) / DAY_MS;
+
+  // Time-weighted return and CAGR
+  const twr = last.index / first.index - 1;
+  metrics.twr = toPercent(twr);
+  if (spanDays >= MIN_DAYS_FOR_ANNUALIZED && twr > -1) {
+    metrics.cagr = toPercent(Math.pow(1 + twr, 365 / spanDays) - 1);
+  }
+
+  // Money-weighted return
+  metrics.netExternalFlows = round2(series.reduce((sum, point) => sum + point.flow, 0));
+  if (spanDays >= MIN_DAYS_FOR_ANNUALIZED) {
+    const cashFlows = [{ date: first.date, amount: -first.value }];
+    series.slice(1).forEach(point => {
+      if (point.flow) cashFlows.push({ date: point.date, amount: -point.flow });
+    });
+    cashFlows.push({ date: last.date, amount: last.value });
+    metrics.xirr = toPercent(exports.calculateXIRR(cashFlows));
+  }
+
+  // Rolling returns - only when the series reaches back to the window start
+  Object.entries(ROLLING_WINDOWS).forEach(([field, days]) => {
+    const cutoff = last.date.getTime() - days * DAY_MS;
+    let base = null;
+    for (const point of series) {
+      if (point.date.getTime() > cutoff) break;
+      base = point;
+    }
+    if (base) {
+      metrics.returns[field] = toPercent(last.index / base.index - 1);
+    }
+  });
+
+  // Max drawdown on the flow-adjusted index
+  let peak = first.index;
+  let maxDrawdown = 0;
+  series.forEach(point => {
+    peak = Math.max(peak, point.index);
+    maxDrawdown = Math.min(maxDrawdown, point.index / peak - 1);
+  });
+  metrics.maxDrawdown = toPercent(maxDrawdown);
+
+  // Volatility and Sharpe from daily returns
+  const dailyReturns = series.map(point => point.dailyReturn).filter(r => r !== null && Number.isFinite(r));
+  if (dailyReturns.length >= MIN_RETURNS_FOR_RISK) {
+    const mean = dailyReturns.reduce((sum, r) => sum + r, 0) / dailyReturns.length;
+    const variance = dailyReturns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (dailyReturns.length - 1);
+    const volatility = Math.sqrt(variance) * Math.sqrt(TRADING_DAYS_PER_YEAR);
+    metrics.volatility = toPercent(volatility);
+    if (volatility > 0) {
+      const excessReturn = mean * TRADING_DAYS_PER_YEAR - riskFreeRate / 100;
+      metrics.sharpeRatio = round2(excessReturn / volatility);
+    }
+  }
+
+  return metrics;
+};
+
+exports.getRiskFreeRate = async () => {
+  const configured = parseFloat(await getConfig('RISK_FREE_RATE', DEFAULT_RISK_FREE_RATE));
+  return Number.isFinite(configured) ? configured : DEFAULT_RISK_FREE_RATE;
+};
+
+/**
+ * Calculate metrics (and optionally the return series) for one portfolio
+ * @param {Object|string} portfolioOrId - Portfolio document or ID
+ * @param {Object} [options]
+ * @param {boolean} [options.includeSeries]
+ */
+exports.calculatePortfolioPerformance = async (portfolioOrId, options = {}) => {
+  const portfolio = typeof portfolioOrId === 'object' && portfolioOrId.holdings
+    ? portfolioOrId
+    : await Portfolio.findById(portfolioOrId).select('name holdings.symbol holdings.priceHistory saleHistory');
+  if (!portfolio) {
+    throw new Error('Portfolio not found');
+  }
+
+  const logs = await PriceLog.find({ portfolio: portfolio._id })
+    .sort({ dateOnly: 1 })
+    .select('date dateOnly portfolioValue cashRemaining')
+    .lean();
+
+  const series = exports.buildReturnSeries(logs, exports.getTradeCashEvents(portfolio));
+  const metrics = exports.computeMetrics(series, { riskFreeRate: await exports.getRiskFreeRate() });
+  metrics.calculatedAt = new Date();
+
+  const result = { portfolio: portfolio._id, metrics };
+  if (options.includeSeries) {
+    result.series = series.map(point => ({
+      date: point.date,
+      value: point.value,
+      cash: point.cash,
+      flow: point.flow,
+      dailyReturn: toPercent(point.dailyReturn),
+      index: round2(point.index)
+    }));
+  }
+  return result;
+};
+
+/**
+ * Recalculate and persist metrics for one portfolio. The legacy string fields
+ * are refreshed from the same numbers so every surface shows one figure; a
+ * metric without enough history leaves its stored string alone.
+ */
+exports.refreshPortfolioPerformance = async (portfolioOrId) => {
+  const { portfolio, metrics } = await exports.calculatePortfolioPerformance(portfolioOrId);
+  const legacyFields = {
+    CAGRSinceInception: metrics.cagr,
+    monthlyGains: metrics.returns.oneMonth,
+    oneYearGains: metrics.returns.oneYear
+  };
+
+  const update = { performanceMetrics: metrics };
+  Object.entries(legacyFields).forEach(([field, value]) => {
+    if (value !== null && value !== undefined) {
+      update[field] = `${value.toFixed(2)}%`;
+    }
+  });
+
+  await Portfolio.updateOne({ _id: portfolio }, { $set: update });
+
+  return metrics;
+};
+
+/**
+ * Refresh metrics for every portfolio (run after the daily valuation job)
+ */
+exports.refreshAllPortfolioPerformance = async () => {
+  const portfolios = await Portfolio.find().select('name holdings.symbol holdings.priceHistory saleHistory');
+  const results = [];
+
+  for (const portfolio of portfolios) {
+    try {
+      const metrics = await exports.refreshPortfolioPerformance(portfolio);
+      results.push({ portfolioId: portfolio._id, portfolioName: portfolio.name, status: 'success', metrics });
+    } catch (error) {
+      logger.error(`Performance refresh failed for ${portfolio.name}`, { error: error.message });
+      results.push({ portfolioId: portfolio._id, portfolioName: portfolio.name, status: 'failed', error: error.message });
+    }
+  }
+
+  const failedCount = results.filter(r => r.status === 'failed').length;
+  logger.info(`📈 Performance metrics refreshed: ${results.length - failedCount} successful, ${failedCount} failed`);
+  return results;
+};
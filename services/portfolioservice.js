@@ -5,6 +5,7 @@ const winston = require('winston');
 const { default: mongoose } = require('mongoose');
 const portfolioCalculationLogger = require('./portfolioCalculationLogger');
 const transactionLogger = require('../utils/transactionLogger');
+const tradeLedgerService = require('./tradeLedgerService');
 const portfolioTransactionLogger = require('../utils/portfolioTransactionLogger');
 
 
@@ -602,9 +603,11 @@ exports.calculatePortfolioValueWithDetailedLogging = async (portfolioId) => {
 };
 
 // Enhanced stock sale processing with detailed logging
-exports.processStockSaleWithLogging = async (portfolioId, saleData) => {
+// options.session joins the caller's transaction; options.dryRun skips the transaction logs
+exports.processStockSaleWithLogging = async (portfolioId, saleData, user = null, options = {}) => {
+  const { session = null, dryRun = false } = options;
   try {
-    const portfolio = await Portfolio.findById(portfolioId);
+    const portfolio = await Portfolio.findById(portfolioId).session(session);
     if (!portfolio) {
       throw new Error('Portfolio not found');
     }
@@ -663,9 +666,10 @@ exports.processStockSaleWithLogging = async (portfolioId, saleData) => {
     if (existingHolding.quantity === 0) {
       const saleValue = quantityToSell * currentMarketPrice;
       const profitLoss = (currentMarketPrice - existingHolding.buyPrice) * quantityToSell;
+      const cashBefore = portfolio.cashBalance || 0;
       
       // Add sale proceeds to cash balance
-      portfolio.cashBalance = (portfolio.cashBalance || 0) + saleValue;
+      portfolio.cashBalance = cashBefore + saleValue;
       
       // Mark as sold
       portfolio.holdings[holdingIndex] = {
@@ -678,7 +682,19 @@ exports.processStockSaleWithLogging = async (portfolioId, saleData) => {
         realizedPnL: (existingHolding.realizedPnL || 0) + profitLoss
       };
 
-      await portfolio.save();
+      // No position to reduce, so the ledger only sees the cash credit
+      await tradeLedgerService.saveWithLedger(portfolio, [
+        tradeLedgerService.buildEntry('cash_adjustment', {
+          symbol: existingHolding.symbol,
+          quantity: quantityToSell,
+          price: currentMarketPrice,
+          amount: saleValue,
+          realizedPnL: profitLoss,
+          cashBefore,
+          cashAfter: portfolio.cashBalance,
+          note: 'Sale proceeds for zero-quantity holding'
+        })
+      ], { source: 'stock_sale', user, session });
 
       logger.info(`✅ Manual quantity 0 sale processed for ${symbol}`, {
         saleValue,
@@ -758,6 +774,8 @@ exports.processStockSaleWithLogging = async (portfolioId, saleData) => {
 
     // Update portfolio with sale results - WALLET BEHAVIOR: Add full sale proceeds to cash
     const previousCashBalance = portfolio.cashBalance || 0;
+    const ledgerHoldingBefore = tradeLedgerService.snapshotHolding(existingHolding);
+    let ledgerHoldingAfter = null;
     portfolio.cashBalance = saleResult.cashImpact.newBalance;
     
     logger.info(`💰 Cash balance updated for sale of ${symbol}`, {
@@ -845,6 +863,7 @@ exports.processStockSaleWithLogging = async (portfolioId, saleData) => {
       }
       
       portfolio.holdings[holdingIndex] = updatedHolding;
+      ledgerHoldingAfter = updatedHolding;
       
       logger.info(`📝 Updated holding ${symbol} after partial sale`, {
         portfolioId,
@@ -878,7 +897,7 @@ exports.processStockSaleWithLogging = async (portfolioId, saleData) => {
     };
 
     // Log the sell transaction
-    await transactionLogger.logSellTransaction({
+    if (!dryRun) await transactionLogger.logSellTransaction({
       portfolioId: portfolio._id,
       portfolioName: portfolio.name,
       stockSymbol: existingHolding.symbol,
@@ -914,11 +933,24 @@ exports.processStockSaleWithLogging = async (portfolioId, saleData) => {
       }
     }
 
-    // Save portfolio
-    await portfolio.save();
+    // Save portfolio together with its ledger entry
+    await tradeLedgerService.saveWithLedger(portfolio, [
+      tradeLedgerService.buildEntry('sell', {
+        symbol: existingHolding.symbol,
+        quantity: actualQuantityToSell,
+        price: currentMarketPrice,
+        amount: saleResult.operation.saleValue,
+        realizedPnL: saleResult.operation.profitLoss,
+        holdingBefore: ledgerHoldingBefore,
+        holdingAfter: ledgerHoldingAfter,
+        cashBefore: previousCashBalance,
+        cashAfter: portfolio.cashBalance,
+        note: saleResult.operation.type === 'complete_sale' ? 'Complete sale' : 'Partial sale'
+      })
+    ], { source: 'stock_sale', user, session });
 
     // Log final portfolio snapshot
-    await transactionLogger.logPortfolioSnapshot(portfolio, `After ${saleResult.operation.type} of ${symbol}`);
+    if (!dryRun) await transactionLogger.logPortfolioSnapshot(portfolio, `After ${saleResult.operation.type} of ${symbol}`);
 
     logger.info(`✅ Stock sale completed for ${symbol}`, {
       portfolioId,
@@ -1072,6 +1104,7 @@ exports.processStockSaleWithDetailedLogging = async (portfolioId, saleData, user
       cashBalance: portfolio.cashBalance,
       totalHoldings: portfolio.holdings.length
     };
+    const ledgerHoldingBefore = tradeLedgerService.snapshotHolding(beforeHoldingState);
 
     portfolio.cashBalance = calculationProcess.newCashBalance;
 
@@ -1113,9 +1146,22 @@ exports.processStockSaleWithDetailedLogging = async (portfolioId, saleData, user
       });
     }
 
-    // 7. SAVE TO DATABASE
+    // 7. SAVE TO DATABASE (with the ledger entry, in one transaction)
     const dbSaveStart = Date.now();
-    await portfolio.save();
+    await tradeLedgerService.saveWithLedger(portfolio, [
+      tradeLedgerService.buildEntry('sell', {
+        symbol: beforeHoldingState.symbol,
+        quantity: actualQuantityToSell,
+        price: currentMarketPrice,
+        amount: grossSaleValue,
+        realizedPnL: realizedProfitLoss,
+        holdingBefore: ledgerHoldingBefore,
+        holdingAfter: afterHoldingState ? { ...ledgerHoldingBefore, quantity: afterHoldingState.quantity } : null,
+        cashBefore: beforePortfolioState.cashBalance,
+        cashAfter: portfolio.cashBalance,
+        note: afterHoldingState ? 'Partial sale' : 'Complete sale'
+      })
+    ], { source: 'stock_sale', user: { email: userEmail } });
     const dbSaveTime = Date.now() - dbSaveStart;
 
     // 8. AFTER STATE ANALYSIS
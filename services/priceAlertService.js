@@ -0,0 +1,433 @@
+/**
+ * Price Alert Service
+ * Validates user alerts and evaluates them after each scheduled price update.
+ * Triggered alerts are delivered through the notification dispatcher on the
+ * alert's channels, subject to the user's notification preferences. Telegram
+ * needs a subscription carrying a telegram_user_id.
+ *
+ * percent_move and portfolio_value_change are premium-only; tip and portfolio
+ * alerts also need access to the tip / portfolio itself. Access is checked on
+ * create and again before each delivery, so alerts of users who lose access are
+ * paused instead of delivered.
+ */
+const PriceAlert = require('../models/PriceAlert');
+const Tip = require('../models/portfolioTips');
+const Portfolio = require('../models/modelPortFolio');
+const User = require('../models/user');
+const notificationService = require('./notificationService');
+const tipPerformanceService = require('./tipPerformanceService');
+const ejs = require('ejs');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
+    winston.format.errors({ stack: true }),
+    winston.format.splat(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({
+      filename: 'logs/price-alerts.log',
+      maxsize: 5 * 1024 * 1024,
+      maxFiles: 7
+    })
+  ]
+});
+
+const PREMIUM_ALERT_TYPES = ['percent_move', 'portfolio_value_change'];
+const PRICE_ALERT_TYPES = ['price_above', 'price_below', 'percent_move'];
+const MAX_ACTIVE_ALERTS_PER_USER = 50;
+const MINUTE_MS = 60 * 1000;
+
+exports.PREMIUM_ALERT_TYPES = PREMIUM_ALERT_TYPES;
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+const alertError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const marketPrice = (stock) => {
+  if (!stock) return null;
+  if (stock.currentPrice > 0) return stock.currentPrice;
+  return stock.todayClosingPrice > 0 ? stock.todayClosingPrice : null;
+};
+
+const getUserAccessInfo = (userId) => require('../controllers/userController').getUserAccessInfo(userId);
+
+/**
+ * Why the user may not hold this alert, or null when access is fine
+ * @param {Object} alert - type plus the resolved tip / portfolio id
+ * @param {Object} access - Result of getUserAccessInfo
+ * @param {Object} [tip] - Tip for tip_target alerts
+ */
+exports.getAccessError = (alert, access, tip = null) => {
+  if (PREMIUM_ALERT_TYPES.includes(alert.type) && !access.hasPremiumAccess) {
+    return 'Premium subscription required for this alert type';
+  }
+  if (alert.type === 'portfolio_value_change' &&
+      !access.accessiblePortfolioIds.includes(alert.portfolio.toString())) {
+    return 'Subscribe to this portfolio to set alerts on it';
+  }
+  if (alert.type === 'tip_target' && tip) {
+    if (tip.portfolio && !access.accessiblePortfolioIds.includes(tip.portfolio.toString())) {
+      return 'Subscribe to this portfolio to set alerts on its tips';
+    }
+    if (!tip.portfolio && tip.category === 'premium' && !access.hasPremiumAccess) {
+      return 'Premium subscription required for alerts on premium tips';
+    }
+  }
+  return null;
+};
+
+/**
+ * Validate a create request and resolve its stock / tip / portfolio
+ * @returns {Promise<Object>} Fields for a new PriceAlert
+ */
+exports.prepareAlert = async (userId, input) => {
+  const { type, symbol, stockSymbolId, tipId, portfolioId, threshold, direction, channels, repeat, cooldownMinutes, note } = input;
+
+  if (!PriceAlert.ALERT_TYPES.includes(type)) {
+    throw alertError(`Invalid alert type. Use one of: ${PriceAlert.ALERT_TYPES.join(', ')}`);
+  }
+
+  const activeCount = await PriceAlert.countDocuments({ user: userId, status: { $ne: 'triggered' } });
+  if (activeCount >= MAX_ACTIVE_ALERTS_PER_USER) {
+    throw alertError(`You can have at most ${MAX_ACTIVE_ALERTS_PER_USER} alerts; delete some before adding more`);
+  }
+
+  const alert = { user: userId, type, note };
+  let tip = null;
+
+  if (PRICE_ALERT_TYPES.includes(type)) {
+    const stockId = stockSymbolId || symbol;
+    if (!stockId) throw alertError('symbol or stockSymbolId is required for price alerts');
+    const stock = (await tipPerformanceService.resolveStocks([{ stockId: String(stockId) }])).get(String(stockId));
+    if (!stock) throw alertError(`Stock not found: ${stockId}`, 404);
+    alert.stockSymbol = stock._id;
+    alert.symbol = stock.symbol;
+
+    if (type === 'percent_move') {
+      const price = marketPrice(stock);
+      if (!price) throw alertError(`No price available for ${stock.symbol}`);
+      alert.baseValue = price;
+    }
+  } else if (type === 'tip_target') {
+    if (!tipId) throw alertError('tipId is required for tip alerts');
+    tip = await Tip.findById(tipId).select('title stockId category portfolio status');
+    if (!tip) throw alertError('Tip not found', 404);
+    if (tip.status !== 'Active') throw alertError('Alerts can only be set on Active tips');
+    alert.tip = tip._id;
+    alert.symbol = tip.stockId;
+  } else {
+    if (!portfolioId) throw alertError('portfolioId is required for portfolio alerts');
+    const portfolio = await Portfolio.findById(portfolioId).select('name currentValue');
+    if (!portfolio) throw alertError('Portfolio not found', 404);
+    if (!(portfolio.currentValue > 0)) throw alertError('Portfolio has no current value yet');
+    alert.portfolio = portfolio._id;
+    alert.baseValue = portfolio.currentValue;
+  }
+
+  if (type !== 'tip_target') {
+    const value = Number(threshold);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw alertError(type.startsWith('price_') ? 'threshold must be a positive price' : 'threshold must be a positive percent');
+    }
+    alert.threshold = value;
+  }
+
+  Object.assign(alert, exports.prepareSettings({ direction, channels, repeat, cooldownMinutes }));
+
+  const access = await getUserAccessInfo(userId);
+  const accessError = exports.getAccessError(alert, access, tip);
+  if (accessError) throw alertError(accessError, 403);
+
+  return alert;
+};
+
+/**
+ * Validate the user-editable settings shared by create and update
+ */
+exports.prepareSettings = ({ direction, channels, repeat, cooldownMinutes }) => {
+  const settings = {};
+  if (direction !== undefined) {
+    if (!['up', 'down', 'either'].includes(direction)) throw alertError('direction must be up, down or either');
+    settings.direction = direction;
+  }
+  if (channels !== undefined) {
+    if (!Array.isArray(channels) || !channels.length || channels.some(c => !PriceAlert.ALERT_CHANNELS.includes(c))) {
+      throw alertError(`channels must be a non-empty array of: ${PriceAlert.ALERT_CHANNELS.join(', ')}`);
+    }
+    settings.channels = [...new Set(channels)];
+  }
+  if (repeat !== undefined) settings.repeat = Boolean(repeat);
+  if (cooldownMinutes !== undefined) {
+    const minutes = Number(cooldownMinutes);
+    if (!Number.isFinite(minutes) || minutes < 5) throw alertError('cooldownMinutes must be at least 5');
+    settings.cooldownMinutes = minutes;
+  }
+  return settings;
+};
+
+/**
+ * Apply an update request to a user's alert. The alert target (type, symbol,
+ * tip, portfolio) cannot change; re-activating re-arms percent alerts at the
+ * current value.
+ */
+exports.updateAlert = async (alert, input) => {
+  Object.assign(alert, exports.prepareSettings(input));
+
+  if (input.note !== undefined) alert.note = input.note;
+  if (input.threshold !== undefined) {
+    if (alert.type === 'tip_target') throw alertError('Tip alerts have no threshold');
+    const value = Number(input.threshold);
+    if (!Number.isFinite(value) || value <= 0) throw alertError('threshold must be a positive number');
+    alert.threshold = value;
+  }
+
+  if (input.status !== undefined) {
+    if (!['active', 'paused'].includes(input.status)) throw alertError('status must be active or paused');
+
+    if (input.status === 'active' && alert.status !== 'active') {
+      const tip = alert.tip ? await Tip.findById(alert.tip).select('category portfolio status') : null;
+      const accessError = exports.getAccessError(alert, await getUserAccessInfo(alert.user), tip);
+      if (accessError) throw alertError(accessError, 403);
+      if (tip && tip.status !== 'Active') throw alertError('The tip for this alert is no longer Active');
+
+      const current = await exports.getCurrentValue(alert);
+      if (['percent_move', 'portfolio_value_change'].includes(alert.type)) {
+        if (!current) throw alertError('No current value available to re-arm this alert');
+        alert.baseValue = current;
+      }
+      alert.pausedReason = undefined;
+    }
+    alert.status = input.status;
+  }
+
+  return alert.save();
+};
+
+/**
+ * Latest price (or portfolio value) an alert is measured against
+ */
+exports.getCurrentValue = async (alert) => {
+  if (alert.type === 'portfolio_value_change') {
+    const portfolio = await Portfolio.findById(alert.portfolio).select('currentValue').lean();
+    return portfolio && portfolio.currentValue > 0 ? portfolio.currentValue : null;
+  }
+  const stockId = alert.stockSymbol ? alert.stockSymbol.toString() : alert.symbol;
+  const stocks = await tipPerformanceService.resolveStocks([{ stockId }]);
+  return marketPrice(stocks.get(stockId));
+};
+
+const percentChange = (from, to) => (from > 0 ? (to - from) / from * 100 : 0);
+
+const crossesPercent = (change, threshold, direction) => {
+  if (direction === 'up') return change >= threshold;
+  if (direction === 'down') return change <= -threshold;
+  return Math.abs(change) >= threshold;
+};
+
+/**
+ * Whether an alert fires at the given context
+ * @returns {Object|null} { value, change } when triggered
+ */
+exports.checkAlert = (alert, context) => {
+  switch (alert.type) {
+    case 'price_above':
+      return context.price && context.price >= alert.threshold ? { value: context.price } : null;
+    case 'price_below':
+      return context.price && context.price <= alert.threshold ? { value: context.price } : null;
+    case 'percent_move': {
+      if (!context.price || !alert.baseValue) return null;
+      const change = percentChange(alert.baseValue, context.price);
+      return crossesPercent(change, alert.threshold, alert.direction) ? { value: context.price, change: round2(change) } : null;
+    }
+    case 'tip_target': {
+      const tip = context.tip;
+      if (!tip) return null;
+      const hit = (tip.tracking && tip.tracking.targetHit) || tip.exitStatus === 'Target Achieved';
+      return hit ? { value: (tip.tracking && tip.tracking.lastPrice) || null } : null;
+    }
+    case 'portfolio_value_change': {
+      if (!context.portfolioValue || !alert.baseValue) return null;
+      const change = percentChange(alert.baseValue, context.portfolioValue);
+      return crossesPercent(change, alert.threshold, alert.direction) ? { value: context.portfolioValue, change: round2(change) } : null;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Subject and body for a triggered alert
+ */
+exports.buildAlertMessage = (alert, result, context) => {
+  const formatMoney = (value) => `₹${Number(value).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+  let subject;
+  let line;
+
+  switch (alert.type) {
+    case 'price_above':
+      subject = `${alert.symbol} is above ${formatMoney(alert.threshold)}`;
+      line = `${alert.symbol} is trading at ${formatMoney(result.value)}, above your alert price of ${formatMoney(alert.threshold)}.`;
+      break;
+    case 'price_below':
+      subject = `${alert.symbol} is below ${formatMoney(alert.threshold)}`;
+      line = `${alert.symbol} is trading at ${formatMoney(result.value)}, below your alert price of ${formatMoney(alert.threshold)}.`;
+      break;
+    case 'percent_move':
+      subject = `${alert.symbol} moved ${result.change > 0 ? '+' : ''}${result.change}%`;
+      line = `${alert.symbol} moved ${result.change}% from ${formatMoney(alert.baseValue)} to ${formatMoney(result.value)}.`;
+      break;
+    case 'tip_target':
+      subject = `Target reached: ${context.tip.title}`;
+      line = `The tip "${context.tip.title}" (${context.tip.stockId}) has reached its target` +
+        (result.value ? ` at ${formatMoney(result.value)}.` : '.');
+      break;
+    default:
+      subject = `${context.portfolioName || 'Portfolio'} moved ${result.change > 0 ? '+' : ''}${result.change}%`;
+      line = `${context.portfolioName || 'Your portfolio'} moved ${result.change}% from ${formatMoney(alert.baseValue)} to ${formatMoney(result.value)}.`;
+  }
+
+  const text = `${line}${alert.note ? `\n\nYour note: ${alert.note}` : ''}\n\nThis is an automated alert you set up. This is not investment advice.`;
+  // Notes, tip titles and portfolio names are free text
+  const escapeHtml = ejs.escapeXML;
+  const html = `
+      <div style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #0066aa;">${escapeHtml(subject)}</h2>
+        <p>${escapeHtml(line)}</p>
+        ${alert.note ? `<p><strong>Your note:</strong> ${escapeHtml(alert.note)}</p>` : ''}
+        <p style="color: #666; font-size: 12px;">This is an automated alert you set up. This is not investment advice.</p>
+      </div>
+    `;
+  return { subject, text, html };
+};
+
+/**
+ * Deliver a triggered alert on its channels
+ * @returns {Promise<Array>} Delivery outcome per channel
+ */
+exports.deliverAlert = async (alert, user, message, telegramUserId) => {
+  return notificationService.notify(user, 'price_alert', {
+    email: { subject: message.subject, text: message.text, html: message.html }
+  }, {
+    channels: alert.channels,
+    telegramUserId,
+    email: {
+      type: 'price_alert',
+      priority: 'high',
+      maxRetries: 2,
+      metadata: { alertId: alert._id }
+    }
+  });
+};
+
+/**
+ * Evaluate every active alert against the latest prices, tips and portfolio values
+ */
+exports.evaluateAlerts = async () => {
+  const now = new Date();
+  const alerts = await PriceAlert.find({ status: 'active' });
+  const summary = { checked: alerts.length, triggered: 0, paused: 0, failed: 0 };
+  if (!alerts.length) return summary;
+
+  const stockIds = [...new Set(alerts.filter(a => a.stockSymbol).map(a => a.stockSymbol.toString()))];
+  const stocks = await tipPerformanceService.resolveStocks(stockIds.map(stockId => ({ stockId })));
+  const tips = await Tip.find({ _id: { $in: alerts.filter(a => a.tip).map(a => a.tip) } })
+    .select('title stockId category portfolio status exitStatus tracking')
+    .lean();
+  const portfolios = await Portfolio.find({ _id: { $in: alerts.filter(a => a.portfolio).map(a => a.portfolio) } })
+    .select('name currentValue')
+    .lean();
+  const tipsById = new Map(tips.map(t => [t._id.toString(), t]));
+  const portfoliosById = new Map(portfolios.map(p => [p._id.toString(), p]));
+
+  // Users, access and Telegram ids are only loaded for alerts that fire
+  const users = new Map();
+  const accessByUser = new Map();
+  const telegramByUser = new Map();
+  const loadUser = async (userId) => {
+    const key = userId.toString();
+    if (!users.has(key)) {
+      users.set(key, await User.findById(userId).select('email fullName username phone').lean());
+      accessByUser.set(key, await getUserAccessInfo(userId));
+      telegramByUser.set(key, await notificationService.getTelegramUserId(userId));
+    }
+    return { user: users.get(key), access: accessByUser.get(key), telegramUserId: telegramByUser.get(key) };
+  };
+
+  for (const alert of alerts) {
+    try {
+      if (alert.repeat && alert.lastTriggeredAt && now - alert.lastTriggeredAt < alert.cooldownMinutes * MINUTE_MS) {
+        continue;
+      }
+
+      const tip = alert.tip ? tipsById.get(alert.tip.toString()) : null;
+      const portfolio = alert.portfolio ? portfoliosById.get(alert.portfolio.toString()) : null;
+      const context = {
+        price: alert.stockSymbol ? marketPrice(stocks.get(alert.stockSymbol.toString())) : null,
+        tip,
+        portfolioValue: portfolio ? portfolio.currentValue : null,
+        portfolioName: portfolio ? portfolio.name : null
+      };
+
+      const result = exports.checkAlert(alert, context);
+      if (!result) {
+        const staleReason = alert.type === 'tip_target' && (!tip ? 'Tip no longer exists' : (tip.status === 'Closed' ? 'Tip closed without reaching its target' : null));
+        if (staleReason) {
+          alert.status = 'paused';
+          alert.pausedReason = staleReason;
+          await alert.save();
+          summary.paused++;
+        }
+        continue;
+      }
+
+      const { user, access, telegramUserId } = await loadUser(alert.user);
+      if (!user) {
+        alert.status = 'paused';
+        alert.pausedReason = 'User not found';
+        await alert.save();
+        summary.paused++;
+        continue;
+      }
+
+      const accessError = exports.getAccessError(alert, access, tip);
+      if (accessError) {
+        alert.status = 'paused';
+        alert.pausedReason = accessError;
+        await alert.save();
+        summary.paused++;
+        continue;
+      }
+
+      const message = exports.buildAlertMessage(alert, result, context);
+      alert.lastDeliveries = await exports.deliverAlert(alert, user, message, telegramUserId);
+      alert.lastTriggeredAt = now;
+      alert.lastTriggeredValue = result.value;
+      alert.triggerCount += 1;
+
+      // Tip targets only fire once; percent alerts measure the next move from here
+      if (!alert.repeat || alert.type === 'tip_target') {
+        alert.status = 'triggered';
+      } else if (['percent_move', 'portfolio_value_change'].includes(alert.type)) {
+        alert.baseValue = result.value;
+      }
+      await alert.save();
+      summary.triggered++;
+    } catch (error) {
+      summary.failed++;
+      logger.error('Alert evaluation failed', { alertId: alert._id.toString(), error: error.message });
+    }
+  }
+
+  logger.info('Price alerts evaluated', summary);
+  return summary;
+};
@@ -0,0 +1,537 @@
+/**
+ * Rebalance Service
+ * Turns target weights into buy/sell orders for a model portfolio, stores them
+ * as a draft RebalanceProposal for admin review, and on approval applies every
+ * trade in one MongoDB transaction before notifying subscribers.
+ *
+ * Trades are simulated with PortfolioCalculationValidator.processStockSale /
+ * processStockPurchase so proposals follow the same averaging, P&L and cash
+ * rules as manual buys and sells. Sells run before buys so their proceeds fund
+ * the purchases.
+ */
+const { default: mongoose } = require('mongoose');
+const Portfolio = require('../models/modelPortFolio');
+const StockSymbol = require('../models/stockSymbol');
+const Subscription = require('../models/subscription');
+const RebalanceProposal = require('../models/RebalanceProposal');
+const { PortfolioCalculationValidator } = require('../utils/portfolioCalculationValidator');
+const transactionLogger = require('../utils/transactionLogger');
+const tradeLedgerService = require('./tradeLedgerService');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
+    winston.format.errors({ stack: true }),
+    winston.format.splat(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({
+      filename: 'logs/rebalance.log',
+      maxsize: 5 * 1024 * 1024,
+      maxFiles: 7
+    })
+  ]
+});
+
+// Weight drift (percentage points) below which no trade is proposed
+const DEFAULT_DRIFT_TOLERANCE = 0.5;
+
+// Rebalancing frequency keywords -> months until the next rebalance
+const REBALANCE_FREQUENCY_MONTHS = [
+  { pattern: /month/i, months: 1 },
+  { pattern: /quarter/i, months: 3 },
+  { pattern: /half|semi|six/i, months: 6 },
+  { pattern: /year|annual/i, months: 12 }
+];
+const DEFAULT_REBALANCE_MONTHS = 3;
+
+const round2 = (value) => parseFloat(Number(value).toFixed(2));
+
+const isActiveHolding = (holding) => holding.status !== 'Sell' && holding.quantity > 0;
+
+const toPlainHolding = (holding) => {
+  const plain = typeof holding.toObject === 'function' ? holding.toObject() : { ...holding };
+  if (!plain.minimumInvestmentValueStock) {
+    plain.minimumInvestmentValueStock = round2(plain.buyPrice * plain.quantity);
+  }
+  return plain;
+};
+
+// Mark simulation failures so callers can tell them apart from database errors
+const tradeError = (message) => {
+  const error = new Error(message);
+  error.isTradeError = true;
+  return error;
+};
+
+/**
+ * Next rebalance date from the portfolio's free-text `rebalancing` frequency
+ */
+exports.getNextRebalanceDate = (rebalancing, from = new Date()) => {
+  const match = REBALANCE_FREQUENCY_MONTHS.find(f => f.pattern.test(rebalancing || ''));
+  const next = new Date(from);
+  next.setMonth(next.getMonth() + (match ? match.months : DEFAULT_REBALANCE_MONTHS));
+  return next;
+};
+
+/**
+ * Apply trades to plain holdings without touching the database.
+ * @param {Array<Object>} holdings - Plain holding objects
+ * @param {number} cashBalance
+ * @param {Array<Object>} trades - { symbol, side, quantity, price, saleType, sector, stockCapType }
+ * @returns {{holdings, cashBalance, saleHistory, trades}}
+ */
+exports.simulateTrades = (holdings, cashBalance, trades) => {
+  const working = holdings.map(toPlainHolding);
+  const saleHistory = [];
+  const executed = [];
+  let cash = Number(cashBalance) || 0;
+
+  for (const trade of trades.filter(t => t.side === 'sell')) {
+    const index = working.findIndex(h => h.symbol === trade.symbol && isActiveHolding(h));
+    if (index === -1) {
+      throw tradeError(`Cannot sell ${trade.symbol}: no active holding`);
+    }
+    const holding = working[index];
+
+    let sale;
+    try {
+      sale = PortfolioCalculationValidator.processStockSale(
+        { quantityToSell: trade.quantity, saleType: trade.saleType || 'partial' },
+        holding,
+        trade.price,
+        cash
+      );
+    } catch (error) {
+      throw tradeError(`Cannot sell ${trade.symbol}: ${error.message}`);
+    }
+
+    cash = sale.cashImpact.newBalance;
+    if (sale.operation.type === 'complete_sale') {
+      working.splice(index, 1);
+      saleHistory.push({
+        symbol: holding.symbol,
+        soldDate: new Date(),
+        originalQuantity: holding.quantity,
+        salePrice: trade.price,
+        saleValue: sale.operation.saleValue,
+        profitLoss: sale.operation.profitLoss,
+        originalBuyPrice: holding.originalBuyPrice || holding.buyPrice
+      });
+    } else {
+      working[index] = sale.updatedHolding;
+    }
+
+    executed.push({ ...trade, amount: round2(sale.operation.saleValue), profitLoss: round2(sale.operation.profitLoss) });
+  }
+
+  for (const trade of trades.filter(t => t.side === 'buy')) {
+    let purchase;
+    try {
+      purchase = PortfolioCalculationValidator.processStockPurchase(
+        {
+          symbol: trade.symbol,
+          buyPrice: trade.price,
+          quantity: trade.quantity,
+          sector: trade.sector,
+          stockCapType: trade.stockCapType,
+          minimumInvestmentValueStock: round2(trade.price * trade.quantity)
+        },
+        working,
+        cash
+      );
+    } catch (error) {
+      throw tradeError(`Cannot buy ${trade.symbol}: ${error.message}`);
+    }
+    if (!purchase.success) {
+      throw tradeError(`Cannot buy ${trade.symbol}: ${purchase.error}`);
+    }
+
+    cash = purchase.cashImpact.newBalance;
+    if (purchase.operation.existingIndex >= 0) {
+      working[purchase.operation.existingIndex] = purchase.processedHolding;
+    } else {
+      working.push(purchase.processedHolding);
+    }
+
+    executed.push({ ...trade, amount: round2(trade.price * trade.quantity), averageBuyPrice: purchase.processedHolding.buyPrice });
+  }
+
+  return { holdings: working, cashBalance: round2(cash), saleHistory, trades: executed };
+};
+
+/**
+ * Latest price and metadata for each symbol (currentPrice, then todayClosingPrice)
+ */
+const loadMarketData = async (symbols) => {
+  const stocks = await StockSymbol.find({ symbol: { $in: symbols } }).select('symbol sector currentPrice todayClosingPrice');
+  const data = new Map();
+  for (const stock of stocks) {
+    const price = Number(stock.currentPrice) > 0 ? Number(stock.currentPrice) : Number(stock.todayClosingPrice);
+    if (price > 0 && !data.has(stock.symbol)) {
+      data.set(stock.symbol, { price, sector: stock.sector });
+    }
+  }
+  return data;
+};
+
+/**
+ * Compute orders that move the portfolio to the target weights and store them as a draft
+ * @param {string} portfolioId
+ * @param {Object} input
+ * @param {Array<{symbol, weight, sector?, stockCapType?}>} input.targets
+ * @param {number} [input.driftTolerance] - Skip positions within this many percentage points of target
+ * @param {Date|string} [input.nextRebalanceDate]
+ * @param {string} [input.notes]
+ * @param {Object} [user] - Admin creating the proposal
+ */
+exports.createProposal = async (portfolioId, input, user) => {
+  const { targets, notes, nextRebalanceDate } = input;
+  const driftTolerance = input.driftTolerance !== undefined ? Number(input.driftTolerance) : DEFAULT_DRIFT_TOLERANCE;
+
+  if (!Array.isArray(targets) || !targets.length) {
+    throw tradeError('targets must be a non-empty array of { symbol, weight }');
+  }
+  const normalizedTargets = targets.map(t => ({
+    symbol: String(t.symbol || '').trim().toUpperCase(),
+    weight: Number(t.weight),
+    sector: t.sector,
+    stockCapType: t.stockCapType
+  }));
+  if (normalizedTargets.some(t => !t.symbol || !Number.isFinite(t.weight) || t.weight < 0 || t.weight > 100)) {
+    throw tradeError('Each target needs a symbol and a weight between 0 and 100');
+  }
+  if (new Set(normalizedTargets.map(t => t.symbol)).size !== normalizedTargets.length) {
+    throw tradeError('Duplicate symbols in targets');
+  }
+  const totalTargetWeight = normalizedTargets.reduce((sum, t) => sum + t.weight, 0);
+  if (totalTargetWeight > 100.0001) {
+    throw tradeError(`Target weights add up to ${round2(totalTargetWeight)}%, which exceeds 100%`);
+  }
+
+  const portfolio = await Portfolio.findById(portfolioId);
+  if (!portfolio) {
+    throw new Error('Portfolio not found');
+  }
+
+  const holdings = portfolio.holdings.filter(isActiveHolding);
+  const symbols = [...new Set([...holdings.map(h => h.symbol), ...normalizedTargets.map(t => t.symbol)])];
+  const marketData = await loadMarketData(symbols);
+  const missingPrices = symbols.filter(s => !marketData.has(s));
+  if (missingPrices.length) {
+    throw tradeError(`No market price available for: ${missingPrices.join(', ')}`);
+  }
+
+  const cashBefore = Number(portfolio.cashBalance) || 0;
+  const portfolioValue = holdings.reduce(
+    (sum, h) => sum + h.quantity * marketData.get(h.symbol).price,
+    cashBefore
+  );
+  if (portfolioValue <= 0) {
+    throw tradeError('Portfolio has no value to rebalance');
+  }
+
+  const sells = [];
+  const buyCandidates = [];
+
+  for (const symbol of symbols) {
+    const { price, sector } = marketData.get(symbol);
+    const holding = holdings.find(h => h.symbol === symbol);
+    const target = normalizedTargets.find(t => t.symbol === symbol);
+    const quantity = holding ? holding.quantity : 0;
+    const targetWeight = target ? target.weight : 0;
+    const currentWeight = (quantity * price / portfolioValue) * 100;
+
+    if (Math.abs(currentWeight - targetWeight) < driftTolerance && targetWeight > 0) continue;
+
+    const base = {
+      symbol,
+      price,
+      currentWeight: round2(currentWeight),
+      targetWeight,
+      sector: (target && target.sector) || (holding && holding.sector) || sector,
+      stockCapType: (target && target.stockCapType) || (holding && holding.stockCapType)
+    };
+
+    if (targetWeight === 0) {
+      if (quantity > 0) {
+        sells.push({ ...base, side: 'sell', quantity, saleType: 'complete' });
+      }
+      continue;
+    }
+
+    const difference = portfolioValue * targetWeight / 100 - quantity * price;
+    const shares = Math.floor(Math.abs(difference) / price);
+    if (shares <= 0) continue;
+
+    if (difference < 0) {
+      sells.push({ ...base, side: 'sell', quantity: shares, saleType: shares >= quantity ? 'complete' : 'partial' });
+    } else {
+      if (!base.sector) {
+        throw tradeError(`Sector is required for new holding ${symbol}`);
+      }
+      buyCandidates.push({ ...base, side: 'buy', quantity: shares, deficit: difference });
+    }
+  }
+
+  // Fund the largest underweights first with cash plus sell proceeds
+  let cash = cashBefore + sells.reduce((sum, t) => sum + t.quantity * t.price, 0);
+  const buys = [];
+  buyCandidates.sort((a, b) => b.deficit - a.deficit).forEach(({ deficit, ...candidate }) => {
+    const quantity = Math.min(candidate.quantity, Math.floor(cash / candidate.price));
+    if (quantity > 0) {
+      cash -= quantity * candidate.price;
+      buys.push({ ...candidate, quantity });
+    }
+  });
+
+  const simulation = exports.simulateTrades(holdings, cashBefore, [...sells, ...buys]);
+  const projectedValue = simulation.holdings.reduce(
+    (sum, h) => sum + h.quantity * marketData.get(h.symbol).price,
+    simulation.cashBalance
+  );
+  const trades = simulation.trades.map(trade => {
+    const projected = simulation.holdings.find(h => h.symbol === trade.symbol);
+    return {
+      ...trade,
+      projectedWeight: projected ? round2(projected.quantity * trade.price / projectedValue * 100) : 0
+    };
+  });
+
+  // Only one open draft per portfolio
+  await RebalanceProposal.updateMany(
+    { portfolio: portfolio._id, status: 'draft' },
+    { $set: { status: 'superseded' } }
+  );
+
+  const proposal = await RebalanceProposal.create({
+    portfolio: portfolio._id,
+    portfolioName: portfolio.name,
+    targets: normalizedTargets,
+    trades,
+    summary: {
+      portfolioValue: round2(portfolioValue),
+      cashBefore: round2(cashBefore),
+      cashAfter: simulation.cashBalance,
+      totalBuyAmount: round2(trades.filter(t => t.side === 'buy').reduce((sum, t) => sum + t.amount, 0)),
+      totalSellAmount: round2(trades.filter(t => t.side === 'sell').reduce((sum, t) => sum + t.amount, 0)),
+      targetCashWeight: round2(100 - totalTargetWeight),
+      projectedCashWeight: round2(simulation.cashBalance / projectedValue * 100)
+    },
+    pricesAsOf: new Date(),
+    notes,
+    nextRebalanceDate: nextRebalanceDate ? new Date(nextRebalanceDate) : undefined,
+    createdBy: user && user._id
+  });
+
+  logger.info(`Rebalance proposal created for ${portfolio.name}`, {
+    proposalId: proposal._id.toString(),
+    trades: trades.length,
+    buy: proposal.summary.totalBuyAmount,
+    sell: proposal.summary.totalSellAmount
+  });
+
+  return proposal;
+};
+
+/**
+ * Approve a draft and apply all its trades atomically
+ * @param {string} proposalId
+ * @param {Object} [user] - Approving admin
+ * @param {Object} [options]
+ * @param {Date|string} [options.nextRebalanceDate] - Overrides the proposal / frequency-based date
+ */
+exports.approveProposal = async (proposalId, user, options = {}) => {
+  const session = await mongoose.startSession();
+  let proposal;
+  let portfolio;
+  let cashBefore;
+
+  try {
+    await session.withTransaction(async () => {
+      proposal = await RebalanceProposal.findById(proposalId).session(session);
+      if (!proposal) {
+        throw new Error('Rebalance proposal not found');
+      }
+      if (proposal.status !== 'draft') {
+        throw tradeError(`Rebalance proposal is already ${proposal.status}`);
+      }
+
+      portfolio = await Portfolio.findById(proposal.portfolio).session(session);
+      if (!portfolio) {
+        throw new Error('Portfolio not found');
+      }
+
+      // Re-validate against the current state; anything that no longer fits aborts the whole rebalance
+      cashBefore = portfolio.cashBalance;
+      const result = exports.simulateTrades(
+        portfolio.holdings.filter(isActiveHolding),
+        portfolio.cashBalance,
+        proposal.trades.map(t => (typeof t.toObject === 'function' ? t.toObject() : t))
+      );
+
+      // One ledger entry per executed trade, in execution order (sells, then buys)
+      const holdingsBefore = new Map(portfolio.holdings.filter(isActiveHolding).map(h => [h.symbol, toPlainHolding(h)]));
+      const holdingsAfter = new Map(result.holdings.map(h => [h.symbol, h]));
+      let runningCash = portfolio.cashBalance || 0;
+      const ledgerEntries = result.trades.map(trade => {
+        const cashAfter = round2(trade.side === 'sell' ? runningCash + trade.amount : runningCash - trade.amount);
+        const entry = tradeLedgerService.buildEntry(trade.side, {
+          symbol: trade.symbol,
+          quantity: trade.quantity,
+          price: trade.price,
+          amount: trade.amount,
+          realizedPnL: trade.profitLoss,
+          holdingBefore: holdingsBefore.get(trade.symbol),
+          holdingAfter: holdingsAfter.get(trade.symbol),
+          cashBefore: runningCash,
+          cashAfter,
+          reference: { kind: 'RebalanceProposal', id: proposal._id },
+          note: 'Rebalance'
+        });
+        runningCash = cashAfter;
+        return entry;
+      });
+
+      const now = new Date();
+      const inactive = portfolio.holdings.filter(h => !isActiveHolding(h)).map(toPlainHolding);
+      portfolio.holdings = [...result.holdings, ...inactive];
+      portfolio.saleHistory.push(...result.saleHistory);
+      portfolio.cashBalance = result.cashBalance;
+      portfolio.lastRebalanceDate = now;
+      portfolio.nextRebalanceDate = options.nextRebalanceDate
+        ? new Date(options.nextRebalanceDate)
+        : proposal.nextRebalanceDate || exports.getNextRebalanceDate(portfolio.rebalancing, now);
+      await tradeLedgerService.saveWithLedger(portfolio, ledgerEntries, { source: 'rebalance', user, session });
+
+      proposal.status = 'applied';
+      proposal.reviewedBy = user && user._id;
+      proposal.reviewedAt = now;
+      proposal.appliedAt = now;
+      proposal.nextRebalanceDate = portfolio.nextRebalanceDate;
+      await proposal.save({ session });
+    });
+  } catch (error) {
+    if (error.isTradeError && proposal && proposal.status === 'draft') {
+      await RebalanceProposal.updateOne(
+        { _id: proposal._id, status: 'draft' },
+        { $set: { status: 'failed', error: error.message, reviewedBy: user && user._id, reviewedAt: new Date() } }
+      );
+      logger.error(`Rebalance proposal ${proposal._id} failed`, { error: error.message });
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  logger.info(`Rebalance applied to ${portfolio.name}`, {
+    proposalId: proposal._id.toString(),
+    trades: proposal.trades.length,
+    nextRebalanceDate: portfolio.nextRebalanceDate
+  });
+
+  await transactionLogger.logRebalance({
+    portfolioId: portfolio._id,
+    portfolioName: portfolio.name,
+    proposalId: proposal._id,
+    trades: proposal.trades,
+    cashBefore,
+    cashAfter: portfolio.cashBalance,
+    userEmail: (user && user.email) || 'Unknown'
+  });
+
+  try {
+    const recipients = await exports.notifySubscribers(portfolio, proposal);
+    proposal.notification = { recipients, queuedAt: new Date() };
+    await proposal.save();
+  } catch (error) {
+    logger.error(`Rebalance notification failed for ${portfolio.name}`, { error: error.message });
+  }
+
+  return { proposal, portfolio };
+};
+
+/**
+ * Reject a draft proposal
+ */
+exports.rejectProposal = async (proposalId, user, reason) => {
+  const proposal = await RebalanceProposal.findById(proposalId);
+  if (!proposal) {
+    throw new Error('Rebalance proposal not found');
+  }
+  if (proposal.status !== 'draft') {
+    throw tradeError(`Rebalance proposal is already ${proposal.status}`);
+  }
+
+  proposal.status = 'rejected';
+  proposal.rejectionReason = reason;
+  proposal.reviewedBy = user && user._id;
+  proposal.reviewedAt = new Date();
+  await proposal.save();
+  return proposal;
+};
+
+/**
+ * Send a "rebalance update" notification to every active subscriber of the portfolio
+ * @returns {Promise<number>} Number of recipients
+ */
+exports.notifySubscribers = async (portfolio, proposal) => {
+  const notificationService = require('./notificationService');
+  const subscriptions = await Subscription.find({
+    status: 'active',
+    expiresAt: { $gt: new Date() },
+    $or: [{ portfolio: portfolio._id }, { productId: portfolio._id }]
+  }).populate('user', 'email fullName username phone');
+
+  const users = new Map();
+  subscriptions.forEach(sub => {
+    if (sub.user) users.set(sub.user._id.toString(), sub.user);
+  });
+  if (!users.size) return 0;
+
+  const describe = (trade) => {
+    const verb = trade.side === 'buy'
+      ? (trade.currentWeight > 0 ? 'Add to' : 'Buy')
+      : (trade.saleType === 'complete' ? 'Exit' : 'Trim');
+    return `${verb} ${trade.symbol}: weight ${trade.currentWeight}% → ${trade.projectedWeight}%`;
+  };
+  const lines = proposal.trades.map(describe);
+  const nextDate = portfolio.nextRebalanceDate ? portfolio.nextRebalanceDate.toDateString() : null;
+
+  const subject = `Rebalance update: ${portfolio.name}`;
+  const text = `${portfolio.name} has been rebalanced.\n\n${lines.join('\n')}\n\n${nextDate ? `Next scheduled rebalance: ${nextDate}` : ''}`;
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <h2 style="color: #2E86C1;">${portfolio.name} has been rebalanced</h2>
+      <p>The following changes were made to the model portfolio:</p>
+      <ul>
+        ${lines.map(line => `<li>${line}</li>`).join('')}
+      </ul>
+      ${nextDate ? `<p>Next scheduled rebalance: <strong>${nextDate}</strong></p>` : ''}
+    </div>
+  `;
+
+  for (const user of users.values()) {
+    await notificationService.notify(user, 'portfolio_rebalance', {
+      email: { subject, text, html },
+      inApp: {
+        title: subject,
+        body: `${lines.length} change${lines.length === 1 ? '' : 's'} to the model portfolio.`,
+        data: { portfolioId: portfolio._id, proposalId: proposal._id }
+      }
+    }, {
+      dedupeKey: `portfolio_rebalance:${proposal._id}`,
+      email: {
+        type: 'rebalance_update',
+        metadata: { portfolioId: portfolio._id, proposalId: proposal._id }
+      }
+    });
+  }
+
+  return users.size;
+};
@@ -0,0 +1,651 @@
+/**
+ * Payment Reconciliation Service
+ * Matches Razorpay payments, orders and settlements for a date range against
+ * PaymentHistory, Subscription and Bill, and records every mismatch in a
+ * ReconciliationReport:
+ *
+ *   paid_not_activated         captured payment with no record or no activated subscription
+ *   missing_bill               activated payment without an invoice
+ *   activated_without_payment  active paid subscription whose payment was never captured
+ *   amount_mismatch            captured amount differs from the recorded amount plus GST
+ *   not_settled                captured payment Razorpay has not settled in time
+ *
+ * Each mismatch lists the remediations an admin can run on it. With
+ * RAZORPAY_STUB_FILE set, Razorpay is read from a local fixtures file instead
+ * (see utils/razorpayStub.js), and remediations that would call the real
+ * Razorpay (refunds, completing a checkout) are refused.
+ */
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+const winston = require('winston');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const PaymentHistory = require('../models/paymenthistory');
+const Subscription = require('../models/subscription');
+const Bill = require('../models/bill');
+const PlanChange = require('../models/PlanChange');
+const { getRazorpayInstance } = require('../utils/configSettings');
+const { createRazorpayStub } = require('../utils/razorpayStub');
+const { amountPayable } = require('../utils/gst');
+const billService = require('./billService');
+const refundService = require('./refundService');
+const subscriptionEventService = require('./subscriptionEventService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp({ format: "YYYY-MM-DD HH:mm:ss" }),
+    winston.format.errors({ stack: true }),
+    winston.format.splat(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({
+      filename: "logs/reconciliation.log",
+      maxsize: 5 * 1024 * 1024,
+      maxFiles: 7
+    })
+  ]
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 31;
+const PAGE_SIZE = 100;
+// Item amounts split across a cart or bundle are not rounded
+const AMOUNT_TOLERANCE = 1;
+// Razorpay settles T+2 working days; leave room for weekends and holidays
+const SETTLEMENT_DAYS = 5;
+// A report still running after this was interrupted by a restart
+const RUN_TIMEOUT_MS = 60 * 60 * 1000;
+const CAPTURED_STATUSES = ['captured', 'refunded'];
+
+// Helpers shared with the subscription checkout
+const subscriptionHelpers = () => require('../controllers/subscriptionController');
+
+function reconciliationError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+const round = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+const toSeconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+async function getClient() {
+  if (process.env.RAZORPAY_STUB_FILE) {
+    return { client: createRazorpayStub(process.env.RAZORPAY_STUB_FILE), source: 'stub' };
+  }
+  return { client: await getRazorpayInstance(), source: 'razorpay' };
+}
+
+async function fetchAll(list, params = {}) {
+  const items = [];
+  for (let skip = 0; ; skip += PAGE_SIZE) {
+    const page = await list({ ...params, count: PAGE_SIZE, skip });
+    const pageItems = page.items || [];
+    items.push(...pageItems);
+    if (pageItems.length < PAGE_SIZE) return items;
+  }
+}
+
+/**
+ * Fetch one entity, or null when Razorpay does not know it
+ */
+async function fetchOne(resource, id) {
+  try {
+    return await resource.fetch(id);
+  } catch (error) {
+    if (error.statusCode === 400 || error.statusCode === 404) return null;
+    throw reconciliationError(`Razorpay request failed: ${error.error?.description || error.message}`, 502);
+  }
+}
+
+/**
+ * Calendar days (IST) from `from` to `to`
+ */
+function istDays(from, to) {
+  const days = [];
+  const cursor = new Date(new Date(from).getTime() + IST_OFFSET_MS);
+  cursor.setUTCHours(0, 0, 0, 0);
+  const end = new Date(to).getTime() + IST_OFFSET_MS;
+  for (; cursor.getTime() <= end; cursor.setUTCDate(cursor.getUTCDate() + 1)) {
+    days.push({ year: cursor.getUTCFullYear(), month: cursor.getUTCMonth() + 1, day: cursor.getUTCDate() });
+  }
+  return days;
+}
+
+/**
+ * Settlement recon entries for payments, by payment id. Covers the days a
+ * payment in the range can have been settled on.
+ */
+async function fetchSettledPayments(client, from, to) {
+  const until = new Date(Math.min(new Date(to).getTime() + SETTLEMENT_DAYS * DAY_MS, Date.now()));
+  const settled = new Map();
+  for (const day of istDays(from, until)) {
+    const items = await fetchAll(params => client.settlements.reports({ ...day, ...params }));
+    items
+      .filter(item => item.type === 'payment')
+      .forEach(item => settled.set(item.entity_id, item));
+  }
+  return settled;
+}
+
+/**
+ * PaymentHistory, subscriptions and bill recorded for a Razorpay payment
+ */
+async function loadPaymentRecords(payment) {
+  const histories = await PaymentHistory.find({
+    $or: [
+      { paymentId: payment.id },
+      // Cart and bundle items are recorded as <paymentId>_cart_... / _port_...
+      { paymentId: { $regex: `^${escapeRegex(payment.id)}_` } },
+      ...(payment.order_id ? [{ orderId: payment.order_id }] : [])
+    ]
+  }).select('user subscription amount status').lean();
+
+  const subscriptionIds = histories.map(history => history.subscription).filter(Boolean);
+  const subscriptions = await Subscription.find({
+    $or: [
+      { _id: { $in: subscriptionIds } },
+      { paymentId: payment.id },
+      ...(payment.order_id ? [{ orderId: payment.order_id }] : [])
+    ]
+  }).select('user status type amount').lean();
+
+  const bill = await Bill.findOne({ paymentId: payment.id }).select('_id').lean();
+  return { histories, subscriptions, bill };
+}
+
+function userOf(records, order, payment) {
+  const user = records.histories[0]?.user
+    || records.subscriptions[0]?.user
+    || order?.notes?.userId
+    || payment.notes?.user_id
+    || payment.notes?.userId;
+  return user && mongoose.Types.ObjectId.isValid(user) ? user : undefined;
+}
+
+/**
+ * Compare one captured payment with our records
+ */
+function checkPayment(payment, order, records, settled, mismatches) {
+  const paid = round(payment.amount / 100);
+  const fullyRefunded = payment.status === 'refunded';
+  const base = {
+    paymentId: payment.id,
+    orderId: payment.order_id,
+    user: userOf(records, order, payment),
+    razorpayAmount: paid
+  };
+
+  if (!records.histories.length && !records.subscriptions.length) {
+    if (!fullyRefunded) {
+      mismatches.push({
+        ...base,
+        type: 'paid_not_activated',
+        message: 'Captured payment has no payment record or subscription',
+        actions: [...(order?.notes?.userId ? ['activate'] : []), 'refund', 'dismiss']
+      });
+    }
+    return;
+  }
+
+  const pending = records.subscriptions.filter(subscription => subscription.status === 'pending');
+  const activated = records.subscriptions.filter(subscription => subscription.status !== 'pending');
+  const recorded = round(records.histories.reduce((sum, history) => sum + (history.amount || 0), 0));
+
+  if (!fullyRefunded && !activated.length) {
+    mismatches.push({
+      ...base,
+      type: 'paid_not_activated',
+      message: 'Payment was recorded but its subscription was never activated',
+      subscriptions: records.subscriptions.map(subscription => subscription._id),
+      recordedAmount: recorded,
+      actions: [...(pending.length ? ['activate'] : []), 'refund', 'dismiss']
+    });
+  } else if (!fullyRefunded && !records.bill) {
+    mismatches.push({
+      ...base,
+      type: 'missing_bill',
+      message: 'Payment activated a subscription but no invoice was issued',
+      subscriptions: activated.map(subscription => subscription._id),
+      recordedAmount: recorded,
+      actions: ['generate_bill', 'dismiss']
+    });
+  }
+
+  if (records.histories.length) {
+    // Checkout records the amount before GST; recurring charges record what was charged
+    let tax = 0;
+    if (!payment.invoice_id) {
+      tax = order?.notes?.taxAmount !== undefined && order?.notes?.taxAmount !== null
+        ? parseFloat(order.notes.taxAmount) || 0
+        : round(amountPayable(recorded) - recorded);
+    }
+    const expected = round(recorded + tax);
+    if (Math.abs(paid - expected) > AMOUNT_TOLERANCE) {
+      mismatches.push({
+        ...base,
+        type: 'amount_mismatch',
+        message: `Captured ₹${paid} but the records add up to ₹${expected}`,
+        subscriptions: records.subscriptions.map(subscription => subscription._id),
+        recordedAmount: recorded,
+        expectedAmount: expected,
+        actions: paid > expected ? ['refund_difference', 'dismiss'] : ['dismiss']
+      });
+    }
+  }
+
+  const settleBy = payment.created_at * 1000 + SETTLEMENT_DAYS * DAY_MS;
+  if (!fullyRefunded && settleBy < Date.now() && !settled.has(payment.id)) {
+    mismatches.push({
+      ...base,
+      type: 'not_settled',
+      message: `Not settled within ${SETTLEMENT_DAYS} days of capture`,
+      actions: ['dismiss']
+    });
+  }
+}
+
+/**
+ * Active paid subscriptions in the range whose payment Razorpay never captured
+ */
+async function checkSubscriptions(client, from, to, paymentsById, mismatches) {
+  const range = { $gte: from, $lte: to };
+  const subscriptions = await Subscription.find({
+    type: 'one_time',
+    status: 'active',
+    amount: { $gt: 0 },
+    $or: [{ createdAt: range }, { lastPaymentAt: range }]
+  }).select('user paymentId orderId amount').lean();
+
+  for (const subscription of subscriptions) {
+    const base = {
+      type: 'activated_without_payment',
+      user: subscription.user,
+      subscriptions: [subscription._id],
+      paymentId: subscription.paymentId,
+      orderId: subscription.orderId,
+      recordedAmount: subscription.amount,
+      actions: ['cancel_subscription', 'dismiss']
+    };
+
+    if (!subscription.paymentId) {
+      // Plan changes fully covered by credit have nothing to pay
+      if (await PlanChange.exists({ newSubscriptions: subscription._id })) continue;
+      mismatches.push({ ...base, message: 'Active paid subscription has no payment' });
+      continue;
+    }
+
+    const payment = paymentsById.get(subscription.paymentId) || await fetchOne(client.payments, subscription.paymentId);
+    if (!payment || !CAPTURED_STATUSES.includes(payment.status)) {
+      mismatches.push({
+        ...base,
+        message: payment
+          ? `Payment ${payment.id} is ${payment.status} at Razorpay`
+          : `Payment ${subscription.paymentId} not found at Razorpay`
+      });
+    } else if (payment.status === 'refunded') {
+      mismatches.push({
+        ...base,
+        razorpayAmount: round(payment.amount / 100),
+        message: 'Payment was fully refunded but the subscription is still active'
+      });
+    }
+  }
+  return subscriptions.length;
+}
+
+async function runReport(reportId) {
+  const report = await ReconciliationReport.findById(reportId);
+  const { from, to } = report;
+
+  try {
+    const { client } = await getClient();
+    const range = { from: toSeconds(from), to: toSeconds(to) };
+
+    const payments = await fetchAll(params => client.payments.all(params), range);
+    const orders = new Map((await fetchAll(params => client.orders.all(params), range)).map(order => [order.id, order]));
+    const settlements = await fetchAll(params => client.settlements.all(params), {
+      from: range.from,
+      to: toSeconds(Math.min(new Date(to).getTime() + SETTLEMENT_DAYS * DAY_MS, Date.now()))
+    });
+    const settled = await fetchSettledPayments(client, from, to);
+
+    const captured = payments.filter(payment => CAPTURED_STATUSES.includes(payment.status));
+    const paymentsById = new Map(payments.map(payment => [payment.id, payment]));
+    const mismatches = [];
+
+    for (const payment of captured) {
+      let order = null;
+      if (payment.order_id) {
+        // Orders created before the range are fetched one by one
+        order = orders.get(payment.order_id) || await fetchOne(client.orders, payment.order_id);
+      }
+      const records = await loadPaymentRecords(payment);
+      checkPayment(payment, order, records, settled, mismatches);
+    }
+
+    const subscriptionsChecked = await checkSubscriptions(client, from, to, paymentsById, mismatches);
+
+    const byType = {};
+    mismatches.forEach(mismatch => { byType[mismatch.type] = (byType[mismatch.type] || 0) + 1; });
+
+    report.mismatches = mismatches;
+    report.summary = {
+      payments: captured.length,
+      capturedAmount: round(captured.reduce((sum, payment) => sum + payment.amount / 100, 0)),
+      orders: orders.size,
+      subscriptionsChecked,
+      settlements: settlements.length,
+      settledAmount: round(settlements.reduce((sum, settlement) => sum + (settlement.amount || 0) / 100, 0)),
+      settlementFees: round(settlements.reduce((sum, settlement) => sum + (settlement.fees || 0) / 100, 0)),
+      settledPayments: captured.filter(payment => settled.has(payment.id)).length,
+      mismatches: mismatches.length,
+      byType
+    };
+    report.status = 'completed';
+    report.completedAt = new Date();
+    await report.save();
+
+    logger.info('Reconciliation completed', {
+      reportId: report._id.toString(),
+      from,
+      to,
+      payments: captured.length,
+      mismatches: mismatches.length,
+      byType
+    });
+  } catch (error) {
+    report.status = 'failed';
+    report.error = error.message;
+    report.completedAt = new Date();
+    await report.save();
+    logger.error('Reconciliation failed', { reportId: report._id.toString(), error: error.message, stack: error.stack });
+  }
+
+  return report;
+}
+
+/**
+ * Start a reconciliation for a date range. Admin runs return straight away
+ * and complete in the background; scheduled runs wait for the result.
+ */
+async function startReconciliation({ from, to } = {}, { requestedBy, trigger = 'admin', wait = false } = {}) {
+  const fromDate = new Date(from);
+  const toDate = to ? new Date(to) : new Date();
+  if (!from || isNaN(fromDate) || isNaN(toDate)) {
+    throw reconciliationError('from and to must be dates');
+  }
+  if (fromDate >= toDate) {
+    throw reconciliationError('from must be before to');
+  }
+  if (toDate - fromDate > MAX_RANGE_DAYS * DAY_MS) {
+    throw reconciliationError(`The range can be at most ${MAX_RANGE_DAYS} days`);
+  }
+
+  if (await ReconciliationReport.exists({ status: 'running', startedAt: { $gt: new Date(Date.now() - RUN_TIMEOUT_MS) } })) {
+    throw reconciliationError('A reconciliation is already running', 409);
+  }
+
+  const report = await ReconciliationReport.create({
+    from: fromDate,
+    to: toDate,
+    source: process.env.RAZORPAY_STUB_FILE ? 'stub' : 'razorpay',
+    trigger,
+    requestedBy
+  });
+  logger.info('Reconciliation started', { reportId: report._id.toString(), from: fromDate, to: toDate, trigger });
+
+  if (wait) {
+    return runReport(report._id);
+  }
+  setImmediate(() => {
+    runReport(report._id).catch(error => {
+      logger.error('Reconciliation crashed', { reportId: report._id.toString(), error: error.message });
+    });
+  });
+  return report;
+}
+
+async function listReports(filters = {}) {
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 20, 1), 100);
+
+  const [reports, total] = await Promise.all([
+    ReconciliationReport.find()
+      .select('-mismatches')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    ReconciliationReport.countDocuments()
+  ]);
+  return { reports, total, page, limit };
+}
+
+async function getReport(reportId, { type, status } = {}) {
+  if (!mongoose.Types.ObjectId.isValid(reportId)) {
+    throw reconciliationError('Invalid report id');
+  }
+  const report = await ReconciliationReport.findById(reportId)
+    .populate('mismatches.user', 'email fullName')
+    .lean();
+  if (!report) {
+    throw reconciliationError('Report not found', 404);
+  }
+  report.mismatches = report.mismatches.filter(mismatch =>
+    (!type || mismatch.type === type) && (!status || mismatch.resolution?.status === status)
+  );
+  return report;
+}
+
+// Refunds and checkout completion go through the live Razorpay client
+function assertLiveRazorpay(what) {
+  if (process.env.RAZORPAY_STUB_FILE) {
+    throw reconciliationError(`${what} is not available while RAZORPAY_STUB_FILE is set`);
+  }
+}
+
+async function fetchPaymentAndOrder(paymentId) {
+  const { client } = await getClient();
+  const payment = await fetchOne(client.payments, paymentId);
+  if (!payment) {
+    throw reconciliationError(`Payment ${paymentId} not found at Razorpay`, 404);
+  }
+  const order = payment.order_id ? await fetchOne(client.orders, payment.order_id) : null;
+  return { payment, order };
+}
+
+async function activate(mismatch) {
+  const pending = await Subscription.find({ _id: { $in: mismatch.subscriptions }, status: 'pending' });
+  if (pending.length) {
+    for (const subscription of pending) {
+      subscription.status = 'active';
+      subscription.lastPaymentAt = new Date();
+      await subscription.save();
+      subscriptionEventService.emitSubscriptionActivated(subscription);
+    }
+    await subscriptionHelpers().updateUserPremiumStatus(mismatch.user);
+    return `Activated ${pending.length} subscription(s)`;
+  }
+
+  assertLiveRazorpay('Completing the checkout');
+  const { payment, order } = await fetchPaymentAndOrder(mismatch.paymentId);
+  const result = await subscriptionHelpers().settleCapturedPayment(payment, order);
+  if (result.ignored) {
+    throw reconciliationError(result.reason, 409);
+  }
+  return 'Checkout verification completed';
+}
+
+async function generateBill(mismatch) {
+  const { payment, order } = await fetchPaymentAndOrder(mismatch.paymentId);
+  const notes = order?.notes || {};
+  // Same details the checkout bills with, when the order came from it
+  const details = notes.userId
+    ? {
+      paymentId: payment.id,
+      orderId: payment.order_id,
+      originalAmount: parseFloat(notes.originalAmount || notes.originalTotal) || 0,
+      discountApplied: parseFloat(notes.discountApplied) || 0,
+      finalAmount: parseFloat(notes.finalAmount || notes.finalTotal) || 0,
+      couponCode: notes.couponCode,
+      isCartCheckout: notes.cartCheckout === 'true'
+    }
+    : {
+      amount: round(payment.amount / 100),
+      paymentId: payment.id,
+      description: 'Payment matched by reconciliation'
+    };
+  const bill = await billService.generateAndSendBill(mismatch.subscriptions[0], details);
+  return `Bill ${bill.billNumber}`;
+}
+
+async function cancelSubscriptions(mismatch) {
+  const subscriptions = await Subscription.find({ _id: { $in: mismatch.subscriptions }, status: 'active' });
+  const TelegramService = require('./tgservice');
+
+  for (const subscription of subscriptions) {
+    subscription.status = 'cancelled';
+    subscription.cancelledAt = new Date();
+    subscription.cancelReason = 'reconciliation';
+    await subscription.save();
+
+    if (subscription.invite_link_url || subscription.telegram_user_id) {
+      try {
+        await TelegramService.kickUser(subscription.user, subscription.productId);
+      } catch (error) {
+        logger.error('Telegram kick after reconciliation cancel failed', {
+          subscriptionId: subscription._id.toString(),
+          error: error.message
+        });
+      }
+    }
+  }
+  if (mismatch.user) {
+    await subscriptionHelpers().updateUserPremiumStatus(mismatch.user);
+  }
+  return `Cancelled ${subscriptions.length} subscription(s)`;
+}
+
+async function runAction(action, mismatch, note, adminId) {
+  switch (action) {
+    case 'activate':
+      return activate(mismatch);
+    case 'generate_bill':
+      return generateBill(mismatch);
+    case 'cancel_subscription':
+      return cancelSubscriptions(mismatch);
+    case 'refund': {
+      const refund = await refundService.createRefund({
+        paymentId: mismatch.paymentId,
+        reason: note || 'Payment could not be matched to a subscription',
+        subscriptionAction: 'none'
+      }, adminId);
+      return `Refund ${refund._id} (${refund.status})`;
+    }
+    case 'refund_difference': {
+      const refund = await refundService.createRefund({
+        paymentId: mismatch.paymentId,
+        amount: round(mismatch.razorpayAmount - mismatch.expectedAmount),
+        reason: note || 'Overcharge found by payment reconciliation',
+        subscriptionAction: 'none'
+      }, adminId);
+      return `Refund ${refund._id} (${refund.status})`;
+    }
+    case 'dismiss':
+      return null;
+    default:
+      throw reconciliationError(`Unknown action ${action}`);
+  }
+}
+
+/**
+ * Run one of a mismatch's remediations. The mismatch is claimed first, so
+ * two admins cannot run actions on it at the same time.
+ */
+async function resolveMismatch(reportId, mismatchId, { action, note } = {}, adminId) {
+  if (!mongoose.Types.ObjectId.isValid(reportId) || !mongoose.Types.ObjectId.isValid(mismatchId)) {
+    throw reconciliationError('Invalid report or mismatch id');
+  }
+  if (action === 'dismiss' && !(note && String(note).trim())) {
+    throw reconciliationError('A note is required to dismiss a mismatch');
+  }
+
+  const report = await ReconciliationReport.findById(reportId).select({ mismatches: { $elemMatch: { _id: mismatchId } } }).lean();
+  const mismatch = report?.mismatches?.[0];
+  if (!mismatch) {
+    throw reconciliationError('Mismatch not found', 404);
+  }
+  if (!mismatch.actions.includes(action)) {
+    throw reconciliationError(`Action must be one of: ${mismatch.actions.join(', ')}`);
+  }
+  if (action === 'refund' || action === 'refund_difference') {
+    assertLiveRazorpay('Refunding');
+  }
+
+  const claimed = await ReconciliationReport.findOneAndUpdate(
+    { _id: reportId, mismatches: { $elemMatch: { _id: mismatchId, 'resolution.status': 'open' } } },
+    { $set: { 'mismatches.$.resolution.status': 'in_progress' } }
+  );
+  if (!claimed) {
+    throw reconciliationError('Mismatch is already being resolved or has been resolved', 409);
+  }
+
+  const resolution = { action, note, resolvedBy: adminId };
+  try {
+    resolution.result = await runAction(action, mismatch, note, adminId);
+    resolution.status = action === 'dismiss' ? 'dismissed' : 'resolved';
+    resolution.resolvedAt = new Date();
+  } catch (error) {
+    // Leave it open so the action can be retried or another one chosen
+    await ReconciliationReport.updateOne(
+      { _id: reportId, 'mismatches._id': mismatchId },
+      { $set: { 'mismatches.$.resolution.status': 'open', 'mismatches.$.resolution.error': error.message } }
+    );
+    logger.error('Reconciliation action failed', { reportId, mismatchId, action, error: error.message });
+    throw error;
+  }
+
+  const updated = await ReconciliationReport.findOneAndUpdate(
+    { _id: reportId, 'mismatches._id': mismatchId },
+    { $set: { 'mismatches.$.resolution': resolution } },
+    { new: true, projection: { mismatches: { $elemMatch: { _id: mismatchId } } } }
+  ).lean();
+
+  logger.info('Reconciliation mismatch resolved', { reportId, mismatchId, type: mismatch.type, action, result: resolution.result });
+  return updated.mismatches[0];
+}
+
+/**
+ * Reconcile the previous day (IST) every morning, after the overnight settlements
+ */
+function startReconciliationScheduler() {
+  const task = cron.schedule('30 6 * * *', async () => {
+    try {
+      const todayIst = new Date(Date.now() + IST_OFFSET_MS);
+      todayIst.setUTCHours(0, 0, 0, 0);
+      const to = new Date(todayIst.getTime() - IST_OFFSET_MS);
+      await startReconciliation({ from: new Date(to.getTime() - DAY_MS), to }, { trigger: 'schedule', wait: true });
+    } catch (error) {
+      logger.error('Reconciliation cron failed', { error: error.message });
+    }
+  }, {
+    scheduled: true,
+    timezone: 'Asia/Kolkata'
+  });
+  logger.info('Reconciliation scheduler started');
+  return task;
+}
+
+module.exports = {
+  startReconciliation,
+  listReports,
+  getReport,
+  resolveMismatch,
+  startReconciliationScheduler
+};
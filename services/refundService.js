@@ -0,0 +1,575 @@
+/**
+ * Refund Service
+ * Full and partial refunds of Razorpay payments.
+ *
+ * Admin refunds are recorded before Razorpay is called and tagged with the
+ * record id in the refund notes, so the refund webhooks always find them.
+ * Refunds made in the Razorpay dashboard are recorded when their
+ * `refund.processed` webhook arrives. Once a refund is processed, and only
+ * once, the subscriptions it paid for are cancelled or shortened, Telegram
+ * access to cancelled products is revoked and a credit note is issued
+ * against the invoice.
+ */
+const mongoose = require('mongoose');
+const winston = require('winston');
+const Refund = require('../models/Refund');
+const Subscription = require('../models/subscription');
+const PaymentHistory = require('../models/paymenthistory');
+const Bill = require('../models/bill');
+const Portfolio = require('../models/modelPortFolio');
+const Bundle = require('../models/bundle');
+const User = require('../models/user');
+const { getRazorpayInstance } = require('../utils/configSettings');
+const billService = require('./billService');
+const notificationService = require('./notificationService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp({ format: "YYYY-MM-DD HH:mm:ss" }),
+    winston.format.errors({ stack: true }),
+    winston.format.splat(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({
+      filename: "logs/refunds.log",
+      maxsize: 5 * 1024 * 1024,
+      maxFiles: 7
+    })
+  ]
+});
+
+const PLAN_MONTHS = { monthly: 1, quarterly: 3, yearly: 12 };
+const LIVE_STATUSES = ['active', 'pending'];
+
+// Helpers shared with the subscription checkout
+const subscriptionHelpers = () => require('../controllers/subscriptionController');
+
+function refundError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+const round = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Razorpay SDK rejects with { statusCode, error: { description } }
+const razorpayMessage = (error) => error?.error?.description || error?.message || 'Razorpay request failed';
+
+/**
+ * Start of the term that ends at `expiresAt`
+ */
+function termStart(planType, expiresAt) {
+  const start = new Date(expiresAt);
+  start.setMonth(start.getMonth() - (PLAN_MONTHS[planType] || 1));
+  return start;
+}
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Cart and bundle items are recorded as <paymentId>_cart_... / _port_...
+const paymentHistoryQuery = (paymentId) => ({
+  $or: [
+    { paymentId },
+    { paymentId: { $regex: `^${escapeRegex(paymentId)}_` } }
+  ]
+});
+
+/**
+ * Customer, subscriptions and invoice of a payment
+ */
+async function resolvePayment(paymentId, payment = {}) {
+  const histories = await PaymentHistory.find(paymentHistoryQuery(paymentId)).lean();
+  const bill = await Bill.findOne({ paymentId }).sort({ billDate: -1 });
+
+  const orderIds = [payment.order_id, ...histories.map(history => history.orderId)].filter(Boolean);
+  const subscriptionIds = new Set(histories.map(history => history.subscription).filter(Boolean).map(String));
+  if (bill?.subscription) subscriptionIds.add(bill.subscription.toString());
+
+  const subscriptions = await Subscription.find({
+    $or: [
+      { _id: { $in: [...subscriptionIds] } },
+      { paymentId },
+      ...(orderIds.length ? [{ orderId: { $in: orderIds } }] : [])
+    ]
+  }).select('_id user').lean();
+
+  const user = histories[0]?.user || bill?.user || subscriptions[0]?.user || payment.notes?.user_id;
+
+  return {
+    user: user && mongoose.Types.ObjectId.isValid(user) ? user : null,
+    orderId: orderIds[0],
+    subscriptions: subscriptions.map(subscription => subscription._id),
+    bill: bill ? bill._id : undefined
+  };
+}
+
+async function fetchPayment(razorpay, paymentId) {
+  try {
+    return await razorpay.payments.fetch(paymentId);
+  } catch (error) {
+    if (error.statusCode === 400 || error.statusCode === 404) {
+      throw refundError(`Payment ${paymentId} not found on Razorpay`, 404);
+    }
+    throw refundError(`Could not fetch payment from Razorpay: ${razorpayMessage(error)}`, 502);
+  }
+}
+
+/**
+ * Refund a payment through Razorpay. Leave `amount` out for a full refund of
+ * what has not been refunded yet. `subscriptionAction` defaults to cancelling
+ * for full refunds and shortening the term for partial ones.
+ */
+async function createRefund(details = {}, requestedBy) {
+  const { paymentId, reason, speed = 'normal' } = details;
+
+  if (!paymentId || typeof paymentId !== 'string') {
+    throw refundError('paymentId is required');
+  }
+  if (!reason || !String(reason).trim()) {
+    throw refundError('A reason is required for a refund');
+  }
+  if (!['normal', 'optimum'].includes(speed)) {
+    throw refundError('speed must be normal or optimum');
+  }
+  if (details.subscriptionAction && !Refund.SUBSCRIPTION_ACTIONS.includes(details.subscriptionAction)) {
+    throw refundError(`Invalid subscriptionAction. Use one of: ${Refund.SUBSCRIPTION_ACTIONS.join(', ')}`);
+  }
+
+  const razorpay = await getRazorpayInstance();
+  const payment = await fetchPayment(razorpay, paymentId);
+  if (payment.status !== 'captured' && payment.status !== 'refunded') {
+    throw refundError(`Only captured payments can be refunded; this payment is ${payment.status}`, 409);
+  }
+
+  const paymentAmount = round(payment.amount / 100);
+  const refundable = round((payment.amount - (payment.amount_refunded || 0)) / 100);
+  if (!(refundable > 0)) {
+    throw refundError('This payment has already been fully refunded', 409);
+  }
+
+  const amount = details.amount === undefined || details.amount === null
+    ? refundable
+    : round(Number(details.amount));
+  if (!(amount > 0)) {
+    throw refundError('Refund amount must be greater than 0');
+  }
+  if (amount > refundable) {
+    throw refundError(`At most ₹${refundable} of this payment can still be refunded`);
+  }
+
+  const context = await resolvePayment(paymentId, payment);
+  if (!context.user) {
+    throw refundError('No customer found for this payment', 404);
+  }
+
+  const type = amount === refundable ? 'full' : 'partial';
+  const refund = await Refund.create({
+    user: context.user,
+    paymentId,
+    orderId: context.orderId,
+    amount,
+    paymentAmount,
+    type,
+    reason: String(reason).trim(),
+    speed,
+    subscriptionAction: details.subscriptionAction || (type === 'full' ? 'cancel' : 'shorten'),
+    subscriptions: context.subscriptions,
+    bill: context.bill,
+    requestedBy
+  });
+
+  let razorpayRefund;
+  try {
+    razorpayRefund = await razorpay.payments.refund(paymentId, {
+      amount: Math.round(amount * 100),
+      speed,
+      receipt: refund._id.toString(),
+      notes: {
+        refund_request_id: refund._id.toString(),
+        reason: refund.reason.slice(0, 250)
+      }
+    });
+  } catch (error) {
+    refund.status = 'failed';
+    refund.failedAt = new Date();
+    refund.failureReason = razorpayMessage(error);
+    await refund.save();
+    logger.error('Razorpay refund failed', { refundId: refund._id.toString(), paymentId, error: refund.failureReason });
+    throw refundError(`Razorpay refused the refund: ${refund.failureReason}`, 502);
+  }
+
+  refund.razorpayRefundId = razorpayRefund.id;
+  await refund.save();
+  logger.info('Refund requested', {
+    refundId: refund._id.toString(),
+    razorpayRefundId: razorpayRefund.id,
+    paymentId,
+    amount,
+    status: razorpayRefund.status
+  });
+
+  // Instant refunds come back processed; the rest wait for the webhook
+  if (razorpayRefund.status === 'processed') {
+    return applyProcessedRefund(refund);
+  }
+  return refund;
+}
+
+/**
+ * Cancel a subscription bought with a refunded payment
+ */
+async function cancelForRefund(subscription, razorpay, cancelledRecurring) {
+  subscription.status = 'cancelled';
+  subscription.cancelledAt = new Date();
+  subscription.cancelReason = 'refund';
+  await subscription.save();
+
+  // Stop future charges; a bundle shares one Razorpay subscription
+  if (subscription.type === 'recurring' && subscription.razorpaySubscriptionId
+    && !cancelledRecurring.has(subscription.razorpaySubscriptionId)) {
+    cancelledRecurring.add(subscription.razorpaySubscriptionId);
+    await razorpay.subscriptions.cancel(subscription.razorpaySubscriptionId, false);
+  }
+}
+
+/**
+ * Remove the customer from the Telegram group of a cancelled subscription
+ */
+async function revokeTelegramAccess(user, subscription) {
+  const Model = subscription.productType === 'Bundle' ? Bundle : Portfolio;
+  const product = await Model.findById(subscription.productId).select('name externalId').lean();
+  if (!product || !product.externalId) return;
+
+  const TelegramService = require('./tgservice');
+  const result = await TelegramService.cancelSubscription(user.email, product.externalId);
+  if (!result.success) {
+    throw new Error(`Telegram access to ${product.name} not revoked: ${result.error?.message || 'unknown error'}`);
+  }
+  await Subscription.updateOne({ _id: subscription._id }, { telegram_kicked: true, lastKickAttempt: new Date() });
+}
+
+/**
+ * Apply a refund Razorpay has processed. Safe to call more than once: only
+ * the first call changes subscriptions and issues the credit note.
+ */
+async function applyProcessedRefund(refund) {
+  const claimed = await Refund.findOneAndUpdate(
+    { _id: refund._id, appliedAt: null },
+    { $set: { status: 'processed', processedAt: refund.processedAt || new Date(), appliedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    return Refund.findById(refund._id);
+  }
+
+  const errors = [];
+  const user = await User.findById(claimed.user);
+  const subscriptions = await Subscription.find({ _id: { $in: claimed.subscriptions }, status: { $in: LIVE_STATUSES } });
+  const cancelled = [];
+
+  if (claimed.subscriptionAction !== 'none' && subscriptions.length) {
+    const razorpay = await getRazorpayInstance();
+    const cancelledRecurring = new Set();
+    const now = new Date();
+    const refundedShare = claimed.paymentAmount > 0 ? Math.min(claimed.amount / claimed.paymentAmount, 1) : 1;
+
+    for (const subscription of subscriptions) {
+      try {
+        if (claimed.subscriptionAction === 'shorten') {
+          // Take the refunded share of the paid term off the end
+          const from = subscription.expiresAt;
+          const termMs = from - termStart(subscription.planType, from);
+          const to = new Date(from.getTime() - Math.round(termMs * refundedShare));
+          claimed.shortenedTo.push({ subscription: subscription._id, from, to });
+          if (to > now) {
+            subscription.expiresAt = to;
+            await subscription.save();
+            continue;
+          }
+        }
+        await cancelForRefund(subscription, razorpay, cancelledRecurring);
+        cancelled.push(subscription);
+      } catch (error) {
+        errors.push(`Subscription ${subscription._id}: ${razorpayMessage(error)}`);
+      }
+    }
+  }
+
+  if (user) {
+    for (const subscription of cancelled) {
+      try {
+        await revokeTelegramAccess(user, subscription);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+  }
+
+  // Payment records follow the Razorpay total, so replays cannot double count
+  const [totals] = await Refund.aggregate([
+    { $match: { paymentId: claimed.paymentId, status: 'processed' } },
+    { $group: { _id: null, amount: { $sum: '$amount' } } }
+  ]);
+  const refundedAmount = round(totals ? totals.amount : claimed.amount);
+  const fullyRefunded = claimed.paymentAmount > 0 && refundedAmount >= claimed.paymentAmount;
+  await PaymentHistory.updateMany(
+    paymentHistoryQuery(claimed.paymentId),
+    { $set: { refundedAmount, ...(fullyRefunded && { status: 'refunded' }) } }
+  );
+
+  if (claimed.bill) {
+    try {
+      if (fullyRefunded) {
+        await Bill.updateOne({ _id: claimed.bill }, { paymentStatus: 'refunded' });
+      }
+      const bill = await Bill.findById(claimed.bill).select('totalAmount creditedAmount').lean();
+      const creditable = bill ? round(bill.totalAmount - (bill.creditedAmount || 0)) : 0;
+      if (creditable > 0) {
+        const creditNote = await billService.createCreditNote(claimed.bill, {
+          amount: Math.min(claimed.amount, creditable),
+          reason: `Refund: ${claimed.reason}`,
+          refundId: claimed.razorpayRefundId || claimed._id.toString(),
+          issuedBy: claimed.requestedBy
+        });
+        claimed.creditNote = creditNote._id;
+        await billService.sendCreditNoteEmail(creditNote._id);
+      }
+    } catch (error) {
+      errors.push(`Credit note: ${error.message}`);
+    }
+  }
+
+  claimed.followUpErrors = errors;
+  await claimed.save();
+
+  if (cancelled.length) {
+    try {
+      await subscriptionHelpers().updateUserPremiumStatus(claimed.user);
+    } catch (error) {
+      logger.error('Premium status update after refund failed', { refundId: claimed._id.toString(), error: error.message });
+    }
+  }
+
+  try {
+    const amount = `₹${claimed.amount.toLocaleString('en-IN')}`;
+    const access = cancelled.length
+      ? ' The subscription paid for with this payment has been cancelled.'
+      : claimed.shortenedTo.length
+        ? ` Your subscription now ends on ${claimed.shortenedTo[0].to.toLocaleDateString('en-IN')}.`
+        : '';
+    await notificationService.notify(user || claimed.user, 'refund_processed', {
+      email: {
+        subject: `Your refund of ${amount} has been processed`,
+        html: `<p>We have refunded <strong>${amount}</strong> to your original payment method. It can take 5-7 working days to reach your account.</p><p>${access}</p>`,
+        text: `We have refunded ${amount} to your original payment method. It can take 5-7 working days to reach your account.${access}`
+      },
+      inApp: {
+        title: `Refund of ${amount} processed`,
+        body: `Refunded to your original payment method.${access}`,
+        data: { refundId: claimed._id, creditNoteId: claimed.creditNote }
+      }
+    }, { dedupeKey: `refund:${claimed._id}` });
+  } catch (error) {
+    logger.error('Refund notification failed', { refundId: claimed._id.toString(), error: error.message });
+  }
+
+  if (errors.length) {
+    logger.warn('Refund applied with errors', { refundId: claimed._id.toString(), errors });
+  } else {
+    logger.info('Refund applied', {
+      refundId: claimed._id.toString(),
+      paymentId: claimed.paymentId,
+      cancelled: cancelled.length,
+      creditNote: claimed.creditNote && claimed.creditNote.toString()
+    });
+  }
+
+  return claimed;
+}
+
+/**
+ * Refund known by its Razorpay id, or by the record id we put in its notes
+ */
+function findRefundForEntity(entity) {
+  const requestId = entity.notes?.refund_request_id;
+  return Refund.findOne({
+    $or: [
+      { razorpayRefundId: entity.id },
+      ...(requestId && mongoose.Types.ObjectId.isValid(requestId) ? [{ _id: requestId }] : [])
+    ]
+  });
+}
+
+/**
+ * Razorpay's own copy of a refund named in a webhook, so a forged body
+ * cannot cancel or shorten anyone's subscription
+ */
+async function fetchRefundEntity(refundId) {
+  const razorpay = await getRazorpayInstance();
+  try {
+    return await razorpay.refunds.fetch(refundId);
+  } catch (error) {
+    if (error.statusCode === 400 || error.statusCode === 404) {
+      throw refundError(`Refund ${refundId} not found on Razorpay`, 404);
+    }
+    throw refundError(`Could not fetch refund from Razorpay: ${razorpayMessage(error)}`, 502);
+  }
+}
+
+/**
+ * Record a refund made in the Razorpay dashboard
+ */
+async function recordDashboardRefund(entity) {
+  const razorpay = await getRazorpayInstance();
+  const payment = await fetchPayment(razorpay, entity.payment_id);
+  const context = await resolvePayment(entity.payment_id, payment);
+  if (!context.user) {
+    logger.warn('Refund webhook for a payment with no customer', { razorpayRefundId: entity.id, paymentId: entity.payment_id });
+    return null;
+  }
+
+  const amount = round(entity.amount / 100);
+  const paymentAmount = payment.amount ? round(payment.amount / 100) : undefined;
+  const type = payment.amount && payment.amount_refunded >= payment.amount ? 'full' : 'partial';
+
+  try {
+    return await Refund.create({
+      user: context.user,
+      paymentId: entity.payment_id,
+      orderId: context.orderId,
+      razorpayRefundId: entity.id,
+      amount,
+      paymentAmount,
+      type,
+      reason: entity.notes?.reason || 'Refunded from the Razorpay dashboard',
+      speed: entity.speed_requested === 'optimum' ? 'optimum' : 'normal',
+      source: 'razorpay_dashboard',
+      subscriptionAction: type === 'full' ? 'cancel' : 'shorten',
+      subscriptions: context.subscriptions,
+      bill: context.bill
+    });
+  } catch (error) {
+    // The same webhook delivered twice
+    if (error.code === 11000) {
+      return Refund.findOne({ razorpayRefundId: entity.id });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Webhook: refund.processed
+ */
+async function handleRefundProcessed(payload) {
+  const refundId = payload.refund?.entity?.id;
+  if (!refundId) return null;
+
+  const entity = await fetchRefundEntity(refundId);
+  if (entity.status !== 'processed') {
+    return { ignored: true, reason: `Refund is ${entity.status} at Razorpay` };
+  }
+
+  let refund = await findRefundForEntity(entity);
+  if (!refund) {
+    refund = await recordDashboardRefund(entity);
+    if (!refund) return null;
+  }
+
+  if (!refund.razorpayRefundId) {
+    refund.razorpayRefundId = entity.id;
+    await refund.save();
+  }
+  return applyProcessedRefund(refund);
+}
+
+/**
+ * Webhook: refund.failed. Nothing was changed for a refund that never
+ * processed, so only the record is updated.
+ */
+async function handleRefundFailed(payload) {
+  const refundId = payload.refund?.entity?.id;
+  if (!refundId) return null;
+
+  const entity = await fetchRefundEntity(refundId);
+  if (entity.status !== 'failed') {
+    return { ignored: true, reason: `Refund is ${entity.status} at Razorpay` };
+  }
+
+  const refund = await findRefundForEntity(entity);
+  if (!refund) {
+    logger.warn('Failed refund not found', { razorpayRefundId: entity.id, paymentId: entity.payment_id });
+    return null;
+  }
+  if (refund.appliedAt) {
+    logger.error('Refund reported failed after it was applied', { refundId: refund._id.toString(), razorpayRefundId: entity.id });
+    return refund;
+  }
+
+  refund.razorpayRefundId = refund.razorpayRefundId || entity.id;
+  refund.status = 'failed';
+  refund.failedAt = new Date();
+  refund.failureReason = entity.error_description || entity.notes?.failure_reason || 'Refund failed at Razorpay';
+  await refund.save();
+
+  logger.warn('Refund failed', { refundId: refund._id.toString(), razorpayRefundId: entity.id, reason: refund.failureReason });
+  return refund;
+}
+
+async function listRefunds(filters = {}) {
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 20, 1), 100);
+
+  const query = {};
+  if (filters.status) {
+    if (!Refund.REFUND_STATUSES.includes(filters.status)) {
+      throw refundError(`Invalid status. Use one of: ${Refund.REFUND_STATUSES.join(', ')}`);
+    }
+    query.status = filters.status;
+  }
+  if (filters.paymentId) query.paymentId = filters.paymentId;
+  if (filters.userId) {
+    if (!mongoose.Types.ObjectId.isValid(filters.userId)) {
+      throw refundError('Invalid user id');
+    }
+    query.user = filters.userId;
+  }
+
+  const [refunds, total] = await Promise.all([
+    Refund.find(query)
+      .populate('user', 'email fullName')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Refund.countDocuments(query)
+  ]);
+  return { refunds, total, page, limit };
+}
+
+async function getRefund(refundId) {
+  if (!mongoose.Types.ObjectId.isValid(refundId)) {
+    throw refundError('Invalid refund id');
+  }
+  const refund = await Refund.findById(refundId)
+    .populate('user', 'email fullName')
+    .populate('subscriptions', 'productType productId status expiresAt type')
+    .populate('creditNote', 'creditNoteNumber totalAmount status')
+    .lean();
+  if (!refund) {
+    throw refundError('Refund not found', 404);
+  }
+  return refund;
+}
+
+module.exports = {
+  createRefund,
+  applyProcessedRefund,
+  handleRefundProcessed,
+  handleRefundFailed,
+  listRefunds,
+  getRefund
+};
@@ -1,11 +1,13 @@
 /**
  * Subscription Event Service
- * Handles real-time subscription events and immediate Telegram kicks
+ * Handles real-time subscription events, immediate Telegram kicks and the
+ * matching in-app notifications
  */
 const EventEmitter = require('events');
 const Subscription = require('../models/subscription');
 const User = require('../models/user');
 const TelegramService = require('./tgservice');
+const notificationService = require('./notificationService');
 const winston = require('winston');
 
 // Configure logger
@@ -43,6 +45,11 @@ class SubscriptionEventService extends EventEmitter {
     
     // Handle subscription activation (for renewed subscriptions)
     this.on('subscription:activated', this.handleSubscriptionActivated.bind(this));
+
+    // Tell the user in their in-app inbox
+    this.on('subscription:expired', (subscription) => this.notifyUser('subscription_expired', subscription));
+    this.on('subscription:cancelled', (subscription) => this.notifyUser('subscription_cancelled', subscription));
+    this.on('subscription:activated', (subscription) => this.notifyUser('subscription_activated', subscription));
   }
 
   /**
@@ -181,6 +188,62 @@ class SubscriptionEventService extends EventEmitter {
     }
   }
 
+  /**
+   * Add an in-app notification for a subscription event. The dedupe keys
+   * match the ones used when the cron and controllers send the same event,
+   * so the inbox gets one entry however the event was raised.
+   * @param {string} eventType - subscription_expired | subscription_cancelled | subscription_activated
+   * @param {Object} subscription
+   */
+  async notifyUser(eventType, subscription) {
+    try {
+      const userId = subscription.user && subscription.user._id ? subscription.user._id : subscription.user;
+      const productId = subscription.productId && subscription.productId._id ? subscription.productId._id : subscription.productId;
+      const productName = await this.getProductName(subscription);
+
+      const messages = {
+        subscription_expired: {
+          title: `Your ${productName} subscription has expired`,
+          body: 'Renew to restore your access.',
+          link: `${process.env.FRONTEND_URL}/subscribe/${productId}`
+        },
+        subscription_cancelled: {
+          title: `${productName} subscription cancelled`,
+          body: subscription.expiresAt ? `You keep access until ${new Date(subscription.expiresAt).toLocaleDateString()}.` : ''
+        },
+        subscription_activated: {
+          title: `${productName} subscription is active`,
+          body: subscription.expiresAt ? `Access until ${new Date(subscription.expiresAt).toDateString()}.` : ''
+        }
+      };
+      const dedupeKey = eventType === 'subscription_activated'
+        ? `${eventType}:${subscription._id}:${new Date(subscription.expiresAt).getTime()}`
+        : `${eventType}:${subscription._id}`;
+
+      await notificationService.notify(userId, eventType, {
+        inApp: { ...messages[eventType], data: { subscriptionId: subscription._id, productId } }
+      }, { channels: ['in_app'], dedupeKey });
+    } catch (error) {
+      logger.error(`Error notifying user about ${eventType} for subscription ${subscription._id}:`, {
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Name of the portfolio or bundle a subscription is for
+   */
+  async getProductName(subscription) {
+    if (subscription.productId && subscription.productId.name) {
+      return subscription.productId.name;
+    }
+    const Model = subscription.productType === 'Bundle'
+      ? require('../models/bundle')
+      : require('../models/modelPortFolio');
+    const product = await Model.findById(subscription.productId).select('name').lean();
+    return product ? product.name : (subscription.productType || 'Portfolio');
+  }
+
   /**
    * Process Telegram kick for expired/cancelled subscription
    * @param {Object} subscription - The subscription to process
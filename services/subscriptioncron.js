@@ -7,6 +7,7 @@ const { getRazorpayInstance, getConfig } = require("../utils/configSettings");
 const TelegramService = require("../services/tgservice");
 const User = require("../models/user");
 const { sendEmail } = require("../services/emailServices");
+const notificationService = require("../services/notificationService");
 
 // Logger configuration
 const logger = winston.createLogger({
@@ -450,39 +451,33 @@ async function sendExpirationEmail(userId, subscription, portfolio) {
     const user = await User.findById(userId);
     if (!user) return;
     
-    const subject = `Subscription Expired - ${portfolio.name}`;
-    const text = `Your subscription to ${portfolio.name} has expired.`;
-    const html = `
-      <div style="max-width:600px; margin:0 auto; padding:20px; font-family:sans-serif;">
-        <h2 style="color:#e67e22;">Subscription Expired</h2>
-        <p>Dear ${user.fullName || user.username},</p>
-        <p>Your subscription to <strong>${portfolio.name}</strong> expired on ${subscription.expiresAt.toLocaleDateString()}.</p>
-        
-        <div style="background-color:#f8f9fa; padding:15px; border-radius:5px; margin:20px 0;">
-          <h3 style="color:#e67e22; margin-top:0;">Details:</h3>
-          <p><strong>Portfolio:</strong> ${portfolio.name}</p>
-          <p><strong>Expiration Date:</strong> ${subscription.expiresAt.toLocaleDateString()}</p>
-          ${subscription.type === 'recurring' ? 
-            `<p><strong>Note:</strong> Your recurring payments have been stopped.</p>` : ''}
-        </div>
-        
-        <p>To continue your access, please renew your subscription:</p>
-        <p style="margin:25px 0;">
-          <a href="${process.env.FRONTEND_URL}/subscribe/${portfolio._id}" 
-             style="background-color:#2e86c1; color:white; padding:12px 24px; text-decoration:none; border-radius:4px;">
-            Renew Subscription
-          </a>
-        </p>
-        
-        <hr style="margin:30px 0; border:none; border-top:1px solid #eee;">
-        <p style="color:#666; font-size:12px;">This is an automated notification.</p>
-      </div>
-    `;
-    
-    await sendEmail(user.email, subject, text, html);
-  // Email sent
+    const renewUrl = `${process.env.FRONTEND_URL}/subscribe/${portfolio._id}`;
+    await notificationService.notify(user, 'subscription_expired', {
+      email: {
+        template: 'subscription_expired',
+        data: {
+          userName: user.fullName || user.username,
+          portfolioName: portfolio.name,
+          expiredOn: subscription.expiresAt.toLocaleDateString(),
+          isRecurring: subscription.type === 'recurring',
+          renewUrl
+        }
+      },
+      inApp: {
+        title: `Your ${portfolio.name} subscription has expired`,
+        body: 'Renew to restore your access.',
+        link: renewUrl
+      }
+    }, {
+      dedupeKey: `subscription_expired:${subscription._id}`,
+      email: {
+        type: 'subscription_expired',
+        metadata: { subscriptionId: subscription._id, portfolioName: portfolio.name }
+      },
+      telegramUserId: subscription.telegram_user_id || undefined
+    });
   } catch (error) {
-    logger.error('Failed to send expiration email', {
+    logger.error('Failed to send expiration notification', {
       userId,
       error: error.message
     });
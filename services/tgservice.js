@@ -756,6 +756,26 @@ class TelegramService {
     }
   }
 
+  /* ============================
+     Messaging API
+  ============================ */
+
+  /**
+   * Send a direct message to a Telegram user through the bot
+   * @param {string} telegramUserId - telegram_user_id recorded on the user's subscription
+   * @param {string} text - Message text
+   */
+  async sendMessage(telegramUserId, text) {
+    try {
+      await this.initConfig();
+      const res = await this.api.post('/messages', { user_id: telegramUserId, text });
+      return { success: true, data: res.data };
+    } catch (error) {
+      logger.error('sendMessage failed', { telegramUserId, error: error.message });
+      return { success: false, error: error.response?.data || { message: error.message } };
+    }
+  }
+
   /**
    * Process webhook data
    */
@@ -0,0 +1,151 @@
+/**
+ * Tip Event Service
+ * Emits tip lifecycle events raised by the tip routes and the price feed so
+ * notification channels can subscribe without coupling to the cron jobs:
+ *   - tip:created        tip published by an admin; subscribers who can see
+ *                        it get a new_tip notification
+ *   - tip:target_hit     target crossed, tip auto-closed
+ *   - tip:stop_loss_hit  stop-loss crossed, tip auto-closed
+ *   - tip:add_more       price fell to the addMoreAt level (tip stays Active)
+ */
+const EventEmitter = require('events');
+const Subscription = require('../models/subscription');
+const Bundle = require('../models/bundle');
+const notificationService = require('./notificationService');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp({ format: "YYYY-MM-DD HH:mm:ss" }),
+    winston.format.errors({ stack: true }),
+    winston.format.splat(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({
+      filename: "logs/tip-events.log",
+      maxsize: 5 * 1024 * 1024,
+      maxFiles: 7
+    })
+  ]
+});
+
+const TIP_EVENTS = {
+  created: 'tip:created',
+  target_hit: 'tip:target_hit',
+  stop_loss_hit: 'tip:stop_loss_hit',
+  add_more: 'tip:add_more'
+};
+
+class TipEventService extends EventEmitter {
+  constructor() {
+    super();
+    this.setupEventHandlers();
+  }
+
+  setupEventHandlers() {
+    Object.values(TIP_EVENTS).forEach(eventName => {
+      this.on(eventName, (payload) => {
+        logger.info(`Tip event ${eventName}`, payload);
+      });
+    });
+
+    this.on(TIP_EVENTS.created, this.handleTipCreated.bind(this));
+  }
+
+  /**
+   * Users with an active subscription that shows the tip: subscribers of its
+   * portfolio (directly or through a bundle), otherwise premium subscribers
+   * for premium tips and every active subscriber for basic ones
+   * @returns {Promise<Array<ObjectId>>}
+   */
+  async resolveTipAudience(payload) {
+    const query = { status: 'active', expiresAt: { $gt: new Date() } };
+
+    if (payload.portfolio) {
+      const bundles = await Bundle.find({ portfolios: payload.portfolio }).select('_id').lean();
+      query.$or = [
+        { portfolio: payload.portfolio },
+        { productId: { $in: [payload.portfolio, ...bundles.map(b => b._id)] } }
+      ];
+    } else if (payload.category === 'premium') {
+      query.category = { $regex: /^premium$/i };
+    }
+
+    return Subscription.distinct('user', query);
+  }
+
+  /**
+   * Notify everyone who can see a newly published tip
+   */
+  async handleTipCreated(payload) {
+    if (payload.status && payload.status !== 'Active') return;
+
+    try {
+      const userIds = await this.resolveTipAudience(payload);
+      const summary = { recipients: userIds.length, failed: 0 };
+
+      for (const userId of userIds) {
+        try {
+          await notificationService.notify(userId, 'new_tip', {
+            inApp: {
+              title: `New tip: ${payload.title}`,
+              body: payload.description || '',
+              data: { tipId: payload.tipId, portfolio: payload.portfolio, category: payload.category }
+            },
+            telegram: { text: `New tip: ${payload.title}` }
+          }, { dedupeKey: `new_tip:${payload.tipId}` });
+        } catch (error) {
+          summary.failed++;
+          logger.error('New tip notification failed', { tipId: payload.tipId, userId: userId.toString(), error: error.message });
+        }
+      }
+
+      logger.info('New tip notifications sent', { tipId: payload.tipId, ...summary });
+    } catch (error) {
+      logger.error('Failed to notify subscribers about new tip', { tipId: payload.tipId, error: error.message });
+    }
+  }
+
+  /**
+   * Emit a lifecycle event for a tip
+   * @param {string} type - Key of TIP_EVENTS
+   * @param {Object} tip - Tip after the transition was applied
+   * @param {Object} details - price, level and time of the crossing
+   */
+  emitTipEvent(type, tip, details = {}) {
+    const eventName = TIP_EVENTS[type];
+    if (!eventName) {
+      logger.warn(`Unknown tip event type: ${type}`);
+      return;
+    }
+
+    const payload = {
+      tipId: tip._id.toString(),
+      title: tip.title,
+      stockId: tip.stockId,
+      category: tip.category,
+      portfolio: tip.portfolio ? tip.portfolio.toString() : null,
+      status: tip.status,
+      exitStatus: tip.exitStatus,
+      returnPercent: tip.tracking ? tip.tracking.returnPercent : null,
+      ...details
+    };
+
+    // Listener failures must not break the price update that raised the event
+    try {
+      this.emit(eventName, payload);
+    } catch (error) {
+      logger.error(`Tip event listener failed for ${eventName}`, { tipId: payload.tipId, error: error.message });
+    }
+  }
+}
+
+// Create singleton instance
+const tipEventService = new TipEventService();
+tipEventService.TIP_EVENTS = TIP_EVENTS;
+
+module.exports = tipEventService;
@@ -0,0 +1,397 @@
+/**
+ * Tip Performance Service
+ * Tracks tips against live StockSymbol prices and builds the public track record.
+ *
+ * Entry price is the midpoint of the buy range, or the first tracked market
+ * price when no range was given. The effective target is targetPrice, or the
+ * entry price grown by targetPercentage. Tips are treated as long positions.
+ * Closed tips realize their return at the parsed exitPrice (falling back to the
+ * last market price, then to exitStatusPercentage).
+ *
+ * On each price update, crossing the target or stop-loss closes the tip with
+ * exitPrice/exitStatus filled in; reaching addMoreAt only flags it. Each
+ * transition is emitted through tipEventService for notifications.
+ */
+const mongoose = require('mongoose');
+const Tip = require('../models/portfolioTips');
+const StockSymbol = require('../models/stockSymbol');
+const { parsePrice, parsePriceRange, parsePercent } = require('../utils/tipLevelParser');
+const tipEventService = require('./tipEventService');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
+    winston.format.errors({ stack: true }),
+    winston.format.splat(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({
+      filename: 'logs/tip-performance.log',
+      maxsize: 5 * 1024 * 1024,
+      maxFiles: 7
+    })
+  ]
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+const percentChange = (from, to) => (from > 0 && to > 0 ? round2((to - from) / from * 100) : null);
+
+const average = (values) => (values.length ? round2(values.reduce((sum, v) => sum + v, 0) / values.length) : null);
+
+const marketPrice = (stock) => {
+  if (!stock) return null;
+  if (stock.currentPrice > 0) return stock.currentPrice;
+  return stock.todayClosingPrice > 0 ? stock.todayClosingPrice : null;
+};
+
+/**
+ * Effective target price from the parsed levels
+ */
+exports.getTargetPrice = (tracking) => {
+  if (!tracking) return null;
+  if (tracking.targetPrice > 0) return tracking.targetPrice;
+  if (tracking.targetPercentage && tracking.entryPrice > 0) {
+    return round2(tracking.entryPrice * (1 + tracking.targetPercentage / 100));
+  }
+  return null;
+};
+
+/**
+ * Effective stop-loss price: the parsed price, or a percentage below the entry price
+ */
+exports.getStopLoss = (tracking) => {
+  if (!tracking) return null;
+  if (tracking.stopLoss > 0) return tracking.stopLoss;
+  if (tracking.stopLossPercentage && tracking.entryPrice > 0) {
+    return round2(tracking.entryPrice * (1 - Math.abs(tracking.stopLossPercentage) / 100));
+  }
+  return null;
+};
+
+/**
+ * Effective add-more price: the parsed price, or a percentage below the entry price
+ */
+exports.getAddMorePrice = (tracking) => {
+  if (!tracking) return null;
+  if (tracking.addMoreAt > 0) return tracking.addMoreAt;
+  if (tracking.addMorePercentage && tracking.entryPrice > 0) {
+    return round2(tracking.entryPrice * (1 - Math.abs(tracking.addMorePercentage) / 100));
+  }
+  return null;
+};
+
+/**
+ * Load the StockSymbol for each tip's stockId (an ObjectId or a ticker symbol)
+ * @returns {Promise<Map<string, Object>>} stockId -> stock
+ */
+exports.resolveStocks = async (tips) => {
+  const stockIds = [...new Set(tips.map(tip => tip.stockId).filter(Boolean))];
+  const objectIds = stockIds.filter(id => mongoose.Types.ObjectId.isValid(id) && String(id).length === 24);
+  const symbols = stockIds.filter(id => !objectIds.includes(id)).map(id => id.toUpperCase());
+
+  const or = [];
+  if (objectIds.length) or.push({ _id: { $in: objectIds } });
+  if (symbols.length) or.push({ symbol: { $in: symbols } });
+
+  const stocksById = new Map();
+  if (!or.length) return stocksById;
+
+  const stocks = await StockSymbol.find({ $or: or })
+    .select('symbol exchange currentPrice todayClosingPrice lastUpdated')
+    .lean();
+
+  stockIds.forEach(id => {
+    const stock = stocks.find(s => s._id.toString() === id) ||
+      stocks.find(s => s.symbol === id.toUpperCase() && s.exchange === 'NSE') ||
+      stocks.find(s => s.symbol === id.toUpperCase());
+    if (stock) stocksById.set(id, stock);
+  });
+  return stocksById;
+};
+
+/**
+ * Apply a market price to an Active tip's tracking state
+ * @returns {Array<string>} events newly raised by this price ('target_hit', 'stop_loss_hit', 'add_more')
+ */
+exports.evaluateTip = (tip, price, at = new Date()) => {
+  if (typeof tip.syncLevels === 'function') tip.syncLevels();
+  if (!tip.tracking) tip.tracking = {};
+  const tracking = tip.tracking;
+  const events = [];
+
+  if (!tracking.entryPrice) {
+    if (tracking.buyRangeLow > 0 && tracking.buyRangeHigh > 0) {
+      tracking.entryPrice = round2((tracking.buyRangeLow + tracking.buyRangeHigh) / 2);
+      tracking.entryPriceSource = 'buy_range';
+    } else {
+      tracking.entryPrice = price;
+      tracking.entryPriceSource = 'market';
+    }
+  }
+
+  tracking.lastPrice = price;
+  tracking.lastPriceAt = at;
+  tracking.highestPrice = Math.max(tracking.highestPrice || price, price);
+  tracking.lowestPrice = Math.min(tracking.lowestPrice || price, price);
+  tracking.returnPercent = percentChange(tracking.entryPrice, price);
+
+  const targetPrice = exports.getTargetPrice(tracking);
+  if (targetPrice && price >= targetPrice && !tracking.targetHit) {
+    tracking.targetHit = true;
+    tracking.targetHitAt = at;
+    events.push('target_hit');
+  }
+  const stopLoss = exports.getStopLoss(tracking);
+  if (stopLoss && price <= stopLoss && !tracking.stopLossHit) {
+    tracking.stopLossHit = true;
+    tracking.stopLossHitAt = at;
+    events.push('stop_loss_hit');
+  }
+  const addMorePrice = exports.getAddMorePrice(tracking);
+  if (addMorePrice && price <= addMorePrice && !tracking.addMoreHit) {
+    tracking.addMoreHit = true;
+    tracking.addMoreHitAt = at;
+    events.push('add_more');
+  }
+
+  return events;
+};
+
+/**
+ * Record the realized return and holding period of a Closed tip
+ * @param {Document} tip - Closed tip
+ * @param {number|null} price - Current market price, used when no exitPrice was given
+ */
+exports.recordClose = (tip, price = null, at = new Date()) => {
+  if (typeof tip.syncLevels === 'function') tip.syncLevels();
+  if (!tip.tracking) tip.tracking = {};
+  const tracking = tip.tracking;
+
+  if (!tracking.entryPrice && tracking.buyRangeLow > 0 && tracking.buyRangeHigh > 0) {
+    tracking.entryPrice = round2((tracking.buyRangeLow + tracking.buyRangeHigh) / 2);
+    tracking.entryPriceSource = 'buy_range';
+  }
+
+  const exitPrice = tracking.exitPrice || price || tracking.lastPrice;
+  const realized = percentChange(tracking.entryPrice, exitPrice);
+  tracking.returnPercent = realized !== null
+    ? realized
+    : (tracking.exitPercentage !== null && tracking.exitPercentage !== undefined ? tracking.exitPercentage : null);
+
+  tracking.closedAt = at;
+  tracking.holdingDays = tip.createdAt ? Math.max(0, Math.round((at - tip.createdAt) / DAY_MS)) : null;
+};
+
+/**
+ * Close an Active tip whose target or stop-loss was just crossed.
+ * A stop-loss hit wins if both levels were crossed by the same price.
+ * @returns {string|null} 'target_hit' or 'stop_loss_hit' when the tip was closed
+ */
+exports.applyTransition = (tip, events, price, at = new Date()) => {
+  if (tip.status !== 'Active') return null;
+
+  const transition = events.includes('stop_loss_hit')
+    ? 'stop_loss_hit'
+    : (events.includes('target_hit') ? 'target_hit' : null);
+  if (!transition) return null;
+
+  tip.status = 'Closed';
+  tip.exitPrice = String(price);
+  tip.exitStatus = transition === 'target_hit' ? 'Target Achieved' : 'Stop Loss Hit';
+  tip.tracking.exitPrice = price;
+  tip.tracking.autoClosed = true;
+  exports.recordClose(tip, price, at);
+  if (tip.tracking.returnPercent !== null) {
+    tip.exitStatusPercentage = `${tip.tracking.returnPercent}%`;
+    tip.tracking.exitPercentage = tip.tracking.returnPercent;
+  }
+  return transition;
+};
+
+/**
+ * Record close details for a tip that was just Closed by an admin
+ */
+exports.closeTip = async (tip) => {
+  if (tip.status !== 'Closed' || (tip.tracking && tip.tracking.closedAt)) return tip;
+
+  const stocks = await exports.resolveStocks([tip]);
+  exports.recordClose(tip, marketPrice(stocks.get(tip.stockId)));
+  await tip.save();
+
+  logger.info('Tip closed', {
+    tipId: tip._id.toString(),
+    stockId: tip.stockId,
+    returnPercent: tip.tracking.returnPercent,
+    holdingDays: tip.tracking.holdingDays
+  });
+  return tip;
+};
+
+/**
+ * Evaluate every Active tip against live prices and record close details for
+ * Closed tips that have none yet.
+ */
+exports.trackTips = async () => {
+  const now = new Date();
+  const tips = await Tip.find({
+    $or: [{ status: 'Active' }, { status: 'Closed', 'tracking.closedAt': { $exists: false } }]
+  });
+  const stocks = await exports.resolveStocks(tips);
+
+  const summary = { evaluated: 0, closedRecorded: 0, autoClosed: 0, targetHits: [], stopLossHits: [], addMoreHits: [], missingPrice: [] };
+
+  for (const tip of tips) {
+    const price = marketPrice(stocks.get(tip.stockId));
+    try {
+      if (tip.status === 'Closed') {
+        // Today's price says nothing about an earlier exit
+        exports.recordClose(tip, null, tip.updatedAt || now);
+        await tip.save();
+        summary.closedRecorded++;
+        continue;
+      }
+
+      if (!price) {
+        summary.missingPrice.push(tip.stockId);
+        continue;
+      }
+
+      const events = exports.evaluateTip(tip, price, now);
+      const transition = exports.applyTransition(tip, events, price, now);
+      await tip.save();
+      summary.evaluated++;
+      if (transition) summary.autoClosed++;
+
+      const hit = { tipId: tip._id, stockId: tip.stockId, price };
+      if (events.includes('target_hit')) summary.targetHits.push(hit);
+      if (events.includes('stop_loss_hit')) summary.stopLossHits.push(hit);
+      if (events.includes('add_more')) summary.addMoreHits.push(hit);
+
+      // Emit only after the transition is persisted
+      const levels = {
+        target_hit: exports.getTargetPrice(tip.tracking),
+        stop_loss_hit: exports.getStopLoss(tip.tracking),
+        add_more: exports.getAddMorePrice(tip.tracking)
+      };
+      events
+        .filter(event => event === 'add_more' || event === transition)
+        .forEach(event => tipEventService.emitTipEvent(event, tip, { price, level: levels[event], at: now }));
+    } catch (error) {
+      logger.error('Tip tracking failed', { tipId: tip._id.toString(), error: error.message });
+    }
+  }
+
+  logger.info('Tip tracking completed', {
+    evaluated: summary.evaluated,
+    closedRecorded: summary.closedRecorded,
+    autoClosed: summary.autoClosed,
+    targetHits: summary.targetHits.length,
+    stopLossHits: summary.stopLossHits.length,
+    addMoreHits: summary.addMoreHits.length,
+    missingPrice: summary.missingPrice.length
+  });
+  return summary;
+};
+
+/**
+ * Outcome of one tip for aggregation. Tips closed before tracking existed are
+ * read from their free-text fields.
+ */
+exports.summarizeTip = (tip) => {
+  const tracking = tip.tracking || {};
+  const closed = tip.status === 'Closed';
+  let returnPercent = tracking.returnPercent;
+  let holdingDays = tracking.holdingDays;
+
+  if (closed && !tracking.closedAt) {
+    const range = parsePriceRange(tip.buyRange);
+    const entry = range ? (range.low + range.high) / 2 : null;
+    returnPercent = percentChange(entry, parsePrice(tip.exitPrice));
+    if (returnPercent === null) returnPercent = parsePercent(tip.exitStatusPercentage);
+    holdingDays = tip.createdAt && tip.updatedAt ? Math.round((tip.updatedAt - tip.createdAt) / DAY_MS) : null;
+  }
+  if (!closed) {
+    holdingDays = tip.createdAt ? Math.round((Date.now() - tip.createdAt) / DAY_MS) : null;
+  }
+
+  return {
+    closed,
+    returnPercent: Number.isFinite(returnPercent) ? returnPercent : null,
+    holdingDays: Number.isFinite(holdingDays) ? holdingDays : null,
+    targetHit: Boolean(tracking.targetHit) || (closed && /target/i.test(tip.exitStatus || '')),
+    stopLossHit: Boolean(tracking.stopLossHit) || (closed && /stop/i.test(tip.exitStatus || ''))
+  };
+};
+
+const aggregate = (outcomes) => {
+  const closed = outcomes.filter(o => o.closed);
+  const active = outcomes.filter(o => !o.closed);
+  const closedReturns = closed.map(o => o.returnPercent).filter(r => r !== null);
+  const activeReturns = active.map(o => o.returnPercent).filter(r => r !== null);
+  const targetHits = closed.filter(o => o.targetHit).length;
+
+  return {
+    totalTips: outcomes.length,
+    activeTips: active.length,
+    closedTips: closed.length,
+    targetHits,
+    stopLossHits: closed.filter(o => o.stopLossHit).length,
+    hitRate: closed.length ? round2(targetHits / closed.length * 100) : null,
+    winRate: closedReturns.length ? round2(closedReturns.filter(r => r > 0).length / closedReturns.length * 100) : null,
+    averageReturn: average(closedReturns),
+    bestReturn: closedReturns.length ? Math.max(...closedReturns) : null,
+    worstReturn: closedReturns.length ? Math.min(...closedReturns) : null,
+    averageHoldingDays: average(closed.map(o => o.holdingDays).filter(d => d !== null)),
+    averageOpenReturn: average(activeReturns),
+    openTargetHits: active.filter(o => o.targetHit).length
+  };
+};
+
+/**
+ * Hit rate, average return and holding period overall and per category/horizon
+ * @param {Object} [filters] - category, horizon, portfolio, from, to (tip creation dates)
+ */
+exports.getPerformance = async (filters = {}) => {
+  const query = {};
+  if (filters.category) query.category = filters.category;
+  if (filters.horizon) query.horizon = filters.horizon;
+  if (filters.portfolio) query.portfolio = filters.portfolio;
+  if (filters.from || filters.to) {
+    query.createdAt = {};
+    if (filters.from) query.createdAt.$gte = filters.from;
+    if (filters.to) query.createdAt.$lte = filters.to;
+  }
+
+  const tips = await Tip.find(query)
+    .select('category horizon status buyRange exitPrice exitStatus exitStatusPercentage tracking createdAt updatedAt')
+    .lean();
+
+  const groups = new Map();
+  const outcomes = tips.map(tip => {
+    const outcome = exports.summarizeTip(tip);
+    const key = `${tip.category || 'basic'}|${tip.horizon || 'Long Term'}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(outcome);
+    return outcome;
+  });
+
+  return {
+    generatedAt: new Date(),
+    filters,
+    overall: aggregate(outcomes),
+    byCategoryHorizon: [...groups.entries()]
+      .map(([key, groupOutcomes]) => {
+        const [category, horizon] = key.split('|');
+        return { category, horizon, ...aggregate(groupOutcomes) };
+      })
+      .sort((a, b) => a.category.localeCompare(b.category) || a.horizon.localeCompare(b.horizon))
+  };
+};
@@ -0,0 +1,503 @@
+/**
+ * Trade Ledger Service
+ * Appends immutable TradeLedger entries (buys, sells, cash and holding
+ * adjustments with before/after snapshots) in the same MongoDB transaction as
+ * the portfolio save, and rebuilds holdings/cash by replaying them.
+ *
+ * A portfolio's first ledgered write also records an opening_balance entry
+ * holding the persisted state at that moment, so portfolios created before the
+ * ledger existed replay from there.
+ */
+const { default: mongoose } = require('mongoose');
+const Portfolio = require('../models/modelPortFolio');
+const TradeLedger = require('../models/TradeLedger');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
+    winston.format.errors({ stack: true }),
+    winston.format.splat(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({
+      filename: 'logs/trade-ledger.log',
+      maxsize: 5 * 1024 * 1024,
+      maxFiles: 7
+    })
+  ]
+});
+
+// Differences below these are rounding, not drift
+const CASH_TOLERANCE = 0.01;
+const QUANTITY_TOLERANCE = 1e-6;
+const PRICE_TOLERANCE = 0.01;
+
+const round2 = (value) => parseFloat((Number(value) || 0).toFixed(2));
+const round4 = (value) => parseFloat((Number(value) || 0).toFixed(4));
+
+const isActiveHolding = (holding) => holding && holding.status !== 'Sell' && holding.quantity > 0;
+
+/**
+ * Position fields tracked by the ledger, or null when there is no position
+ */
+exports.snapshotHolding = (holding) => {
+  if (!holding || !holding.symbol) return null;
+  return {
+    symbol: holding.symbol.toUpperCase(),
+    sector: holding.sector,
+    stockCapType: holding.stockCapType,
+    status: holding.status,
+    quantity: Number(holding.quantity) || 0,
+    buyPrice: Number(holding.buyPrice) || 0,
+    originalBuyPrice: holding.originalBuyPrice,
+    realizedPnL: Number(holding.realizedPnL) || 0
+  };
+};
+
+/**
+ * Build an unsaved ledger entry; cashChange is derived from the cash snapshots
+ * @param {string} type - buy, sell, cash_adjustment or holding_adjustment
+ * @param {Object} fields
+ */
+exports.buildEntry = (type, fields) => {
+  const cashBefore = round2(fields.cashBefore);
+  const cashAfter = round2(fields.cashAfter);
+  const holdingBefore = exports.snapshotHolding(fields.holdingBefore);
+  const holdingAfter = exports.snapshotHolding(fields.holdingAfter);
+  const symbol = fields.symbol || (holdingAfter && holdingAfter.symbol) || (holdingBefore && holdingBefore.symbol);
+
+  return {
+    type,
+    symbol: symbol ? symbol.toUpperCase() : undefined,
+    quantity: Number(fields.quantity) || 0,
+    price: Number(fields.price) || 0,
+    amount: round2(fields.amount !== undefined ? fields.amount : (Number(fields.quantity) || 0) * (Number(fields.price) || 0)),
+    cashChange: round2(cashAfter - cashBefore),
+    realizedPnL: round2(fields.realizedPnL),
+    before: { cashBalance: cashBefore, holding: holdingBefore },
+    after: { cashBalance: cashAfter, holding: holdingAfter },
+    reference: fields.reference,
+    note: fields.note
+  };
+};
+
+/**
+ * holding_adjustment entries for every active position that differs between two
+ * states, plus a cash_adjustment if cash changed. Used for admin edits that are
+ * not trades (replace, delete, field updates).
+ */
+exports.buildAdjustmentEntries = (holdingsBefore, cashBefore, holdingsAfter, cashAfter, note) => {
+  const index = (holdings) => {
+    const map = new Map();
+    (holdings || []).filter(isActiveHolding).forEach(h => map.set(h.symbol.toUpperCase(), exports.snapshotHolding(h)));
+    return map;
+  };
+  const before = index(holdingsBefore);
+  const after = index(holdingsAfter);
+  const symbols = [...new Set([...before.keys(), ...after.keys()])];
+  const entries = [];
+
+  for (const symbol of symbols) {
+    const previous = before.get(symbol) || null;
+    const next = after.get(symbol) || null;
+    const unchanged = previous && next &&
+      Math.abs(previous.quantity - next.quantity) < QUANTITY_TOLERANCE &&
+      Math.abs(previous.buyPrice - next.buyPrice) < PRICE_TOLERANCE &&
+      previous.sector === next.sector &&
+      previous.stockCapType === next.stockCapType;
+    if (unchanged) continue;
+
+    entries.push(exports.buildEntry('holding_adjustment', {
+      symbol,
+      quantity: next ? next.quantity : 0,
+      price: next ? next.buyPrice : 0,
+      amount: 0,
+      holdingBefore: previous,
+      holdingAfter: next,
+      cashBefore,
+      cashAfter: cashBefore,
+      note
+    }));
+  }
+
+  if (Math.abs(round2(cashAfter) - round2(cashBefore)) >= CASH_TOLERANCE) {
+    entries.push(exports.buildEntry('cash_adjustment', { cashBefore, cashAfter, note }));
+  }
+
+  return entries;
+};
+
+/**
+ * Write entries (and an opening balance if this is the portfolio's first) in the
+ * given session. Must run before the portfolio itself is saved in that session.
+ */
+const appendEntries = async (portfolio, entries, options, session) => {
+  const last = await TradeLedger.findOne({ portfolio: portfolio._id })
+    .sort({ sequence: -1 })
+    .select('sequence')
+    .session(session);
+
+  let sequence = last ? last.sequence : 0;
+  const executedAt = new Date();
+  const common = {
+    portfolio: portfolio._id,
+    executedBy: options.user && options.user._id,
+    executedByEmail: options.user && options.user.email,
+    executedAt
+  };
+  const docs = [];
+
+  if (!last) {
+    // New portfolios open with their initial state; existing ones with what is stored right now
+    const opening = portfolio.isNew
+      ? portfolio
+      : await Portfolio.findById(portfolio._id).select('holdings cashBalance').session(session).lean();
+    const cashBalance = round2(opening ? opening.cashBalance : 0);
+    docs.push({
+      ...common,
+      sequence: ++sequence,
+      type: 'opening_balance',
+      source: portfolio.isNew ? 'portfolio_create' : 'ledger_opening',
+      before: { cashBalance: 0, holding: null },
+      after: { cashBalance, holding: null },
+      cashChange: cashBalance,
+      holdings: ((opening && opening.holdings) || []).filter(isActiveHolding).map(exports.snapshotHolding)
+    });
+  }
+
+  // A new portfolio's opening balance already includes everything it was created with
+  if (!portfolio.isNew) {
+    for (const entry of entries) {
+      docs.push({ ...common, ...entry, source: options.source, sequence: ++sequence });
+    }
+  }
+
+  if (docs.length) {
+    await TradeLedger.insertMany(docs, { session });
+  }
+  return docs;
+};
+
+/**
+ * Save a portfolio and its ledger entries atomically.
+ * @param {Document} portfolio - Mutated portfolio document
+ * @param {Array<Object>} entries - From buildEntry / buildAdjustmentEntries
+ * @param {Object} options
+ * @param {string} options.source - TradeLedger source
+ * @param {Object} [options.user] - Acting user ({ _id, email })
+ * @param {ClientSession} [options.session] - Join the caller's transaction instead of starting one
+ */
+exports.saveWithLedger = async (portfolio, entries, options = {}) => {
+  let written = [];
+
+  if (options.session) {
+    written = await appendEntries(portfolio, entries, options, options.session);
+    await portfolio.save({ session: options.session });
+  } else {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        written = await appendEntries(portfolio, entries, options, session);
+        await portfolio.save({ session });
+      });
+    } finally {
+      session.endSession();
+    }
+  }
+
+  if (written.length) {
+    logger.info(`Recorded ${written.length} ledger entr${written.length === 1 ? 'y' : 'ies'} for ${portfolio.name}`, {
+      portfolioId: portfolio._id.toString(),
+      source: options.source,
+      sequences: written.map(e => e.sequence),
+      types: written.map(e => e.type)
+    });
+  }
+
+  return portfolio;
+};
+
+/**
+ * Apply one entry to a replay state in place.
+ * @param {{holdings: Map, cashBalance: number}} state
+ * @param {Object} entry
+ * @returns {Array<string>} Anomalies (the entry's before-snapshot disagreeing with the replay)
+ */
+exports.applyEntry = (state, entry) => {
+  const anomalies = [];
+
+  if (entry.type === 'opening_balance') {
+    state.holdings = new Map();
+    (entry.holdings || []).forEach(h => state.holdings.set(h.symbol, { ...exports.snapshotHolding(h) }));
+    state.cashBalance = round2(entry.after.cashBalance);
+    return anomalies;
+  }
+
+  if (entry.before && Math.abs(round2(entry.before.cashBalance) - state.cashBalance) >= CASH_TOLERANCE) {
+    anomalies.push(`cashBalance was ${entry.before.cashBalance} but ledger had ${state.cashBalance}`);
+  }
+
+  const symbol = entry.symbol;
+  const current = symbol ? state.holdings.get(symbol) : null;
+  const beforeHolding = entry.before && entry.before.holding;
+  if (symbol && entry.type !== 'cash_adjustment') {
+    const expectedQuantity = beforeHolding ? beforeHolding.quantity : 0;
+    const replayedQuantity = current ? current.quantity : 0;
+    if (Math.abs(expectedQuantity - replayedQuantity) >= QUANTITY_TOLERANCE) {
+      anomalies.push(`${symbol} quantity was ${expectedQuantity} but ledger had ${replayedQuantity}`);
+    }
+  }
+
+  const afterHolding = entry.after && entry.after.holding;
+
+  if (entry.type === 'buy') {
+    const held = current || { symbol, quantity: 0, buyPrice: 0, realizedPnL: 0 };
+    const quantity = held.quantity + entry.quantity;
+    const averagePrice = quantity > 0
+      ? round4((held.quantity * held.buyPrice + entry.quantity * entry.price) / quantity)
+      : entry.price;
+    state.holdings.set(symbol, {
+      ...held,
+      ...(afterHolding || {}),
+      symbol,
+      quantity,
+      // Cost basis as booked at trade time; paths differ in rounding
+      buyPrice: afterHolding && afterHolding.buyPrice ? afterHolding.buyPrice : averagePrice,
+      realizedPnL: held.realizedPnL || 0
+    });
+  } else if (entry.type === 'sell') {
+    if (!current) {
+      anomalies.push(`${symbol} sold without a position in the ledger`);
+    } else {
+      const quantity = current.quantity - entry.quantity;
+      if (quantity < -QUANTITY_TOLERANCE) {
+        anomalies.push(`${symbol} sold ${entry.quantity} but ledger held ${current.quantity}`);
+      }
+      if (quantity <= QUANTITY_TOLERANCE) {
+        state.holdings.delete(symbol);
+      } else {
+        state.holdings.set(symbol, {
+          ...current,
+          status: afterHolding ? afterHolding.status : current.status,
+          quantity,
+          realizedPnL: round2((current.realizedPnL || 0) + (entry.realizedPnL || 0))
+        });
+      }
+    }
+  } else if (entry.type === 'holding_adjustment') {
+    if (afterHolding && afterHolding.quantity > 0) {
+      state.holdings.set(symbol, { ...afterHolding });
+    } else {
+      state.holdings.delete(symbol);
+    }
+  }
+
+  state.cashBalance = round2(state.cashBalance + (entry.cashChange || 0));
+  return anomalies;
+};
+
+/**
+ * Replay a sequence of entries from an empty portfolio
+ * @returns {{holdings: Array, cashBalance: number, lastSequence: number, entryCount: number, anomalies: Array}}
+ */
+exports.replayEntries = (entries) => {
+  const state = { holdings: new Map(), cashBalance: 0 };
+  const anomalies = [];
+  let lastSequence = 0;
+
+  for (const entry of entries) {
+    exports.applyEntry(state, entry).forEach(message => {
+      anomalies.push({ sequence: entry.sequence, type: entry.type, symbol: entry.symbol, message });
+    });
+    lastSequence = entry.sequence;
+  }
+
+  return {
+    holdings: [...state.holdings.values()].sort((a, b) => a.symbol.localeCompare(b.symbol)),
+    cashBalance: state.cashBalance,
+    lastSequence,
+    entryCount: entries.length,
+    anomalies
+  };
+};
+
+/**
+ * Rebuild a portfolio's holdings and cash from its ledger
+ * @param {string} portfolioId
+ * @param {Object} [options]
+ * @param {number} [options.upToSequence] - Stop after this entry
+ * @param {Date|string} [options.asOf] - Only entries executed on or before this time
+ */
+exports.replayLedger = async (portfolioId, options = {}) => {
+  const query = { portfolio: portfolioId };
+  if (options.upToSequence) {
+    query.sequence = { $lte: Number(options.upToSequence) };
+  }
+  if (options.asOf) {
+    query.executedAt = { $lte: new Date(options.asOf) };
+  }
+
+  const entries = await TradeLedger.find(query).sort({ sequence: 1 }).lean();
+  return exports.replayEntries(entries);
+};
+
+/**
+ * Compare the replayed ledger with the stored portfolio
+ */
+exports.verifyPortfolio = async (portfolioId) => {
+  if (!mongoose.Types.ObjectId.isValid(portfolioId)) {
+    throw new Error('Invalid portfolio ID');
+  }
+  const portfolio = await Portfolio.findById(portfolioId).select('name holdings cashBalance').lean();
+  if (!portfolio) {
+    throw new Error('Portfolio not found');
+  }
+
+  const replay = await exports.replayLedger(portfolio._id);
+  if (!replay.entryCount) {
+    return {
+      portfolioId: portfolio._id,
+      portfolioName: portfolio.name,
+      initialized: false,
+      inSync: null,
+      message: 'No ledger entries yet; the opening balance is recorded on the next holdings or cash change'
+    };
+  }
+
+  const stored = new Map(portfolio.holdings.filter(isActiveHolding).map(h => [h.symbol.toUpperCase(), h]));
+  const replayed = new Map(replay.holdings.map(h => [h.symbol, h]));
+  const differences = [];
+
+  for (const symbol of [...new Set([...stored.keys(), ...replayed.keys()])].sort()) {
+    const actual = stored.get(symbol);
+    const expected = replayed.get(symbol);
+    const actualQuantity = actual ? actual.quantity : 0;
+    const expectedQuantity = expected ? expected.quantity : 0;
+    if (Math.abs(actualQuantity - expectedQuantity) >= QUANTITY_TOLERANCE) {
+      differences.push({ symbol, field: 'quantity', ledger: expectedQuantity, portfolio: actualQuantity });
+    }
+    if (actual && expected && Math.abs(actual.buyPrice - expected.buyPrice) >= PRICE_TOLERANCE) {
+      differences.push({ symbol, field: 'buyPrice', ledger: expected.buyPrice, portfolio: actual.buyPrice });
+    }
+  }
+
+  const cashBalance = round2(portfolio.cashBalance);
+  if (Math.abs(cashBalance - replay.cashBalance) >= CASH_TOLERANCE) {
+    differences.push({ symbol: null, field: 'cashBalance', ledger: replay.cashBalance, portfolio: cashBalance });
+  }
+
+  return {
+    portfolioId: portfolio._id,
+    portfolioName: portfolio.name,
+    initialized: true,
+    inSync: differences.length === 0,
+    lastSequence: replay.lastSequence,
+    entryCount: replay.entryCount,
+    differences,
+    anomalies: replay.anomalies,
+    ledger: { cashBalance: replay.cashBalance, holdings: replay.holdings }
+  };
+};
+
+/**
+ * Overwrite a portfolio's holdings and cash with the replayed ledger state.
+ * Per-holding history (priceHistory, createdAt, ...) is kept for symbols the
+ * ledger still holds; sold ('Sell') rows are left untouched.
+ */
+exports.rebuildPortfolio = async (portfolioId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(portfolioId)) {
+    throw new Error('Invalid portfolio ID');
+  }
+
+  const session = await mongoose.startSession();
+  let portfolio;
+  let replay;
+  let before;
+
+  try {
+    await session.withTransaction(async () => {
+      portfolio = await Portfolio.findById(portfolioId).session(session);
+      if (!portfolio) {
+        throw new Error('Portfolio not found');
+      }
+
+      const entries = await TradeLedger.find({ portfolio: portfolio._id }).sort({ sequence: 1 }).session(session).lean();
+      if (!entries.length) {
+        throw new Error('Portfolio has no ledger entries to rebuild from');
+      }
+      replay = exports.replayEntries(entries);
+      before = {
+        cashBalance: portfolio.cashBalance,
+        holdings: portfolio.holdings.filter(isActiveHolding).map(exports.snapshotHolding)
+      };
+
+      const existing = new Map(
+        portfolio.holdings.filter(isActiveHolding).map(h => [h.symbol.toUpperCase(), h.toObject()])
+      );
+      const inactive = portfolio.holdings.filter(h => !isActiveHolding(h)).map(h => h.toObject());
+      const rebuilt = replay.holdings.map(h => {
+        const base = existing.get(h.symbol) || { priceHistory: [], createdAt: new Date() };
+        const investment = round2(h.quantity * h.buyPrice);
+        return {
+          ...base,
+          ...h,
+          sector: h.sector || base.sector,
+          stockCapType: h.stockCapType || base.stockCapType,
+          status: h.status || base.status || 'Hold',
+          investmentValueAtBuy: investment,
+          minimumInvestmentValueStock: Math.max(1, base.minimumInvestmentValueStock || investment),
+          lastUpdated: new Date()
+        };
+      });
+
+      portfolio.holdings = [...rebuilt, ...inactive];
+      portfolio.cashBalance = replay.cashBalance;
+      await portfolio.save({ session });
+    });
+  } finally {
+    session.endSession();
+  }
+
+  logger.warn(`Rebuilt ${portfolio.name} from ledger`, {
+    portfolioId: portfolio._id.toString(),
+    lastSequence: replay.lastSequence,
+    cashBefore: before.cashBalance,
+    cashAfter: replay.cashBalance,
+    holdingsBefore: before.holdings.length,
+    holdingsAfter: replay.holdings.length,
+    rebuiltBy: (user && user.email) || 'Unknown'
+  });
+
+  return {
+    portfolioId: portfolio._id,
+    portfolioName: portfolio.name,
+    lastSequence: replay.lastSequence,
+    before,
+    after: { cashBalance: replay.cashBalance, holdings: replay.holdings },
+    anomalies: replay.anomalies
+  };
+};
+
+/**
+ * Paginated ledger entries, newest first
+ */
+exports.getLedgerEntries = async (portfolioId, options = {}) => {
+  const query = { portfolio: portfolioId };
+  if (options.symbol) query.symbol = options.symbol.toUpperCase();
+  if (options.type) query.type = options.type;
+
+  const limit = Math.min(parseInt(options.limit) || 50, 500);
+  const page = Math.max(parseInt(options.page) || 1, 1);
+
+  const [entries, total] = await Promise.all([
+    TradeLedger.find(query).sort({ sequence: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+    TradeLedger.countDocuments(query)
+  ]);
+
+  return { entries, total, page, limit, pages: Math.ceil(total / limit) };
+};
@@ -0,0 +1,343 @@
+/**
+ * Webhook Event Service
+ * Stores every Razorpay webhook delivery and processes it asynchronously.
+ *
+ * A delivery is saved before Razorpay gets its response. Events are deduped
+ * by Razorpay's event id, so redelivered events are acknowledged without
+ * running the handlers again. Handlers that throw are retried from the store
+ * with backoff by the retry scheduler, and admins can replay any stored
+ * event. Handlers live in the subscription controller and may return
+ * `{ ignored, reason }` or `{ retryAt, reason }` instead of a plain result.
+ */
+const cron = require('node-cron');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const winston = require('winston');
+const WebhookEvent = require('../models/WebhookEvent');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp({ format: "YYYY-MM-DD HH:mm:ss" }),
+    winston.format.errors({ stack: true }),
+    winston.format.splat(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({
+      filename: "logs/webhook-events.log",
+      maxsize: 5 * 1024 * 1024,
+      maxFiles: 7
+    })
+  ]
+});
+
+const MAX_ATTEMPTS = 6;
+const HISTORY_LIMIT = 20;
+// Give the checkout a moment to finish before acting on the event
+const PROCESS_DELAY_MS = 2000;
+// Events stuck in processing this long were interrupted by a restart
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+const RETRY_BATCH_SIZE = 50;
+
+const webhookHandlers = () => require('../controllers/subscriptionController').razorpayWebhookHandlers;
+
+function webhookError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// 1, 2, 4, 8... minutes, capped at an hour
+const retryDelayMs = (attempts) => Math.min(Math.pow(2, attempts - 1), 60) * 60 * 1000;
+
+/**
+ * Check the signature against RAZORPAY_WEBHOOK_SECRET. Without a secret
+ * nothing can be verified, so every delivery fails.
+ */
+function verifySignature(rawBody, signature) {
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!secret) {
+    logger.error('RAZORPAY_WEBHOOK_SECRET is not set; rejecting webhook');
+    return false;
+  }
+  if (!signature) return false;
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  return expected.length === signature.length
+    && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+}
+
+function entityIdOf(payload = {}) {
+  return payload.refund?.entity?.id
+    || payload.payment?.entity?.id
+    || payload.subscription?.entity?.id
+    || payload.order?.entity?.id;
+}
+
+/**
+ * Save a delivery. Returns `{ event, duplicate }`; a rejected event failed
+ * the signature check and must not be processed.
+ */
+async function recordRazorpayEvent(req) {
+  const body = req.body || {};
+  const rawBody = req.rawBody || JSON.stringify(body);
+  if (!body.event) {
+    throw webhookError('Webhook has no event type');
+  }
+
+  const signatureValid = verifySignature(rawBody, req.headers['x-razorpay-signature']);
+  const eventId = req.headers['x-razorpay-event-id']
+    || crypto.createHash('sha256').update(rawBody).digest('hex');
+  const accepted = signatureValid;
+
+  const fields = {
+    eventId,
+    event: body.event,
+    entityId: entityIdOf(body.payload),
+    payload: body,
+    signatureValid,
+    status: accepted ? 'received' : 'rejected',
+    note: accepted ? undefined : (process.env.RAZORPAY_WEBHOOK_SECRET ? 'Invalid signature' : 'Webhook secret not configured'),
+    nextAttemptAt: accepted ? new Date(Date.now() + PROCESS_DELAY_MS) : undefined
+  };
+  if (accepted) fields.dedupeKey = eventId;
+
+  try {
+    const event = await WebhookEvent.create(fields);
+    logger.info(`Webhook received: ${event.event}`, { eventId, status: event.status, entityId: event.entityId });
+    return { event, duplicate: false };
+  } catch (error) {
+    if (error.code === 11000) {
+      const event = await WebhookEvent.findOne({ dedupeKey: eventId }).select('-payload');
+      logger.info(`Duplicate webhook delivery: ${body.event}`, { eventId, status: event && event.status });
+      return { event, duplicate: true };
+    }
+    throw error;
+  }
+}
+
+async function finishAttempt(event, startedAt, update, historyEntry) {
+  const { $set = {}, $unset } = update;
+  return WebhookEvent.findByIdAndUpdate(event._id, {
+    $set,
+    ...($unset && { $unset }),
+    $push: {
+      history: {
+        $each: [{ attempt: event.attempts, startedAt, finishedAt: new Date(), ...historyEntry }],
+        $slice: -HISTORY_LIMIT
+      }
+    }
+  }, { new: true });
+}
+
+/**
+ * Run the handler for a stored event. Only events waiting to be processed
+ * are claimed, so concurrent calls process an event once.
+ */
+async function processEvent(eventId, { replay = false } = {}) {
+  const startedAt = new Date();
+  const event = await WebhookEvent.findOneAndUpdate(
+    { _id: eventId, status: { $in: ['received', 'failed'] } },
+    { $set: { status: 'processing', processingStartedAt: startedAt }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!event) return null;
+
+  const handler = webhookHandlers()[event.event];
+  if (!handler) {
+    return finishAttempt(event, startedAt, {
+      $set: { status: 'ignored', note: `No handler for ${event.event}`, processedAt: new Date() },
+      $unset: { nextAttemptAt: 1, lastError: 1 }
+    }, { outcome: 'ignored', replay });
+  }
+
+  try {
+    const result = await handler(event.payload.payload || {}) || {};
+
+    if (result.retryAt) {
+      logger.info(`Webhook deferred: ${event.event}`, { eventId: event.eventId, retryAt: result.retryAt, reason: result.reason });
+      return finishAttempt(event, startedAt, {
+        $set: { status: 'received', nextAttemptAt: result.retryAt, note: result.reason },
+        $unset: { lastError: 1 }
+      }, { outcome: 'deferred', replay });
+    }
+
+    const status = result.ignored ? 'ignored' : 'processed';
+    logger.info(`Webhook ${status}: ${event.event}`, { eventId: event.eventId, attempt: event.attempts, reason: result.reason });
+    return finishAttempt(event, startedAt, {
+      $set: { status, note: result.reason, processedAt: new Date() },
+      $unset: { nextAttemptAt: 1, lastError: 1 }
+    }, { outcome: status, replay });
+  } catch (error) {
+    const giveUp = event.attempts >= MAX_ATTEMPTS;
+    logger.error(`Webhook failed: ${event.event}`, {
+      eventId: event.eventId,
+      attempt: event.attempts,
+      giveUp,
+      error: error.message,
+      stack: error.stack
+    });
+    return finishAttempt(event, startedAt, {
+      $set: {
+        status: 'failed',
+        lastError: error.message,
+        // Left for an admin replay once the retries run out
+        nextAttemptAt: giveUp ? null : new Date(Date.now() + retryDelayMs(event.attempts))
+      }
+    }, { outcome: 'failed', error: error.message, replay });
+  }
+}
+
+/**
+ * Process a newly recorded event in the background
+ */
+function processEventSoon(eventId) {
+  setTimeout(() => {
+    processEvent(eventId).catch(error => {
+      logger.error('Webhook processing crashed', { eventId: eventId.toString(), error: error.message });
+    });
+  }, PROCESS_DELAY_MS);
+}
+
+/**
+ * Pick up failed events due for a retry, events deferred by their handler
+ * and events left unprocessed or interrupted by a restart
+ */
+async function retryDueEvents() {
+  const now = new Date();
+
+  const stale = await WebhookEvent.updateMany(
+    { status: 'processing', processingStartedAt: { $lt: new Date(now.getTime() - STALE_PROCESSING_MS) } },
+    { $set: { status: 'failed', lastError: 'Processing was interrupted', nextAttemptAt: now } }
+  );
+  if (stale.modifiedCount) {
+    logger.warn('Reset interrupted webhook events', { count: stale.modifiedCount });
+  }
+
+  const due = await WebhookEvent.find({
+    status: { $in: ['received', 'failed'] },
+    nextAttemptAt: { $ne: null, $lte: now }
+  })
+    .select('_id')
+    .sort({ nextAttemptAt: 1 })
+    .limit(RETRY_BATCH_SIZE)
+    .lean();
+
+  let processed = 0;
+  for (const { _id } of due) {
+    if (await processEvent(_id)) processed++;
+  }
+  return { due: due.length, processed };
+}
+
+/**
+ * Run a stored event again. Handlers are idempotent, but events that were
+ * already processed are only replayed with `force`.
+ */
+async function replayEvent(eventId, { force = false, adminId } = {}) {
+  if (!mongoose.Types.ObjectId.isValid(eventId)) {
+    throw webhookError('Invalid webhook event id');
+  }
+  const event = await WebhookEvent.findById(eventId).select('status');
+  if (!event) {
+    throw webhookError('Webhook event not found', 404);
+  }
+  if (event.status === 'rejected') {
+    throw webhookError('Events that failed the signature check cannot be replayed', 409);
+  }
+  if (event.status === 'processing') {
+    throw webhookError('Event is being processed', 409);
+  }
+  if (['processed', 'ignored'].includes(event.status) && !force) {
+    throw webhookError(`Event was already ${event.status}; pass force to run it again`, 409);
+  }
+
+  const reset = await WebhookEvent.findOneAndUpdate(
+    { _id: eventId, status: event.status },
+    {
+      $set: { status: 'received', nextAttemptAt: new Date(), lastReplayedAt: new Date(), lastReplayedBy: adminId },
+      $inc: { replayCount: 1 }
+    }
+  );
+  if (!reset) {
+    throw webhookError('Event changed while replaying; try again', 409);
+  }
+
+  logger.info('Replaying webhook event', { eventId: eventId.toString(), previousStatus: event.status, adminId: adminId && adminId.toString() });
+  return (await processEvent(eventId, { replay: true })) || WebhookEvent.findById(eventId);
+}
+
+async function listEvents(filters = {}) {
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 20, 1), 100);
+
+  const query = {};
+  if (filters.status) {
+    if (!WebhookEvent.WEBHOOK_STATUSES.includes(filters.status)) {
+      throw webhookError(`Invalid status. Use one of: ${WebhookEvent.WEBHOOK_STATUSES.join(', ')}`);
+    }
+    query.status = filters.status;
+  }
+  if (filters.event) query.event = filters.event;
+  if (filters.entityId) query.entityId = filters.entityId;
+  if (filters.eventId) query.eventId = filters.eventId;
+  if (filters.from || filters.to) {
+    query.receivedAt = {};
+    if (filters.from) query.receivedAt.$gte = new Date(filters.from);
+    if (filters.to) query.receivedAt.$lte = new Date(filters.to);
+    if (Object.values(query.receivedAt).some(date => isNaN(date))) {
+      throw webhookError('from and to must be dates');
+    }
+  }
+
+  const [events, total] = await Promise.all([
+    WebhookEvent.find(query)
+      .select('-payload -history')
+      .sort({ receivedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    WebhookEvent.countDocuments(query)
+  ]);
+  return { events, total, page, limit };
+}
+
+async function getEvent(eventId) {
+  if (!mongoose.Types.ObjectId.isValid(eventId)) {
+    throw webhookError('Invalid webhook event id');
+  }
+  const event = await WebhookEvent.findById(eventId).lean();
+  if (!event) {
+    throw webhookError('Webhook event not found', 404);
+  }
+  return event;
+}
+
+function startWebhookRetryScheduler() {
+  const task = cron.schedule('* * * * *', async () => {
+    try {
+      await retryDueEvents();
+    } catch (error) {
+      logger.error('Webhook retry cron failed', { error: error.message });
+    }
+  }, {
+    scheduled: true,
+    timezone: 'Asia/Kolkata'
+  });
+  logger.info('Webhook retry scheduler started');
+  return task;
+}
+
+module.exports = {
+  recordRazorpayEvent,
+  processEvent,
+  processEventSoon,
+  retryDueEvents,
+  replayEvent,
+  listEvents,
+  getEvent,
+  startWebhookRetryScheduler
+};
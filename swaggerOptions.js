@@ -291,6 +291,70 @@ const options = {
       {
         name: 'Stock Symbols',
         description: 'Endpoints for managing stock symbols and their prices'
+      },
+      {
+        name: 'Trading Calendar',
+        description: 'NSE/BSE holidays and Muhurat sessions consulted by the price and valuation jobs'
+      },
+      {
+        name: 'Corporate Actions',
+        description: 'Stock splits, bonus issues and dividends applied to portfolio holdings'
+      },
+      {
+        name: 'Rebalancing',
+        description: 'Target-weight rebalance proposals reviewed by an admin before trades are applied'
+      },
+      {
+        name: 'Trade Ledger',
+        description: 'Append-only record of portfolio trades and adjustments, with replay and verification'
+      },
+      {
+        name: 'Email Queue',
+        description: 'Persistent outgoing email queue: inspect, retry and purge failed emails'
+      },
+      {
+        name: 'Email Templates',
+        description: 'Admin-editable, versioned EJS templates for transactional emails'
+      },
+      {
+        name: 'Campaigns',
+        description: 'Segmented broadcast emails to subscribers with scheduling and delivery tracking'
+      },
+      {
+        name: 'Email Preferences',
+        description: 'Unsubscribe links and preference center for non-transactional email'
+      },
+      {
+        name: 'Notification Preferences',
+        description: 'Per-event choice of email, Telegram, in-app and SMS notifications'
+      },
+      {
+        name: 'Notifications',
+        description: 'In-app notification inbox with unread counts and a live event stream'
+      },
+      {
+        name: 'Billing',
+        description: 'GST invoices and credit notes issued against them'
+      },
+      {
+        name: 'Refunds',
+        description: 'Razorpay refunds and what they cancel and credit'
+      },
+      {
+        name: 'Webhooks',
+        description: 'Stored Razorpay webhook deliveries and their replay'
+      },
+      {
+        name: 'Reconciliation',
+        description: 'Razorpay payment and settlement reconciliation with mismatch remediation'
+      },
+      {
+        name: 'Market Stream',
+        description: 'Live stock prices and portfolio valuations pushed after each price update'
+      },
+      {
+        name: 'Alerts',
+        description: 'User price, tip and portfolio alerts delivered on the channels the user chose'
       }
     ]
   },
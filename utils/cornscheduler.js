@@ -7,8 +7,9 @@ const config = require('../config/config'); // Make sure this is properly config
 
 // Import models
 const StockSymbol = require('../models/stockSymbol');
-const { getFmpApiKeys } = require('./configSettings');
-const axios = require('axios');
+const PriceBar = require('../models/PriceBar');
+const tradingCalendar = require('./tradingCalendar');
+const marketStreamService = require('../services/marketStreamService');
 const winston = require('winston');
 
 // Configure logging
@@ -73,109 +74,27 @@ class CronLogger {
   }
 }
 
-// TradingView service class
-const { TradingViewAPI } = require("tradingview-scraper");
+// Market data providers (TradingView, FMP, local file) with failover
+const { MarketDataService } = require('../services/marketDataService');
 
-class TradingViewService {
-  constructor() {
-    this.client = null;
-    this.batchSize = 50;
-    this.batchDelay = 1500;
-    this.maxRetries = 3;
-    this.retryDelay = 2000;
-  }
+// Fold fetched prices into OHLCV bars; bar failures never fail a price update
+async function recordPriceBars(batchResults, intervals) {
+  const samples = batchResults
+    .filter(result => result && result.price)
+    .map(({ stock, price, volume }) => ({ stockId: stock._id, price, volume }));
 
-  async initialize() {
-    try {
-      if (!this.client) {
-        CronLogger.info('Initializing TradingView client...');
-        this.client = new TradingViewAPI();
-        await this.client.setup();
-        CronLogger.success('TradingView client initialized successfully');
-      }
-      return this;
-    } catch (error) {
-      CronLogger.error('Failed to initialize TradingView client', error);
-      this.client = null;
-      throw error;
-    }
-  }
+  if (!samples.length) return;
 
-  async fetchPriceWithRetry(stock) {
-    const symbolKey = `${stock.exchange}:${stock.symbol}`;
-    let retries = 0;
-    
-    while (retries < this.maxRetries) {
-      try {
-        // Ensure client is initialized before each request in cron context
-        if (!this.client) {
-          CronLogger.info(`Reinitializing TradingView client for ${symbolKey}`);
-          await this.initialize();
-        }
-        
-        const ticker = await this.client.getTicker(symbolKey);
-        
-        // Add safety check for ticker and fetch method
-        if (!ticker) {
-          throw new Error(`No ticker returned for ${symbolKey}`);
-        }
-        
-        if (typeof ticker.fetch !== 'function') {
-          throw new Error(`ticker.fetch is not a function for ${symbolKey}`);
-        }
-        
-        const data = await ticker.fetch();
-        if (data && data.lp) {
-          return {
-            price: data.lp.toString(),
-            error: null
-          };
-        } else {
-          throw new Error(`No price data (lp) found for ${symbolKey}`);
-        }
-      } catch (error) {
-        CronLogger.error(`Attempt ${retries + 1} failed for ${symbolKey}: ${error.message}`);
-        
-        if (retries === this.maxRetries - 1) {
-          return {
-            price: null,
-            error: error.message || 'API error'
-          };
-        }
-      }
-      
-      retries++;
-      await new Promise(r => setTimeout(r, this.retryDelay));
-    }
-    
-    return {
-      price: null,
-      error: 'Max retries reached'
-    };
-  }
-
-  async fetchBatchPrices(symbols) {
-    const results = [];
-    
-    for (const stock of symbols) {
-      const { price, error } = await this.fetchPriceWithRetry(stock);
-      results.push({
-        stock,
-        price,
-        error
-      });
-    }
-    return results;
-  }
-
-  cleanup() {
-    this.client = null;
+  try {
+    await PriceBar.recordSamples(samples, new Date(), intervals);
+  } catch (error) {
+    CronLogger.error('Failed to record price bars', error);
   }
 }
 
 class PriceUpdater {
   constructor() {
-    this.tvService = new TradingViewService();
+    this.marketData = new MarketDataService();
   }
 
   async executeUpdate(updateType = 'regular') {
@@ -188,10 +107,8 @@ class PriceUpdater {
         throw new Error('Database not connected');
       }
 
-      // Reinitialize TradingView service for each cron run
-      CronLogger.info('Reinitializing TradingView service for cron execution...');
-      this.tvService = new TradingViewService();
-      await this.tvService.initialize();
+      // Fresh provider clients for each cron run
+      this.marketData = new MarketDataService();
       
       const stocks = await StockSymbol.find({ isActive: true }, '_id symbol exchange currentPrice todayClosingPrice');
       
@@ -208,18 +125,19 @@ class PriceUpdater {
 
       CronLogger.info(`Found ${stocks.length} stocks to update (${updateType})`);
       
-      const batchCount = Math.ceil(stocks.length / this.tvService.batchSize);
+      const batchCount = Math.ceil(stocks.length / this.marketData.batchSize);
       let updatedCount = 0;
       const failedUpdates = [];
 
       for (let i = 0; i < batchCount; i++) {
-        const startIdx = i * this.tvService.batchSize;
-        const endIdx = Math.min(startIdx + this.tvService.batchSize, stocks.length);
+        const startIdx = i * this.marketData.batchSize;
+        const endIdx = Math.min(startIdx + this.marketData.batchSize, stocks.length);
         const batch = stocks.slice(startIdx, endIdx);
 
         CronLogger.info(`Processing batch ${i+1}/${batchCount} with ${batch.length} stocks`);
         
-        const batchResults = await this.tvService.fetchBatchPrices(batch);
+        const batchResults = await this.marketData.fetchBatchPrices(batch);
+        const changedPrices = [];
         
         for (const result of batchResults) {
           const { stock, price, error } = result;
@@ -235,6 +153,13 @@ class PriceUpdater {
             if (price !== stock.currentPrice) {
               update.$set.currentPrice = price;
               update.$set.previousPrice = stock.currentPrice;
+              changedPrices.push({
+                symbol: stock.symbol,
+                exchange: stock.exchange,
+                currentPrice: price,
+                previousPrice: stock.currentPrice,
+                todayClosingPrice: updateType === 'closing' ? price : stock.todayClosingPrice
+              });
               CronLogger.info(`Price changed for ${stock.symbol}: ${stock.currentPrice} → ${price}`);
             }
 
@@ -243,6 +168,11 @@ class PriceUpdater {
               update.$set.todayClosingPrice = price;
               CronLogger.info(`Setting todayClosingPrice for ${stock.symbol}: ${price}`);
             }
+
+            // Seed todayClosingPrice for stocks that have never had one
+            if (updateType !== 'closing' && !stock.todayClosingPrice) {
+              update.$set.todayClosingPrice = price;
+            }
             
             // Only push update if we have something to change
             if (Object.keys(update.$set).length > 1) { // More than just lastUpdated
@@ -270,8 +200,12 @@ class PriceUpdater {
           updateQueue = [];
         }
 
+        marketStreamService.publishPrices(changedPrices, updateType);
+
+        await recordPriceBars(batchResults);
+
         if (i < batchCount - 1) {
-          await new Promise(r => setTimeout(r, this.tvService.batchDelay));
+          await new Promise(r => setTimeout(r, this.marketData.batchDelay));
         }
       }
 
@@ -282,7 +216,8 @@ class PriceUpdater {
         failed: failedUpdates,
         message: `Processed ${stocks.length} symbols (${updatedCount} updated)`,
         updateType,
-        duration: Date.now() - start
+        duration: Date.now() - start,
+        providers: this.marketData.getStats().providers
       };
 
       // Log results and send email if needed
@@ -331,7 +266,7 @@ class PriceUpdater {
         duration: Date.now() - start
       };
     } finally {
-      this.tvService.cleanup();
+      this.marketData.cleanup();
     }
   }
 }
@@ -350,9 +285,7 @@ async function updateClosingPrices() {
       throw new Error('Database connection not ready');
     }
 
-    const tvService = new TradingViewService();
-    await tvService.initialize();
-    CronLogger.info('TradingView service initialized for closing price update');
+    const marketData = new MarketDataService();
 
     // Get ALL active stocks for daily closing price update (no filtering by date)
     const allActiveStocks = await StockSymbol.find({
@@ -361,7 +294,7 @@ async function updateClosingPrices() {
 
     if (!allActiveStocks.length) {
       CronLogger.info('No active stocks found for closing price update.');
-      tvService.cleanup();
+      marketData.cleanup();
       return {
         success: true,
         message: 'No active stocks found.',
@@ -376,17 +309,21 @@ async function updateClosingPrices() {
     let updatedCount = 0;
     const failedUpdates = [];
     const updateQueue = [];
+    const closingPrices = [];
 
-    const batchCount = Math.ceil(allActiveStocks.length / tvService.batchSize);
+    const batchCount = Math.ceil(allActiveStocks.length / marketData.batchSize);
 
     for (let i = 0; i < batchCount; i++) {
-        const startIdx = i * tvService.batchSize;
-        const endIdx = Math.min(startIdx + tvService.batchSize, allActiveStocks.length);
+        const startIdx = i * marketData.batchSize;
+        const endIdx = Math.min(startIdx + marketData.batchSize, allActiveStocks.length);
         const batch = allActiveStocks.slice(startIdx, endIdx);
 
         CronLogger.info(`Processing batch ${i+1}/${batchCount} with ${batch.length} stocks`);
         
-        const batchResults = await tvService.fetchBatchPrices(batch);
+        const batchResults = await marketData.fetchBatchPrices(batch);
+
+        // Closing price becomes the close of today's daily bar
+        await recordPriceBars(batchResults, ['1d']);
 
         for (const result of batchResults) {
             const { stock, price, error } = result;
@@ -404,6 +341,12 @@ async function updateClosingPrices() {
                         }
                     }
                 });
+                closingPrices.push({
+                    symbol: stock.symbol,
+                    exchange: stock.exchange,
+                    currentPrice: stock.currentPrice,
+                    todayClosingPrice: price
+                });
                 updatedCount++;
             } else {
                 CronLogger.error(`Failed to fetch closing price for ${stock.symbol}: ${error}`);
@@ -416,13 +359,14 @@ async function updateClosingPrices() {
         }
         
         if (i < batchCount - 1) {
-            await new Promise(r => setTimeout(r, tvService.batchDelay));
+            await new Promise(r => setTimeout(r, marketData.batchDelay));
         }
     }
 
     if (updateQueue.length > 0) {
         CronLogger.info(`Writing ${updateQueue.length} closing price updates to database...`);
         await StockSymbol.bulkWrite(updateQueue);
+        marketStreamService.publishPrices(closingPrices, 'closing');
     }
 
     const result = {
@@ -431,7 +375,8 @@ async function updateClosingPrices() {
         updatedCount,
         failed: failedUpdates,
         message: `Processed ${allActiveStocks.length} symbols (${updatedCount} updated)`,
-        duration: Date.now() - start
+        duration: Date.now() - start,
+        providers: marketData.getStats().providers
     };
     
     CronLogger.success(`✅ ${jobName} update completed: ${result.message} (${result.duration}ms)`);
@@ -440,7 +385,9 @@ async function updateClosingPrices() {
         CronLogger.error(`${jobName} update had ${failedUpdates.length} failures`);
     }
 
-    tvService.cleanup();
+    marketData.cleanup();
+    await runTipLifecycle(jobName);
+    await runValuationStream(jobName, 'closing');
     return result;
 
   } catch (error) {
@@ -454,6 +401,36 @@ async function updateClosingPrices() {
   }
 }
 
+// Move tips through their lifecycle (target / stop-loss / add-more) on fresh prices
+async function runTipLifecycle(jobName) {
+  const tipPerformanceService = require('../services/tipPerformanceService');
+  try {
+    const summary = await tipPerformanceService.trackTips();
+    CronLogger.info(`✅ ${jobName} tips tracked: ${summary.evaluated} evaluated, ${summary.autoClosed} auto-closed, ${summary.addMoreHits.length} add-more level(s) reached`);
+  } catch (error) {
+    CronLogger.error(`❌ ${jobName} tip lifecycle update failed`, error);
+  }
+}
+
+// Deliver user alerts (price, tip target, portfolio value) on fresh prices
+async function runPriceAlerts(jobName) {
+  const priceAlertService = require('../services/priceAlertService');
+  try {
+    const summary = await priceAlertService.evaluateAlerts();
+    CronLogger.info(`✅ ${jobName} alerts evaluated: ${summary.checked} checked, ${summary.triggered} triggered, ${summary.paused} paused`);
+  } catch (error) {
+    CronLogger.error(`❌ ${jobName} alert evaluation failed`, error);
+  }
+}
+
+// Push recalculated portfolio values to open market streams
+async function runValuationStream(jobName, source) {
+  const published = await marketStreamService.publishPortfolioValuations(source);
+  if (published) {
+    CronLogger.info(`✅ ${jobName} valuations streamed for ${published} portfolio(s)`);
+  }
+}
+
 // Cron job wrapper with error handling and logging
 async function runPriceUpdate(jobName, updateType = 'regular') {
   CronLogger.info(`🚀 Starting ${jobName} stock price update (${updateType})`);
@@ -478,6 +455,10 @@ async function runPriceUpdate(jobName, updateType = 'regular') {
           CronLogger.error(`  - ${failure.symbol} (${failure.exchange}): ${failure.error}`);
         });
       }
+
+      await runTipLifecycle(jobName);
+      await runPriceAlerts(jobName);
+      await runValuationStream(jobName, updateType);
       
     } else {
       CronLogger.error(`❌ ${jobName} update failed: ${result.message}`, { message: result.error });
@@ -488,6 +469,55 @@ async function runPriceUpdate(jobName, updateType = 'regular') {
   }
 }
 
+// afterClose jobs waiting for a session that closes after their cron time, by job name
+const deferredJobs = new Map();
+
+/**
+ * Run a scheduled job only when the trading calendar allows it.
+ * phase 'day'        - any day with a session (weekends/holidays skipped)
+ * phase 'session'    - only while the market is in session
+ * phase 'afterClose' - only once today's session has closed; when the cron fires
+ *                      before a late session (e.g. Muhurat) closes, the job runs
+ *                      minutesAfterClose after the close instead
+ * Calendar lookup failures fall back to running the job.
+ */
+async function runOnTradingCalendar(jobName, task, phase = 'day', { minutesAfterClose = 30 } = {}) {
+  try {
+    const now = new Date();
+    const session = await tradingCalendar.getSession(now);
+
+    if (!session) {
+      CronLogger.info(`⏭️ Skipping ${jobName}: ${tradingCalendar.toDateKey(now)} is not a trading day`);
+      return;
+    }
+    if (phase === 'session' && (now < session.open || now > session.close)) {
+      CronLogger.info(`⏭️ Skipping ${jobName}: market closed (${session.type} session ${session.open.toISOString()} - ${session.close.toISOString()})`);
+      return;
+    }
+    if (phase === 'afterClose' && now < session.close) {
+      if (deferredJobs.has(jobName)) {
+        CronLogger.info(`⏭️ Skipping ${jobName}: already deferred until after the ${session.type} session`);
+        return;
+      }
+      const runAt = new Date(session.close.getTime() + minutesAfterClose * 60 * 1000);
+      CronLogger.info(`⏳ Deferring ${jobName}: ${session.type} session closes at ${session.close.toISOString()}, running at ${runAt.toISOString()}`);
+      deferredJobs.set(jobName, setTimeout(async () => {
+        deferredJobs.delete(jobName);
+        try {
+          await task();
+        } catch (error) {
+          CronLogger.error(`❌ Deferred ${jobName} failed`, error);
+        }
+      }, runAt.getTime() - now.getTime()));
+      return;
+    }
+  } catch (error) {
+    CronLogger.error(`Trading calendar check failed for ${jobName}, running anyway`, error);
+  }
+
+  await task();
+}
+
 // Cron Jobs Configuration
 class CronScheduler {
   constructor() {
@@ -500,7 +530,7 @@ class CronScheduler {
     try {
       // Morning update - 8:00 AM IST
       const morningJob = cron.schedule('30 2 * * *', () => {
-        runPriceUpdate('Morning', 'regular');
+        runOnTradingCalendar('Morning Update', () => runPriceUpdate('Morning', 'regular'), 'day');
       }, {
         scheduled: false,
         timezone: "Asia/Kolkata"
@@ -508,15 +538,17 @@ class CronScheduler {
 
       // Hourly job for regular updates + portfolio value sync
       const hourlyJob = cron.schedule('0 * * * *', async () => {
-        await runPriceUpdate('Hourly', 'regular');
-        // Update portfolio values after price updates
-        const portfolioService = require('../services/portfolioservice');
-        try {
-          await portfolioService.updateAllPortfolioValues();
-          CronLogger.info('✅ Portfolio values synced with current prices');
-        } catch (err) {
-          CronLogger.error('❌ Portfolio value sync failed', err);
-        }
+        await runOnTradingCalendar('Hourly Update', async () => {
+          await runPriceUpdate('Hourly', 'regular');
+          // Update portfolio values after price updates
+          const portfolioService = require('../services/portfolioservice');
+          try {
+            await portfolioService.updateAllPortfolioValues();
+            CronLogger.info('✅ Portfolio values synced with current prices');
+          } catch (err) {
+            CronLogger.error('❌ Portfolio value sync failed', err);
+          }
+        }, 'session');
       }, {
         scheduled: false,
         timezone: "Asia/Kolkata"
@@ -524,7 +556,7 @@ class CronScheduler {
 
       // Afternoon update - 2:00 PM IST
       const afternoonJob = cron.schedule('0 14 * * *', () => {
-        runPriceUpdate('Afternoon', 'regular');
+        runOnTradingCalendar('Afternoon Update', () => runPriceUpdate('Afternoon', 'regular'), 'session');
       }, {
         scheduled: false,
         timezone: "Asia/Kolkata"
@@ -532,7 +564,7 @@ class CronScheduler {
 
       // Closing price update only - 4:00 PM IST (after market close)
       const closingJob = cron.schedule('0 16 * * *', async () => {
-        await updateClosingPrices();
+        await runOnTradingCalendar('Closing Price Update', updateClosingPrices, 'afterClose', { minutesAfterClose: 30 });
       }, {
         scheduled: false,
         timezone: "Asia/Kolkata"
@@ -540,16 +572,44 @@ class CronScheduler {
 
       // Portfolio valuation with closing prices - 5:00 PM IST (1 hour after closing prices start)
       const portfolioValuationJob = cron.schedule('0 17 * * *', async () => {
-        const portfolioService = require('../services/portfolioservice');
-        CronLogger.info('🧮 Starting portfolio valuation with closing prices at 5:00 PM IST');
-        try {
-          const results = await portfolioService.logAllPortfoliosDaily(true);
-          const successCount = results.filter(r => r.status === 'success').length;
-          const failedCount = results.filter(r => r.status === 'failed').length;
-          CronLogger.success(`✅ Portfolio valuation completed: ${successCount} successful, ${failedCount} failed`);
-        } catch (error) {
-          CronLogger.error('❌ Portfolio valuation failed', error);
-        }
+        await runOnTradingCalendar('Portfolio Valuation', async () => {
+          const portfolioService = require('../services/portfolioservice');
+          CronLogger.info('🧮 Starting portfolio valuation with closing prices at 5:00 PM IST');
+          try {
+            const results = await portfolioService.logAllPortfoliosDaily(true);
+            const successCount = results.filter(r => r.status === 'success').length;
+            const failedCount = results.filter(r => r.status === 'failed').length;
+            CronLogger.success(`✅ Portfolio valuation completed: ${successCount} successful, ${failedCount} failed`);
+          } catch (error) {
+            CronLogger.error('❌ Portfolio valuation failed', error);
+          }
+
+          // Recompute return/risk metrics from the updated PriceLog series
+          try {
+            const portfolioPerformanceService = require('../services/portfolioPerformanceService');
+            const metricsResults = await portfolioPerformanceService.refreshAllPortfolioPerformance();
+            const metricsFailed = metricsResults.filter(r => r.status === 'failed').length;
+            CronLogger.success(`✅ Performance metrics refreshed: ${metricsResults.length - metricsFailed} successful, ${metricsFailed} failed`);
+          } catch (error) {
+            CronLogger.error('❌ Performance metrics refresh failed', error);
+          }
+        }, 'afterClose', { minutesAfterClose: 90 });
+      }, {
+        scheduled: false,
+        timezone: "Asia/Kolkata"
+      });
+
+      // Apply splits/bonuses/dividends whose ex-date has arrived - 9:00 AM IST (before market open)
+      const corporateActionsJob = cron.schedule('0 9 * * *', async () => {
+        await runOnTradingCalendar('Corporate Actions', async () => {
+          const corporateActionService = require('../services/corporateActionService');
+          try {
+            const summary = await corporateActionService.processDueCorporateActions();
+            CronLogger.success(`✅ Corporate actions processed: ${summary.length} action(s)`);
+          } catch (error) {
+            CronLogger.error('❌ Corporate actions processing failed', error);
+          }
+        }, 'day');
       }, {
         scheduled: false,
         timezone: "Asia/Kolkata"
@@ -560,10 +620,11 @@ class CronScheduler {
         { name: 'Morning Update', job: morningJob, type: 'morning' },
         { name: 'Afternoon Update', job: afternoonJob, type: 'afternoon' },
         { name: 'Closing Price Update', job: closingJob, type: 'closing' },
-        { name: 'Portfolio Valuation', job: portfolioValuationJob, type: 'valuation' }
+        { name: 'Portfolio Valuation', job: portfolioValuationJob, type: 'valuation' },
+        { name: 'Corporate Actions', job: corporateActionsJob, type: 'corporate-actions' }
       ];
 
-      CronLogger.info('📅 Cron scheduler initialized with 5 jobs');
+      CronLogger.info(`📅 Cron scheduler initialized with ${this.jobs.length} jobs`);
     } catch (error) {
       CronLogger.error('Failed to initialize cron scheduler', error);
       throw error; // Re-throw to allow caller to handle
@@ -613,6 +674,9 @@ class CronScheduler {
         job.stop();
       }
       this.scheduledJobs = {};
+
+      deferredJobs.forEach(timer => clearTimeout(timer));
+      deferredJobs.clear();
     } catch (error) {
       CronLogger.error('Failed to stop cron jobs', error);
     }
@@ -629,7 +693,7 @@ class CronScheduler {
 
     // Schedule new job
     const job = cron.schedule('45 15 * * *', async () => {
-      await updateClosingPrices();
+      await runOnTradingCalendar(jobName, updateClosingPrices, 'afterClose', { minutesAfterClose: 15 });
     }, {
       timezone: 'Asia/Kolkata',
       scheduled: true
@@ -650,7 +714,7 @@ class CronScheduler {
 
     // Schedule new job
     const job = cron.schedule('*/5 * * * *', async () => {
-      await runPriceUpdate(jobName, 'regular');
+      await runOnTradingCalendar(jobName, () => runPriceUpdate(jobName, 'regular'), 'session');
     }, {
       timezone: 'Asia/Kolkata',
       scheduled: true
@@ -680,7 +744,17 @@ class CronScheduler {
     return status;
   }
 
-  // Manual trigger for testing
+  // Market state according to the trading calendar
+  async getMarketStatus() {
+    const now = new Date();
+    return {
+      isTradingDay: await tradingCalendar.isTradingDay(now),
+      marketOpen: await tradingCalendar.isMarketOpen(now),
+      nextTradingSession: await tradingCalendar.getNextTradingSession(now)
+    };
+  }
+
+  // Manual trigger for testing (bypasses the trading calendar)
   async triggerManualUpdate(updateType = 'regular') {
     CronLogger.info(`🔧 Manual ${updateType} update triggered`);
     if (updateType === 'closing') {
@@ -765,5 +839,6 @@ module.exports = {
   PriceUpdater,
   runPriceUpdate,
   updateClosingPrices,
-  runClosingSequence
+  runClosingSequence,
+  runOnTradingCalendar
 };
\ No newline at end of file
@@ -0,0 +1,68 @@
+/**
+ * GST calculation for invoices and credit notes.
+ *
+ * Intra-state supplies (customer in the company's state) are taxed as
+ * CGST + SGST at half the rate each, inter-state supplies as IGST. For
+ * services sold to unregistered customers the place of supply is the
+ * customer's state, falling back to the company's state when unknown.
+ */
+const { COMPANY_INFO, GST } = require('../config/billConfig');
+
+const round = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+function placeOfSupply(customerState) {
+  return customerState || COMPANY_INFO.state;
+}
+
+/**
+ * Split an amount into taxable value and GST
+ * @param {number} amount - Price after discounts and credits
+ * @param {string} [customerState] - State from the User model
+ * @param {object} [options] - { rate, pricingMode } overriding billConfig.GST
+ * @returns {object} { pricingMode, supplyType, placeOfSupply, rate, taxableValue,
+ *   cgstRate, cgstAmount, sgstRate, sgstAmount, igstRate, igstAmount, taxAmount, totalAmount }
+ */
+function calculateGST(amount, customerState, options = {}) {
+  const rate = options.rate !== undefined ? options.rate : GST.RATE;
+  const pricingMode = options.pricingMode || GST.PRICING_MODE;
+  const supply = placeOfSupply(customerState);
+  const intraState = supply === COMPANY_INFO.state;
+
+  const gross = round(Math.max(amount || 0, 0));
+  const taxableValue = pricingMode === 'inclusive' ? round(gross / (1 + rate / 100)) : gross;
+  const taxAmount = pricingMode === 'inclusive' ? round(gross - taxableValue) : round(gross * rate / 100);
+
+  // SGST takes the remainder so the halves always add up to the tax
+  const cgstAmount = intraState ? round(taxAmount / 2) : 0;
+  const sgstAmount = intraState ? round(taxAmount - cgstAmount) : 0;
+
+  return {
+    pricingMode,
+    supplyType: intraState ? 'intra_state' : 'inter_state',
+    placeOfSupply: supply,
+    rate,
+    taxableValue,
+    cgstRate: intraState ? rate / 2 : 0,
+    cgstAmount,
+    sgstRate: intraState ? rate / 2 : 0,
+    sgstAmount,
+    igstRate: intraState ? 0 : rate,
+    igstAmount: intraState ? 0 : taxAmount,
+    taxAmount,
+    totalAmount: round(taxableValue + taxAmount)
+  };
+}
+
+/**
+ * What the customer pays for a price: the price itself when prices include
+ * GST, the price plus GST otherwise. The state does not change the total.
+ */
+function amountPayable(amount) {
+  return calculateGST(amount).totalAmount;
+}
+
+module.exports = {
+  calculateGST,
+  amountPayable,
+  placeOfSupply
+};
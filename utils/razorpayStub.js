@@ -0,0 +1,70 @@
+/**
+ * Local stand-in for the Razorpay client, for running payment reconciliation
+ * without Razorpay credentials. Set RAZORPAY_STUB_FILE to a JSON file with
+ * Razorpay entities exactly as the API returns them:
+ *
+ *   {
+ *     "payments": [{ "id": "pay_1", "order_id": "order_1", "status": "captured", "amount": 118000, "created_at": 1760000000, ... }],
+ *     "orders": [{ "id": "order_1", "notes": { "userId": "..." }, "created_at": 1760000000, ... }],
+ *     "settlements": [{ "id": "setl_1", "amount": 115000, "fees": 2360, "tax": 360, "created_at": 1760200000 }],
+ *     "settlementRecon": [{ "entity_id": "pay_1", "type": "payment", "settlement_id": "setl_1", "settled_at": 1760200000 }]
+ *   }
+ *
+ * Only the read calls used by reconciliation are implemented.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Razorpay SDK rejects with the same shape
+function notFound(id) {
+  return Promise.reject({
+    statusCode: 400,
+    error: { code: 'BAD_REQUEST_ERROR', description: `The id provided does not exist: ${id}` }
+  });
+}
+
+function collection(items, { from, to, count = 10, skip = 0 } = {}, dateField = 'created_at') {
+  const matching = items.filter(item =>
+    (from === undefined || item[dateField] >= from) && (to === undefined || item[dateField] <= to)
+  );
+  const page = matching.slice(skip, skip + count);
+  return Promise.resolve({ entity: 'collection', count: page.length, items: page });
+}
+
+function resource(items) {
+  return {
+    all: (params) => collection(items, params),
+    fetch: (id) => {
+      const item = items.find(entry => entry.id === id);
+      return item ? Promise.resolve(item) : notFound(id);
+    }
+  };
+}
+
+/**
+ * @param {string} file - Path to the fixtures file, relative to the working directory
+ */
+function createRazorpayStub(file) {
+  const fixtures = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  const recon = fixtures.settlementRecon || [];
+
+  return {
+    payments: resource(fixtures.payments || []),
+    orders: resource(fixtures.orders || []),
+    settlements: {
+      ...resource(fixtures.settlements || []),
+      // Settlement recon for one day (IST), like GET /settlements/recon/combined
+      reports: ({ year, month, day, count = 10, skip = 0 } = {}) => {
+        const items = recon.filter(item => {
+          const settled = new Date(item.settled_at * 1000 + 5.5 * 60 * 60 * 1000);
+          return settled.getUTCFullYear() === Number(year)
+            && settled.getUTCMonth() + 1 === Number(month)
+            && (day === undefined || settled.getUTCDate() === Number(day));
+        });
+        return collection(items, { count, skip });
+      }
+    }
+  };
+}
+
+module.exports = { createRazorpayStub };
@@ -2,33 +2,89 @@
  * Simple PDF generation using basic PDF structure
  */
 
+const formatCurrency = (amount) => `Rs.${(amount || 0).toLocaleString('en-IN')}`;
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN');
+
+// Backslashes and parentheses delimit PDF strings
+const escapeText = (text) => String(text).replace(/[\\()]/g, '\\$&');
+
+const line = (text) => `
+0 -20 Td
+(${escapeText(text)}) Tj`;
+
+/**
+ * GST lines of a bill or credit note; a plain tax line for bills
+ * issued before GST was configured
+ */
+function taxLines(doc) {
+  const gst = doc.gst || {};
+  const taxableValue = doc.taxableValue !== undefined ? doc.taxableValue : gst.taxableValue;
+  if (taxableValue === undefined) {
+    return line(`Tax: ${formatCurrency(doc.taxAmount)}`);
+  }
+  const lines = [line(`Taxable Value: ${formatCurrency(taxableValue)}`)];
+  if (gst.supplyType === 'inter_state') {
+    lines.push(line(`IGST @ ${gst.igstRate}%: ${formatCurrency(gst.igstAmount)}`));
+  } else {
+    lines.push(line(`CGST @ ${gst.cgstRate}%: ${formatCurrency(gst.cgstAmount)}`));
+    lines.push(line(`SGST @ ${gst.sgstRate}%: ${formatCurrency(gst.sgstAmount)}`));
+  }
+  return lines.join('');
+}
+
 function generateSimplePDF(bill) {
-  const formatCurrency = (amount) => `Rs.${amount.toLocaleString('en-IN')}`;
-  const formatDate = (date) => new Date(date).toLocaleDateString('en-IN');
-  
   const content = `BT
 /F1 12 Tf
 50 750 Td
+(${bill.gst?.gstin ? 'Tax Invoice' : 'Invoice'}) Tj
+0 -20 Td
 (${bill.customerDetails.name}) Tj
 0 -20 Td
 (Invoice: ${bill.billNumber}) Tj
 0 -20 Td
-(Date: ${formatDate(bill.billDate)}) Tj
+(Date: ${formatDate(bill.billDate)}) Tj${bill.gst?.gstin ? line(`GSTIN: ${bill.gst.gstin}`) : ''}${bill.gst?.placeOfSupply ? line(`Place of Supply: ${bill.gst.placeOfSupply}`) : ''}
 0 -20 Td
 (Amount: ${formatCurrency(bill.totalAmount)}) Tj
 0 -40 Td
 (Items:) Tj
-${bill.items.map(() => `
-0 -20 Td
-(Subscription - ${formatCurrency(bill.subtotal)}) Tj`).join('')}
+${bill.items.map(item => line(`${item.description}${item.sacCode ? ` - SAC ${item.sacCode}` : ''} - ${formatCurrency(item.totalPrice)}`)).join('')}
 0 -40 Td
 (Subtotal: ${formatCurrency(bill.subtotal)}) Tj
+${(bill.adjustments || []).map(adjustment => `
 0 -20 Td
-(Tax: ${formatCurrency(bill.taxAmount)}) Tj
+(${adjustment.description}: ${adjustment.amount < 0 ? '-' : ''}${formatCurrency(Math.abs(adjustment.amount))}) Tj`).join('')}
+${taxLines(bill)}
 0 -20 Td
 (Total: ${formatCurrency(bill.totalAmount)}) Tj
 ET`;
 
+  return buildPDF(content);
+}
+
+function generateCreditNotePDF(creditNote) {
+  const content = `BT
+/F1 12 Tf
+50 750 Td
+(Credit Note) Tj${[
+    creditNote.customerDetails?.name || '',
+    `Credit Note: ${creditNote.creditNoteNumber}`,
+    `Against Invoice: ${creditNote.billNumber}`,
+    `Date: ${formatDate(creditNote.creditNoteDate)}`,
+    creditNote.gst?.gstin && `GSTIN: ${creditNote.gst.gstin}`,
+    creditNote.gst?.placeOfSupply && `Place of Supply: ${creditNote.gst.placeOfSupply}`
+  ].filter(text => typeof text === 'string').map(line).join('')}
+0 -40 Td
+(Reason: ${escapeText(creditNote.reason)}) Tj
+${taxLines(creditNote)}
+0 -20 Td
+(Total Credit: ${formatCurrency(creditNote.totalAmount)}) Tj
+ET`;
+
+  return buildPDF(content);
+}
+
+function buildPDF(content) {
+
   const pdfContent = `%PDF-1.4
 1 0 obj
 <</Type/Catalog/Pages 2 0 R>>
@@ -67,4 +123,4 @@ startxref
 
 
 
-module.exports = { generateSimplePDF };
\ No newline at end of file
+module.exports = { generateSimplePDF, generateCreditNotePDF };
\ No newline at end of file
@@ -0,0 +1,72 @@
+/**
+ * Parses the free-text price levels admins enter on tips ("₹1,200 - 1,250",
+ * "Rs. 980", "25%", "-8.5%") into numbers.
+ */
+
+// Drop thousands separators so "1,250" reads as one number
+const normalize = (value) => String(value).replace(/(\d),(?=\d)/g, '$1').replace(/−/g, '-');
+
+const isPercent = (value) => typeof value === 'string' && value.includes('%');
+
+/**
+ * First positive number in the text, or null. A percentage ("5%") is not a price.
+ */
+function parsePrice(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? value : null;
+  if (isPercent(value)) return null;
+
+  const match = normalize(value).match(/\d+(?:\.\d+)?/);
+  if (!match) return null;
+  const price = parseFloat(match[0]);
+  return price > 0 ? price : null;
+}
+
+/**
+ * Low/high of a range such as "100-150" or "100 to 150"; a single price gives low === high
+ */
+function parsePriceRange(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') {
+    const price = parsePrice(value);
+    return price ? { low: price, high: price } : null;
+  }
+
+  const numbers = (normalize(value).match(/\d+(?:\.\d+)?/g) || [])
+    .map(parseFloat)
+    .filter(n => n > 0)
+    .slice(0, 2);
+  if (!numbers.length) return null;
+  return { low: Math.min(...numbers), high: Math.max(...numbers) };
+}
+
+/**
+ * Signed percentage; text mentioning a loss is treated as negative
+ */
+function parsePercent(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  const text = normalize(value);
+  const match = text.match(/([-+])?\s*(\d+(?:\.\d+)?)/);
+  if (!match) return null;
+  const magnitude = parseFloat(match[2]);
+  const negative = match[1] === '-' || /loss|down/i.test(text);
+  return negative ? -magnitude : magnitude;
+}
+
+/**
+ * A level given either as a price ("₹950") or relative to the entry price ("5%")
+ * @returns {{price: number|null, percent: number|null}}
+ */
+function parseLevel(value) {
+  if (isPercent(value)) return { price: null, percent: parsePercent(value) };
+  return { price: parsePrice(value), percent: null };
+}
+
+module.exports = {
+  parsePrice,
+  parsePriceRange,
+  parsePercent,
+  parseLevel
+};
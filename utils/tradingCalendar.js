@@ -0,0 +1,240 @@
+/**
+ * utils/tradingCalendar.js
+ *
+ * NSE/BSE trading calendar. Weekends are closed, exchange holidays and
+ * special Muhurat sessions are stored in configsettings so admins can
+ * maintain them without a deploy. Price and valuation cron jobs consult
+ * this before running.
+ */
+const moment = require('moment-timezone');
+const ConfigSettings = require('../models/configsettings');
+
+const TIMEZONE = 'Asia/Kolkata';
+const HOLIDAYS_KEY = 'TRADING_HOLIDAYS';
+const MUHURAT_KEY = 'MUHURAT_SESSIONS';
+const SUPPORTED_EXCHANGES = ['NSE', 'BSE'];
+
+// Regular equity session (IST)
+const REGULAR_SESSION = { open: '09:15', close: '15:30' };
+
+// Cache to minimize DB hits
+let calendarCache = null;
+let cacheTime = 0;
+const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+const toDateKey = (date) => moment(date).tz(TIMEZONE).format('YYYY-MM-DD');
+
+const isValidDateKey = (value) => moment(value, 'YYYY-MM-DD', true).isValid();
+
+const isValidTime = (value) => moment(value, 'HH:mm', true).isValid();
+
+/**
+ * Load holidays and Muhurat sessions from configsettings
+ * @returns {Promise<{holidays: Array, muhuratSessions: Array}>}
+ */
+async function loadCalendar(force = false) {
+  const now = Date.now();
+  if (!force && calendarCache && now - cacheTime < CACHE_TTL) {
+    return calendarCache;
+  }
+
+  const configs = await ConfigSettings.find({
+    key: { $in: [HOLIDAYS_KEY, MUHURAT_KEY] },
+    isActive: true
+  });
+  const itemsFor = (key) => {
+    const config = configs.find(c => c.key === key);
+    return config && Array.isArray(config.arrayItems) ? config.arrayItems : [];
+  };
+
+  calendarCache = {
+    holidays: itemsFor(HOLIDAYS_KEY),
+    muhuratSessions: itemsFor(MUHURAT_KEY)
+  };
+  cacheTime = now;
+  return calendarCache;
+}
+
+async function saveItems(key, description, items) {
+  await ConfigSettings.findOneAndUpdate(
+    { key },
+    {
+      $set: { arrayItems: items, isArray: true, isActive: true, value: null },
+      $setOnInsert: { category: 'market_data', description }
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+  calendarCache = null;
+}
+
+/**
+ * Get the holiday entry for a date, if any
+ */
+async function getHoliday(date, exchange = 'NSE') {
+  const { holidays } = await loadCalendar();
+  const key = toDateKey(date);
+  return holidays.find(h =>
+    h.date === key && (!h.exchanges || !h.exchanges.length || h.exchanges.includes(exchange))
+  ) || null;
+}
+
+/**
+ * Get the trading session for a calendar date, or null when the market is closed.
+ * A Muhurat session opens the market even on weekends and holidays.
+ * @returns {Promise<{date, type, open: Date, close: Date, description}|null>}
+ */
+async function getSession(date = new Date(), exchange = 'NSE') {
+  const { muhuratSessions } = await loadCalendar();
+  const key = toDateKey(date);
+  const at = (time) => moment.tz(`${key} ${time}`, 'YYYY-MM-DD HH:mm', TIMEZONE).toDate();
+
+  const muhurat = muhuratSessions.find(s => s.date === key);
+  if (muhurat) {
+    return {
+      date: key,
+      type: 'muhurat',
+      open: at(muhurat.start),
+      close: at(muhurat.end),
+      description: muhurat.description || 'Muhurat trading'
+    };
+  }
+
+  const weekday = moment.tz(key, TIMEZONE).isoWeekday();
+  if (weekday >= 6) {
+    return null;
+  }
+
+  if (await getHoliday(key, exchange)) {
+    return null;
+  }
+
+  return {
+    date: key,
+    type: 'regular',
+    open: at(REGULAR_SESSION.open),
+    close: at(REGULAR_SESSION.close)
+  };
+}
+
+/**
+ * Whether the exchange has any session on the given date
+ */
+async function isTradingDay(date = new Date(), exchange = 'NSE') {
+  return !!(await getSession(date, exchange));
+}
+
+/**
+ * Whether the exchange is in session at the given instant
+ */
+async function isMarketOpen(at = new Date(), exchange = 'NSE') {
+  const session = await getSession(at, exchange);
+  return !!session && at >= session.open && at <= session.close;
+}
+
+/**
+ * Find the current or next session that has not yet closed
+ * @param {Date} [from]
+ * @param {number} [maxDays] - Search horizon
+ */
+async function getNextTradingSession(from = new Date(), exchange = 'NSE', maxDays = 30) {
+  for (let offset = 0; offset <= maxDays; offset++) {
+    const day = moment(from).tz(TIMEZONE).add(offset, 'days').toDate();
+    const session = await getSession(day, exchange);
+    if (session && session.close > from) {
+      return { ...session, inProgress: session.open <= from };
+    }
+  }
+  return null;
+}
+
+/**
+ * List holidays (optionally limited to a year) and Muhurat sessions
+ */
+async function getCalendar(year) {
+  const { holidays, muhuratSessions } = await loadCalendar(true);
+  const inYear = (item) => !year || item.date.startsWith(`${year}-`);
+  const byDate = (a, b) => a.date.localeCompare(b.date);
+  return {
+    timezone: TIMEZONE,
+    regularSession: REGULAR_SESSION,
+    holidays: holidays.filter(inYear).sort(byDate),
+    muhuratSessions: muhuratSessions.filter(inYear).sort(byDate)
+  };
+}
+
+/**
+ * Add or replace a holiday
+ * @param {{date: string, description?: string, exchanges?: Array<string>}} holiday
+ */
+async function addHoliday({ date, description, exchanges }) {
+  if (!isValidDateKey(date)) {
+    throw new Error('date must be in YYYY-MM-DD format');
+  }
+  const list = exchanges && exchanges.length ? exchanges.map(e => e.toUpperCase()) : SUPPORTED_EXCHANGES;
+  const invalid = list.filter(e => !SUPPORTED_EXCHANGES.includes(e));
+  if (invalid.length) {
+    throw new Error(`Unsupported exchange(s): ${invalid.join(', ')}`);
+  }
+
+  const { holidays } = await loadCalendar(true);
+  const entry = { date, description: description || 'Exchange holiday', exchanges: list };
+  const updated = holidays.filter(h => h.date !== date).concat(entry);
+  await saveItems(HOLIDAYS_KEY, 'NSE/BSE trading holidays', updated);
+  return entry;
+}
+
+async function removeHoliday(date) {
+  const { holidays } = await loadCalendar(true);
+  const updated = holidays.filter(h => h.date !== date);
+  if (updated.length === holidays.length) {
+    return false;
+  }
+  await saveItems(HOLIDAYS_KEY, 'NSE/BSE trading holidays', updated);
+  return true;
+}
+
+/**
+ * Add or replace a Muhurat session
+ * @param {{date: string, start: string, end: string, description?: string}} session
+ */
+async function addMuhuratSession({ date, start, end, description }) {
+  if (!isValidDateKey(date)) {
+    throw new Error('date must be in YYYY-MM-DD format');
+  }
+  if (!isValidTime(start) || !isValidTime(end) || start >= end) {
+    throw new Error('start and end must be HH:mm with start before end');
+  }
+
+  const { muhuratSessions } = await loadCalendar(true);
+  const entry = { date, start, end, description: description || 'Muhurat trading' };
+  const updated = muhuratSessions.filter(s => s.date !== date).concat(entry);
+  await saveItems(MUHURAT_KEY, 'Special Muhurat trading sessions', updated);
+  return entry;
+}
+
+async function removeMuhuratSession(date) {
+  const { muhuratSessions } = await loadCalendar(true);
+  const updated = muhuratSessions.filter(s => s.date !== date);
+  if (updated.length === muhuratSessions.length) {
+    return false;
+  }
+  await saveItems(MUHURAT_KEY, 'Special Muhurat trading sessions', updated);
+  return true;
+}
+
+module.exports = {
+  TIMEZONE,
+  REGULAR_SESSION,
+  SUPPORTED_EXCHANGES,
+  toDateKey,
+  getSession,
+  getHoliday,
+  isTradingDay,
+  isMarketOpen,
+  getNextTradingSession,
+  getCalendar,
+  addHoliday,
+  removeHoliday,
+  addMuhuratSession,
+  removeMuhuratSession
+};
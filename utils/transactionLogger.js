@@ -321,6 +321,92 @@ ${'='.repeat(80)}
     }
   }
 
+  async logCorporateAction(data) {
+    await this.ensureLogFile();
+
+    const {
+      portfolioId,
+      portfolioName,
+      stockSymbol,
+      action, // 'split', 'bonus' or 'dividend'
+      details,
+      beforeState,
+      afterState,
+      cashBefore,
+      cashAfter
+    } = data;
+
+    const logEntry = `
+${'='.repeat(80)}
+🟣 CORPORATE ACTION - ${action.toUpperCase()}
+${'='.repeat(80)}
+📅 Timestamp: ${this.getCurrentTimestamp()}
+📊 Portfolio: ${portfolioName} (ID: ${portfolioId})
+🏷️  Stock Symbol: ${stockSymbol}
+📝 Details: ${details}
+
+📋 HOLDING:
+   • Quantity: ${beforeState.quantity} → ${afterState.quantity}
+   • Buy Price (Weighted Avg): ${this.formatCurrency(beforeState.buyPrice)} → ${this.formatCurrency(afterState.buyPrice)}
+   • Investment Value: ${this.formatCurrency(beforeState.quantity * beforeState.buyPrice)} → ${this.formatCurrency(afterState.quantity * afterState.buyPrice)}
+
+💰 CASH BALANCE:
+   • ${this.formatCurrency(cashBefore)} → ${this.formatCurrency(cashAfter)}
+
+${'='.repeat(80)}
+
+`;
+
+    try {
+      await fs.appendFile(this.logFilePath, logEntry);
+    } catch (error) {
+      console.error('Failed to write corporate action log:', error);
+    }
+  }
+
+  async logRebalance(data) {
+    await this.ensureLogFile();
+
+    const {
+      portfolioId,
+      portfolioName,
+      proposalId,
+      trades,
+      cashBefore,
+      cashAfter,
+      userEmail = 'Unknown'
+    } = data;
+
+    const tradeLines = trades.map(trade =>
+      `   • ${trade.side.toUpperCase()} ${trade.symbol}: ${trade.quantity} @ ${this.formatCurrency(trade.price)} = ${this.formatCurrency(trade.amount)} (weight ${trade.currentWeight}% → ${trade.projectedWeight}%)`
+    ).join('\n');
+
+    const logEntry = `
+${'='.repeat(80)}
+🔵 PORTFOLIO REBALANCE
+${'='.repeat(80)}
+📅 Timestamp: ${this.getCurrentTimestamp()}
+📊 Portfolio: ${portfolioName} (ID: ${portfolioId})
+🧾 Proposal: ${proposalId}
+👤 Approved by: ${userEmail}
+
+📋 TRADES (${trades.length}):
+${tradeLines || '   • No trades'}
+
+💰 CASH BALANCE:
+   • ${this.formatCurrency(cashBefore)} → ${this.formatCurrency(cashAfter)}
+
+${'='.repeat(80)}
+
+`;
+
+    try {
+      await fs.appendFile(this.logFilePath, logEntry);
+    } catch (error) {
+      console.error('Failed to write rebalance log:', error);
+    }
+  }
+
   async logError(error, context = 'Unknown') {
     await this.ensureLogFile();
     